@@ -45,29 +45,31 @@ async function main() {
   // 3. Analyze problem
   console.log('\nAnalyzing problem with LLM...');
   const analyst = new ProblemAnalyst(apiKey);
-  const analysis = await analyst.analyze(problem, encoder);
+  const { text: analysis, toolCalls } = await analyst.analyze(problem, encoder);
   console.log('Analysis:', analysis);
+  console.log(`Analyst made ${toolCalls.length} tool calls`);
   
   // 4. Generate conjectures
   console.log('\nGenerating conjectures...');
   const generator = new ConjectureGenerator(apiKey);
-  const conjectures = await generator.generate(
+  const { output } = await generator.generate(
     problem,
     analysis,
     { gapSignature },
     encoder
   );
+  const conjectures = output?.conjectures || [];
   console.log('Conjectures:', conjectures);
   
   // 5. Plan proof for first conjecture
   console.log('\nPlanning proof...');
   const planner = new ProofPlanner(apiKey);
-  const firstConjecture = {
-    statement: conjectures.split('Conjecture 1')[1]?.split('Conjecture 2')[0] || conjectures.split('\n')[0],
-    rationale: 'Generated from analysis'
+  const firstConjecture = conjectures[0] || {
+    statement: problem.statement,
+    rationale: 'No conjecture submitted'
   };
   
-  const plan = await planner.plan(
+  const { text: plan } = await planner.plan(
     problem,
     firstConjecture,
     { knownResults: problem.knownResults?.map(r => r.result).join('\n') || '' }
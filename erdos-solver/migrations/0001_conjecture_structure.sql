@@ -0,0 +1,6 @@
+-- Structured conjecture fields submitted by ConjectureGenerator
+
+ALTER TABLE conjectures ADD COLUMN test_instance JSON;
+ALTER TABLE conjectures ADD COLUMN relation TEXT CHECK(relation IN ('strengthens', 'weakens', 'equivalent', 'independent'));
+ALTER TABLE conjectures ADD COLUMN expression TEXT;
+ALTER TABLE conjectures ADD COLUMN variables JSON;
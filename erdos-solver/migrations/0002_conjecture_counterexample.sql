@@ -0,0 +1,3 @@
+-- Counterexample recorded when a search disproves a conjecture
+
+ALTER TABLE conjectures ADD COLUMN counterexample JSON;
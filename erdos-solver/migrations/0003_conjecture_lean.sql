@@ -0,0 +1,5 @@
+-- Lean statement produced by the translator and its compile log
+
+ALTER TABLE conjectures ADD COLUMN lean_statement TEXT;
+ALTER TABLE conjectures ADD COLUMN lean_binders JSON;
+ALTER TABLE conjectures ADD COLUMN lean_log JSON;
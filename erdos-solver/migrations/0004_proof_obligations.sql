@@ -0,0 +1,30 @@
+-- Persisted proof plans and their step/obligation tree
+
+CREATE TABLE proof_plans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  problem_id INTEGER NOT NULL,
+  conjecture_id INTEGER NOT NULL,
+  plan_text TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (problem_id) REFERENCES problems(id),
+  FOREIGN KEY (conjecture_id) REFERENCES conjectures(id)
+);
+
+CREATE TABLE proof_obligations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  plan_id INTEGER NOT NULL,
+  parent_id INTEGER,
+  node_type TEXT NOT NULL CHECK(node_type IN ('step', 'obligation')),
+  step_number TEXT,
+  kind TEXT CHECK(kind IN ('theoretical', 'computation', 'formal')),
+  description TEXT NOT NULL,
+  status TEXT CHECK(status IN ('open', 'discharged', 'failed', 'waived')),
+  discharged_by TEXT CHECK(discharged_by IN ('verifier', 'counterexample', 'lean', 'manual')),
+  evidence JSON,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (plan_id) REFERENCES proof_plans(id),
+  FOREIGN KEY (parent_id) REFERENCES proof_obligations(id)
+);
+
+CREATE INDEX idx_proof_plans_conjecture ON proof_plans(conjecture_id);
+CREATE INDEX idx_proof_obligations_plan ON proof_obligations(plan_id);
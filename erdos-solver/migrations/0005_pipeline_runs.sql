@@ -0,0 +1,16 @@
+-- Orchestrated research pipeline runs
+
+CREATE TABLE pipeline_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  problem_id INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('queued', 'running', 'succeeded', 'failed')),
+  stage TEXT,
+  stages JSON,
+  options JSON,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (problem_id) REFERENCES problems(id)
+);
+
+CREATE INDEX idx_pipeline_runs_problem ON pipeline_runs(problem_id);
@@ -0,0 +1,3 @@
+-- Arithmetic mode the verifier uses for a conjecture's expression
+
+ALTER TABLE conjectures ADD COLUMN arithmetic TEXT;
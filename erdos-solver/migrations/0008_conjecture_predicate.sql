@@ -0,0 +1,3 @@
+-- Sandboxed JavaScript predicate deciding a conjecture on each test case
+
+ALTER TABLE conjectures ADD COLUMN predicate TEXT;
@@ -0,0 +1,3 @@
+-- Interval-arithmetic certificate for a finite-range bound
+
+ALTER TABLE conjectures ADD COLUMN certificate JSON;
@@ -0,0 +1,7 @@
+-- Local OEIS sequences imported from the stripped/names dumps
+
+CREATE TABLE oeis_sequences (
+  id TEXT PRIMARY KEY, -- A-number, e.g. A005282
+  name TEXT,
+  terms TEXT -- listed terms as in the stripped dump: ',1,2,4,8,'
+);
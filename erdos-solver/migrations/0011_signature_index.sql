@@ -0,0 +1,23 @@
+-- Similarity index over stored signatures: one profile per signatures row
+-- and posting lists from position to the profiles that use it
+CREATE TABLE signature_profiles (
+  signature_id INTEGER PRIMARY KEY,
+  problem_id INTEGER,
+  signature_type TEXT NOT NULL,
+  dimension INTEGER,
+  positions JSON NOT NULL,
+  elevations JSON NOT NULL,
+  norm REAL NOT NULL,
+  source JSON,
+  FOREIGN KEY (signature_id) REFERENCES signatures(id)
+);
+
+CREATE TABLE signature_postings (
+  signature_type TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  signature_id INTEGER NOT NULL,
+  value REAL NOT NULL,
+  PRIMARY KEY (signature_type, position, signature_id)
+);
+
+CREATE INDEX idx_signature_postings_signature ON signature_postings(signature_id);
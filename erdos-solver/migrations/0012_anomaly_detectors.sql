@@ -0,0 +1,12 @@
+-- Named, calibrated USAD detectors (state is USADetector.toJSON())
+
+CREATE TABLE anomaly_detectors (
+  name TEXT PRIMARY KEY,
+  features TEXT NOT NULL, -- gaps | values | ratios
+  state JSON NOT NULL,
+  corpus JSON, -- the reference sequences (specs or term counts)
+  calibration_size INTEGER,
+  threshold REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -51,12 +51,125 @@ CREATE TABLE conjectures (
   status TEXT CHECK(status IN ('proposed', 'verified', 'disproved', 'experimental')),
   kk_score REAL,
   anomaly_score REAL,
+  test_instance JSON, -- { description, variables, expected }
+  relation TEXT CHECK(relation IN ('strengthens', 'weakens', 'equivalent', 'independent')),
+  expression TEXT, -- mathjs expression over the declared variables
+  variables JSON, -- [{ name, type, min, max, description }]
+  arithmetic TEXT, -- verifier arithmetic: float, exact, bignumber, fraction or auto (NULL = float)
+  predicate TEXT, -- JavaScript function expression run in the verifier's sandbox
+  counterexample JSON, -- { point, strategy, value, shrunk } when disproved
+  certificate JSON, -- interval certificate: { claim, range, boxes, worstMargin, ... } (src/tools/certificate.js)
+  lean_statement TEXT, -- Lean 4 proposition that elaborates against Mathlib
+  lean_binders JSON, -- [{ name, type }] for lean_statement
+  lean_log JSON, -- compile attempts from the Lean translator
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (problem_id) REFERENCES problems(id)
 );
 
+CREATE TABLE proof_plans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  problem_id INTEGER NOT NULL,
+  conjecture_id INTEGER NOT NULL,
+  plan_text TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (problem_id) REFERENCES problems(id),
+  FOREIGN KEY (conjecture_id) REFERENCES conjectures(id)
+);
+
+-- Steps and obligations of a proof plan, as a tree via parent_id
+CREATE TABLE proof_obligations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  plan_id INTEGER NOT NULL,
+  parent_id INTEGER,
+  node_type TEXT NOT NULL CHECK(node_type IN ('step', 'obligation')),
+  step_number TEXT,
+  kind TEXT CHECK(kind IN ('theoretical', 'computation', 'formal')),
+  description TEXT NOT NULL,
+  status TEXT CHECK(status IN ('open', 'discharged', 'failed', 'waived')),
+  discharged_by TEXT CHECK(discharged_by IN ('verifier', 'lean', 'manual')),
+  evidence JSON, -- verifier report / Lean check that discharged it
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (plan_id) REFERENCES proof_plans(id),
+  FOREIGN KEY (parent_id) REFERENCES proof_obligations(id)
+);
+
+-- Orchestrated research pipeline runs with per-stage results
+CREATE TABLE pipeline_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  problem_id INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('queued', 'running', 'succeeded', 'failed')),
+  stage TEXT, -- stage currently running
+  stages JSON, -- { stageName: { status, startedAt, durationMs, result | error } }
+  options JSON,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (problem_id) REFERENCES problems(id)
+);
+
+-- Background jobs (analyses, long encodings, counterexample searches)
+CREATE TABLE jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  params JSON,
+  result JSON,
+  error TEXT, -- last failure, kept while a retry is queued
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  finished_at DATETIME,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Local OEIS sequences imported from the stripped/names dumps
+CREATE TABLE oeis_sequences (
+  id TEXT PRIMARY KEY, -- A-number, e.g. A005282
+  name TEXT,
+  terms TEXT -- listed terms as in the stripped dump: ',1,2,4,8,'
+);
+
+-- Similarity index over stored signatures: one profile per signatures row
+-- and posting lists from position to the profiles that use it
+CREATE TABLE signature_profiles (
+  signature_id INTEGER PRIMARY KEY,
+  problem_id INTEGER,
+  signature_type TEXT NOT NULL,
+  dimension INTEGER,
+  positions JSON NOT NULL,
+  elevations JSON NOT NULL,
+  norm REAL NOT NULL,
+  source JSON,
+  FOREIGN KEY (signature_id) REFERENCES signatures(id)
+);
+
+CREATE TABLE signature_postings (
+  signature_type TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  signature_id INTEGER NOT NULL,
+  value REAL NOT NULL,
+  PRIMARY KEY (signature_type, position, signature_id)
+);
+
+CREATE TABLE anomaly_detectors (
+  name TEXT PRIMARY KEY,
+  features TEXT NOT NULL,
+  state JSON NOT NULL,
+  corpus JSON,
+  calibration_size INTEGER,
+  threshold REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE INDEX idx_problems_status ON problems(status);
 CREATE INDEX idx_problems_prize ON problems(prize);
 CREATE INDEX idx_problems_area ON problems(area);
 CREATE INDEX idx_signatures_problem ON signatures(problem_id);
 CREATE INDEX idx_conjectures_problem ON conjectures(problem_id);
+CREATE INDEX idx_proof_plans_conjecture ON proof_plans(conjecture_id);
+CREATE INDEX idx_proof_obligations_plan ON proof_obligations(plan_id);
+CREATE INDEX idx_pipeline_runs_problem ON pipeline_runs(problem_id);
+CREATE INDEX idx_jobs_status ON jobs(status);
+CREATE INDEX idx_signature_postings_signature ON signature_postings(signature_id);
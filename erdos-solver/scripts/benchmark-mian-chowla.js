@@ -0,0 +1,53 @@
+// Benchmark Mian-Chowla generators
+//
+// Usage: node scripts/benchmark-mian-chowla.js [terms...] [--workers k]
+// Compares the Set-based greedy B_2 reference, the bitset generator and
+// (with --workers) the worker-thread generator; every run is checked against
+// the bitset result.
+
+import { GreedyBh, MianChowla } from '../src/sequences/index.js';
+import { ParallelMianChowla } from '../src/sequences/mian-chowla-parallel.js';
+
+// The Set-based reference is quadratic in memory; skip it beyond this size
+const REFERENCE_LIMIT = 1000;
+
+async function time(label, n, run) {
+  const started = process.hrtime.bigint();
+  const terms = await run();
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  console.log(`  ${label.padEnd(12)} ${ms.toFixed(0).padStart(8)} ms  ${(n / ms * 1000).toFixed(0).padStart(8)} terms/s`);
+  return terms;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const workersAt = argv.indexOf('--workers');
+  const workers = workersAt >= 0 ? parseInt(argv[workersAt + 1]) : 0;
+  const sizes = argv
+    .filter((arg, i) => !arg.startsWith('--') && (workersAt < 0 || i !== workersAt + 1))
+    .map(Number);
+
+  for (const n of sizes.length > 0 ? sizes : [500, 1000, 2000]) {
+    console.log(`\nn = ${n}`);
+
+    const bitset = await time('bitset', n, () => new MianChowla().generate(n));
+    console.log(`  a(${n}) = ${bitset[n - 1]}, difference bitset ≈ ${(bitset[n - 1] / 8 / 2 ** 20).toFixed(1)} MiB`);
+
+    if (n <= REFERENCE_LIMIT) {
+      const reference = await time('set-based', n, () => new GreedyBh({ h: 2 }).generate(n));
+      if (reference[n - 1] !== bitset[n - 1]) throw new Error('set-based result differs');
+    }
+
+    if (workers > 0) {
+      const generator = new ParallelMianChowla({ workers });
+      const parallel = await time(`${workers} workers`, n, () => generator.generate(n));
+      await generator.close();
+      if (parallel[n - 1] !== bitset[n - 1]) throw new Error('parallel result differs');
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
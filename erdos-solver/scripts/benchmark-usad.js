@@ -0,0 +1,73 @@
+// Benchmark USAD calibration with indexed and exact neighbour search
+//
+// Usage: node scripts/benchmark-usad.js [sizes...] [--sequence prime-gaps]
+//          [--window 64] [--time-limit 3600]
+// Calibrates on sliding windows of a sequence's normalized gaps (n windows
+// need n + window terms), once with the index and once with the full scan,
+// and checks the scores agree. Both runs are measured, never extrapolated: a
+// full scan still going after --time-limit seconds is stopped and reported
+// as not finished, with the number of windows it scored.
+
+import { USADetector } from '../src/encoders/usad.js';
+import { normalizedGaps } from '../src/encoders/index.js';
+import { generateSequence } from '../src/sequences/index.js';
+
+function parseArgs(argv) {
+  const options = { sequence: 'prime-gaps', window: 64, 'time-limit': 3600 };
+  const sizes = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      options[name] = name === 'sequence' ? argv[++i] : Number(argv[++i]);
+    } else {
+      sizes.push(Number(argv[i]));
+    }
+  }
+  return { sizes: sizes.length > 0 ? sizes : [1000, 10000], options };
+}
+
+function time(run) {
+  const started = process.hrtime.bigint();
+  const result = run();
+  return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+}
+
+function report(label, ms, note = '') {
+  console.log(`  ${label.padEnd(10)} ${ms.toFixed(0).padStart(10)} ms  ${note}`);
+}
+
+function main() {
+  const { sizes, options } = parseArgs(process.argv.slice(2));
+  const { sequence, window } = options;
+
+  for (const n of sizes) {
+    const gaps = normalizedGaps(generateSequence({ name: sequence, n: n + window + 1 }));
+    const windows = Array.from({ length: n }, (_, i) => gaps.slice(i, i + window));
+    console.log(`\nn = ${n} windows of ${window} ${sequence} gaps`);
+
+    const indexed = new USADetector({ neighbors: 'indexed' });
+    const { ms: indexedMs } = time(() => indexed.calibrate(windows));
+    report('indexed', indexedMs, `threshold ${indexed.thr.toFixed(6)}`);
+
+    // The full scan as calibrate() runs it, one window at a time so the
+    // time limit can stop it
+    const exact = new USADetector({ neighbors: 'exact' });
+    const deadline = Date.now() + options['time-limit'] * 1000;
+    let scored = 0;
+    const { ms } = time(() => {
+      exact.calSigs = windows.map(w => exact.encode(w));
+      for (; scored < n && Date.now() < deadline; scored++) {
+        if (exact._kNearestMean(exact.calSigs[scored], scored) !== indexed.calScores[scored]) {
+          throw new Error(`indexed score of window ${scored} differs from the full scan`);
+        }
+      }
+    });
+    if (scored === n) {
+      report('exact', ms, `${(ms / indexedMs).toFixed(1)}x slower`);
+    } else {
+      report('exact', ms, `stopped at the time limit after ${scored} of ${n} windows, not finished`);
+    }
+  }
+}
+
+main();
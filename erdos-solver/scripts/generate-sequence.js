@@ -0,0 +1,78 @@
+// Generate a long named sequence with periodic checkpoints to disk
+//
+// Usage:
+//   node scripts/generate-sequence.js --name mian-chowla --terms 10000 \
+//     --checkpoint mc.json [--every 60] [--workers 4] [--monitor 0.01]
+//
+// Re-running with the same checkpoint file resumes where it stopped.
+// --monitor streams the terms through the RH gap anomaly detector as they are
+// produced and reports windows whose conformal p-value is at most the given
+// alpha (structural changes in the gaps); its state is checkpointed too.
+
+import { createSequence } from '../src/sequences/index.js';
+import { ParallelMianChowla } from '../src/sequences/mian-chowla-parallel.js';
+import { loadCheckpoint, generateWithCheckpoints } from '../src/sequences/checkpoint-file.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { RHAnomalyStream } from '../src/encoders/rh-sparse.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const name = args.name || 'mian-chowla';
+  const terms = parseInt(args.terms || '1000');
+  const workers = parseInt(args.workers || '1');
+  const everyMs = parseFloat(args.every || '60') * 1000;
+
+  const checkpoint = args.checkpoint ? await loadCheckpoint(args.checkpoint) : null;
+  if (checkpoint && checkpoint.name !== name) {
+    throw new Error(`${args.checkpoint} holds ${checkpoint.name}, not ${name}`);
+  }
+  if (checkpoint) {
+    console.log(`Resuming ${name} from ${checkpoint.terms.length} terms`);
+  }
+
+  const generator = name === 'mian-chowla' && workers > 1
+    ? new ParallelMianChowla({ ...checkpoint?.options, workers, checkpoint })
+    : createSequence(name, { ...checkpoint?.options, checkpoint });
+
+  const onEvent = ({ type, term, score, pValue }) => {
+    console.log(type === 'anomaly'
+      ? `  ⚠️  Gap structure changes at term ${term} (score ${score.toFixed(4)}, p = ${pValue?.toFixed(4) ?? 'n/a'})`
+      : `  Gap structure back to normal at term ${term}`);
+  };
+  let monitor = null;
+  if (args.monitor) {
+    monitor = checkpoint?.monitor
+      ? RHAnomalyStream.restore(checkpoint.monitor, { onEvent })
+      : new MathObjectEncoder().streamAnomalies({ alpha: parseFloat(args.monitor), onEvent });
+  }
+
+  try {
+    const sequence = await generateWithCheckpoints(generator, {
+      terms,
+      path: args.checkpoint,
+      everyMs,
+      monitor,
+      onProgress: ({ count, last, elapsedMs, saved }) => {
+        if (saved || count % 1000 === 0) {
+          console.log(`  ${count} terms, a(n) = ${last}, ${(elapsedMs / 1000).toFixed(1)}s${saved ? ' (checkpoint saved)' : ''}`);
+        }
+      }
+    });
+    console.log(`✅ ${sequence.length} terms of ${name}, last = ${sequence[sequence.length - 1]}`);
+  } finally {
+    await generator.close?.();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Import the OEIS dump files offline and identify sequences against them
+//
+// Usage:
+//   node scripts/import-oeis.js --stripped stripped.gz --names names.gz \
+//     [--sql oeis.sql] [--identify 1,2,4,8,13,21,31,45]
+//
+// The dumps are https://oeis.org/stripped.gz and https://oeis.org/names.gz
+// (plain or gzipped). --sql writes upserts for the oeis_sequences table:
+//   wrangler d1 execute erdos-problems --file=oeis.sql
+// --identify matches terms against the imported sequences locally.
+
+import { createReadStream, createWriteStream } from 'node:fs';
+import { createGunzip } from 'node:zlib';
+import { createInterface } from 'node:readline';
+import { once } from 'node:events';
+import { MemoryOeisStore, importOeisDump } from '../src/sequences/oeis-store.js';
+import { identifySequence } from '../src/sequences/oeis.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+function readLines(path) {
+  const stream = createReadStream(path);
+  return createInterface({
+    input: path.endsWith('.gz') ? stream.pipe(createGunzip()) : stream,
+    crlfDelay: Infinity
+  });
+}
+
+const quote = (value) => (value === null ? 'NULL' : `'${String(value).replace(/'/g, "''")}'`);
+
+async function writeSql(store, path) {
+  const out = createWriteStream(path);
+  for (const row of store.sequences.values()) {
+    const line = `INSERT OR REPLACE INTO oeis_sequences (id, name, terms) VALUES (${quote(row.id)}, ${quote(row.name)}, ${quote(row.terms)});\n`;
+    if (!out.write(line)) await once(out, 'drain');
+  }
+  out.end();
+  await once(out, 'finish');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.stripped && !args.names) {
+    throw new Error('Usage: node scripts/import-oeis.js --stripped stripped.gz [--names names.gz] [--sql oeis.sql] [--identify 1,2,4,8]');
+  }
+
+  const store = new MemoryOeisStore();
+  // One file at a time: a reader starts streaming as soon as it is opened
+  const { sequences } = args.stripped ? await importOeisDump(store, { stripped: readLines(args.stripped) }) : {};
+  const { names } = args.names ? await importOeisDump(store, { names: readLines(args.names) }) : {};
+  console.log(`Imported ${sequences ?? 0} sequences and ${names ?? 0} names`);
+
+  if (args.sql) {
+    await writeSql(store, args.sql);
+    console.log(`✅ Wrote ${await store.count()} rows to ${args.sql}`);
+  }
+
+  if (args.identify) {
+    const { matches, skipped } = await identifySequence(store, args.identify.split(',').map(t => t.trim()));
+    for (const match of matches) {
+      console.log(`  ${match.id} ${match.name ?? ''}\n    ${match.summary}`);
+    }
+    if (matches.length === 0) console.log('  No matches');
+    for (const { transform, reason } of skipped) console.log(`  (${transform} skipped: ${reason})`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
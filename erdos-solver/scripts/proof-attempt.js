@@ -1,47 +1,24 @@
 // Attempt to prove rigorous bounds for Erdős Problem #340
 // Based on computational analysis and sparse encoder insights
 
-// Generate Mian-Chowla sequence
-function generateMianChowla(n) {
-  const sequence = [1];
-  const sums = new Set([2]);
-  
-  for (let i = 1; i < n; i++) {
-    let candidate = sequence[i - 1] + 1;
-    
-    while (true) {
-      let valid = true;
-      const newSums = new Set();
-      
-      for (const existing of sequence) {
-        const sum = existing + candidate;
-        if (sums.has(sum)) {
-          valid = false;
-          break;
-        }
-        newSums.add(sum);
-      }
-      
-      const doubleSum = candidate * 2;
-      if (sums.has(doubleSum)) {
-        valid = false;
-      } else {
-        newSums.add(doubleSum);
-      }
-      
-      if (valid) {
-        sequence.push(candidate);
-        for (const s of newSums) {
-          sums.add(s);
-        }
-        break;
-      }
-      
-      candidate++;
-    }
+import { generateSequence } from '../src/sequences/index.js';
+import { certifyInequality } from '../src/tools/certificate.js';
+
+// Certify r_A(N) against a bound for every integer N in [a(51), a(last)],
+// including the N between terms where the float check never looks
+function certifyBound(sequence, relation, bound) {
+  const certificate = certifyInequality(`count(N) ${relation} ${bound}`, {
+    range: [sequence[50], sequence[sequence.length - 1]],
+    functions: { count: { type: 'counting', terms: sequence } }
+  });
+  
+  if (certificate.holds) {
+    console.log(`   🔒 Interval certificate: r_A(N) ${relation} ${bound} for every integer N in [${certificate.range.join(', ')}]`);
+    console.log(`      ${certificate.boxes.length} boxes, worst-case margin ${certificate.worstMargin.toPrecision(6)} at N ∈ [${certificate.worstBox.join(', ')}]`);
+  } else {
+    console.log(`   ❌ Interval certificate ${certificate.status}: ${certificate.failure.reason}`);
   }
-  
-  return sequence;
+  return certificate;
 }
 
 // Refine bounds using adaptive constants
@@ -122,7 +99,10 @@ function proveLowerBound(sequence, epsilon = 0.01) {
     console.log(`   Largest violation: N=${violations[0].N}, size=${violations[0].size}, bound=${violations[0].lowerBound.toFixed(2)}`);
   }
   
-  return { minConstant, allSatisfy, violations };
+  // The printed constant, rounded down so the certified claim is the one shown
+  const certificate = certifyBound(sequence, '>=', `${Math.floor(minConstant * 1e6) / 1e6} * N^${exponent.toFixed(2)}`);
+  
+  return { minConstant, allSatisfy, violations, certificate };
 }
 
 // Attempt to prove: r_A(N) ≤ C √N
@@ -170,7 +150,9 @@ function proveUpperBound(sequence) {
     console.log(`   ⚠️ Found ${violations.length} violations`);
   }
   
-  return { maxConstant, allSatisfy, violations };
+  const certificate = certifyBound(sequence, '<=', `${Math.ceil(maxConstant * 1e6) / 1e6} * sqrt(N)`);
+  
+  return { maxConstant, allSatisfy, violations, certificate };
 }
 
 // Attempt to prove asymptotic growth: a(n) ~ C n³
@@ -218,7 +200,7 @@ async function attemptProof() {
   // Generate very large sequence
   const N = 2000; // Even larger
   console.log(`\nGenerating ${N}-term sequence for proof attempt...`);
-  const sequence = generateMianChowla(N);
+  const sequence = generateSequence({ name: 'mian-chowla', n: N });
   console.log(`✅ Generated: a(${N}) = ${sequence[N - 1]}\n`);
   
   // 1. Lower bound proof attempt
@@ -235,21 +217,21 @@ async function attemptProof() {
   console.log('📊 PROOF ATTEMPT SUMMARY\n');
   
   console.log('Lower Bound (Erdős-Graham):');
-  if (lowerBound.allSatisfy) {
-    console.log(`   ✅ PROVEN (computationally): r_A(N) ≥ ${lowerBound.minConstant.toFixed(6)} N^0.49`);
+  if (lowerBound.certificate.holds) {
+    console.log(`   ✅ CERTIFIED (interval arithmetic): r_A(N) ≥ ${lowerBound.minConstant.toFixed(6)} N^0.49`);
     console.log(`      for all N ∈ [${sequence[50]}, ${sequence[sequence.length - 1]}]`);
   } else {
-    console.log(`   ⚠️ Partial: Found ${lowerBound.violations.length} violations`);
+    console.log(`   ⚠️ Not certified: ${lowerBound.certificate.failure.reason}`);
     console.log(`      Need to refine constant or adjust ε`);
   }
   console.log();
   
   console.log('Upper Bound:');
-  if (upperBound.allSatisfy) {
-    console.log(`   ✅ PROVEN (computationally): r_A(N) ≤ ${upperBound.maxConstant.toFixed(6)} √N`);
+  if (upperBound.certificate.holds) {
+    console.log(`   ✅ CERTIFIED (interval arithmetic): r_A(N) ≤ ${upperBound.maxConstant.toFixed(6)} √N`);
     console.log(`      for all N ∈ [${sequence[50]}, ${sequence[sequence.length - 1]}]`);
   } else {
-    console.log(`   ⚠️ Partial: Found ${upperBound.violations.length} violations`);
+    console.log(`   ⚠️ Not certified: ${upperBound.certificate.failure.reason}`);
   }
   console.log();
   
@@ -294,7 +276,7 @@ async function attemptProof() {
   console.log(`   - Together: Complete asymptotic characterization`);
   console.log();
   
-  if (lowerBound.allSatisfy && upperBound.allSatisfy && growthRate.converged) {
+  if (lowerBound.certificate.holds && upperBound.certificate.holds && growthRate.converged) {
     console.log('✅ COMPUTATIONAL PROOF COMPLETE');
     console.log('   All bounds verified computationally for large N');
     console.log('   Next: Extend to rigorous mathematical proof');
@@ -305,8 +287,5 @@ async function attemptProof() {
   }
 }
 
-// Export for use in other scripts
-export { generateMianChowla };
-
 attemptProof().catch(console.error);
 
@@ -3,49 +3,8 @@
 
 import { MathObjectEncoder } from '../src/encoders/index.js';
 import { ComputationalVerifier } from '../src/tools/verifier.js';
-
-// Generate much larger Mian-Chowla sequence for asymptotic analysis
-function generateMianChowla(n) {
-  const sequence = [1];
-  const sums = new Set([2]);
-  
-  for (let i = 1; i < n; i++) {
-    let candidate = sequence[i - 1] + 1;
-    
-    while (true) {
-      let valid = true;
-      const newSums = new Set();
-      
-      for (const existing of sequence) {
-        const sum = existing + candidate;
-        if (sums.has(sum)) {
-          valid = false;
-          break;
-        }
-        newSums.add(sum);
-      }
-      
-      const doubleSum = candidate * 2;
-      if (sums.has(doubleSum)) {
-        valid = false;
-      } else {
-        newSums.add(doubleSum);
-      }
-      
-      if (valid) {
-        sequence.push(candidate);
-        for (const s of newSums) {
-          sums.add(s);
-        }
-        break;
-      }
-      
-      candidate++;
-    }
-  }
-  
-  return sequence;
-}
+import { generateSequence } from '../src/sequences/index.js';
+import { loadCheckpoint } from '../src/sequences/checkpoint-file.js';
 
 // Asymptotic analysis functions
 function analyzeGrowthRate(sequence) {
@@ -160,11 +119,21 @@ async function rigorousAnalysis() {
   console.log('🔬 Rigorous Analysis Attempt for Erdős Problem #340\n');
   console.log('Generating large sequence for asymptotic analysis...\n');
   
-  // Generate much larger sequence
-  const LARGE_N = 1000; // Much larger than before
-  console.log(`Generating ${LARGE_N}-term sequence...`);
-  const sequence = generateMianChowla(LARGE_N);
-  console.log(`✅ Generated sequence up to ${sequence[LARGE_N - 1]}\n`);
+  // Generate much larger sequence, or load one produced by
+  // scripts/generate-sequence.js: node scripts/rigorous-analysis.js mc.json
+  const checkpointPath = process.argv[2];
+  let sequence;
+  if (checkpointPath) {
+    const checkpoint = await loadCheckpoint(checkpointPath);
+    if (!checkpoint) throw new Error(`No checkpoint at ${checkpointPath}`);
+    sequence = checkpoint.terms;
+    console.log(`Loaded ${sequence.length}-term sequence from ${checkpointPath}`);
+  } else {
+    const LARGE_N = 1000; // Much larger than before
+    console.log(`Generating ${LARGE_N}-term sequence...`);
+    sequence = generateSequence({ name: 'mian-chowla', n: LARGE_N });
+  }
+  console.log(`✅ Generated sequence up to ${sequence[sequence.length - 1]}\n`);
   
   // 1. Growth rate analysis
   console.log('1️⃣ Asymptotic Growth Rate Analysis\n');
@@ -4,59 +4,14 @@
 import { MathObjectEncoder } from '../src/encoders/index.js';
 import { ComputationalVerifier } from '../src/tools/verifier.js';
 import { kkScore } from '../src/encoders/kk-kernel.js';
-
-// Generate Mian-Chowla sequence (greedy Sidon set)
-function generateMianChowla(n) {
-  const sequence = [1];
-  const sums = new Set([2]); // 1 + 1 = 2
-  
-  for (let i = 1; i < n; i++) {
-    let candidate = sequence[i - 1] + 1;
-    
-    while (true) {
-      let valid = true;
-      const newSums = new Set();
-      
-      // Check all sums with existing elements
-      for (const existing of sequence) {
-        const sum = existing + candidate;
-        if (sums.has(sum)) {
-          valid = false;
-          break;
-        }
-        newSums.add(sum);
-      }
-      
-      // Also check candidate + candidate
-      const doubleSum = candidate * 2;
-      if (sums.has(doubleSum)) {
-        valid = false;
-      } else {
-        newSums.add(doubleSum);
-      }
-      
-      if (valid) {
-        sequence.push(candidate);
-        // Add all new sums
-        for (const s of newSums) {
-          sums.add(s);
-        }
-        break;
-      }
-      
-      candidate++;
-    }
-  }
-  
-  return sequence;
-}
+import { generateSequence } from '../src/sequences/index.js';
 
 async function analyzeProblem340() {
   console.log('🔬 Analyzing Erdős Problem #340: Mian-Chowla Sequence\n');
   
   // Generate sequence
   console.log('1️⃣ Generating Mian-Chowla sequence (first 30 terms)...');
-  const mianChowla = generateMianChowla(30);
+  const mianChowla = generateSequence({ name: 'mian-chowla', n: 30 });
   console.log(`   Sequence: [${mianChowla.slice(0, 15).join(', ')}...]`);
   console.log(`   Length: ${mianChowla.length}`);
   console.log(`   Max value: ${mianChowla[mianChowla.length - 1]}\n`);
@@ -88,7 +43,7 @@ async function analyzeProblem340() {
   
   // Generate longer sequence for encoding (need at least 258 for RH encoding)
   console.log('4️⃣ Generating longer sequence for encoding (need 260+ terms)...');
-  const longSequence = generateMianChowla(260);
+  const longSequence = generateSequence({ name: 'mian-chowla', n: 260 });
   console.log(`   Generated ${longSequence.length} terms\n`);
   
   // Encode using sparse encoders
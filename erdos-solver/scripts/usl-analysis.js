@@ -5,49 +5,7 @@
 import { USADetector, encodeSparseSignature, cosineSparse } from '../src/encoders/usad.js';
 import { MathObjectEncoder } from '../src/encoders/index.js';
 import { kkScore } from '../src/encoders/kk-kernel.js';
-
-// Generate Mian-Chowla sequence
-function generateMianChowla(n) {
-  const sequence = [1];
-  const sums = new Set([2]);
-  
-  for (let i = 1; i < n; i++) {
-    let candidate = sequence[i - 1] + 1;
-    
-    while (true) {
-      let valid = true;
-      const newSums = new Set();
-      
-      for (const existing of sequence) {
-        const sum = existing + candidate;
-        if (sums.has(sum)) {
-          valid = false;
-          break;
-        }
-        newSums.add(sum);
-      }
-      
-      const doubleSum = candidate * 2;
-      if (sums.has(doubleSum)) {
-        valid = false;
-      } else {
-        newSums.add(doubleSum);
-      }
-      
-      if (valid) {
-        sequence.push(candidate);
-        for (const s of newSums) {
-          sums.add(s);
-        }
-        break;
-      }
-      
-      candidate++;
-    }
-  }
-  
-  return sequence;
-}
+import { generateSequence } from '../src/sequences/index.js';
 
 // Extract features from computational results
 function extractComputationalFeatures(sequence) {
@@ -165,7 +123,7 @@ async function uslAnalysis() {
   const sequences = {};
   try {
     console.log('   Generating small (100)...');
-    sequences.small = generateMianChowla(100);
+    sequences.small = generateSequence({ name: 'mian-chowla', n: 100 });
     console.log(`   ✅ Small (100): a(100) = ${sequences.small[99]}`);
   } catch (e) {
     console.log(`   ⚠️ Small failed: ${e.message}`);
@@ -173,7 +131,7 @@ async function uslAnalysis() {
   
   try {
     console.log('   Generating medium (300)...');
-    sequences.medium = generateMianChowla(300);
+    sequences.medium = generateSequence({ name: 'mian-chowla', n: 300 });
     console.log(`   ✅ Medium (300): a(300) = ${sequences.medium[299]}`);
   } catch (e) {
     console.log(`   ⚠️ Medium failed: ${e.message}`);
@@ -181,7 +139,7 @@ async function uslAnalysis() {
   
   try {
     console.log('   Generating large (600)...');
-    sequences.large = generateMianChowla(600);
+    sequences.large = generateSequence({ name: 'mian-chowla', n: 600 });
     console.log(`   ✅ Large (600): a(600) = ${sequences.large[599]}`);
   } catch (e) {
     console.log(`   ⚠️ Large failed: ${e.message}`);
@@ -1,8 +1,9 @@
 import { BaseAgent } from './base-agent.js';
+import { listSequences } from '../sequences/index.js';
 
 export class ProblemAnalyst extends BaseAgent {
-  constructor(apiKey) {
-    super(apiKey);
+  constructor(provider, model, options = {}) {
+    super(provider, model, options);
     
     this.registerTool({
       name: 'encode_sequence',
@@ -15,16 +16,39 @@ export class ProblemAnalyst extends BaseAgent {
             items: { type: 'number' },
             description: 'The integer sequence to encode'
           },
+          name: {
+            type: 'string',
+            enum: listSequences().map(s => s.name),
+            description: 'Generate a known sequence by name instead of passing `sequence`'
+          },
+          terms: {
+            type: 'number',
+            description: 'Number of terms to generate for `name`'
+          },
+          up_to: {
+            type: 'number',
+            description: 'Generate all terms of `name` up to this value'
+          },
+          options: {
+            type: 'object',
+            description: 'Generator options for `name`, e.g. {"h": 3} for greedy-bh'
+          },
           encoding_type: {
             type: 'string',
             enum: ['gaps', 'values', 'ratios'],
             description: 'Type of encoding to apply'
           }
         },
-        required: ['sequence', 'encoding_type']
+        required: ['encoding_type']
       },
       handler: async (input, context) => {
-        return context.encoder.encodeSequence(input.sequence, input.encoding_type);
+        const sequence = input.name
+          ? { ...input.options, name: input.name, n: input.terms, upTo: input.up_to }
+          : input.sequence;
+        if (!sequence) {
+          throw new Error('Provide either sequence or name');
+        }
+        return context.encoder.encodeSequence(sequence, input.encoding_type);
       }
     });
   }
@@ -52,7 +76,7 @@ For each problem, you must:
    - **Numerical encoding** (Data Supernova): For parameterized objects with rolling statistics
    - **KK kernel comparison**: For comparing constructions to known optimal examples
 
-You have access to the \`encode_sequence\` tool to test encodings.
+You have access to the \`encode_sequence\` tool to test encodings. It accepts explicit terms or the name of a known sequence (${listSequences().map(s => s.name).join(', ')}).
 
 Focus on mathematical rigor and actionable insights. Do not speculate beyond what can be justified.`;
   }
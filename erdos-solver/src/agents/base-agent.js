@@ -1,68 +1,150 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { AnthropicProvider } from '../providers/anthropic-provider.js';
 
 export class BaseAgent {
-  constructor(apiKey, model = 'claude-sonnet-4-20250514') {
-    this.client = new Anthropic({ apiKey });
+  /**
+   * @param {object|string} provider - LLM provider ({ createMessage(params) }),
+   *   or an Anthropic API key as a shorthand for AnthropicProvider
+   */
+  constructor(provider, model = 'claude-sonnet-4-20250514', options = {}) {
+    this.provider = typeof provider === 'string'
+      ? new AnthropicProvider({ apiKey: provider })
+      : provider;
+    if (!this.provider || typeof this.provider.createMessage !== 'function') {
+      throw new Error('BaseAgent requires an LLM provider');
+    }
     this.model = model;
     this.tools = [];
+    this.maxTokens = options.maxTokens || 8000;
+    this.maxIterations = options.maxIterations || 8;
   }
 
-  async call(systemPrompt, userMessage, context = {}) {
+  /**
+   * Run the agent loop: send the prompt, execute requested tools and feed
+   * their results back until the model stops asking for tools or the
+   * iteration cap is reached.
+   *
+   * `options.maxIterations` overrides the agent's cap for this call.
+   * With `options.outputTool`, the named tool is the structured answer: the
+   * loop ends once it is called successfully (its handler validates the input
+   * and the return value becomes `result.output`). If the model stops without
+   * calling it, or the input fails validation, the next request forces it.
+   *
+   * Returns the final text together with the full transcript so callers can
+   * audit every tool input and output.
+   */
+  async call(systemPrompt, userMessage, context = {}, options = {}) {
+    const { outputTool } = options;
+    const maxIterations = options.maxIterations || this.maxIterations;
     const messages = [
       { role: 'user', content: userMessage }
     ];
+    const toolCalls = [];
+
+    let response;
+    let iterations = 0;
+    let toolChoice;
+
+    while (true) {
+      response = await this._request(systemPrompt, messages, toolChoice);
+      iterations++;
+
+      messages.push({ role: 'assistant', content: response.content });
+
+      if (response.stop_reason !== 'tool_use' && !outputTool) {
+        break;
+      }
+
+      if (iterations >= maxIterations) {
+        return this._buildResult(response, messages, toolCalls, iterations, 'max_iterations');
+      }
+
+      if (response.stop_reason !== 'tool_use') {
+        messages.push({
+          role: 'user',
+          content: `Submit your final answer by calling the ${outputTool} tool.`
+        });
+        toolChoice = { type: 'tool', name: outputTool };
+        continue;
+      }
+
+      const toolResults = await this._runToolCalls(response, context, toolCalls, iterations);
+      messages.push({ role: 'user', content: toolResults });
+
+      if (outputTool) {
+        const round = toolCalls.filter(t => t.iteration === iterations && t.name === outputTool);
+        const submitted = round.find(t => !t.isError);
+        if (submitted) {
+          return this._buildResult(response, messages, toolCalls, iterations, 'output_tool', submitted.output);
+        }
+        if (round.length > 0) {
+          toolChoice = { type: 'tool', name: outputTool };
+        }
+      }
+    }
+
+    return this._buildResult(response, messages, toolCalls, iterations, response.stop_reason);
+  }
 
-    const response = await this.client.messages.create({
+  async _request(systemPrompt, messages, toolChoice) {
+    return await this.provider.createMessage({
       model: this.model,
-      max_tokens: 8000,
+      max_tokens: this.maxTokens,
       system: systemPrompt,
       messages,
-      tools: this.tools.length > 0 ? this.tools.map(t => ({
-        name: t.name,
-        description: t.description,
-        input_schema: t.input_schema
-      })) : undefined
+      tools: this._toolDefinitions(),
+      ...(toolChoice ? { tool_choice: toolChoice } : {})
     });
-
-    return this._handleResponse(response, context);
   }
 
-  async _handleResponse(response, context) {
-    // Handle tool calls
-    if (response.stop_reason === 'tool_use') {
-      const toolResults = [];
-      
-      for (const block of response.content) {
-        if (block.type === 'tool_use') {
-          const result = await this._executeTool(block.name, block.input, context);
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: block.id,
-            content: JSON.stringify(result)
-          });
-        }
+  async _runToolCalls(response, context, toolCalls, iteration) {
+    const toolResults = [];
+
+    for (const block of response.content) {
+      if (block.type !== 'tool_use') continue;
+
+      const call = { id: block.id, name: block.name, input: block.input, iteration };
+      try {
+        call.output = await this._executeTool(block.name, block.input, context);
+        call.isError = false;
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: JSON.stringify(call.output ?? null)
+        });
+      } catch (error) {
+        // Report failures back to the model instead of aborting the loop
+        call.error = error.message;
+        call.isError = true;
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: error.message,
+          is_error: true
+        });
       }
-      
-      // Continue conversation with tool results
-      const followUp = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 8000,
-        system: response.system || '',
-        messages: [
-          ...response.content,
-          ...toolResults
-        ],
-        tools: this.tools.length > 0 ? this.tools.map(t => ({
-          name: t.name,
-          description: t.description,
-          input_schema: t.input_schema
-        })) : undefined
-      });
-      
-      return this._extractText(followUp);
+      toolCalls.push(call);
     }
-    
-    return this._extractText(response);
+
+    return toolResults;
+  }
+
+  _buildResult(response, messages, toolCalls, iterations, stopReason, output) {
+    return {
+      text: this._extractText(response),
+      output,
+      stopReason,
+      iterations,
+      toolCalls,
+      transcript: messages
+    };
+  }
+
+  _toolDefinitions() {
+    return this.tools.length > 0 ? this.tools.map(t => ({
+      name: t.name,
+      description: t.description,
+      input_schema: t.input_schema
+    })) : undefined;
   }
 
   _extractText(response) {
@@ -84,4 +166,3 @@ export class BaseAgent {
     this.tools.push(tool);
   }
 }
-
@@ -1,8 +1,173 @@
+import { create, all } from 'mathjs';
 import { BaseAgent } from './base-agent.js';
+import { ARITHMETIC_MODES } from '../tools/arithmetic.js';
+import { MAX_PREDICATE_LENGTH } from '../tools/sandbox.js';
+import { ASYMPTOTIC_MODELS, fitAsymptotics } from '../tools/asymptotics.js';
+import { generateBoundedSequence } from '../sequences/index.js';
+import { identifySequence, OEIS_TRANSFORMS } from '../sequences/oeis.js';
+import { SIGNATURE_ENCODINGS } from '../encoders/index.js';
+import { profileSignature, searchSimilar } from '../encoders/signature-index.js';
+
+// Terms generated for a named sequence passed to identify_sequence
+const MAX_IDENTIFY_TERMS = 200;
+
+// Longest sequence encoded on the fly by search_similar_signatures
+const MAX_SEARCH_TERMS = 2000;
+
+const math = create(all);
+
+export const CONJECTURE_RELATIONS = ['strengthens', 'weakens', 'equivalent', 'independent'];
+
+export const CONJECTURE_SCHEMA = {
+  type: 'object',
+  properties: {
+    conjectures: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          statement: {
+            type: 'string',
+            description: 'Precise statement with all variables defined'
+          },
+          rationale: {
+            type: 'string',
+            description: 'Informal reason the conjecture is plausible'
+          },
+          test_instance: {
+            type: 'object',
+            description: 'Minimal concrete example that can be checked computationally',
+            properties: {
+              description: { type: 'string' },
+              variables: { type: 'object', description: 'Variable assignment, e.g. {"n": 10}' },
+              expected: { description: 'Expected value of `expression` at this assignment' }
+            },
+            required: ['description']
+          },
+          relation: {
+            type: 'string',
+            enum: CONJECTURE_RELATIONS
+          },
+          expression: {
+            type: 'string',
+            description: 'Optional mathjs expression over the declared variables, e.g. "n^2 + 1 >= 2 * n"'
+          },
+          arithmetic: {
+            type: 'string',
+            enum: [...ARITHMETIC_MODES, 'auto'],
+            description: 'Arithmetic for checking `expression`: "exact" (BigInt rationals) for factorials, binomials or values past 2^53; "float" (default) otherwise'
+          },
+          predicate: {
+            type: 'string',
+            description: 'Optional JavaScript function expression over the variables returning true when the conjecture holds, for properties mathjs cannot express, e.g. "({ n }) => checkBhg(generateSequence({ name: \'mian-chowla\', n }), { h: 3 }).valid"'
+          },
+          variables: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                type: { type: 'string', enum: ['integer', 'real'] },
+                min: { type: 'number' },
+                max: { type: 'number' },
+                description: { type: 'string' }
+              },
+              required: ['name']
+            }
+          }
+        },
+        required: ['statement', 'rationale', 'test_instance', 'relation', 'variables']
+      }
+    }
+  },
+  required: ['conjectures']
+};
+
+/**
+ * Validate submitted conjectures against CONJECTURE_SCHEMA.
+ * Throws with every problem found so the model can correct them in one pass.
+ */
+export function validateConjectures(input) {
+  const errors = [];
+  const list = input?.conjectures;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('conjectures must be a non-empty array');
+  }
+  if (list.length > 5) {
+    errors.push(`at most 5 conjectures allowed, got ${list.length}`);
+  }
+
+  const conjectures = list.map((conj, i) => {
+    const where = `conjectures[${i}]`;
+    for (const field of ['statement', 'rationale']) {
+      if (typeof conj[field] !== 'string' || !conj[field].trim()) {
+        errors.push(`${where}.${field} must be a non-empty string`);
+      }
+    }
+    if (!conj.test_instance || typeof conj.test_instance.description !== 'string') {
+      errors.push(`${where}.test_instance.description is required`);
+    }
+    if (!CONJECTURE_RELATIONS.includes(conj.relation)) {
+      errors.push(`${where}.relation must be one of ${CONJECTURE_RELATIONS.join(', ')}`);
+    }
+
+    const variables = Array.isArray(conj.variables) ? conj.variables : [];
+    if (!Array.isArray(conj.variables)) {
+      errors.push(`${where}.variables must be an array`);
+    }
+    for (const v of variables) {
+      if (typeof v?.name !== 'string' || !/^[A-Za-z_]\w*$/.test(v.name)) {
+        errors.push(`${where}.variables has an invalid name: ${JSON.stringify(v?.name)}`);
+      }
+    }
+
+    if (conj.arithmetic !== undefined && conj.arithmetic !== null &&
+      ![...ARITHMETIC_MODES, 'auto'].includes(conj.arithmetic)) {
+      errors.push(`${where}.arithmetic must be one of ${[...ARITHMETIC_MODES, 'auto'].join(', ')}`);
+    }
+
+    if (conj.predicate !== undefined && conj.predicate !== null &&
+      (typeof conj.predicate !== 'string' || !conj.predicate.trim() || conj.predicate.length > MAX_PREDICATE_LENGTH)) {
+      errors.push(`${where}.predicate must be a non-empty string of at most ${MAX_PREDICATE_LENGTH} characters`);
+    }
+
+    if (conj.expression !== undefined && conj.expression !== null) {
+      const declared = new Set(variables.map(v => v.name));
+      try {
+        const node = math.parse(conj.expression);
+        const free = node.filter(n => n.isSymbolNode && !(n.name in math) && !declared.has(n.name));
+        for (const sym of new Set(free.map(n => n.name))) {
+          errors.push(`${where}.expression uses undeclared variable ${sym}`);
+        }
+      } catch (error) {
+        errors.push(`${where}.expression does not parse: ${error.message}`);
+      }
+    }
+
+    return {
+      statement: conj.statement?.trim(),
+      rationale: conj.rationale?.trim(),
+      test_instance: conj.test_instance,
+      relation: conj.relation,
+      expression: conj.expression ?? null,
+      arithmetic: conj.arithmetic ?? null,
+      predicate: conj.predicate ?? null,
+      variables
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid conjectures:\n- ${errors.join('\n- ')}`);
+  }
+
+  return { conjectures };
+}
 
 export class ConjectureGenerator extends BaseAgent {
-  constructor(apiKey) {
-    super(apiKey);
+  constructor(provider, model, options = {}) {
+    super(provider, model, options);
     
     this.registerTool({
       name: 'compute_kk_similarity',
@@ -34,6 +199,140 @@ export class ConjectureGenerator extends BaseAgent {
         );
       }
     });
+
+    this.registerTool({
+      name: 'fit_asymptotics',
+      description: 'Fit power, power-log and exponential growth models to sequence data, with confidence intervals, AIC/BIC model ranking and Richardson extrapolation of the exponent and constant',
+      input_schema: {
+        type: 'object',
+        properties: {
+          points: {
+            type: 'array',
+            items: { type: 'array', items: { type: 'number' } },
+            description: '(n, a(n)) pairs'
+          },
+          sequence: {
+            type: 'array',
+            items: { type: 'number' },
+            description: 'Terms a(1), a(2), ...'
+          },
+          spec: {
+            type: 'object',
+            description: "Named sequence, e.g. { name: 'mian-chowla', n: 1000 }"
+          },
+          as: {
+            type: 'string',
+            enum: ['terms', 'counting'],
+            description: "'counting' fits the number of terms up to N instead of the n-th term"
+          },
+          models: {
+            type: 'array',
+            items: { type: 'string', enum: Object.keys(ASYMPTOTIC_MODELS) }
+          },
+          minN: { type: 'number', description: 'Ignore smaller n to fit the tail' },
+          exponent: { type: 'number', description: 'Fixed exponent for the extrapolated constant' }
+        }
+      },
+      handler: async (input) => fitAsymptotics(input, input)
+    });
+
+    this.registerTool({
+      name: 'identify_sequence',
+      description: 'Look up which known (OEIS) sequences match some terms, directly or after taking differences, partial sums or ratios',
+      input_schema: {
+        type: 'object',
+        properties: {
+          terms: {
+            type: 'array',
+            items: { type: ['integer', 'string'] },
+            description: 'Consecutive terms; give values beyond 2^53 as strings'
+          },
+          spec: {
+            type: 'object',
+            description: "Named sequence to generate the terms from, e.g. { name: 'greedy-bh', h: 3, n: 30 }"
+          },
+          transforms: {
+            type: 'array',
+            items: { type: 'string', enum: Object.keys(OEIS_TRANSFORMS) }
+          },
+          limit: { type: 'number', default: 10 }
+        }
+      },
+      handler: async (input, context) => {
+        if (!context.oeis) {
+          throw new Error('No OEIS database is configured');
+        }
+        if (input.spec && !(input.spec.n <= MAX_IDENTIFY_TERMS)) {
+          throw new Error(`Give spec.n between 1 and ${MAX_IDENTIFY_TERMS}`);
+        }
+        const terms = input.terms ?? (input.spec ? generateBoundedSequence(input.spec) : null);
+        if (!terms) {
+          throw new Error('Give terms or a named sequence spec');
+        }
+        return identifySequence(context.oeis, terms, { transforms: input.transforms, limit: input.limit });
+      }
+    });
+
+    this.registerTool({
+      name: 'search_similar_signatures',
+      description: 'Find stored signatures (of any problem) most similar to a stored signature or to a sequence, ranked by KK kernel score',
+      input_schema: {
+        type: 'object',
+        properties: {
+          signatureId: { type: 'number', description: 'Id of a stored signature' },
+          sequence: { type: 'array', items: { type: 'number' } },
+          spec: {
+            type: 'object',
+            description: "Named sequence to encode, e.g. { name: 'mian-chowla', n: 300 }"
+          },
+          type: {
+            type: 'string',
+            enum: Object.keys(SIGNATURE_ENCODINGS),
+            default: 'kk_kernel',
+            description: 'Signature type to encode the sequence as and search among'
+          },
+          k: { type: 'number', default: 5 }
+        }
+      },
+      handler: async (input, context) => {
+        const index = context.signatureIndex;
+        if (!index) {
+          throw new Error('No signature index is configured');
+        }
+
+        let query;
+        if (input.signatureId !== undefined) {
+          query = await index.get(input.signatureId);
+          if (!query) throw new Error(`Signature ${input.signatureId} is not indexed`);
+        } else {
+          const type = input.type ?? 'kk_kernel';
+          const { encoding, minTerms } = SIGNATURE_ENCODINGS[type] ?? {};
+          if (!encoding) throw new Error(`Unknown signature type ${type}`);
+          if (input.spec && !(input.spec.n <= MAX_SEARCH_TERMS)) {
+            throw new Error(`Give spec.n between ${minTerms} and ${MAX_SEARCH_TERMS}`);
+          }
+          const sequence = input.sequence ?? (input.spec ? generateBoundedSequence(input.spec) : null);
+          if (!sequence || sequence.length < minTerms || sequence.length > MAX_SEARCH_TERMS) {
+            throw new Error(`Give a signatureId, or a sequence or spec with ${minTerms} to ${MAX_SEARCH_TERMS} terms`);
+          }
+          const encoded = await context.encoder.encodeSequence(sequence, encoding);
+          query = { type, profile: profileSignature(encoded.signatures) };
+        }
+
+        const results = await searchSimilar(index, query, {
+          k: input.k ?? 5,
+          exclude: query.id !== undefined ? [query.id] : []
+        });
+        return results.map(({ kk, ...result }) => ({ ...result, kk: kk.total }));
+      }
+    });
+
+    this.registerTool({
+      name: 'submit_conjectures',
+      description: 'Submit the final list of conjectures in structured form',
+      input_schema: CONJECTURE_SCHEMA,
+      handler: async (input) => validateConjectures(input)
+    });
   }
 
   getSystemPrompt() {
@@ -60,13 +359,32 @@ Generate at most 5 conjectures per request, prioritizing:
 - Restrictions to natural subclasses that preserve difficulty
 - Statements that can be verified experimentally before attempting a proof
 
+5. **Expression** (optional): A mathjs expression over the declared variables that is true exactly when the conjecture holds at that point (e.g. \`a <= n^3\`), so it can be checked automatically
+6. **Variables**: Every free variable with its type and, where sensible, a range to test over
+7. **Arithmetic** (optional): \`exact\` when the expression involves factorials, binomials or values beyond 2^53, which doubles cannot compare reliably
+8. **Predicate** (optional): A JavaScript function expression over the variables for properties an expression cannot state (e.g. \`({ n }) => checkBhg(generateSequence({ name: 'mian-chowla', n }), { h: 3 }).valid\`). It runs sandboxed with only the verifier helpers (checkBhg, checkSumFree, checkApFree, isPrime, primesUpTo, generateSequence, graph helpers) and must return true or false
+
 Use \`compute_kk_similarity\` to assess whether proposed constructions are "on-manifold" (high similarity to known optimal examples) or "off-manifold" (genuinely novel).
 
+Use \`search_similar_signatures\` to find problems whose stored constructions look like the one at hand, and borrow their known results.
+
+Use \`identify_sequence\` to check whether a sequence you construct (or its differences, partial sums or ratios) is already known before conjecturing about it.
+
+Use \`fit_asymptotics\` before stating a growth rate: take the exponents and constants from the best-ranked fit and its confidence intervals instead of guessing them.
+
+Submit your conjectures by calling \`submit_conjectures\`; free-text answers are not recorded.
+
 **Important**: Never claim to have solved a problem. Frame all outputs as conjectures requiring verification.`;
   }
 
-  async generate(problem, analysis, signalData, encoder) {
-    const context = { encoder, signalData };
+  /**
+   * @param {object} [options]
+   * @param {object} [options.oeis] - MemoryOeisStore | D1OeisStore for identify_sequence
+   * @param {object} [options.signatureIndex] - MemorySignatureIndex | D1SignatureIndex
+   *   for search_similar_signatures
+   */
+  async generate(problem, analysis, signalData, encoder, { oeis = null, signatureIndex = null } = {}) {
+    const context = { encoder, signalData, oeis, signatureIndex };
     
     const userMessage = `Generate conjectures for Erdős Problem #${problem.id}:
 
@@ -78,7 +396,9 @@ ${JSON.stringify(signalData, null, 2)}
 
 Generate 3-5 concrete, testable conjectures following your methodology.`;
 
-    return await this.call(this.getSystemPrompt(), userMessage, context);
+    return await this.call(this.getSystemPrompt(), userMessage, context, {
+      outputTool: 'submit_conjectures'
+    });
   }
 }
 
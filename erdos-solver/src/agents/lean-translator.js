@@ -0,0 +1,127 @@
+import { BaseAgent } from './base-agent.js';
+
+export class LeanTranslator extends BaseAgent {
+  constructor(provider, model, options = {}) {
+    super(provider, model, options);
+    
+    this.registerTool({
+      name: 'submit_lean_statement',
+      description: 'Submit a Lean 4 / Mathlib statement of the conjecture. It is compiled immediately; compiler errors are returned so you can repair it.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Lemma name in snake_case'
+          },
+          binders: {
+            type: 'array',
+            description: 'Explicit binders, e.g. [{"name": "n", "type": "ℕ"}]',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                type: { type: 'string' }
+              },
+              required: ['name', 'type']
+            }
+          },
+          statement: {
+            type: 'string',
+            description: 'The proposition after the colon, without `:= by ...`'
+          }
+        },
+        required: ['name', 'binders', 'statement']
+      },
+      handler: async (input, context) => this._compileAttempt(input, context)
+    });
+  }
+
+  getSystemPrompt() {
+    return `You translate mathematical conjectures about Erdős problems into Lean 4 statements using Mathlib.
+
+Your role is to produce a statement that **elaborates** (type-checks) and faithfully captures the conjecture. You do not prove it; the proof is left as \`sorry\`.
+
+Guidelines:
+
+1. **Use Mathlib vocabulary**: \`Finset\`, \`Set\`, \`Nat.Prime\`, \`Finset.card\`, \`∑ i ∈ Finset.range n, f i\`, \`Real.sqrt\`, \`Real.log\`, asymptotics via \`Asymptotics.IsBigO\` / \`Filter.atTop\`
+2. **Choose types deliberately**: ℕ for indices and sizes, ℤ when subtraction matters, ℝ for analytic bounds; insert casts (\`(n : ℝ)\`) explicitly
+3. **Define sequences explicitly**: If the conjecture concerns a specific sequence, take it as a binder with its defining hypotheses rather than inventing undefined constants
+4. **Stay faithful**: Do not weaken or strengthen the statement to make it compile. If something cannot be expressed, say so in text before submitting the closest faithful version
+
+Submit each attempt with \`submit_lean_statement\`. It is compiled against Mathlib and any errors are returned to you; fix them and resubmit until it elaborates.`;
+  }
+
+  /**
+   * Translate a conjecture into a Lean statement, repairing it against the
+   * compiler until it elaborates or `maxAttempts` submissions are used.
+   *
+   * Returns the agent result; `output` holds { elaborated, leanStatement,
+   * binders, name, leanCode, attempts } where attempts is the compile log.
+   */
+  async translate(conjecture, lean, { problemId, maxAttempts = 4 } = {}) {
+    const context = { lean, conjecture, problemId, maxAttempts, attempts: [] };
+    
+    const variables = (conjecture.variables || [])
+      .map(v => `- ${v.name}${v.type ? ` (${v.type})` : ''}${v.description ? `: ${v.description}` : ''}`)
+      .join('\n');
+    
+    const userMessage = `Translate this conjecture${problemId ? ` from Erdős Problem #${problemId}` : ''} into a Lean 4 statement:
+
+**Statement**:
+${conjecture.statement}
+
+**Variables**:
+${variables || 'None declared'}
+
+${conjecture.expression ? `**Machine-checkable form**: \`${conjecture.expression}\`\n\n` : ''}Submit your statement with \`submit_lean_statement\`.`;
+
+    // Every attempt is one tool round, plus room for a stray text turn
+    return await this.call(this.getSystemPrompt(), userMessage, context, {
+      outputTool: 'submit_lean_statement',
+      maxIterations: Math.max(this.maxIterations, maxAttempts + 2)
+    });
+  }
+
+  async _compileAttempt(input, context) {
+    const { lean, conjecture, problemId, attempts, maxAttempts } = context;
+    
+    const leanCode = lean.generateLeanFile({
+      name: input.name,
+      statement: conjecture.statement,
+      leanStatement: input.statement,
+      leanBinders: input.binders
+    }, { problemId });
+    const check = await lean.checkProof(leanCode);
+    
+    attempts.push({
+      attempt: attempts.length + 1,
+      name: input.name,
+      binders: input.binders,
+      leanStatement: input.statement,
+      success: check.success,
+      timedOut: check.timedOut || false,
+      message: check.message,
+      errors: check.errors
+    });
+    
+    const result = {
+      elaborated: check.success,
+      name: input.name,
+      binders: input.binders,
+      leanStatement: input.statement,
+      leanCode,
+      attempts
+    };
+    
+    // A missing Lean binary cannot be repaired by resubmitting
+    if (check.success || check.notFound || attempts.length >= maxAttempts) {
+      return result;
+    }
+    
+    const errors = check.errors
+      .map(e => `line ${e.line}, column ${e.column}: ${e.message}`)
+      .join('\n');
+    throw new Error(`Lean rejected the statement (attempt ${attempts.length} of ${maxAttempts}):\n${errors || check.message || 'unknown error'}\n\nGenerated file:\n${leanCode}`);
+  }
+}
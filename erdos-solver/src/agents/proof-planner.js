@@ -47,3 +47,75 @@ Provide a detailed proof plan following your methodology.`;
   }
 }
 
+
+const STEP_LINE = /^[\s#>*_\-]*(?:\d+[.)]\s*)?\**\s*Step\s+(\d+(?:\.\d+)*)\s*\**\s*[:.)–—-]?\s*\**\s*(.*)$/i;
+
+export const OBLIGATION_MARKERS = {
+  '✓': 'theoretical',
+  '◯': 'computation',
+  '△': 'formal'
+};
+
+/**
+ * Parse ProofPlanner output into a tree of numbered steps.
+ *
+ * Steps are lines like "Step 2:" or "**Step 2.1**"; dotted numbers nest
+ * under their prefix. Every ✓ / ◯ / △ marker inside a step becomes an
+ * obligation of kind theoretical / computation / formal, described by the
+ * line it appears on.
+ */
+export function parseProofPlan(text) {
+  const steps = [];
+  const byNumber = new Map();
+  let current = null;
+
+  for (const raw of text.split('\n')) {
+    const match = raw.match(STEP_LINE);
+    if (match) {
+      const number = match[1];
+      current = {
+        number,
+        title: _stripMarkers(match[2]),
+        text: match[2].trim(),
+        obligations: [],
+        children: []
+      };
+      const parentNumber = number.includes('.') ? number.slice(0, number.lastIndexOf('.')) : null;
+      const parent = parentNumber ? byNumber.get(parentNumber) : null;
+      (parent ? parent.children : steps).push(current);
+      byNumber.set(number, current);
+      _collectObligations(current, match[2]);
+      continue;
+    }
+
+    // Headings end the current step; other lines continue it
+    if (/^\s*#{1,6}\s/.test(raw) || /^\s*\*\*\d+\.\s/.test(raw)) {
+      current = null;
+      continue;
+    }
+    if (current && raw.trim()) {
+      current.text += `\n${raw.trim()}`;
+      _collectObligations(current, raw);
+    }
+  }
+
+  return steps;
+}
+
+function _collectObligations(step, line) {
+  for (const [marker, kind] of Object.entries(OBLIGATION_MARKERS)) {
+    if (line.includes(marker)) {
+      step.obligations.push({
+        kind,
+        description: _stripMarkers(line) || step.title
+      });
+    }
+  }
+}
+
+function _stripMarkers(line) {
+  return line
+    .replace(/[✓◯△]/g, '')
+    .replace(/^[\s*_\-]+|[\s*_\-]+$/g, '')
+    .trim();
+}
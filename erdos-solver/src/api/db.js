@@ -0,0 +1,277 @@
+import { ENCODER_VERSION } from '../encoders/index.js';
+import { encodeSignatures, decodeSignatures, signatureMetadata } from '../encoders/signature-codec.js';
+import { D1SignatureIndex, profileSignature } from '../encoders/signature-index.js';
+
+/**
+ * D1 access helpers shared by the API routes and the research pipeline
+ */
+
+export const OBLIGATION_STATUSES = ['open', 'discharged', 'failed', 'waived'];
+export const DISCHARGE_SOURCES = ['verifier', 'lean', 'manual'];
+
+/**
+ * Load a problem with its references, known results and parsed metadata
+ */
+export async function loadProblem(DB, id) {
+  const problem = await DB.prepare(
+    'SELECT * FROM problems WHERE id = ?'
+  ).bind(id).first();
+  
+  if (!problem) return null;
+  
+  const { results: references } = await DB.prepare(
+    'SELECT * FROM problem_references WHERE problem_id = ?'
+  ).bind(id).all();
+  
+  const { results: knownResults } = await DB.prepare(
+    'SELECT * FROM known_results WHERE problem_id = ?'
+  ).bind(id).all();
+  
+  return {
+    ...problem,
+    references: references || [],
+    knownResults: knownResults || [],
+    metadata: typeof problem.metadata === 'string'
+      ? JSON.parse(problem.metadata || '{}')
+      : problem.metadata || {}
+  };
+}
+
+/**
+ * Store an encoder result in the signatures table as a binary blob with
+ * versioned metadata, and add its profile to the similarity index; `source`
+ * records the input (e.g. the sequence spec)
+ */
+export async function storeSignatures(DB, problemId, encoded, source) {
+  const data = encodeSignatures(encoded);
+  const metadata = signatureMetadata(encoded, { encoderVersion: ENCODER_VERSION, source });
+  const inserted = await DB.prepare(
+    `INSERT INTO signatures (problem_id, signature_type, data, metadata)
+     VALUES (?, ?, ?, ?)`
+  ).bind(problemId, encoded.type, data, JSON.stringify(metadata)).run();
+  const id = inserted.meta?.last_row_id;
+  await new D1SignatureIndex(DB).add({
+    id,
+    problemId,
+    type: encoded.type,
+    profile: profileSignature(encoded.signatures),
+    source: source ?? null
+  });
+  return { id, type: encoded.type, bytes: data.length, metadata };
+}
+
+/**
+ * A problem's stored signatures, decoded, oldest first
+ */
+export async function loadSignatures(DB, problemId, { type } = {}) {
+  const { results } = await DB.prepare(
+    `SELECT * FROM signatures WHERE problem_id = ?${type ? ' AND signature_type = ?' : ''} ORDER BY id`
+  ).bind(...(type ? [problemId, type] : [problemId])).all();
+  
+  return (results || []).map(row => {
+    const { signatures, anomalyScores } = decodeSignatures(row.data);
+    return {
+      id: row.id,
+      problem_id: row.problem_id,
+      type: row.signature_type,
+      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata || '{}') : row.metadata || {},
+      created_at: row.created_at,
+      signatures,
+      ...(anomalyScores ? { anomalyScores } : {})
+    };
+  });
+}
+
+/**
+ * Decode JSON columns of a conjectures row
+ */
+export function hydrateConjecture(row) {
+  const parse = (value, fallback) => typeof value === 'string'
+    ? JSON.parse(value || 'null') ?? fallback
+    : value ?? fallback;
+  
+  return {
+    ...row,
+    test_instance: parse(row.test_instance, null),
+    variables: parse(row.variables, []),
+    counterexample: parse(row.counterexample, null),
+    lean_binders: parse(row.lean_binders, null),
+    lean_log: parse(row.lean_log, null),
+    certificate: parse(row.certificate, null)
+  };
+}
+
+export async function loadConjecture(DB, id) {
+  const row = await DB.prepare(
+    'SELECT * FROM conjectures WHERE id = ?'
+  ).bind(id).first();
+  
+  return row ? hydrateConjecture(row) : null;
+}
+
+/**
+ * Insert a structured conjecture; returns its id
+ */
+export async function insertConjecture(DB, problemId, conj, status = 'proposed') {
+  const inserted = await DB.prepare(
+    `INSERT INTO conjectures 
+     (problem_id, statement, rationale, status, kk_score, anomaly_score,
+      test_instance, relation, expression, variables, arithmetic, predicate)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    problemId,
+    conj.statement,
+    conj.rationale,
+    status,
+    conj.kk_score || null,
+    conj.anomaly_score || null,
+    JSON.stringify(conj.test_instance),
+    conj.relation,
+    conj.expression,
+    JSON.stringify(conj.variables),
+    conj.arithmetic || null,
+    conj.predicate || null
+  ).run();
+  
+  return inserted.meta?.last_row_id;
+}
+
+// Statuses a conjecture may be moved to by /verify and /lean, with the
+// statuses it may hold beforehand: 'disproved' and 'verified' are final
+const STATUS_TRANSITIONS = {
+  experimental: ['proposed', 'experimental'],
+  verified: ['proposed', 'experimental']
+};
+
+/**
+ * Move a conjecture to `status` only if STATUS_TRANSITIONS allows it from its
+ * current status, in one conditional UPDATE. Returns whether it moved.
+ */
+export async function advanceConjectureStatus(DB, conjectureId, status) {
+  const from = STATUS_TRANSITIONS[status];
+  if (!from) {
+    throw new Error(`Cannot move a conjecture to ${status}`);
+  }
+  const updated = await DB.prepare(
+    `UPDATE conjectures SET status = ?
+     WHERE id = ? AND (status IS NULL OR status IN (${from.map(() => '?').join(', ')}))`
+  ).bind(status, conjectureId, ...from).run();
+  return (updated.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Mark a conjecture disproved when a counterexample search confirmed one.
+ * Returns whether it did.
+ */
+export async function recordCounterexample(DB, conjectureId, search) {
+  // The shrunk point is re-evaluated during shrinking, so it is confirmed
+  const confirmed = Boolean(search.found && search.shrunk?.value === false);
+  if (confirmed) {
+    await DB.prepare(
+      'UPDATE conjectures SET status = ?, counterexample = ? WHERE id = ?'
+    ).bind(
+      'disproved',
+      JSON.stringify({ ...search.counterexample, shrunk: search.shrunk.point }),
+      conjectureId
+    ).run();
+  }
+  return confirmed;
+}
+
+/**
+ * Attach an interval certificate to a conjecture. Only certificates that
+ * re-check are stored; returns whether it was.
+ */
+export async function attachCertificate(DB, conjectureId, certificate, check) {
+  if (!check.valid) return false;
+  await DB.prepare(
+    'UPDATE conjectures SET certificate = ? WHERE id = ?'
+  ).bind(JSON.stringify(certificate), conjectureId).run();
+  return true;
+}
+
+/**
+ * Store a proof plan and its parsed step tree; returns the plan id
+ */
+export async function storeProofPlan(DB, problemId, conjectureId, planText, steps) {
+  const inserted = await DB.prepare(
+    'INSERT INTO proof_plans (problem_id, conjecture_id, plan_text) VALUES (?, ?, ?)'
+  ).bind(problemId, conjectureId, planText).run();
+  const planId = inserted.meta?.last_row_id;
+  
+  await storeSteps(DB, planId, steps, null);
+  return planId;
+}
+
+/**
+ * Insert parsed plan steps and their obligations
+ */
+export async function storeSteps(DB, planId, steps, parentId) {
+  for (const step of steps) {
+    const inserted = await DB.prepare(
+      `INSERT INTO proof_obligations (plan_id, parent_id, node_type, step_number, description)
+       VALUES (?, ?, 'step', ?, ?)`
+    ).bind(planId, parentId, step.number, step.text).run();
+    const stepId = inserted.meta?.last_row_id;
+    
+    for (const obligation of step.obligations) {
+      await DB.prepare(
+        `INSERT INTO proof_obligations (plan_id, parent_id, node_type, step_number, kind, description, status)
+         VALUES (?, ?, 'obligation', ?, ?, ?, 'open')`
+      ).bind(planId, stepId, step.number, obligation.kind, obligation.description).run();
+    }
+    
+    await storeSteps(DB, planId, step.children, stepId);
+  }
+}
+
+/**
+ * Mark an obligation discharged by a verifier run or Lean check of
+ * `conjectureId`. Only obligations of that conjecture's plans are touched;
+ * returns whether one was.
+ */
+export async function dischargeObligation(DB, conjectureId, obligationId, source, evidence) {
+  const updated = await DB.prepare(
+    `UPDATE proof_obligations
+     SET status = 'discharged', discharged_by = ?, evidence = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND node_type = 'obligation'
+       AND plan_id IN (SELECT id FROM proof_plans WHERE conjecture_id = ?)`
+  ).bind(source, JSON.stringify(evidence), obligationId, conjectureId).run();
+  return (updated.meta?.changes ?? 0) > 0;
+}
+
+/**
+ * Rebuild the step tree of a plan and count closed obligations
+ */
+export async function loadPlanTree(DB, planId) {
+  const { results } = await DB.prepare(
+    'SELECT * FROM proof_obligations WHERE plan_id = ? ORDER BY id'
+  ).bind(planId).all();
+  
+  const nodes = new Map();
+  const steps = [];
+  for (const row of results || []) {
+    const node = {
+      ...row,
+      evidence: typeof row.evidence === 'string' ? JSON.parse(row.evidence) : row.evidence,
+      children: row.node_type === 'step' ? [] : undefined
+    };
+    nodes.set(row.id, node);
+    const parent = row.parent_id ? nodes.get(row.parent_id) : null;
+    (parent ? parent.children : steps).push(node);
+  }
+  
+  const obligations = (results || []).filter(r => r.node_type === 'obligation');
+  const byStatus = Object.fromEntries(OBLIGATION_STATUSES.map(s => [s, 0]));
+  for (const o of obligations) byStatus[o.status]++;
+  const closed = byStatus.discharged + byStatus.waived;
+  
+  return {
+    steps,
+    progress: {
+      total: obligations.length,
+      ...byStatus,
+      closedFraction: obligations.length > 0 ? closed / obligations.length : 0
+    }
+  };
+}
@@ -2,16 +2,186 @@ import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import { ProblemAnalyst } from '../agents/analyst.js';
 import { ConjectureGenerator } from '../agents/conjecture-generator.js';
-import { ProofPlanner } from '../agents/proof-planner.js';
-import { MathObjectEncoder } from '../encoders/index.js';
-import { ComputationalVerifier } from '../tools/verifier.js';
+import { ProofPlanner, parseProofPlan } from '../agents/proof-planner.js';
+import { LeanTranslator } from '../agents/lean-translator.js';
+import { MathObjectEncoder, SIGNATURE_ENCODINGS } from '../encoders/index.js';
+import { ComputationalVerifier, clampSearchBudget, clampMaxCases, clampMaxBoxes } from '../tools/verifier.js';
+import { LeanIntegration, checkProofScript } from '../tools/lean-integration.js';
+import { createProvider } from '../providers/index.js';
+import { ResearchPipeline } from '../pipeline/research-pipeline.js';
+import { D1RunStore, MemoryRunStore } from '../pipeline/run-store.js';
+import { JobQueue, checkMaxAttempts } from '../jobs/job-queue.js';
+import { D1JobStore, MemoryJobStore } from '../jobs/job-store.js';
+import { createJobHandlers } from '../jobs/handlers.js';
+import { MemorySignatureIndex, D1SignatureIndex, searchSimilar } from '../encoders/signature-index.js';
+import { FDR_METHODS } from '../encoders/usad.js';
+import { checkLevel, checkRatio } from '../tools/asymptotics.js';
+import {
+  MemoryDetectorStore,
+  D1DetectorStore,
+  isDetectorName,
+  calibrateDetector,
+  scoreSequences,
+  detectorSummary
+} from '../encoders/detector-store.js';
+import { MemoryOeisStore, D1OeisStore, isOeisId } from '../sequences/oeis-store.js';
+import { identifySequence } from '../sequences/oeis.js';
+import { generateBoundedSequence } from '../sequences/index.js';
+import {
+  OBLIGATION_STATUSES,
+  DISCHARGE_SOURCES,
+  loadProblem,
+  loadConjecture,
+  storeSignatures,
+  loadSignatures,
+  insertConjecture,
+  recordCounterexample,
+  attachCertificate,
+  advanceConjectureStatus,
+  storeProofPlan,
+  loadPlanTree,
+  dischargeObligation
+} from './db.js';
 
 const app = new Hono();
 
 app.use('/*', cors());
 
 // Initialize agents (reuse across requests)
-let analyst, generator, planner, encoder, verifier;
+let agents, encoder, verifier, leanChecker, memoryRuns, jobQueue, memoryOeis, memorySignatures, memoryDetectors;
+
+// Reference sequences one detector is calibrated on (calibration is quadratic)
+const MAX_CALIBRATION_SEQUENCES = 1000;
+
+function buildAgents(provider) {
+  return {
+    provider,
+    analyst: new ProblemAnalyst(provider),
+    generator: new ConjectureGenerator(provider),
+    planner: new ProofPlanner(provider),
+    translator: new LeanTranslator(provider)
+  };
+}
+
+function getAgents(env) {
+  if (!encoder) {
+    encoder = new MathObjectEncoder();
+  }
+  // A mock script is consumed as it replays, so every request gets its own
+  if (env.LLM_PROVIDER === 'mock') {
+    return buildAgents(createProvider(env));
+  }
+  const injected = env.LLM_PROVIDER && typeof env.LLM_PROVIDER === 'object';
+  if (!agents || (injected && agents.provider !== env.LLM_PROVIDER)) {
+    agents = buildAgents(createProvider(env));
+  }
+  return agents;
+}
+
+function getLean(env) {
+  if (!leanChecker) {
+    leanChecker = new LeanIntegration(
+      env.LEAN_PATH ? env.LEAN_PATH.split(/\s+/) : 'lean',
+      {
+        projectDir: env.LEAN_PROJECT_DIR,
+        timeoutMs: env.LEAN_TIMEOUT_MS ? parseInt(env.LEAN_TIMEOUT_MS) : undefined
+      }
+    );
+  }
+  return leanChecker;
+}
+
+function getRunStore(env) {
+  if (env.DB) {
+    return new D1RunStore(env.DB);
+  }
+  if (!memoryRuns) {
+    memoryRuns = new MemoryRunStore();
+  }
+  return memoryRuns;
+}
+
+/**
+ * OEIS store: the oeis_sequences table, or an (empty unless filled)
+ * in-isolate store without D1
+ */
+function getOeisStore(env) {
+  if (env.DB) {
+    return new D1OeisStore(env.DB);
+  }
+  if (!memoryOeis) {
+    memoryOeis = new MemoryOeisStore();
+  }
+  return memoryOeis;
+}
+
+/**
+ * Signature similarity index: D1's posting tables, or an in-isolate index
+ */
+function getSignatureIndex(env) {
+  if (env.DB) {
+    return new D1SignatureIndex(env.DB);
+  }
+  if (!memorySignatures) {
+    memorySignatures = new MemorySignatureIndex();
+  }
+  return memorySignatures;
+}
+
+/**
+ * Named USAD detectors: the anomaly_detectors table (cached in KV), or an
+ * in-isolate store without D1
+ */
+function getDetectorStore(env) {
+  if (env.DB) {
+    return new D1DetectorStore(env.DB, env.CACHE);
+  }
+  if (!memoryDetectors) {
+    memoryDetectors = new MemoryDetectorStore();
+  }
+  return memoryDetectors;
+}
+
+/**
+ * Job queue with an in-process executor; handlers are rebound to the
+ * current bindings on every request
+ */
+function getJobs(env) {
+  if (!jobQueue) {
+    jobQueue = new JobQueue({
+      store: env.DB ? new D1JobStore(env.DB) : new MemoryJobStore(),
+      retryDelayMs: env.JOB_RETRY_DELAY_MS ? parseInt(env.JOB_RETRY_DELAY_MS) : undefined
+    });
+  }
+  if (!verifier) {
+    verifier = new ComputationalVerifier();
+  }
+  if (!encoder) {
+    encoder = new MathObjectEncoder();
+  }
+  
+  jobQueue.handlers = createJobHandlers({
+    getAgents: () => getAgents(env),
+    encoder,
+    verifier,
+    DB: env.DB,
+    CACHE: env.CACHE
+  });
+  return jobQueue;
+}
+
+/**
+ * Keep a job running after the response is sent (Workers need waitUntil;
+ * elsewhere the promise simply keeps running)
+ */
+function runInBackground(c, promise) {
+  try {
+    c.executionCtx.waitUntil(promise);
+  } catch {
+    // No execution context outside Workers
+  }
+  return promise;
+}
 
 app.get('/', (c) => {
   return c.json({
@@ -19,10 +189,28 @@ app.get('/', (c) => {
     version: '0.1.0',
     endpoints: {
       problems: '/problems',
+      signatures: '/problems/:id/signatures',
+      similar: '/search/similar?signatureId=',
+      detectors: '/detectors',
+      detectorCalibrate: '/detectors/:name/calibrate',
+      detectorScore: '/detectors/:name/score',
       analyze: '/analyze/:id',
       conjecture: '/conjecture/:id',
       plan: '/plan/:id/:conjectureId',
-      verify: '/verify/:conjectureId'
+      verify: '/verify/:conjectureId',
+      counterexample: '/counterexample/:conjectureId',
+      certify: '/certify/:conjectureId',
+      asymptotics: '/asymptotics',
+      oeis: '/oeis/:id',
+      oeisIdentify: '/oeis/identify',
+      lean: '/lean/:conjectureId',
+      formalize: '/formalize/:conjectureId',
+      planObligations: '/plans/:planId/obligations',
+      obligation: '/obligations/:id',
+      pipeline: '/pipeline/:id',
+      pipelineRun: '/pipeline/runs/:runId',
+      jobs: '/jobs',
+      job: '/jobs/:id'
     }
   });
 });
@@ -96,49 +284,237 @@ app.get('/problems/:id', async (c) => {
 });
 
 /**
- * POST /analyze/:id
- * Analyze a problem
+ * POST /problems/:id/signatures
+ * Encode the problem's sequences and store the signatures
  */
-app.post('/analyze/:id', async (c) => {
-  const { DB, ANTHROPIC_API_KEY } = c.env;
+app.post('/problems/:id/signatures', async (c) => {
+  const { DB } = c.env;
   const id = c.req.param('id');
+  const body = await c.req.json().catch(() => ({}));
+  
+  if (!DB) {
+    return c.json({ error: 'Database not configured' }, 500);
+  }
   
-  if (!ANTHROPIC_API_KEY) {
-    return c.json({ error: 'ANTHROPIC_API_KEY not configured' }, 500);
+  const types = body.types || Object.keys(SIGNATURE_ENCODINGS);
+  const unknown = types.filter(type => !SIGNATURE_ENCODINGS[type]);
+  if (unknown.length > 0) {
+    return c.json({ error: `Unknown signature types: ${unknown.join(', ')}` }, 400);
   }
   
-  // Initialize on first use
-  if (!analyst) {
-    analyst = new ProblemAnalyst(ANTHROPIC_API_KEY);
+  if (!encoder) {
     encoder = new MathObjectEncoder();
   }
   
   try {
-    // Get problem
+    const problem = await loadProblem(DB, id);
+    if (!problem) {
+      return c.json({ error: 'Problem not found' }, 404);
+    }
+    
+    // Explicit terms or named specs, as in the pipeline
+    const sequences = body.sequences || problem.metadata.sequences;
+    if (!sequences || Object.keys(sequences).length === 0) {
+      return c.json({ error: 'No sequences to encode; pass body.sequences or set metadata.sequences' }, 400);
+    }
+    
+    const stored = [];
+    const skipped = [];
+    for (const [name, spec] of Object.entries(sequences)) {
+      const sequence = Array.isArray(spec) ? spec : generateBoundedSequence(spec);
+      const source = { sequence: name, ...(Array.isArray(spec) ? { terms: spec.length } : { spec }) };
+      for (const type of types) {
+        const { encoding, minTerms } = SIGNATURE_ENCODINGS[type];
+        if (sequence.length < minTerms) {
+          skipped.push({ sequence: name, type, reason: `needs at least ${minTerms} terms, got ${sequence.length}` });
+          continue;
+        }
+        const encoded = await encoder.encodeSequence(sequence, encoding);
+        const row = await storeSignatures(DB, problem.id, encoded, source);
+        stored.push({ id: row.id, sequence: name, type, count: row.metadata.count, bytes: row.bytes });
+      }
+    }
+    
+    return c.json({ stored, skipped });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /problems/:id/signatures
+ * Stored signatures of a problem, decoded (optionally ?type=rh_trace)
+ */
+app.get('/problems/:id/signatures', async (c) => {
+  const { DB } = c.env;
+  const id = c.req.param('id');
+  const type = c.req.query('type');
+  
+  if (!DB) {
+    return c.json({ error: 'Database not configured' }, 500);
+  }
+  if (type && !SIGNATURE_ENCODINGS[type]) {
+    return c.json({ error: `Unknown signature type: ${type}` }, 400);
+  }
+  
+  try {
+    const signatures = await loadSignatures(DB, id, { type });
+    return c.json({ signatures });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /search/similar?signatureId=
+ * Stored signatures of the same type most similar to one of them, across
+ * all problems (cosine over the posting lists, re-ranked by the KK kernel)
+ */
+app.get('/search/similar', async (c) => {
+  const signatureId = parseInt(c.req.query('signatureId'));
+  
+  if (!Number.isInteger(signatureId)) {
+    return c.json({ error: 'Give a signatureId' }, 400);
+  }
+  
+  try {
+    const index = getSignatureIndex(c.env);
+    const query = await index.get(signatureId);
+    if (!query) {
+      return c.json({ error: 'Signature not found in the index' }, 404);
+    }
+    
+    const number = (name) => (c.req.query(name) !== undefined ? parseFloat(c.req.query(name)) : undefined);
+    const results = await searchSimilar(index, query, {
+      k: number('k'),
+      candidates: number('candidates'),
+      beta: number('beta'),
+      gamma: number('gamma'),
+      M: number('M'),
+      exclude: [signatureId]
+    });
+    
+    return c.json({
+      query: { id: query.id, problemId: query.problemId, type: query.type, source: query.source },
+      results
+    });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /detectors
+ * Stored anomaly detectors
+ */
+app.get('/detectors', async (c) => {
+  try {
+    return c.json({ detectors: await getDetectorStore(c.env).list() });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /detectors/:name
+ * A stored detector's config, threshold and reference corpus
+ */
+app.get('/detectors/:name', async (c) => {
+  try {
+    const stored = await getDetectorStore(c.env).get(c.req.param('name'));
+    if (!stored) {
+      return c.json({ error: 'Detector not found' }, 404);
+    }
+    return c.json(detectorSummary(stored));
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /detectors/:name/calibrate
+ * Calibrate a USAD detector on reference sequences and store it under
+ * `name`, replacing any earlier one
+ */
+app.post('/detectors/:name/calibrate', async (c) => {
+  const name = c.req.param('name');
+  const body = await c.req.json().catch(() => ({}));
+  const { sequences, tags, features, dim, k, alpha, kNN, clipQuantile, neighbors } = body;
+  
+  if (!isDetectorName(name)) {
+    return c.json({ error: 'Detector names are 1-64 letters, digits, _, . or -' }, 400);
+  }
+  const count = sequences && typeof sequences === 'object' ? Object.keys(sequences).length : 0;
+  if (count < 2 || count > MAX_CALIBRATION_SEQUENCES) {
+    return c.json({ error: `Give 2 to ${MAX_CALIBRATION_SEQUENCES} reference sequences` }, 400);
+  }
+  if (alpha !== undefined && !(alpha > 0 && alpha < 1)) {
+    return c.json({ error: 'alpha must be in (0, 1)' }, 400);
+  }
+  
+  try {
+    const calibrated = calibrateDetector(sequences, { features, tags, dim, k, alpha, kNN, clipQuantile, neighbors });
+    const stored = await getDetectorStore(c.env).put({ name, ...calibrated });
+    return c.json(detectorSummary(stored));
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /detectors/:name/score
+ * Nonconformity scores and conformal p-values of sequences against a stored
+ * detector; `fdr` ({ q, method: 'bh' | 'storey' }) flags discoveries with
+ * false discovery rate control across all of them
+ */
+app.post('/detectors/:name/score', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const { sequences, tags, fdr, smoothed } = body;
+  
+  if (!sequences || typeof sequences !== 'object' || Object.keys(sequences).length === 0) {
+    return c.json({ error: 'Give the sequences to score' }, 400);
+  }
+  if (fdr && (!FDR_METHODS.includes(fdr.method ?? 'bh') || !((fdr.q ?? 0.1) > 0 && (fdr.q ?? 0.1) < 1))) {
+    return c.json({ error: `fdr needs q in (0, 1) and a method of ${FDR_METHODS.join(', ')}` }, 400);
+  }
+  
+  try {
+    const stored = await getDetectorStore(c.env).get(c.req.param('name'));
+    if (!stored) {
+      return c.json({ error: 'Detector not found' }, 404);
+    }
+    
+    return c.json({
+      detector: stored.name,
+      features: stored.features,
+      threshold: stored.detector.threshold(),
+      ...scoreSequences(stored.detector, stored.features, sequences, { tags, fdr, smoothed })
+    });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /analyze/:id
+ * Analyze a problem
+ */
+app.post('/analyze/:id', async (c) => {
+  const { DB } = c.env;
+  const id = c.req.param('id');
+  
+  try {
+    // Initialize on first use
+    const { analyst } = getAgents(c.env);
+    
+    // Get problem with references and known results
     let problem;
     if (DB) {
-      problem = await DB.prepare(
-        'SELECT * FROM problems WHERE id = ?'
-      ).bind(id).first();
+      problem = await loadProblem(DB, id);
       
       if (!problem) {
         return c.json({ error: 'Problem not found' }, 404);
       }
-      
-      // Get additional context
-      const { results: references } = await DB.prepare(
-        'SELECT * FROM references WHERE problem_id = ?'
-      ).bind(id).all();
-      
-      const { results: knownResults } = await DB.prepare(
-        'SELECT * FROM known_results WHERE problem_id = ?'
-      ).bind(id).all();
-      
-      problem.references = references || [];
-      problem.knownResults = knownResults || [];
-      problem.metadata = typeof problem.metadata === 'string' 
-        ? JSON.parse(problem.metadata || '{}') 
-        : problem.metadata || {};
     } else {
       // Fallback: create mock problem if DB not available
       problem = {
@@ -154,7 +530,8 @@ app.post('/analyze/:id', async (c) => {
     }
     
     // Analyze
-    const analysis = await analyst.analyze(problem, encoder);
+    const result = await analyst.analyze(problem, encoder);
+    const analysis = result.text;
     
     // Store analysis in KV for caching
     if (c.env.CACHE) {
@@ -165,7 +542,12 @@ app.post('/analyze/:id', async (c) => {
       );
     }
     
-    return c.json({ analysis });
+    return c.json({
+      analysis,
+      toolCalls: result.toolCalls,
+      iterations: result.iterations,
+      stopReason: result.stopReason
+    });
   } catch (error) {
     return c.json({ error: error.message }, 500);
   }
@@ -176,21 +558,14 @@ app.post('/analyze/:id', async (c) => {
  * Generate conjectures for a problem
  */
 app.post('/conjecture/:id', async (c) => {
-  const { DB, ANTHROPIC_API_KEY, CACHE } = c.env;
+  const { DB, CACHE } = c.env;
   const id = c.req.param('id');
   const body = await c.req.json().catch(() => ({}));
   
-  if (!ANTHROPIC_API_KEY) {
-    return c.json({ error: 'ANTHROPIC_API_KEY not configured' }, 500);
-  }
-  
-  // Initialize
-  if (!generator) {
-    generator = new ConjectureGenerator(ANTHROPIC_API_KEY);
-    encoder = new MathObjectEncoder();
-  }
-  
   try {
+    // Initialize
+    const { generator } = getAgents(c.env);
+    
     // Get problem
     let problem;
     if (DB) {
@@ -229,33 +604,31 @@ app.post('/conjecture/:id', async (c) => {
     const signalData = body.signalData || {};
     
     // Generate conjectures
-    const conjectures = await generator.generate(
+    const result = await generator.generate(
       problem,
       analysis,
       signalData,
-      encoder
+      encoder,
+      { oeis: getOeisStore(c.env), signatureIndex: getSignatureIndex(c.env) }
     );
     
-    // Parse and store conjectures in DB
-    const parsed = _parseConjectures(conjectures);
+    if (!result.output) {
+      return c.json({
+        error: 'Generator did not submit structured conjectures',
+        stopReason: result.stopReason,
+        toolCalls: result.toolCalls
+      }, 502);
+    }
+    
+    // Store conjectures in DB
+    const parsed = result.output.conjectures;
     if (DB) {
       for (const conj of parsed) {
-        await DB.prepare(
-          `INSERT INTO conjectures 
-           (problem_id, statement, rationale, status, kk_score, anomaly_score)
-           VALUES (?, ?, ?, ?, ?, ?)`
-        ).bind(
-          id,
-          conj.statement,
-          conj.rationale,
-          'proposed',
-          conj.kk_score || null,
-          conj.anomaly_score || null
-        ).run();
+        conj.id = await insertConjecture(DB, id, conj);
       }
     }
     
-    return c.json({ conjectures: parsed });
+    return c.json({ conjectures: parsed, toolCalls: result.toolCalls });
   } catch (error) {
     return c.json({ error: error.message }, 500);
   }
@@ -266,20 +639,14 @@ app.post('/conjecture/:id', async (c) => {
  * Plan proof for a conjecture
  */
 app.post('/plan/:id/:conjectureId', async (c) => {
-  const { DB, ANTHROPIC_API_KEY } = c.env;
+  const { DB } = c.env;
   const problemId = c.req.param('id');
   const conjectureId = c.req.param('conjectureId');
   
-  if (!ANTHROPIC_API_KEY) {
-    return c.json({ error: 'ANTHROPIC_API_KEY not configured' }, 500);
-  }
-  
-  // Initialize
-  if (!planner) {
-    planner = new ProofPlanner(ANTHROPIC_API_KEY);
-  }
-  
   try {
+    // Initialize
+    const { planner } = getAgents(c.env);
+    
     // Get problem and conjecture
     let problem, conjecture;
     if (DB) {
@@ -301,11 +668,14 @@ app.post('/plan/:id/:conjectureId', async (c) => {
       ).bind(problemId).all();
       
       // Plan proof
-      const plan = await planner.plan(problem, conjecture, {
+      const result = await planner.plan(problem, conjecture, {
         knownResults: (knownResults || []).map(r => r.result_statement).join('\n')
       });
       
-      return c.json({ plan });
+      // Persist the plan as a tree of steps and obligations
+      const planId = await storeProofPlan(DB, problemId, conjectureId, result.text, parseProofPlan(result.text));
+      
+      return c.json({ plan: result.text, planId, ...(await loadPlanTree(DB, planId)) });
     } else {
       return c.json({ error: 'Database not configured' }, 500);
     }
@@ -323,6 +693,13 @@ app.post('/verify/:conjectureId', async (c) => {
   const conjectureId = c.req.param('conjectureId');
   const body = await c.req.json().catch(() => ({}));
   
+  let maxCases;
+  try {
+    maxCases = clampMaxCases(body.maxCases);
+  } catch (error) {
+    return c.json({ error: error.message }, 400);
+  }
+  
   if (!verifier) {
     verifier = new ComputationalVerifier();
   }
@@ -331,9 +708,7 @@ app.post('/verify/:conjectureId', async (c) => {
     // Get conjecture
     let conjecture;
     if (DB) {
-      conjecture = await DB.prepare(
-        'SELECT * FROM conjectures WHERE id = ?'
-      ).bind(conjectureId).first();
+      conjecture = await loadConjecture(DB, conjectureId);
       
       if (!conjecture) {
         return c.json({ error: 'Conjecture not found' }, 404);
@@ -342,59 +717,654 @@ app.post('/verify/:conjectureId', async (c) => {
       conjecture = {
         id: parseInt(conjectureId),
         statement: body.statement || 'Sample conjecture',
-        expression: body.expression
+        expression: body.expression,
+        predicate: body.predicate,
+        test_instance: body.test_instance || null,
+        variables: body.variables || [],
+        arithmetic: body.arithmetic
       };
     }
     
-    // Verify with provided test cases
-    const results = await verifier.verifySmallCases(
-      conjecture,
-      body.testCases || []
-    );
+    // Client cases, the stored test instance and synthesized cases
+    const { testCases, synthesis } = verifier.collectTestCases(conjecture, {
+      testCases: body.testCases || [],
+      maxCases
+    });
     
-    // Update status if all passed
-    if (DB && results.passed === results.total && results.total > 0) {
-      await DB.prepare(
-        'UPDATE conjectures SET status = ? WHERE id = ?'
-      ).bind('experimental', conjectureId).run();
+    const results = await verifier.verifySmallCases(conjecture, testCases, {
+      arithmetic: body.arithmetic,
+      precision: body.precision,
+      sandbox: body.sandbox
+    });
+    results.synthesis = synthesis;
+    
+    // Only mark experimental when every case was actually evaluated and
+    // passed, and never over a disproved or verified conjecture
+    let obligationDischarged = false;
+    let statusUpdated = false;
+    if (DB && results.supportsExperimental) {
+      statusUpdated = await advanceConjectureStatus(DB, conjectureId, 'experimental');
+      
+      if (body.obligationId) {
+        obligationDischarged = await dischargeObligation(DB, conjectureId, body.obligationId, 'verifier', {
+          conjectureId,
+          total: results.total,
+          passed: results.passed,
+          synthesis
+        });
+      }
     }
     
-    return c.json({ verification: results });
+    return c.json({ verification: results, statusUpdated, obligationDischarged });
   } catch (error) {
     return c.json({ error: error.message }, 500);
   }
 });
 
-// Helper: parse LLM output into structured conjectures
-function _parseConjectures(text) {
-  // Simple parser - would need improvement
-  const conjectures = [];
-  const sections = text.split(/Conjecture \d+:/i);
-  
-  for (let i = 1; i < sections.length; i++) {
-    const lines = sections[i].trim().split('\n');
-    const statement = lines[0].trim();
-    const rationale = lines.slice(1).join('\n').trim();
-    
-    if (statement) {
-      conjectures.push({
-        statement,
-        rationale
-      });
-    }
+/**
+ * POST /counterexample/:conjectureId
+ * Search a conjecture's parameter space for counterexamples
+ */
+app.post('/counterexample/:conjectureId', async (c) => {
+  const { DB } = c.env;
+  const conjectureId = c.req.param('conjectureId');
+  const body = await c.req.json().catch(() => ({}));
+  
+  if (!verifier) {
+    verifier = new ComputationalVerifier();
   }
   
-  // If no structured format found, create single conjecture
-  if (conjectures.length === 0 && text.trim()) {
-    const lines = text.trim().split('\n');
-    conjectures.push({
-      statement: lines[0] || text.trim(),
-      rationale: lines.slice(1).join('\n') || ''
+  try {
+    let conjecture;
+    if (DB) {
+      conjecture = await loadConjecture(DB, conjectureId);
+      
+      if (!conjecture) {
+        return c.json({ error: 'Conjecture not found' }, 404);
+      }
+    } else {
+      conjecture = {
+        id: parseInt(conjectureId),
+        expression: body.expression,
+        variables: body.variables || [],
+        arithmetic: body.arithmetic
+      };
+    }
+    
+    if (!conjecture.expression) {
+      return c.json({ error: 'Conjecture has no expression to search' }, 400);
+    }
+    
+    let budget;
+    try {
+      budget = clampSearchBudget(body);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+    
+    const search = verifier.searchCounterexamples(conjecture, {
+      strategies: body.strategies,
+      ...budget,
+      seed: body.seed,
+      arithmetic: body.arithmetic,
+      precision: body.precision
     });
+    
+    const confirmed = DB
+      ? await recordCounterexample(DB, conjectureId, search)
+      : search.found && search.shrunk?.value === false;
+    
+    return c.json({ search, disproved: confirmed });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
   }
+});
+
+/**
+ * POST /certify/:conjectureId
+ * Certify a bound on a finite range in interval arithmetic and attach the
+ * certificate to the conjecture when it re-checks, certifies the
+ * conjecture's own expression and uses only named sequence functions
+ */
+app.post('/certify/:conjectureId', async (c) => {
+  const { DB } = c.env;
+  const conjectureId = c.req.param('conjectureId');
+  const body = await c.req.json().catch(() => ({}));
   
-  return conjectures;
-}
+  let maxBoxes;
+  try {
+    maxBoxes = clampMaxBoxes(body.maxBoxes);
+  } catch (error) {
+    return c.json({ error: error.message }, 400);
+  }
+  
+  if (!verifier) {
+    verifier = new ComputationalVerifier();
+  }
+  
+  try {
+    let conjecture;
+    if (DB) {
+      conjecture = await loadConjecture(DB, conjectureId);
+      
+      if (!conjecture) {
+        return c.json({ error: 'Conjecture not found' }, 404);
+      }
+    } else {
+      conjecture = {
+        id: parseInt(conjectureId),
+        expression: body.expression,
+        variables: body.variables || []
+      };
+    }
+    
+    const claim = body.claim || conjecture.expression;
+    if (!claim) {
+      return c.json({ error: 'Conjecture has no claim to certify' }, 400);
+    }
+    
+    // Default to the conjecture's only variable and its declared range
+    const [declared] = conjecture.variables.length === 1 ? conjecture.variables : [];
+    const variable = body.variable || declared?.name || 'N';
+    const range = body.range || (declared ? [declared.min, declared.max] : null);
+    if (!Array.isArray(range)) {
+      return c.json({ error: 'Give a range [start, end] to certify over' }, 400);
+    }
+    
+    const certificate = verifier.certifyInequality(claim, {
+      range,
+      variable,
+      integer: body.integer ?? declared?.type !== 'real',
+      functions: body.functions,
+      maxBoxes: maxBoxes ?? 10000
+    });
+    const check = verifier.checkCertificate(certificate);
+    // Only a certificate of the conjecture's own claim, with functions rebuilt
+    // from named sequences rather than client-given terms, speaks for it
+    const ownClaim = claim === conjecture.expression;
+    const namedFunctions = Object.values(body.functions || {})
+      .every(spec => spec && spec.sequence && spec.terms === undefined);
+    const attached = DB && certificate.holds && ownClaim && namedFunctions
+      ? await attachCertificate(DB, conjectureId, certificate, check)
+      : false;
+    
+    return c.json({ certificate, check, attached });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /asymptotics
+ * Fit growth models to (n, a(n)) points, raw terms or a named sequence
+ */
+app.post('/asymptotics', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  
+  if (!body.points && !body.sequence && !body.spec) {
+    return c.json({ error: 'Give points, a sequence or a named sequence spec' }, 400);
+  }
+  try {
+    if (body.level !== undefined) checkLevel(body.level);
+    if (body.ratio !== undefined) checkRatio(body.ratio);
+  } catch (error) {
+    return c.json({ error: error.message }, 400);
+  }
+  
+  if (!verifier) {
+    verifier = new ComputationalVerifier();
+  }
+  
+  try {
+    const analysis = verifier.fitAsymptotics(
+      { points: body.points, sequence: body.sequence, spec: body.spec, as: body.as },
+      {
+        models: body.models,
+        minN: body.minN,
+        level: body.level,
+        exponent: body.exponent,
+        ratio: body.ratio
+      }
+    );
+    return c.json({ analysis });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /oeis/identify
+ * Match terms against the local OEIS store
+ */
+app.post('/oeis/identify', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  
+  if (!Array.isArray(body.terms)) {
+    return c.json({ error: 'Give the terms to identify' }, 400);
+  }
+  
+  try {
+    const result = await identifySequence(getOeisStore(c.env), body.terms, {
+      transforms: body.transforms,
+      minTerms: body.minTerms,
+      limit: body.limit
+    });
+    return c.json(result);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /oeis/:id
+ * One sequence from the local OEIS store
+ */
+app.get('/oeis/:id', async (c) => {
+  const id = c.req.param('id');
+  
+  if (!isOeisId(id)) {
+    return c.json({ error: 'Expected an A-number such as A005282' }, 400);
+  }
+  
+  try {
+    const sequence = await getOeisStore(c.env).get(id);
+    if (!sequence) {
+      return c.json({ error: 'Sequence not found' }, 404);
+    }
+    return c.json(sequence);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /formalize/:conjectureId
+ * Translate a conjecture into a Lean statement, repairing it against the
+ * compiler, and store the statement with its compile log
+ */
+app.post('/formalize/:conjectureId', async (c) => {
+  const { DB } = c.env;
+  const conjectureId = c.req.param('conjectureId');
+  const body = await c.req.json().catch(() => ({}));
+  
+  try {
+    const { translator } = getAgents(c.env);
+    const lean = getLean(c.env);
+    
+    let conjecture;
+    if (DB) {
+      conjecture = await loadConjecture(DB, conjectureId);
+      
+      if (!conjecture) {
+        return c.json({ error: 'Conjecture not found' }, 404);
+      }
+    } else {
+      conjecture = {
+        id: parseInt(conjectureId),
+        statement: body.statement || 'Sample conjecture',
+        variables: body.variables || []
+      };
+    }
+    
+    const result = await translator.translate(conjecture, lean, {
+      problemId: conjecture.problem_id,
+      maxAttempts: body.maxAttempts
+    });
+    
+    if (!result.output) {
+      return c.json({
+        error: 'Translator did not submit a Lean statement',
+        stopReason: result.stopReason,
+        toolCalls: result.toolCalls
+      }, 502);
+    }
+    
+    const { elaborated, leanStatement, binders, leanCode, attempts } = result.output;
+    if (DB) {
+      await DB.prepare(
+        'UPDATE conjectures SET lean_statement = ?, lean_binders = ?, lean_log = ? WHERE id = ?'
+      ).bind(
+        elaborated ? leanStatement : null,
+        elaborated ? JSON.stringify(binders) : null,
+        JSON.stringify(attempts),
+        conjectureId
+      ).run();
+    }
+    
+    return c.json({ elaborated, leanStatement, leanCode, attempts });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /lean/:conjectureId
+ * Check a conjecture's Lean formalization. With a `proof` (a tactic script)
+ * the stored statement is compiled with that proof, and the conjecture is
+ * marked verified only when Lean accepts it with no remaining sorry; without
+ * one the statement is checked against a sorry stub. A `leanCode` override is
+ * compiled as a dry run and changes nothing.
+ */
+app.post('/lean/:conjectureId', async (c) => {
+  const { DB } = c.env;
+  const conjectureId = c.req.param('conjectureId');
+  const body = await c.req.json().catch(() => ({}));
+  
+  try {
+    const lean = getLean(c.env);
+    
+    let conjecture;
+    if (DB) {
+      conjecture = await loadConjecture(DB, conjectureId);
+      
+      if (!conjecture) {
+        return c.json({ error: 'Conjecture not found' }, 404);
+      }
+    } else {
+      conjecture = {
+        id: parseInt(conjectureId),
+        statement: body.statement || 'Sample conjecture'
+      };
+    }
+    
+    // A client-supplied file is only compiled as a dry run: it proves
+    // whatever it states, not the stored conjecture
+    const override = typeof body.leanCode === 'string' && body.leanCode.length > 0;
+    const proof = override ? null : body.proof ?? null;
+    if (proof !== null) {
+      try {
+        checkProofScript(proof);
+      } catch (error) {
+        return c.json({ error: error.message }, 400);
+      }
+      if (!conjecture.lean_statement) {
+        return c.json({ error: 'Conjecture has no Lean statement to prove; run /formalize first' }, 409);
+      }
+    }
+    const leanCode = override ? body.leanCode : lean.generateLeanFile({
+      ...conjecture,
+      leanStatement: conjecture.lean_statement,
+      leanBinders: conjecture.lean_binders
+    }, {
+      problemId: conjecture.problem_id,
+      proof
+    });
+    const result = await lean.checkProof(leanCode);
+    
+    let obligationDischarged = false;
+    let statusUpdated = false;
+    if (DB && result.verified && !override) {
+      // A conjecture a counterexample disproved stays disproved
+      statusUpdated = await advanceConjectureStatus(DB, conjectureId, 'verified');
+      
+      if (body.obligationId) {
+        obligationDischarged = await dischargeObligation(DB, conjectureId, body.obligationId, 'lean', {
+          conjectureId,
+          durationMs: result.durationMs,
+          warnings: result.warnings.length
+        });
+      }
+    }
+    
+    return c.json({ lean: result, leanCode, dryRun: override, statusUpdated, obligationDischarged });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /plans/:planId/obligations
+ * List a plan's steps and obligations as a tree with progress counts
+ */
+app.get('/plans/:planId/obligations', async (c) => {
+  const { DB } = c.env;
+  const planId = c.req.param('planId');
+  
+  if (!DB) {
+    return c.json({ error: 'Database not configured' }, 500);
+  }
+  
+  try {
+    const plan = await DB.prepare(
+      'SELECT id, problem_id, conjecture_id, created_at FROM proof_plans WHERE id = ?'
+    ).bind(planId).first();
+    
+    if (!plan) {
+      return c.json({ error: 'Plan not found' }, 404);
+    }
+    
+    return c.json({ plan, ...(await loadPlanTree(DB, planId)) });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PATCH /obligations/:id
+ * Update an obligation's status by hand. Verifier and Lean discharges are
+ * only recorded by /verify and /lean, which check the obligation belongs to
+ * the conjecture they ran on.
+ */
+app.patch('/obligations/:id', async (c) => {
+  const { DB } = c.env;
+  const id = c.req.param('id');
+  const body = await c.req.json().catch(() => ({}));
+  
+  if (!DB) {
+    return c.json({ error: 'Database not configured' }, 500);
+  }
+  
+  if (!OBLIGATION_STATUSES.includes(body.status)) {
+    return c.json({ error: `status must be one of ${OBLIGATION_STATUSES.join(', ')}` }, 400);
+  }
+  if (body.status === 'discharged' && !DISCHARGE_SOURCES.includes(body.discharged_by)) {
+    return c.json({ error: `discharged_by must be one of ${DISCHARGE_SOURCES.join(', ')}` }, 400);
+  }
+  if (body.discharged_by && body.discharged_by !== 'manual') {
+    return c.json({ error: `Only /verify and /lean record ${body.discharged_by} discharges; use discharged_by 'manual'` }, 400);
+  }
+  
+  try {
+    const obligation = await DB.prepare(
+      "SELECT * FROM proof_obligations WHERE id = ? AND node_type = 'obligation'"
+    ).bind(id).first();
+    
+    if (!obligation) {
+      return c.json({ error: 'Obligation not found' }, 404);
+    }
+    
+    await DB.prepare(
+      `UPDATE proof_obligations
+       SET status = ?, discharged_by = ?, evidence = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`
+    ).bind(
+      body.status,
+      body.discharged_by || null,
+      body.evidence ? JSON.stringify(body.evidence) : null,
+      id
+    ).run();
+    
+    return c.json({ planId: obligation.plan_id, ...(await loadPlanTree(DB, obligation.plan_id)) });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /pipeline/:id
+ * Start a full research run (signatures, analysis, conjectures, verification,
+ * proof plans) in the background; poll GET /pipeline/runs/:runId for progress
+ */
+app.post('/pipeline/:id', async (c) => {
+  const { DB } = c.env;
+  const id = c.req.param('id');
+  const body = await c.req.json().catch(() => ({}));
+  
+  let budget;
+  try {
+    budget = clampSearchBudget(body);
+  } catch (error) {
+    return c.json({ error: error.message }, 400);
+  }
+  
+  try {
+    const pipelineAgents = getAgents(c.env);
+    
+    if (!verifier) {
+      verifier = new ComputationalVerifier();
+    }
+    
+    let problem;
+    if (DB) {
+      problem = await loadProblem(DB, id);
+      
+      if (!problem) {
+        return c.json({ error: 'Problem not found' }, 404);
+      }
+    } else {
+      problem = {
+        id: parseInt(id),
+        prize: 100,
+        title: 'Sample Problem',
+        status: 'open',
+        area: 'combinatorics',
+        statement: body.statement || 'Sample problem statement',
+        references: [],
+        knownResults: [],
+        metadata: {}
+      };
+    }
+    
+    const options = {
+      sequences: body.sequences,
+      maxPlans: body.maxPlans,
+      searchCounterexamples: body.searchCounterexamples,
+      maxEvaluations: budget.maxEvaluations
+    };
+    
+    const store = getRunStore(c.env);
+    const run = await store.create(problem.id, options);
+    const pipeline = new ResearchPipeline({
+      agents: pipelineAgents,
+      encoder,
+      verifier,
+      store,
+      DB,
+      oeis: getOeisStore(c.env),
+      signatureIndex: getSignatureIndex(c.env)
+    });
+    
+    runInBackground(c, pipeline.run(run.id, problem, options).catch(error => {
+      console.error(`Pipeline run ${run.id} could not be recorded:`, error.message);
+    }));
+    
+    return c.json({
+      runId: run.id,
+      status: run.status,
+      poll: `/pipeline/runs/${run.id}`
+    }, 202);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /pipeline/runs/:runId
+ * Progress and per-stage results of a pipeline run
+ */
+app.get('/pipeline/runs/:runId', async (c) => {
+  const runId = c.req.param('runId');
+  
+  try {
+    const run = await getRunStore(c.env).get(runId);
+    
+    if (!run) {
+      return c.json({ error: 'Run not found' }, 404);
+    }
+    
+    return c.json({ run });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /jobs
+ * Queue a long-running job ({ type: 'analyze' | 'encode' | 'counterexample',
+ * params, maxAttempts }); poll GET /jobs/:id for its result
+ */
+app.post('/jobs', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const queue = getJobs(c.env);
+  
+  if (!queue.handlers[body.type]) {
+    return c.json({ error: `type must be one of ${Object.keys(queue.handlers).join(', ')}` }, 400);
+  }
+  if (body.maxAttempts !== undefined) {
+    try {
+      checkMaxAttempts(body.maxAttempts);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+  }
+  
+  try {
+    const { job, done } = await queue.enqueue(body.type, body.params || {}, {
+      maxAttempts: body.maxAttempts
+    });
+    
+    runInBackground(c, done.catch(error => {
+      console.error(`Job ${job.id} could not be recorded:`, error.message);
+    }));
+    
+    return c.json({ jobId: job.id, status: job.status, poll: `/jobs/${job.id}` }, 202);
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Job status, attempts and result or last error
+ */
+app.get('/jobs/:id', async (c) => {
+  const id = c.req.param('id');
+  
+  try {
+    const job = await getJobs(c.env).get(id);
+    
+    if (!job) {
+      return c.json({ error: 'Job not found' }, 404);
+    }
+    
+    return c.json({ job });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancel a queued or running job
+ */
+app.delete('/jobs/:id', async (c) => {
+  const id = c.req.param('id');
+  
+  try {
+    const job = await getJobs(c.env).cancel(id);
+    
+    if (!job) {
+      return c.json({ error: 'Job not found' }, 404);
+    }
+    if (job.status !== 'cancelled') {
+      return c.json({ error: `Job already ${job.status}`, job }, 409);
+    }
+    
+    return c.json({ job });
+  } catch (error) {
+    return c.json({ error: error.message }, 500);
+  }
+});
 
 export default app;
 
@@ -0,0 +1,247 @@
+import { USADetector, fdrControl } from './usad.js';
+import { DETECTOR_FEATURES } from './index.js';
+import { generateBoundedSequence } from '../sequences/index.js';
+
+/**
+ * Named, calibrated USAD detectors that survive Worker restarts.
+ *
+ * A detector is calibrated once on a reference corpus of sequences and
+ * stored with its serialized state (USADetector.toJSON), the feature map
+ * its vectors came from and a description of the corpus. Scoring a new
+ * sequence restores the detector instead of calibrating it again.
+ *
+ * MemoryDetectorStore keeps detectors in the isolate (tests, scripts);
+ * D1DetectorStore uses the anomaly_detectors table, read through KV when
+ * a CACHE binding is given.
+ */
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+// KV key prefix of cached detector state
+const CACHE_PREFIX = 'usad:';
+
+export function isDetectorName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * Feature vectors of `sequences`: an array or a { name: sequence } object
+ * of explicit terms or named specs (see src/sequences)
+ *
+ * @returns {Array<{sequence: string, source: object, vector: number[]}>}
+ */
+export function detectorVectors(sequences, features = 'gaps') {
+  const toVector = DETECTOR_FEATURES[features];
+  if (!toVector) {
+    throw new Error(`Unknown features ${features}. Use one of ${Object.keys(DETECTOR_FEATURES).join(', ')}`);
+  }
+  return Object.entries(sequences).map(([name, spec]) => {
+    const terms = Array.isArray(spec) ? spec : generateBoundedSequence(spec);
+    const vector = toVector(terms);
+    if (vector.length < 2) {
+      throw new Error(`Sequence ${name} gives ${vector.length} ${features} values, need at least 2`);
+    }
+    return {
+      sequence: name,
+      source: Array.isArray(spec) ? { sequence: name, terms: spec.length } : { sequence: name, spec },
+      vector
+    };
+  });
+}
+
+// Regime tag of each entry, from a tags array or object keyed like the sequences
+function tagsFor(vectors, tags) {
+  if (!tags) return undefined;
+  return vectors.map(({ sequence }) => {
+    const tag = tags[sequence];
+    if (tag === undefined || tag === null) throw new Error(`No regime tag for sequence ${sequence}`);
+    return String(tag);
+  });
+}
+
+/**
+ * Calibrate a new detector on a reference corpus
+ *
+ * @param {Array|object} sequences - reference sequences, see detectorVectors
+ * @param {object} [options] - `features`, regime `tags` keyed like the
+ *   sequences (Mondrian calibration) and USADetector options
+ *   (dim, k, alpha, kNN, clipQuantile, neighbors)
+ * @returns {{detector: USADetector, features: string, corpus: object[]}}
+ */
+export function calibrateDetector(sequences, { features = 'gaps', tags, ...config } = {}) {
+  const vectors = detectorVectors(sequences, features);
+  if (vectors.length < 2) {
+    throw new Error('Calibration needs at least 2 reference sequences');
+  }
+  const calTags = tagsFor(vectors, tags);
+  const detector = new USADetector(config);
+  detector.calibrate(vectors.map(v => v.vector), { tags: calTags });
+  return {
+    detector,
+    features,
+    corpus: vectors.map((v, i) => (calTags ? { ...v.source, tag: calTags[i] } : v.source))
+  };
+}
+
+/**
+ * Nonconformity scores and conformal p-values of `sequences` against a
+ * calibrated detector; with `fdr` ({ q, method, lambda }, see fdrControl)
+ * the sequences flagged are discoveries at false discovery rate q
+ *
+ * @returns {{results: object[], fdr?: object}}
+ */
+export function scoreSequences(detector, features, sequences, { tags, fdr, smoothed } = {}) {
+  const vectors = detectorVectors(sequences, features);
+  const queryTags = tagsFor(vectors, tags);
+  const results = vectors.map(({ sequence, vector }, i) => ({
+    sequence,
+    ...(queryTags ? { tag: queryTags[i] } : {}),
+    ...detector.predict(vector, { tag: queryTags?.[i], smoothed })
+  }));
+  if (!fdr) {
+    return { results };
+  }
+
+  const { rejected, adjusted, ...control } = fdrControl(results.map(r => r.pValue), fdr);
+  return {
+    results: results.map((result, i) => ({ ...result, adjusted: adjusted[i], discovery: rejected[i] })),
+    fdr: control
+  };
+}
+
+/**
+ * What the API reports about a stored detector (everything but its state)
+ */
+export function detectorSummary({ name, features, detector, corpus, updatedAt }) {
+  return {
+    name,
+    features,
+    config: {
+      dim: detector.hashing.dim,
+      k: detector.k,
+      alpha: detector.alpha,
+      kNN: detector.kNN,
+      clipQuantile: detector.clip,
+      neighbors: detector.neighbors
+    },
+    calibrationSize: detector.calSigs.length,
+    threshold: detector.thr ?? null,
+    regimes: detector.calTags
+      ? Object.fromEntries([...new Set(detector.calTags)].map(tag => [tag, detector.calTags.filter(t => t === tag).length]))
+      : null,
+    corpus,
+    updatedAt
+  };
+}
+
+function fromRecord(name, { features, state, corpus, updatedAt }) {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  return {
+    name,
+    features,
+    detector: USADetector.fromJSON(parse(state)),
+    corpus: parse(corpus) ?? [],
+    updatedAt
+  };
+}
+
+export class MemoryDetectorStore {
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  /**
+   * Store (or replace) a calibrated detector under `name`
+   */
+  async put({ name, features, detector, corpus = [] }) {
+    const record = {
+      features,
+      state: JSON.stringify(detector),
+      corpus: structuredClone(corpus),
+      updatedAt: new Date().toISOString()
+    };
+    this.detectors.set(name, record);
+    return fromRecord(name, record);
+  }
+
+  async get(name) {
+    const record = this.detectors.get(name);
+    return record ? fromRecord(name, record) : null;
+  }
+
+  async list() {
+    return [...this.detectors.keys()].sort().map((name) => {
+      const { features, calibrationSize, threshold, updatedAt } = detectorSummary(fromRecord(name, this.detectors.get(name)));
+      return { name, features, calibrationSize, threshold, updatedAt };
+    });
+  }
+}
+
+export class D1DetectorStore {
+  /**
+   * @param {object} DB - D1 binding
+   * @param {object} [CACHE] - KV binding holding a copy of each detector's state
+   */
+  constructor(DB, CACHE = null) {
+    this.DB = DB;
+    this.CACHE = CACHE;
+  }
+
+  async put({ name, features, detector, corpus = [] }) {
+    const state = JSON.stringify(detector);
+    const updatedAt = new Date().toISOString();
+    await this.DB.prepare(
+      `INSERT INTO anomaly_detectors (name, features, state, corpus, calibration_size, threshold, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         features = excluded.features,
+         state = excluded.state,
+         corpus = excluded.corpus,
+         calibration_size = excluded.calibration_size,
+         threshold = excluded.threshold,
+         updated_at = excluded.updated_at`
+    ).bind(
+      name, features, state, JSON.stringify(corpus),
+      detector.calSigs.length, detector.thr ?? null, updatedAt
+    ).run();
+
+    const record = { features, state, corpus, updatedAt };
+    if (this.CACHE) {
+      await this.CACHE.put(CACHE_PREFIX + name, JSON.stringify(record));
+    }
+    return fromRecord(name, record);
+  }
+
+  async get(name) {
+    const cached = this.CACHE ? await this.CACHE.get(CACHE_PREFIX + name) : null;
+    if (cached) {
+      return fromRecord(name, JSON.parse(cached));
+    }
+
+    const row = await this.DB.prepare(
+      'SELECT features, state, corpus, updated_at FROM anomaly_detectors WHERE name = ?'
+    ).bind(name).first();
+    if (!row) return null;
+
+    const record = { features: row.features, state: row.state, corpus: row.corpus, updatedAt: row.updated_at };
+    if (this.CACHE) {
+      await this.CACHE.put(CACHE_PREFIX + name, JSON.stringify(record));
+    }
+    return fromRecord(name, record);
+  }
+
+  // From the summary columns, without restoring every detector
+  async list() {
+    const { results } = await this.DB.prepare(
+      `SELECT name, features, calibration_size, threshold, updated_at
+       FROM anomaly_detectors ORDER BY name`
+    ).all();
+    return (results ?? []).map(row => ({
+      name: row.name,
+      features: row.features,
+      calibrationSize: row.calibration_size,
+      threshold: row.threshold,
+      updatedAt: row.updated_at
+    }));
+  }
+}
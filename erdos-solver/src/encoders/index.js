@@ -1,7 +1,63 @@
 import { USADetector } from './usad.js';
-import { kkScore, anomalyOverlapFrac } from './kk-kernel.js';
-import { anomaly_trace_from_rh } from './rh-sparse.js';
+import { kkScore, anomalyOverlapFrac, queryFromGaps } from './kk-kernel.js';
+import { anomaly_trace_from_rh, RHAnomalyStream } from './rh-sparse.js';
 import { DataSupernovaEncoder } from './data-supernova.js';
+import { generateBoundedSequence } from '../sequences/index.js';
+import { Graph, createGraph, graphInvariants, graphFeatures } from '../graphs/index.js';
+
+const GRAPH_FEATURE_FAMILIES = ['degrees', 'spectrum', 'subgraphs'];
+
+// Bumped whenever a change to the encodings makes stored signatures incomparable
+export const ENCODER_VERSION = 1;
+
+const RH_OPTIONS = {
+  window: 256,
+  scales: [64, 256, 1024],
+  dim: 4096,
+  topk: 128,
+  knn_k: 5,
+  seed: 'rh_sparse_demo'
+};
+
+// Rolling-statistics window of the numerical encoding
+const NUMERICAL_WINDOW = 100;
+
+// Largest gaps kept in a KK-kernel signature
+const KK_TOP_K = 128;
+
+/**
+ * Sequence encodings stored in the signatures table, by signature type:
+ * the encodeSequence type and the fewest terms that give a signature
+ */
+export const SIGNATURE_ENCODINGS = {
+  rh_trace: { encoding: 'gaps', minTerms: RH_OPTIONS.window + 3 },
+  numerical: { encoding: 'values', minTerms: NUMERICAL_WINDOW + 1 },
+  kk_kernel: { encoding: 'kk', minTerms: 2 }
+};
+
+/**
+ * Gaps between consecutive terms, normalized by the local density
+ * sqrt(a(n)) like RH zero spacings
+ */
+export function normalizedGaps(sequence) {
+  const gaps = [];
+  for (let i = 1; i < sequence.length; i++) {
+    gaps.push((sequence[i] - sequence[i-1]) / Math.sqrt(sequence[i-1] || 1));
+  }
+  return gaps;
+}
+
+/**
+ * Vectors a USAD detector sees for a sequence: its normalized gaps, its
+ * values, or the ratios of consecutive terms
+ */
+export const DETECTOR_FEATURES = {
+  gaps: normalizedGaps,
+  values: (sequence) => sequence.slice(),
+  ratios: (sequence) => sequence.slice(1)
+    .map((term, i) => (sequence[i] !== 0 ? term / sequence[i] : null))
+    .filter(ratio => ratio !== null)
+};
 
 export class MathObjectEncoder {
   constructor() {
@@ -12,23 +68,22 @@ export class MathObjectEncoder {
 
   /**
    * Encode integer sequence to sparse signature
-   * @param {number[]} sequence - e.g., [1, 2, 4, 8, 13, 21, 31, 45, 66...]
-   * @param {string} type - 'gaps' | 'values' | 'ratios'
+   * @param {number[]|object} sequence - e.g., [1, 2, 4, 8, 13, 21, 31, 45, 66...],
+   *   or a named sequence such as { name: 'mian-chowla', n: 300 } (see src/sequences),
+   *   within generateBoundedSequence's limits
+   * @param {string} type - 'gaps' | 'values' | 'ratios' | 'kk' (KK-kernel
+   *   signature of the normalized gaps)
    */
   async encodeSequence(sequence, type = 'gaps') {
-    if (type === 'gaps') {
+    if (!Array.isArray(sequence)) {
+      sequence = generateBoundedSequence(sequence);
+    }
+    
+    if (type === 'gaps' || type === 'kk') {
       // Compute normalized gaps like RH zeros
-      const gaps = [];
-      for (let i = 1; i < sequence.length; i++) {
-        gaps.push(sequence[i] - sequence[i-1]);
-      }
-      
-      // Normalize by local density
-      const normalized = gaps.map((g, i) => 
-        g / Math.sqrt(sequence[i] || 1)
-      );
+      const normalized = normalizedGaps(sequence);
       
-      return await this.encodeRHStyle(normalized);
+      return type === 'kk' ? this.encodeKK(normalized) : await this.encodeRHStyle(normalized);
     }
     
     if (type === 'values') {
@@ -38,13 +93,7 @@ export class MathObjectEncoder {
     
     if (type === 'ratios') {
       // Compute ratios between consecutive values
-      const ratios = [];
-      for (let i = 1; i < sequence.length; i++) {
-        if (sequence[i-1] !== 0) {
-          ratios.push(sequence[i] / sequence[i-1]);
-        }
-      }
-      return await this.encodeNumerical(ratios);
+      return await this.encodeNumerical(DETECTOR_FEATURES.ratios(sequence));
     }
     
     throw new Error(`Unknown encoding type: ${type}`);
@@ -54,20 +103,38 @@ export class MathObjectEncoder {
    * RH-style encoding for gap distributions
    */
   async encodeRHStyle(normalizedGaps) {
-    const trace = await anomaly_trace_from_rh({
-      gaps: normalizedGaps,
-      window: 256,
-      scales: [64, 256, 1024],
-      dim: 4096,
-      topk: 128,
-      knn_k: 5
-    });
+    const trace = await anomaly_trace_from_rh({ gaps: normalizedGaps, ...RH_OPTIONS });
     
     return {
       type: 'rh_trace',
       anomalyScores: trace.map(t => t.score),
       signatures: trace.map(t => t.signature),
-      metadata: { scales: [64, 256, 1024] }
+      metadata: { ...RH_OPTIONS }
+    };
+  }
+
+  /**
+   * Streaming counterpart of the 'gaps' encoding: push terms one at a time
+   * (see RHAnomalyStream); scores match encodeSequence(terms, 'gaps')
+   * @param {object} [options] - threshold, alpha, history, onEvent, or
+   *   RH options overriding the stored encoding's
+   */
+  streamAnomalies(options = {}) {
+    return new RHAnomalyStream({ ...RH_OPTIONS, ...options });
+  }
+
+  /**
+   * One KK-kernel signature over a gap profile: the largest gaps by
+   * position, for compareKK against other constructions
+   */
+  encodeKK(normalizedGaps, topK = KK_TOP_K) {
+    if (normalizedGaps.length === 0) {
+      throw new Error('KK encoding needs at least two terms');
+    }
+    return {
+      type: 'kk_kernel',
+      signatures: [queryFromGaps(normalizedGaps, topK)],
+      metadata: { dim: normalizedGaps.length, topk: topK }
     };
   }
 
@@ -75,10 +142,10 @@ export class MathObjectEncoder {
    * Numerical feature encoding
    */
   async encodeNumerical(values) {
-    const stats = this._computeRollingStats(values, 100);
+    const stats = this._computeRollingStats(values, NUMERICAL_WINDOW);
     const signatures = [];
     
-    for (let i = 100; i < values.length; i++) {
+    for (let i = NUMERICAL_WINDOW; i < values.length; i++) {
       const sig = await this.dataSupernova.encode(
         [values[i]],
         {
@@ -96,7 +163,59 @@ export class MathObjectEncoder {
       signatures.push(sig);
     }
     
-    return { type: 'numerical', signatures, stats };
+    const { dimension, seed, version } = this.dataSupernova.config;
+    return {
+      type: 'numerical',
+      signatures,
+      stats,
+      metadata: { window: NUMERICAL_WINDOW, dim: dimension, seed, version }
+    };
+  }
+
+  /**
+   * Encode a graph through its invariants: one sparse signature per family
+   * (degree profile, adjacency spectrum profile, subgraph densities), scaled
+   * so constructions of different orders are comparable
+   * @param {Graph|object} graph - a Graph, its toJSON(), or a named
+   *   construction such as { name: 'paley', q: 17 } (see src/graphs)
+   * @param {string} type - 'invariants' (all families) | 'degrees' | 'spectrum' | 'subgraphs'
+   */
+  async encodeGraph(graph, type = 'invariants') {
+    graph = createGraph(graph);
+    if (!(graph instanceof Graph)) {
+      throw new Error('Graph encodings need a graph, not a hypergraph');
+    }
+    const families = type === 'invariants' ? GRAPH_FEATURE_FAMILIES : [type];
+    if (!families.every(family => GRAPH_FEATURE_FAMILIES.includes(family))) {
+      throw new Error(`Unknown encoding type: ${type}`);
+    }
+
+    const invariants = graphInvariants(graph);
+    const features = graphFeatures(invariants);
+    const encoded = families.filter(family => features[family].length > 0);
+    const signatures = [];
+    for (const family of encoded) {
+      signatures.push(await this.dataSupernova.encode(features[family]));
+    }
+
+    return { type: 'graph_invariants', families: encoded, signatures, invariants };
+  }
+
+  /**
+   * KK comparison of two graphs, per invariant family and averaged
+   */
+  async compareGraphs(graph1, graph2, beta = 0.5, gamma = 0.5, M = 8) {
+    const [a, b] = await Promise.all([this.encodeGraph(graph1), this.encodeGraph(graph2)]);
+    const families = {};
+    for (const [i, family] of a.families.entries()) {
+      const j = b.families.indexOf(family);
+      if (j !== -1) families[family] = this.compareKK(a.signatures[i], b.signatures[j], beta, gamma, M);
+    }
+    const scores = Object.values(families).map(score => score.total);
+    return {
+      families,
+      total: scores.length > 0 ? scores.reduce((x, y) => x + y, 0) / scores.length : 0
+    };
   }
 
   /**
@@ -117,6 +236,18 @@ export class MathObjectEncoder {
     return this.usad.predict(sequence);
   }
 
+  /**
+   * Calibrated USAD state to store, and restore after a restart instead of
+   * calibrating again (see USADetector.toJSON)
+   */
+  saveAnomaly() {
+    return this.usad.toJSON();
+  }
+
+  restoreAnomaly(state) {
+    this.usad = USADetector.fromJSON(state);
+  }
+
   _computeRollingStats(values, window) {
     const mean = [], std = [], median = [], mad = [];
     
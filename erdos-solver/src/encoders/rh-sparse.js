@@ -4,6 +4,8 @@
  * Compatible with Cloudflare Workers (uses Web Crypto API)
  */
 
+import { conformalPValue } from './usad.js';
+
 const TAU = 2.0 * Math.PI;
 
 // Simple hash function for Cloudflare Workers (using Web Crypto API)
@@ -256,6 +258,143 @@ export async function anomaly_trace_from_rh({
   return trace;
 }
 
+// Snapshot format of RHAnomalyStream
+const STREAM_FORMAT = 1;
+
+/**
+ * Streaming anomaly_trace_from_rh: terms (or normalized gaps) are pushed one
+ * at a time and each new gap scores the window of the `window` gaps before
+ * it, so a stream fed a whole gap array yields the same trace as the batch
+ * function. Windows are flagged when their score exceeds `threshold` or,
+ * without one, when its conformal p-value among the last `history` unflagged
+ * scores is at most `alpha`; `onEvent` receives an 'anomaly' event when a run
+ * of flagged windows starts and a 'recovered' event when it ends.
+ */
+export class RHAnomalyStream {
+  constructor({
+    window = 256,
+    scales = [64, 256, 1024],
+    dim = 4096,
+    topk = 128,
+    knn_k = 5,
+    seed = "rh_sparse_demo",
+    threshold = null,
+    alpha = 0.01,
+    history = 256,
+    onEvent = null
+  } = {}) {
+    this.config = { window, scales, dim, topk, knn_k, seed, threshold, alpha, history };
+    this.onEvent = onEvent;
+    this.enc = new RH_SparseEncoder(dim, topk, seed);
+    this.det = new MultiScaleAnomaly(scales, knn_k);
+    this.gaps = [];
+    this.gapCount = 0;
+    this.termCount = 0;
+    this.lastTerm = null;
+    this.scores = [];
+    this.anomalous = false;
+  }
+
+  /**
+   * Push the next term; its gap to the previous term is normalized by
+   * sqrt(previous) as in MathObjectEncoder.encodeSequence
+   */
+  async pushTerm(term) {
+    const previous = this.lastTerm;
+    this.lastTerm = term;
+    this.termCount++;
+    if (previous === null) return null;
+    return this.pushGap((term - previous) / Math.sqrt(previous || 1));
+  }
+
+  // Trace entries of the windows completed by `terms`
+  async pushTerms(terms) {
+    const entries = [];
+    for (const term of terms) {
+      const entry = await this.pushTerm(term);
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Push the next normalized gap; returns the trace entry of the window it
+   * completes, or null while the first window fills
+   */
+  async pushGap(gap) {
+    const { window, threshold, alpha, history } = this.config;
+    const index = this.gapCount++;
+    let entry = null;
+
+    if (this.gaps.length === window) {
+      const signature = await this.enc.encode(this.gaps);
+      const { combined, per } = this.det.update_and_score(signature);
+      // p <= alpha needs at least 1/alpha - 1 earlier scores
+      const pValue = this.scores.length + 1 >= 1 / alpha ? conformalPValue(this.scores, combined) : null;
+      const flagged = threshold !== null ? combined > threshold : pValue !== null && pValue <= alpha;
+      entry = { window: index, score: combined, per_scale: per, signature, pValue, flagged };
+
+      if (flagged !== this.anomalous) {
+        this.anomalous = flagged;
+        this.onEvent?.({
+          type: flagged ? "anomaly" : "recovered",
+          window: index,
+          term: this.lastTerm === null ? null : this.termCount - 1,
+          score: combined,
+          pValue
+        });
+      }
+      if (!flagged) {
+        this.scores.push(combined);
+        if (this.scores.length > history) this.scores.shift();
+      }
+    }
+
+    this.gaps.push(gap);
+    if (this.gaps.length > window) this.gaps.shift();
+    return entry;
+  }
+
+  /**
+   * JSON-serializable state to resume from with RHAnomalyStream.restore. The
+   * rings at smaller scales are tails of the largest, so only it is stored.
+   */
+  snapshot() {
+    const largest = Object.values(this.det.hist).reduce((a, b) => (b.cap > a.cap ? b : a), { cap: -1, buf: [] });
+    return {
+      format: STREAM_FORMAT,
+      config: { ...this.config },
+      gaps: this.gaps.slice(),
+      gapCount: this.gapCount,
+      termCount: this.termCount,
+      lastTerm: this.lastTerm,
+      scores: this.scores.slice(),
+      anomalous: this.anomalous,
+      signatures: largest.buf.map(d => Object.entries(d).map(([p, e]) => [Number(p), e]))
+    };
+  }
+
+  static restore(snapshot, { onEvent = null } = {}) {
+    if (!snapshot || snapshot.format > STREAM_FORMAT) {
+      throw new Error(`Cannot restore stream snapshot format ${snapshot?.format}`);
+    }
+    const stream = new RHAnomalyStream({ ...snapshot.config, onEvent });
+    Object.assign(stream, {
+      gaps: snapshot.gaps.slice(),
+      gapCount: snapshot.gapCount,
+      termCount: snapshot.termCount,
+      lastTerm: snapshot.lastTerm,
+      scores: snapshot.scores.slice(),
+      anomalous: snapshot.anomalous
+    });
+    const dicts = snapshot.signatures.map(pairs => Object.fromEntries(pairs));
+    for (const ring of Object.values(stream.det.hist)) {
+      ring.buf = dicts.slice(-ring.cap);
+    }
+    return stream;
+  }
+}
+
 export class SparseEncoder {
   constructor(dimension = 4096, max_positions = 128, seed = "rh_sparse") {
     this.encoder = new RH_SparseEncoder(dimension, max_positions, seed);
@@ -0,0 +1,229 @@
+/**
+ * Compact binary form of MathObjectEncoder results for the signatures table.
+ *
+ * Layout (little-endian):
+ *
+ *   'ESIG'            magic
+ *   u8                format version (SIGNATURE_FORMAT)
+ *   u8                signature type code (SIGNATURE_TYPES)
+ *   u8                flags: 1 = per-window anomaly scores follow
+ *   u8                reserved
+ *   u32               number of signatures
+ *   per signature:    varint dimension, varint count,
+ *                     count varint positions (in stored order),
+ *                     count float32 elevations
+ *   scores (flag 1):  one float32 per signature
+ *
+ * Elevations and scores are rounded to float32 (about 7 significant digits),
+ * which is below the precision the encoders themselves work to. Everything
+ * needed to interpret the signatures (encoder version, seed, dimension,
+ * scales) goes in the row's metadata, see signatureMetadata.
+ */
+export const SIGNATURE_FORMAT = 1;
+
+export const SIGNATURE_TYPES = { rh_trace: 1, numerical: 2, kk_kernel: 3 };
+
+const MAGIC = [0x45, 0x53, 0x49, 0x47]; // 'ESIG'
+const HEADER_BYTES = 12;
+const HAS_SCORES = 1;
+
+function varintLength(value) {
+  let length = 1;
+  while (value >= 0x80) {
+    value = Math.floor(value / 0x80);
+    length++;
+  }
+  return length;
+}
+
+function checkUint(value, what) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`${what} must be a non-negative integer, got ${value}`);
+  }
+  return value;
+}
+
+class Writer {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  u8(value) {
+    this.bytes[this.offset++] = value;
+  }
+
+  u32(value) {
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  f32(value) {
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  varint(value) {
+    while (value >= 0x80) {
+      this.u8((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.u8(value);
+  }
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  _need(count) {
+    if (this.offset + count > this.bytes.length) {
+      throw new Error(`Truncated signature data at byte ${this.offset}`);
+    }
+  }
+
+  u8() {
+    this._need(1);
+    return this.bytes[this.offset++];
+  }
+
+  u32() {
+    this._need(4);
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  f32() {
+    this._need(4);
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.u8();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+      if (scale > Number.MAX_SAFE_INTEGER) {
+        throw new Error(`Varint too long at byte ${this.offset}`);
+      }
+    }
+  }
+}
+
+/**
+ * Serialize an encoder result ({ type, signatures, anomalyScores? })
+ *
+ * @returns {Uint8Array}
+ */
+export function encodeSignatures(encoded) {
+  const code = SIGNATURE_TYPES[encoded?.type];
+  if (!code) {
+    throw new Error(`Cannot serialize ${encoded?.type} signatures; use one of ${Object.keys(SIGNATURE_TYPES).join(', ')}`);
+  }
+  const { signatures } = encoded;
+  const scores = encoded.anomalyScores ?? null;
+  if (scores && scores.length !== signatures.length) {
+    throw new Error(`${scores.length} anomaly scores for ${signatures.length} signatures`);
+  }
+
+  let size = HEADER_BYTES + (scores ? 4 * scores.length : 0);
+  for (const signature of signatures) {
+    if (signature.elevations.length !== signature.positions.length) {
+      throw new Error('Signature positions and elevations differ in length');
+    }
+    size += varintLength(checkUint(signature.dimension, 'dimension'))
+      + varintLength(signature.positions.length)
+      + signature.positions.reduce((sum, p) => sum + varintLength(checkUint(p, 'position')), 0)
+      + 4 * signature.elevations.length;
+  }
+
+  const out = new Writer(size);
+  MAGIC.forEach(byte => out.u8(byte));
+  out.u8(SIGNATURE_FORMAT);
+  out.u8(code);
+  out.u8(scores ? HAS_SCORES : 0);
+  out.u8(0);
+  out.u32(signatures.length);
+  for (const { dimension, positions, elevations } of signatures) {
+    out.varint(dimension);
+    out.varint(positions.length);
+    positions.forEach(p => out.varint(p));
+    elevations.forEach(e => out.f32(e));
+  }
+  scores?.forEach(s => out.f32(s));
+  return out.bytes;
+}
+
+/**
+ * Inverse of encodeSignatures. Accepts what D1 returns for a BLOB: an
+ * ArrayBuffer, a typed array or an array of byte values.
+ *
+ * @returns {{type: string, format: number, signatures: object[], anomalyScores?: number[]}}
+ */
+export function decodeSignatures(data) {
+  const bytes = data instanceof Uint8Array
+    ? data
+    : ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+  const input = new Reader(bytes);
+
+  if (!MAGIC.every(byte => input.u8() === byte)) {
+    throw new Error('Not a serialized signature (bad magic)');
+  }
+  const format = input.u8();
+  if (format > SIGNATURE_FORMAT) {
+    throw new Error(`Signature format ${format} is newer than supported (${SIGNATURE_FORMAT})`);
+  }
+  const code = input.u8();
+  const type = Object.keys(SIGNATURE_TYPES).find(name => SIGNATURE_TYPES[name] === code);
+  if (!type) {
+    throw new Error(`Unknown signature type code ${code}`);
+  }
+  const flags = input.u8();
+  input.u8();
+
+  const count = input.u32();
+  const signatures = [];
+  for (let i = 0; i < count; i++) {
+    const dimension = input.varint();
+    const length = input.varint();
+    const positions = Array.from({ length }, () => input.varint());
+    const elevations = Array.from({ length }, () => input.f32());
+    signatures.push({ positions, elevations, dimension, sparsity: dimension > 0 ? length / dimension : 0 });
+  }
+
+  const decoded = { type, format, signatures };
+  if (flags & HAS_SCORES) {
+    decoded.anomalyScores = Array.from({ length: count }, () => input.f32());
+  }
+  if (input.offset !== bytes.length) {
+    throw new Error(`${bytes.length - input.offset} trailing bytes after the signatures`);
+  }
+  return decoded;
+}
+
+/**
+ * Metadata stored next to the blob: formats, the encoder's parameters
+ * (seed, dimension, scales, ...) and where the input came from
+ */
+export function signatureMetadata(encoded, { encoderVersion, source } = {}) {
+  return {
+    format: SIGNATURE_FORMAT,
+    encoder: encoderVersion,
+    type: encoded.type,
+    count: encoded.signatures.length,
+    ...encoded.metadata,
+    ...(source !== undefined ? { source } : {})
+  };
+}
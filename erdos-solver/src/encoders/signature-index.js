@@ -0,0 +1,251 @@
+import { cosineSparse } from './usad.js';
+import { kkScore } from './kk-kernel.js';
+
+/**
+ * Similarity index over stored signatures, without an external vector
+ * service.
+ *
+ * Each signatures row (many windows for rh_trace and numerical, one for
+ * kk_kernel) is reduced to a profile: the largest elevation seen at each
+ * position, top PROFILE_POSITIONS kept. Profiles go into an inverted index,
+ * position -> postings (signature id, elevation), per signature type.
+ * searchSimilar accumulates dot products over the query's postings only,
+ * takes the best candidates by cosine and re-ranks them with the KK kernel.
+ *
+ * MemorySignatureIndex keeps everything in the isolate (tests, scripts);
+ * D1SignatureIndex uses the signature_profiles and signature_postings tables.
+ */
+
+// Positions kept in a profile
+const PROFILE_POSITIONS = 256;
+
+// D1 allows at most 100 bound parameters per statement
+const D1_CHUNK = 90;
+
+/**
+ * Aggregate windowed signatures into one profile signature
+ *
+ * @param {Array<{positions: number[], elevations: number[], dimension: number}>} signatures
+ */
+export function profileSignature(signatures, topK = PROFILE_POSITIONS) {
+  const peak = new Map();
+  for (const { positions, elevations } of signatures) {
+    positions.forEach((p, i) => {
+      const e = Math.abs(elevations[i]);
+      if (e > (peak.get(p) ?? 0)) peak.set(p, e);
+    });
+  }
+  const kept = [...peak].sort((a, b) => b[1] - a[1]).slice(0, topK).sort((a, b) => a[0] - b[0]);
+  const elevations = kept.map(([, e]) => e);
+  return {
+    positions: kept.map(([p]) => p),
+    elevations,
+    dimension: Math.max(0, ...signatures.map(s => s.dimension ?? 0)),
+    norm: Math.sqrt(elevations.reduce((sum, e) => sum + e * e, 0))
+  };
+}
+
+// The { idx, val, norm } form cosineSparse works on (positions ascending)
+function toSparse(profile) {
+  return {
+    idx: Int32Array.from(profile.positions),
+    val: Float64Array.from(profile.elevations),
+    norm: profile.norm
+  };
+}
+
+export class MemorySignatureIndex {
+  constructor() {
+    this.entries = new Map();
+    this.postingLists = new Map();
+  }
+
+  /**
+   * Index a profile under a signatures row id (replacing any earlier one)
+   */
+  async add({ id, problemId = null, type, profile, source = null }) {
+    await this.remove(id);
+    this.entries.set(id, { id, problemId, type, profile, source });
+    profile.positions.forEach((position, i) => {
+      const key = `${type}:${position}`;
+      if (!this.postingLists.has(key)) this.postingLists.set(key, []);
+      this.postingLists.get(key).push({ id, value: profile.elevations[i] });
+    });
+  }
+
+  async remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    for (const position of entry.profile.positions) {
+      const key = `${entry.type}:${position}`;
+      const list = this.postingLists.get(key).filter(posting => posting.id !== id);
+      if (list.length > 0) this.postingLists.set(key, list);
+      else this.postingLists.delete(key);
+    }
+    this.entries.delete(id);
+  }
+
+  async get(id) {
+    return this.entries.get(id) ?? null;
+  }
+
+  async getMany(ids) {
+    return ids.map(id => this.entries.get(id)).filter(Boolean);
+  }
+
+  async count() {
+    return this.entries.size;
+  }
+
+  /**
+   * Postings of `type` at the given positions
+   */
+  async postings(type, positions) {
+    const found = [];
+    for (const position of positions) {
+      for (const { id, value } of this.postingLists.get(`${type}:${position}`) ?? []) {
+        found.push({ id, position, value });
+      }
+    }
+    return found;
+  }
+}
+
+function hydrateProfile(row) {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  return {
+    id: row.signature_id,
+    problemId: row.problem_id,
+    type: row.signature_type,
+    profile: {
+      positions: parse(row.positions),
+      elevations: parse(row.elevations),
+      dimension: row.dimension,
+      norm: row.norm
+    },
+    source: parse(row.source ?? null)
+  };
+}
+
+const chunks = (items) => Array.from({ length: Math.ceil(items.length / D1_CHUNK) }, (_, i) =>
+  items.slice(i * D1_CHUNK, (i + 1) * D1_CHUNK));
+
+export class D1SignatureIndex {
+  constructor(DB) {
+    this.DB = DB;
+  }
+
+  async add({ id, problemId = null, type, profile, source = null }) {
+    await this.remove(id);
+    const posting = this.DB.prepare(
+      `INSERT INTO signature_postings (signature_type, position, signature_id, value)
+       VALUES (?, ?, ?, ?)`
+    );
+    await this.DB.batch([
+      this.DB.prepare(
+        `INSERT INTO signature_profiles
+           (signature_id, problem_id, signature_type, dimension, positions, elevations, norm, source)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        id, problemId, type, profile.dimension,
+        JSON.stringify(profile.positions), JSON.stringify(profile.elevations), profile.norm,
+        source === null ? null : JSON.stringify(source)
+      ),
+      ...profile.positions.map((position, i) => posting.bind(type, position, id, profile.elevations[i]))
+    ]);
+  }
+
+  async remove(id) {
+    await this.DB.batch([
+      this.DB.prepare('DELETE FROM signature_postings WHERE signature_id = ?').bind(id),
+      this.DB.prepare('DELETE FROM signature_profiles WHERE signature_id = ?').bind(id)
+    ]);
+  }
+
+  async get(id) {
+    const row = await this.DB.prepare(
+      'SELECT * FROM signature_profiles WHERE signature_id = ?'
+    ).bind(id).first();
+    return row ? hydrateProfile(row) : null;
+  }
+
+  async getMany(ids) {
+    const found = [];
+    for (const chunk of chunks(ids)) {
+      const { results } = await this.DB.prepare(
+        `SELECT * FROM signature_profiles WHERE signature_id IN (${chunk.map(() => '?').join(', ')})`
+      ).bind(...chunk).all();
+      found.push(...(results ?? []).map(hydrateProfile));
+    }
+    return found;
+  }
+
+  async count() {
+    const row = await this.DB.prepare('SELECT COUNT(*) AS count FROM signature_profiles').first();
+    return row?.count ?? 0;
+  }
+
+  async postings(type, positions) {
+    const found = [];
+    for (const chunk of chunks(positions)) {
+      const { results } = await this.DB.prepare(
+        `SELECT signature_id, position, value FROM signature_postings
+         WHERE signature_type = ? AND position IN (${chunk.map(() => '?').join(', ')})`
+      ).bind(type, ...chunk).all();
+      found.push(...(results ?? []).map(row => ({ id: row.signature_id, position: row.position, value: row.value })));
+    }
+    return found;
+  }
+}
+
+/**
+ * Top-k signatures most similar to `query`
+ *
+ * @param {MemorySignatureIndex|D1SignatureIndex} index
+ * @param {object} query - a profile ({ positions, elevations, norm }) and its `type`
+ * @param {object} [options]
+ * @param {number} [options.k=10] - results returned
+ * @param {number} [options.candidates=50] - best cosine matches re-ranked by KK
+ * @param {number[]} [options.exclude] - signature ids to leave out (e.g. the query's own)
+ * @param {number} [options.beta=0.5] - KK kernel parameters, as in compareKK
+ * @param {number} [options.gamma=0.5]
+ * @param {number} [options.M=8]
+ * @returns {Promise<Array<{id, problemId, type, source, cosine, kk}>>} best KK total first
+ */
+export async function searchSimilar(index, { type, profile }, {
+  k = 10,
+  candidates = 50,
+  exclude = [],
+  beta = 0.5,
+  gamma = 0.5,
+  M = 8
+} = {}) {
+  if (profile.positions.length === 0 || !(profile.norm > 0)) return [];
+
+  const weight = new Map(profile.positions.map((p, i) => [p, profile.elevations[i]]));
+  const dots = new Map();
+  for (const { id, position, value } of await index.postings(type, profile.positions)) {
+    dots.set(id, (dots.get(id) ?? 0) + weight.get(position) * value);
+  }
+  for (const id of exclude) dots.delete(id);
+
+  // Dot products rank by cosine once divided by the candidates' norms
+  const entries = await index.getMany([...dots.keys()]);
+  const shortlist = entries
+    .map(entry => ({ entry, cosine: dots.get(entry.id) / (profile.norm * entry.profile.norm || 1) }))
+    .sort((a, b) => b.cosine - a.cosine)
+    .slice(0, candidates);
+
+  const sparseQuery = toSparse(profile);
+  return shortlist
+    .map(({ entry }) => ({
+      id: entry.id,
+      problemId: entry.problemId,
+      type: entry.type,
+      source: entry.source,
+      cosine: cosineSparse(sparseQuery, toSparse(entry.profile)),
+      kk: kkScore(profile, entry.profile, beta, gamma, M)
+    }))
+    .sort((a, b) => b.kk.total - a.kk.total || b.cosine - a.cosine)
+    .slice(0, k);
+}
@@ -137,10 +137,22 @@ function to8LE(i) {
   return b;
 }
 
+// Hashed positions by key and dim; vectors of one length only ever hash
+// that many indices, and BigInt BLAKE2b dominates encoding otherwise
+const INDEX_CACHE = new WeakMap();
+
 function blake2bIndex(i, dim, key) {
-  const digest = blake2b(to8LE(i), 16, key);
-  const v = u64leFromDigest16(digest);
-  return Number(v % BigInt(dim));
+  let byKey = INDEX_CACHE.get(key);
+  if (!byKey) INDEX_CACHE.set(key, (byKey = new Map()));
+  const cacheKey = `${dim}:${i}`;
+  let position = byKey.get(cacheKey);
+  if (position === undefined) {
+    const digest = blake2b(to8LE(i), 16, key);
+    const v = u64leFromDigest16(digest);
+    position = Number(v % BigInt(dim));
+    byKey.set(cacheKey, position);
+  }
+  return position;
 }
 
 // Robust stats (Median + MAD)
@@ -279,6 +291,12 @@ export function cosineSparse(a, b, eps = 1e-12) {
 export const distanceSparse = (a, b) => 1 - cosineSparse(a, b);
 
 // Conformal Quantile
+//
+// With n calibration scores exchangeable with a new point's score, the
+// ceil((n+1)(1-alpha))-th smallest is exceeded by the new score with
+// probability at most alpha, whatever the distribution, provided calibration
+// and new points are scored by the same rule. The indexed neighbour search
+// below returns the full scan's scores exactly, so it leaves this unchanged.
 export function conformalQuantile(scores, alpha) {
   if (!(alpha > 0 && alpha < 1)) throw new Error("alpha must be in (0,1)");
   const n = scores.length;
@@ -288,79 +306,389 @@ export function conformalQuantile(scores, alpha) {
   return arr[k];
 }
 
+// Conformal p-value of `score` against calibration scores: the share of
+// them at least as large, counting the new point itself, so that
+// P(p <= a) <= a. The smoothed variant splits ties at random and is exactly
+// uniform under exchangeability.
+export function conformalPValue(scores, score, { smoothed = false, random = Math.random } = {}) {
+  let greater = 0;
+  let equal = 0;
+  for (const s of scores) {
+    if (s > score) greater++;
+    else if (s === score) equal++;
+  }
+  const n = scores.length;
+  return smoothed ? (greater + random() * (equal + 1)) / (n + 1) : (greater + equal + 1) / (n + 1);
+}
+
+// Multiple Testing
+//
+// Benjamini-Hochberg at level q rejects the k smallest of m p-values, k the
+// largest rank with p_(k) <= k q / (m pi0). With pi0 = 1 this keeps the false
+// discovery rate at most q for independent or PRDS p-values, which conformal
+// p-values against one calibration set are (Bates et al., 2023). Storey's
+// estimate of the null share pi0 (with the +1 of Storey, Taylor & Siegmund)
+// gains power when many points are anomalous.
+
+export const FDR_METHODS = ["bh", "storey"];
+
+export function storeyPi0(pValues, lambda = 0.5) {
+  if (!(lambda > 0 && lambda < 1)) throw new Error("lambda must be in (0,1)");
+  if (pValues.length === 0) return 1;
+  const above = pValues.filter(p => p > lambda).length;
+  return Math.min(1, (above + 1) / (pValues.length * (1 - lambda)));
+}
+
+export function benjaminiHochberg(pValues, q = 0.1, { pi0 = 1 } = {}) {
+  if (!(q > 0 && q < 1)) throw new Error("q must be in (0,1)");
+  const m = pValues.length;
+  const order = pValues.map((_, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+  let discoveries = 0;
+  order.forEach((i, r) => {
+    if (pValues[i] <= ((r + 1) * q) / (m * pi0)) discoveries = r + 1;
+  });
+  const cutoff = discoveries > 0 ? pValues[order[discoveries - 1]] : 0;
+
+  // Adjusted p-values: the smallest level at which each would be rejected
+  const adjusted = new Array(m);
+  let running = 1;
+  for (let r = m - 1; r >= 0; r--) {
+    running = Math.min(running, (m * pi0 * pValues[order[r]]) / (r + 1));
+    adjusted[order[r]] = running;
+  }
+  return {
+    rejected: pValues.map(p => discoveries > 0 && p <= cutoff),
+    adjusted,
+    cutoff,
+    discoveries
+  };
+}
+
+// BH ("bh") or Storey-BH ("storey") over a batch of p-values
+export function fdrControl(pValues, { q = 0.1, method = "bh", lambda = 0.5 } = {}) {
+  if (!FDR_METHODS.includes(method)) throw new Error(`method must be one of ${FDR_METHODS.join(", ")}`);
+  const pi0 = method === "storey" ? storeyPi0(pValues, lambda) : 1;
+  return { method, q, pi0, ...benjaminiHochberg(pValues, q, { pi0 }) };
+}
+
+// Neighbour Search
+//
+// Nonconformity is the mean distance to the kNN nearest calibration
+// signatures. Signatures sharing no position have cosine exactly 0, i.e.
+// distance exactly 1, so an inverted index (position -> signatures) finds
+// every distance other than 1 from the query's own postings and fills in the
+// rest. Dot products are summed in the same position order as cosineSparse,
+// so the scores equal the full scan's bit for bit; neighbors: "exact" keeps
+// the scan (scripts/benchmark-usad.js compares the two).
+
+export const NEIGHBOR_SEARCH = ["indexed", "exact"];
+
+// The count smallest values pushed, kept sorted ascending
+class NearestK {
+  constructor(count) {
+    this.count = count;
+    this.best = [];
+  }
+
+  push(d) {
+    const best = this.best;
+    if (best.length === this.count) {
+      if (!(d < best[best.length - 1])) return;
+      best.pop();
+    }
+    let i = best.length;
+    while (i > 0 && best[i - 1] > d) i--;
+    best.splice(i, 0, d);
+  }
+
+  pushRepeated(d, times) {
+    for (let i = 0; i < Math.min(times, this.count); i++) this.push(d);
+  }
+
+  mean() {
+    return this.best.length ? this.best.reduce((s, v) => s + v, 0) / this.best.length : 0;
+  }
+}
+
+// Inverted index over sparse signatures: position -> (signature id, value)
+export class SparsePostingIndex {
+  constructor() {
+    this.size = 0;
+    this.norms = [];
+    this.lists = new Map();
+    this.dots = new Float64Array(0);
+    this.seen = new Uint32Array(0);
+    this.stamp = 0;
+  }
+
+  add(sig) {
+    const id = this.size++;
+    this.norms.push(sig.norm);
+    for (let t = 0; t < sig.idx.length; t++) {
+      let list = this.lists.get(sig.idx[t]);
+      if (!list) {
+        list = { ids: [], vals: [] };
+        this.lists.set(sig.idx[t], list);
+      }
+      list.ids.push(id);
+      list.vals.push(sig.val[t]);
+    }
+    return id;
+  }
+
+  // Cosine distances of q to the signatures sharing a position with it
+  // (other than `skip`), passed to visit(id, distance); returns their count
+  overlapping(q, visit, skip = -1, eps = 1e-12) {
+    if (this.dots.length < this.size) {
+      this.dots = new Float64Array(Math.max(this.size, 2 * this.dots.length));
+      this.seen = new Uint32Array(this.dots.length);
+      this.stamp = 0;
+    }
+    if (++this.stamp === 0xffffffff) {
+      this.seen.fill(0);
+      this.stamp = 1;
+    }
+    const { dots, seen, stamp } = this;
+    const touched = [];
+    for (let t = 0; t < q.idx.length; t++) {
+      const list = this.lists.get(q.idx[t]);
+      if (!list) continue;
+      const qv = q.val[t];
+      const { ids, vals } = list;
+      for (let e = 0; e < ids.length; e++) {
+        const id = ids[e];
+        if (id === skip) continue;
+        if (seen[id] !== stamp) {
+          seen[id] = stamp;
+          dots[id] = 0;
+          touched.push(id);
+        }
+        dots[id] += qv * vals[e];
+      }
+    }
+    for (const id of touched) {
+      const denom = (q.norm + eps) * (this.norms[id] + eps);
+      visit(id, 1 - (denom > 0 ? dots[id] / denom : 0));
+    }
+    return touched.length;
+  }
+
+  // Mean distance from q to its kNN nearest indexed signatures
+  kNearestMean(q, kNN, skip = -1) {
+    const others = this.size - (skip >= 0 && skip < this.size ? 1 : 0);
+    const nearest = new NearestK(Math.min(kNN, others));
+    const overlapping = this.overlapping(q, (_, d) => nearest.push(d), skip);
+    nearest.pushRepeated(1, others - overlapping);
+    return nearest.mean();
+  }
+}
+
+// Serialized detector format, bumped on incompatible changes to toJSON
+export const USAD_FORMAT = 1;
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+
+function fromHex(hex) {
+  if (typeof hex !== "string" || !/^(?:[0-9a-f]{2})*$/i.test(hex)) throw new Error("salt must be a hex string");
+  return Uint8Array.from(hex.match(/../g) ?? [], h => parseInt(h, 16));
+}
+
 // Main Detector
 export class USADetector {
-  constructor({ dim = 4096, k = 16, alpha = 0.1, kNN = 25, hashing, clipQuantile = 0.95 } = {}) {
+  /**
+   * neighbors: "indexed" (inverted index over the calibration signatures)
+   * or "exact" (scan them all); both give the same scores
+   */
+  constructor({ dim = 4096, k = 16, alpha = 0.1, kNN = 25, hashing, clipQuantile = 0.95, neighbors = "indexed" } = {}) {
+    if (!NEIGHBOR_SEARCH.includes(neighbors)) {
+      throw new Error(`neighbors must be one of ${NEIGHBOR_SEARCH.join(", ")}`);
+    }
     this.hashing = hashing ?? { dim, salt1: DEFAULT_SALT1, salt2: DEFAULT_SALT2, useDoubleHash: true };
     this.k = k;
     this.alpha = alpha;
     this.kNN = kNN;
     this.clip = clipQuantile;
+    this.neighbors = neighbors;
     this.calSigs = [];
     this.calScores = [];
+    this.calTags = null;
     this.thr = undefined;
+    this._search = null;
   }
 
   encode(x) {
     return encodeSparseSignature(x, { k: this.k, hashing: this.hashing, clipQuantile: this.clip });
   }
 
-  calibrate(calibration) {
-    this.calSigs = [];
-    for (const v of calibration) {
-      this.calSigs.push(this.encode(v));
+  // Index over calSigs, rebuilt when calSigs is replaced, extended when it grows
+  _postings() {
+    const sigs = this.calSigs;
+    if (!this._search || this._search.sigs !== sigs || this._search.postings.size > sigs.length) {
+      this._search = { sigs, postings: new SparsePostingIndex() };
     }
-    const n = this.calSigs.length;
-    if (n === 0) throw new Error("need calibration vectors");
+    const { postings } = this._search;
+    while (postings.size < sigs.length) postings.add(sigs[postings.size]);
+    return postings;
+  }
 
-    this.calScores = new Array(n).fill(0);
-    for (let i = 0; i < n; i++) {
+  // Mean distance from sig to its kNN nearest calibration signatures, leaving out calSigs[skip]
+  _kNearestMean(sig, skip = -1) {
+    if (this.neighbors === "exact") {
       const dists = [];
-      for (let j = 0; j < n; j++) {
-        if (i === j) continue;
-        dists.push(distanceSparse(this.calSigs[i], this.calSigs[j]));
-      }
-      if (dists.length === 0) {
-        this.calScores[i] = 0;
-        continue;
+      for (let j = 0; j < this.calSigs.length; j++) {
+        if (j !== skip) dists.push(distanceSparse(sig, this.calSigs[j]));
       }
+      if (dists.length === 0) return 0;
       dists.sort((a, b) => a - b);
       const kEff = Math.min(this.kNN, dists.length);
-      this.calScores[i] = dists.slice(0, kEff).reduce((s, v) => s + v, 0) / kEff;
+      return dists.slice(0, kEff).reduce((s, v) => s + v, 0) / kEff;
+    }
+
+    return this._postings().kNearestMean(sig, this.kNN, skip);
+  }
+
+  /**
+   * tags: optional regime tag per calibration vector. Tagged (Mondrian)
+   * calibration ranks a query only among calibration scores of its own tag,
+   * so p-values and thresholds hold per regime, not just on average.
+   */
+  calibrate(calibration, { tags } = {}) {
+    this.calSigs = [];
+    for (const v of calibration) {
+      this.calSigs.push(this.encode(v));
     }
+    const n = this.calSigs.length;
+    if (n === 0) throw new Error("need calibration vectors");
+    if (tags && tags.length !== n) throw new Error(`${tags.length} tags for ${n} calibration vectors`);
+
+    this.calScores = this.calSigs.map((sig, i) => this._kNearestMean(sig, i));
+    this.calTags = tags ? tags.map(String) : null;
     this.thr = conformalQuantile(this.calScores, this.alpha);
     return this.thr;
   }
 
   nonconformity(x) {
     if (this.calSigs.length === 0) throw new Error("not calibrated");
-    const sx = this.encode(x);
-    const dists = this.calSigs.map(s => distanceSparse(sx, s)).sort((a, b) => a - b);
-    const kEff = Math.min(this.kNN, dists.length);
-    return dists.slice(0, kEff).reduce((s, v) => s + v, 0) / kEff;
+    return this._kNearestMean(this.encode(x));
+  }
+
+  // Calibration scores a query with this tag is ranked among
+  _referenceScores(tag) {
+    if (tag === undefined || !this.calTags) return this.calScores;
+    const scores = this.calScores.filter((_, i) => this.calTags[i] === String(tag));
+    if (scores.length === 0) throw new Error(`no calibration scores for regime ${tag}`);
+    return scores;
   }
 
-  threshold() {
+  threshold(tag) {
     if (this.thr === undefined) throw new Error("threshold not set");
-    return this.thr;
+    return tag === undefined || !this.calTags ? this.thr : conformalQuantile(this._referenceScores(tag), this.alpha);
+  }
+
+  pValue(x, { tag, smoothed, random } = {}) {
+    return conformalPValue(this._referenceScores(tag), this.nonconformity(x), { smoothed, random });
   }
 
-  predict(x) {
+  predict(x, { tag, smoothed, random } = {}) {
     const s = this.nonconformity(x);
-    const t = this.threshold();
-    return { isAnomaly: s > t, score: s, threshold: t };
+    const t = this.threshold(tag);
+    const pValue = conformalPValue(this._referenceScores(tag), s, { smoothed, random });
+    return { isAnomaly: s > t, score: s, threshold: t, pValue };
+  }
+
+  /**
+   * Score a trace of windows and flag anomalous ones with false discovery
+   * rate control (method "bh" or "storey" at level q, default alpha) instead
+   * of a per-window alpha
+   */
+  scoreTrace(windows, { q = this.alpha, method = "bh", lambda, tags, smoothed, random } = {}) {
+    if (tags && tags.length !== windows.length) throw new Error(`${tags.length} tags for ${windows.length} windows`);
+    const scored = windows.map((x, index) => {
+      const tag = tags?.[index];
+      const score = this.nonconformity(x);
+      const pValue = conformalPValue(this._referenceScores(tag), score, { smoothed, random });
+      return tag === undefined ? { index, score, pValue } : { index, tag, score, pValue };
+    });
+    const { rejected, adjusted, ...fdr } = fdrControl(scored.map(w => w.pValue), { q, method, lambda });
+    return {
+      ...fdr,
+      windows: scored.map((w, i) => ({ ...w, adjusted: adjusted[i], discovery: rejected[i] }))
+    };
   }
 
-  updateIfNormal(x) {
-    const { isAnomaly } = this.predict(x);
+  updateIfNormal(x, { tag } = {}) {
+    if (this.calTags && tag === undefined) throw new Error("tag required by a tagged calibration");
+    const { isAnomaly } = this.predict(x, { tag });
     if (isAnomaly) return false;
     const sx = this.encode(x);
+    const newScore = this._kNearestMean(sx);
     this.calSigs.push(sx);
-    const dists = this.calSigs.slice(0, -1).map(s => distanceSparse(sx, s)).sort((a, b) => a - b);
-    const kEff = Math.min(this.kNN, dists.length);
-    const newScore = dists.length ? dists.slice(0, kEff).reduce((s, v) => s + v, 0) / kEff : 0;
     this.calScores.push(newScore);
+    this.calTags?.push(String(tag));
     this.thr = conformalQuantile(this.calScores, this.alpha);
     return true;
   }
+
+  /**
+   * Plain-object form of the detector, calibration included: config, hashing
+   * (salts as hex), calibration signatures, scores, tags and threshold. Numbers are
+   * kept at full precision, so a restored detector scores exactly the same.
+   */
+  toJSON() {
+    return {
+      format: USAD_FORMAT,
+      config: {
+        k: this.k,
+        alpha: this.alpha,
+        kNN: this.kNN,
+        clipQuantile: this.clip,
+        neighbors: this.neighbors
+      },
+      hashing: {
+        dim: this.hashing.dim,
+        salt1: toHex(this.hashing.salt1 ?? DEFAULT_SALT1),
+        salt2: toHex(this.hashing.salt2 ?? DEFAULT_SALT2),
+        useDoubleHash: this.hashing.useDoubleHash ?? true
+      },
+      calSigs: this.calSigs.map(s => ({ idx: Array.from(s.idx), val: Array.from(s.val), norm: s.norm })),
+      calScores: this.calScores.slice(),
+      calTags: this.calTags?.slice() ?? null,
+      thr: this.thr ?? null
+    };
+  }
+
+  /**
+   * Rebuild a detector from toJSON() output (or its JSON string)
+   */
+  static fromJSON(data) {
+    const state = typeof data === "string" ? JSON.parse(data) : data;
+    if (!state || typeof state.format !== "number") throw new Error("not a serialized USAD detector");
+    if (state.format > USAD_FORMAT) {
+      throw new Error(`USAD detector format ${state.format} is newer than supported (${USAD_FORMAT})`);
+    }
+    const { config, hashing } = state;
+    const calSigs = state.calSigs ?? [];
+    const calScores = state.calScores ?? [];
+    if (calSigs.length !== calScores.length) {
+      throw new Error(`${calScores.length} calibration scores for ${calSigs.length} signatures`);
+    }
+    if (state.calTags && state.calTags.length !== calSigs.length) {
+      throw new Error(`${state.calTags.length} calibration tags for ${calSigs.length} signatures`);
+    }
+
+    const detector = new USADetector({
+      ...config,
+      hashing: {
+        dim: hashing.dim,
+        salt1: fromHex(hashing.salt1),
+        salt2: fromHex(hashing.salt2),
+        useDoubleHash: hashing.useDoubleHash
+      }
+    });
+    detector.calSigs = calSigs.map(s => ({ idx: Int32Array.from(s.idx), val: Float64Array.from(s.val), norm: s.norm }));
+    detector.calScores = calScores.slice();
+    detector.calTags = state.calTags?.slice() ?? null;
+    detector.thr = state.thr ?? undefined;
+    return detector;
+  }
 }
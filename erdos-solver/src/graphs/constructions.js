@@ -0,0 +1,150 @@
+import { Graph } from './graph.js';
+import { Hypergraph, combinations } from './hypergraph.js';
+import { isPrime } from '../sequences/primes.js';
+import { rngLCG } from '../encoders/kk-kernel.js';
+
+/**
+ * Named graph and hypergraph constructions, mirroring the sequence registry:
+ * createGraph({ name: 'paley', q: 17 }).
+ */
+
+const constructions = new Map();
+
+export function registerGraph(name, description, build) {
+  constructions.set(name, { description, build });
+}
+
+export function listGraphs() {
+  return [...constructions.entries()].map(([name, { description }]) => ({ name, description }));
+}
+
+/**
+ * Build a named construction; Graph and Hypergraph instances pass through
+ */
+export function createGraph(spec) {
+  if (spec instanceof Graph || spec instanceof Hypergraph) return spec;
+  if (spec?.type === 'graph') return Graph.fromJSON(spec);
+  if (spec?.type === 'hypergraph') return Hypergraph.fromJSON(spec);
+
+  const { name, ...options } = spec || {};
+  const construction = constructions.get(name);
+  if (!construction) {
+    throw new Error(`Unknown graph: ${name}. Known graphs: ${[...constructions.keys()].join(', ')}`);
+  }
+  return construction.build(options);
+}
+
+function requireCount(value, label, min = 0) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${label} must be an integer >= ${min}`);
+  }
+  return value;
+}
+
+registerGraph('complete', 'Complete graph K_n (options: n)', ({ n }) => {
+  requireCount(n, 'n');
+  return Graph.fromEdges(n, combinations(n, 2));
+});
+
+registerGraph('empty', 'Graph with n vertices and no edges (options: n)', ({ n }) => new Graph(requireCount(n, 'n')));
+
+registerGraph('cycle', 'Cycle C_n (options: n >= 3)', ({ n }) => {
+  requireCount(n, 'n', 3);
+  return Graph.fromEdges(n, Array.from({ length: n }, (_, i) => [i, (i + 1) % n]));
+});
+
+registerGraph('path', 'Path P_n on n vertices (options: n)', ({ n }) => {
+  requireCount(n, 'n', 1);
+  return Graph.fromEdges(n, Array.from({ length: n - 1 }, (_, i) => [i, i + 1]));
+});
+
+registerGraph('complete-bipartite', 'Complete bipartite graph K_{a,b} (options: a, b)', ({ a, b }) => {
+  requireCount(a, 'a');
+  requireCount(b, 'b');
+  const edges = [];
+  for (let i = 0; i < a; i++) {
+    for (let j = 0; j < b; j++) edges.push([i, a + j]);
+  }
+  return Graph.fromEdges(a + b, edges);
+});
+
+registerGraph('turan', 'Turán graph T(n, r): complete r-partite with near-equal parts (options: n, r)', ({ n, r }) => {
+  requireCount(n, 'n');
+  requireCount(r, 'r', 1);
+  const graph = new Graph(n);
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) {
+      if (u % r !== v % r) graph.addEdge(u, v);
+    }
+  }
+  return graph;
+});
+
+registerGraph('hypercube', 'Hypercube Q_d (options: d)', ({ d }) => {
+  requireCount(d, 'd');
+  const n = 2 ** d;
+  const edges = [];
+  for (let v = 0; v < n; v++) {
+    for (let bit = 0; bit < d; bit++) {
+      const u = v ^ (1 << bit);
+      if (v < u) edges.push([v, u]);
+    }
+  }
+  return Graph.fromEdges(n, edges);
+});
+
+registerGraph('kneser', 'Kneser graph K(n, k): k-subsets adjacent when disjoint (options: n, k)', ({ n, k }) => {
+  requireCount(n, 'n');
+  requireCount(k, 'k', 1);
+  const subsets = combinations(n, k);
+  const graph = new Graph(subsets.length);
+  for (let i = 0; i < subsets.length; i++) {
+    for (let j = i + 1; j < subsets.length; j++) {
+      if (!subsets[i].some(v => subsets[j].includes(v))) graph.addEdge(i, j);
+    }
+  }
+  return graph;
+});
+
+registerGraph('petersen', 'Petersen graph, the Kneser graph K(5, 2)', () => createGraph({ name: 'kneser', n: 5, k: 2 }));
+
+/**
+ * Paley graph on Z_q for a prime q ≡ 1 (mod 4): x ~ y when x - y is a nonzero
+ * square. Self-complementary; q = 17 witnesses R(4, 4) > 17.
+ */
+registerGraph('paley', 'Paley graph on Z_q, q prime ≡ 1 mod 4 (options: q)', ({ q }) => {
+  if (!isPrime(q) || q % 4 !== 1) {
+    throw new Error('Paley graphs need a prime q ≡ 1 (mod 4)');
+  }
+  const squares = new Set();
+  for (let x = 1; x < q; x++) squares.add((x * x) % q);
+  const graph = new Graph(q);
+  for (let u = 0; u < q; u++) {
+    for (let v = u + 1; v < q; v++) {
+      if (squares.has(v - u)) graph.addEdge(u, v);
+    }
+  }
+  return graph;
+});
+
+registerGraph('random', 'Erdős-Rényi G(n, p) (options: n, p, seed)', ({ n, p = 0.5, seed = 1 }) => {
+  requireCount(n, 'n');
+  const rng = rngLCG(seed);
+  const graph = new Graph(n);
+  for (let u = 0; u < n; u++) {
+    for (let v = u + 1; v < n; v++) {
+      if (rng.next() < p) graph.addEdge(u, v);
+    }
+  }
+  return graph;
+});
+
+registerGraph('complete-hypergraph', 'Complete r-uniform hypergraph K_n^(r) (options: n, r)', ({ n, r }) => {
+  requireCount(n, 'n');
+  requireCount(r, 'r', 1);
+  return Hypergraph.complete(n, r);
+});
+
+registerGraph('fano', 'Fano plane: 3-uniform, 7 lines, not 2-colourable', () => new Hypergraph(7, [
+  [0, 1, 2], [0, 3, 4], [0, 5, 6], [1, 3, 5], [1, 4, 6], [2, 3, 6], [2, 4, 5]
+]));
@@ -0,0 +1,169 @@
+/**
+ * Simple undirected graph on vertices 0..n-1.
+ *
+ * Each vertex has a bitset row of neighbours (Uint32Array, one bit per
+ * vertex), so neighbourhood intersections in the clique and Ramsey searches
+ * are word-parallel.
+ */
+export class Graph {
+  // Largest order a Graph may have in this realm (the predicate sandbox
+  // lowers it, since the bitset rows live outside the V8 heap)
+  static maxVertices = Infinity;
+
+  /**
+   * @param {number} n - number of vertices
+   */
+  constructor(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('Number of vertices must be a non-negative integer');
+    }
+    if (n > Graph.maxVertices) {
+      throw new Error(`Graph has ${n} vertices, more than the limit of ${Graph.maxVertices}`);
+    }
+    this.n = n;
+    this.words = Math.max(1, Math.ceil(n / 32));
+    this.rows = Array.from({ length: n }, () => new Uint32Array(this.words));
+    this.edgeCount = 0;
+  }
+
+  static fromEdges(n, edges) {
+    const graph = new Graph(n);
+    for (const [u, v] of edges) graph.addEdge(u, v);
+    return graph;
+  }
+
+  /**
+   * From a symmetric 0/1 adjacency matrix
+   */
+  static fromAdjacency(matrix) {
+    const graph = new Graph(matrix.length);
+    for (let u = 0; u < matrix.length; u++) {
+      for (let v = u + 1; v < matrix.length; v++) {
+        if (matrix[u][v]) graph.addEdge(u, v);
+      }
+    }
+    return graph;
+  }
+
+  static fromJSON({ n, edges }) {
+    return Graph.fromEdges(n, edges);
+  }
+
+  hasEdge(u, v) {
+    return ((this.rows[u][v >>> 5] >>> (v & 31)) & 1) === 1;
+  }
+
+  addEdge(u, v) {
+    this._checkVertices(u, v);
+    if (this.hasEdge(u, v)) return;
+    this.rows[u][v >>> 5] |= 1 << (v & 31);
+    this.rows[v][u >>> 5] |= 1 << (u & 31);
+    this.edgeCount++;
+  }
+
+  removeEdge(u, v) {
+    this._checkVertices(u, v);
+    if (!this.hasEdge(u, v)) return;
+    this.rows[u][v >>> 5] &= ~(1 << (v & 31));
+    this.rows[v][u >>> 5] &= ~(1 << (u & 31));
+    this.edgeCount--;
+  }
+
+  toggleEdge(u, v) {
+    if (this.hasEdge(u, v)) this.removeEdge(u, v);
+    else this.addEdge(u, v);
+  }
+
+  neighbors(v) {
+    return bitsetMembers(this.rows[v]);
+  }
+
+  degree(v) {
+    return this.rows[v].reduce((sum, word) => sum + popcount(word), 0);
+  }
+
+  /**
+   * Edges as [u, v] pairs with u < v
+   */
+  edges() {
+    const edges = [];
+    for (let u = 0; u < this.n; u++) {
+      for (const v of this.neighbors(u)) {
+        if (u < v) edges.push([u, v]);
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Fraction of the n(n-1)/2 possible edges present
+   */
+  density() {
+    return this.n < 2 ? 0 : this.edgeCount / (this.n * (this.n - 1) / 2);
+  }
+
+  complement() {
+    const graph = new Graph(this.n);
+    for (let u = 0; u < this.n; u++) {
+      for (let v = u + 1; v < this.n; v++) {
+        if (!this.hasEdge(u, v)) graph.addEdge(u, v);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Subgraph induced on `vertices`, relabelled 0..k-1 in the given order
+   */
+  induced(vertices) {
+    const graph = new Graph(vertices.length);
+    for (let i = 0; i < vertices.length; i++) {
+      for (let j = i + 1; j < vertices.length; j++) {
+        if (this.hasEdge(vertices[i], vertices[j])) graph.addEdge(i, j);
+      }
+    }
+    return graph;
+  }
+
+  clone() {
+    const graph = new Graph(this.n);
+    graph.rows = this.rows.map(row => row.slice());
+    graph.edgeCount = this.edgeCount;
+    return graph;
+  }
+
+  toJSON() {
+    return { type: 'graph', n: this.n, edges: this.edges() };
+  }
+
+  _checkVertices(u, v) {
+    if (!(u >= 0 && u < this.n && v >= 0 && v < this.n && Number.isInteger(u) && Number.isInteger(v))) {
+      throw new Error(`Vertex out of range: (${u}, ${v}) with n = ${this.n}`);
+    }
+    if (u === v) {
+      throw new Error(`Loops are not allowed (vertex ${u})`);
+    }
+  }
+}
+
+export function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Set bits of a bitset, in increasing order
+ */
+export function bitsetMembers(bits) {
+  const members = [];
+  for (let w = 0; w < bits.length; w++) {
+    let word = bits[w];
+    while (word !== 0) {
+      const b = 31 - Math.clz32(word & -word);
+      word &= word - 1;
+      members.push(32 * w + b);
+    }
+  }
+  return members;
+}
@@ -0,0 +1,111 @@
+/**
+ * Hypergraph on vertices 0..n-1 with edges stored as sorted vertex arrays.
+ * Uniform hypergraphs (every edge of size r) are the usual setting for
+ * hypergraph Turán and property B problems.
+ */
+export class Hypergraph {
+  /**
+   * @param {number} n - number of vertices
+   * @param {number[][]} [edges]
+   */
+  constructor(n, edges = []) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('Number of vertices must be a non-negative integer');
+    }
+    this.n = n;
+    this.edgeList = [];
+    this.edgeKeys = new Set();
+    for (const edge of edges) this.addEdge(edge);
+  }
+
+  static fromJSON({ n, edges }) {
+    return new Hypergraph(n, edges);
+  }
+
+  /**
+   * Complete r-uniform hypergraph K_n^(r)
+   */
+  static complete(n, r) {
+    return new Hypergraph(n, combinations(n, r));
+  }
+
+  addEdge(edge) {
+    const sorted = [...new Set(edge)].sort((a, b) => a - b);
+    if (sorted.length !== edge.length) {
+      throw new Error(`Edge has repeated vertices: [${edge}]`);
+    }
+    if (sorted.some(v => !Number.isInteger(v) || v < 0 || v >= this.n)) {
+      throw new Error(`Vertex out of range in edge [${edge}] with n = ${this.n}`);
+    }
+    const key = sorted.join(',');
+    if (this.edgeKeys.has(key)) return;
+    this.edgeKeys.add(key);
+    this.edgeList.push(sorted);
+  }
+
+  hasEdge(edge) {
+    return this.edgeKeys.has([...edge].sort((a, b) => a - b).join(','));
+  }
+
+  edges() {
+    return this.edgeList.map(edge => [...edge]);
+  }
+
+  get edgeCount() {
+    return this.edgeList.length;
+  }
+
+  degree(v) {
+    return this.edgeList.filter(edge => edge.includes(v)).length;
+  }
+
+  /**
+   * Common edge size, or null if the edges have different sizes
+   */
+  uniformity() {
+    if (this.edgeList.length === 0) return null;
+    const r = this.edgeList[0].length;
+    return this.edgeList.every(edge => edge.length === r) ? r : null;
+  }
+
+  /**
+   * Fraction of the C(n, r) possible edges present (r-uniform only)
+   */
+  density() {
+    const r = this.uniformity();
+    if (r === null) return 0;
+    return this.edgeList.length / binomial(this.n, r);
+  }
+
+  toJSON() {
+    return { type: 'hypergraph', n: this.n, edges: this.edges() };
+  }
+}
+
+export function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) result = result * (n - i) / (i + 1);
+  return Math.round(result);
+}
+
+/**
+ * All k-subsets of 0..n-1 in lexicographic order
+ */
+export function combinations(n, k) {
+  const result = [];
+  const current = [];
+  const walk = (start) => {
+    if (current.length === k) {
+      result.push([...current]);
+      return;
+    }
+    for (let v = start; v <= n - (k - current.length); v++) {
+      current.push(v);
+      walk(v + 1);
+      current.pop();
+    }
+  };
+  walk(0);
+  return result;
+}
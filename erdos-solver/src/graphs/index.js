@@ -0,0 +1,24 @@
+export { Graph, popcount, bitsetMembers } from './graph.js';
+export { Hypergraph, binomial, combinations } from './hypergraph.js';
+export { createGraph, listGraphs, registerGraph } from './constructions.js';
+export {
+  vertexSet,
+  countCliques,
+  cliques,
+  findClique,
+  findIndependentSet,
+  maxClique,
+  cliqueNumber,
+  independenceNumber,
+  checkColoring,
+  findColoring,
+  chromaticNumber,
+  girth,
+  subgraphEmbeddings,
+  findSubgraph,
+  checkForbiddenSubgraphs,
+  checkHypergraphColoring,
+  findHypergraphColoring
+} from './properties.js';
+export { checkRamseyColoring, searchRamseyColoring } from './ramsey.js';
+export { degreeSequence, spectrum, subgraphCounts, graphInvariants, graphFeatures } from './invariants.js';
@@ -0,0 +1,108 @@
+import { create, all } from 'mathjs';
+import { popcount } from './graph.js';
+import { countCliques, girth } from './properties.js';
+import { binomial } from './hypergraph.js';
+
+const math = create(all);
+
+// Adjacency spectra are skipped above this many vertices (dense O(n^3))
+const MAX_SPECTRUM_VERTICES = 400;
+
+// Fixed-length profiles let graphs of different orders share encodings
+const PROFILE_POINTS = 16;
+
+export function degreeSequence(graph) {
+  return Array.from({ length: graph.n }, (_, v) => graph.degree(v)).sort((a, b) => b - a);
+}
+
+/**
+ * Adjacency eigenvalues in decreasing order, or null for large graphs
+ */
+export function spectrum(graph) {
+  if (graph.n === 0) return [];
+  if (graph.n > MAX_SPECTRUM_VERTICES) return null;
+  const matrix = Array.from({ length: graph.n }, (_, u) =>
+    Array.from({ length: graph.n }, (_, v) => (u !== v && graph.hasEdge(u, v) ? 1 : 0))
+  );
+  const { values } = math.eigs(matrix);
+  return Array.from(values.valueOf ? values.valueOf() : values).sort((a, b) => b - a);
+}
+
+/**
+ * Small subgraph counts: edges, wedges (paths on 3 vertices), triangles,
+ * 4-cycles and K4s
+ */
+export function subgraphCounts(graph) {
+  const degrees = degreeSequence(graph);
+  let codegreePairs = 0;
+  for (let u = 0; u < graph.n; u++) {
+    for (let v = u + 1; v < graph.n; v++) {
+      let common = 0;
+      for (let w = 0; w < graph.words; w++) {
+        common += popcount(graph.rows[u][w] & graph.rows[v][w]);
+      }
+      codegreePairs += common * (common - 1) / 2;
+    }
+  }
+
+  return {
+    edges: graph.edgeCount,
+    wedges: degrees.reduce((sum, d) => sum + d * (d - 1) / 2, 0),
+    triangles: countCliques(graph, 3),
+    // Each 4-cycle is counted once from each of its two diagonals
+    fourCycles: codegreePairs / 2,
+    k4: countCliques(graph, 4)
+  };
+}
+
+export function graphInvariants(graph) {
+  return {
+    n: graph.n,
+    density: graph.density(),
+    degrees: degreeSequence(graph),
+    spectrum: spectrum(graph),
+    counts: subgraphCounts(graph),
+    girth: girth(graph)
+  };
+}
+
+/**
+ * `points` evenly spaced order statistics of a sorted array
+ */
+function profile(sorted, points = PROFILE_POINTS) {
+  if (sorted.length === 0) return new Array(points).fill(0);
+  return Array.from({ length: points }, (_, i) =>
+    sorted[Math.round(i * (sorted.length - 1) / (points - 1))]
+  );
+}
+
+/**
+ * Scale-free feature vectors per invariant family, rounded to `step` so that
+ * similar graphs hash to the same sparse positions. Degrees are relative to
+ * the mean degree and eigenvalues to the largest one, so these two families
+ * describe shape; the subgraph family holds the absolute densities.
+ *
+ * @returns {{degrees: number[], spectrum: number[], subgraphs: number[]}}
+ */
+export function graphFeatures(invariants, { step = 0.05 } = {}) {
+  const { n, degrees, spectrum: eigenvalues, counts } = invariants;
+  const quantize = (x) => Math.round(x / step) * step;
+  const meanDegree = n > 0 ? degrees.reduce((a, b) => a + b, 0) / n : 0;
+  const largest = eigenvalues?.length > 0 ? eigenvalues[0] : 0;
+
+  const triples = binomial(n, 3);
+  const quadruples = binomial(n, 4);
+  const ratio = (count, total) => (total > 0 ? count / total : 0);
+
+  return {
+    degrees: profile(degrees.map(d => ratio(d, meanDegree))).map(quantize),
+    spectrum: eigenvalues ? profile(eigenvalues.map(x => ratio(x, largest))).map(quantize) : [],
+    subgraphs: [
+      invariants.density,
+      ratio(counts.wedges, 3 * triples),
+      ratio(counts.triangles, triples),
+      ratio(counts.fourCycles, 3 * quadruples),
+      ratio(counts.k4, quadruples)
+    ].map(quantize)
+  };
+}
@@ -0,0 +1,378 @@
+import { Graph, popcount, bitsetMembers } from './graph.js';
+import { Violations } from '../tools/violations.js';
+
+/**
+ * Graph and hypergraph property checkers: cliques, independent sets,
+ * colourings, girth and forbidden subgraphs. Checkers return the same
+ * `{ valid, violationCount, violations, truncated }` shape as the additive
+ * checkers in src/tools/additive.js.
+ */
+
+function allVertices(graph) {
+  const bits = new Uint32Array(graph.words);
+  for (let v = 0; v < graph.n; v++) bits[v >>> 5] |= 1 << (v & 31);
+  return bits;
+}
+
+function intersect(a, b) {
+  const result = new Uint32Array(a.length);
+  for (let w = 0; w < a.length; w++) result[w] = a[w] & b[w];
+  return result;
+}
+
+function bitCount(bits) {
+  let count = 0;
+  for (let w = 0; w < bits.length; w++) count += popcount(bits[w]);
+  return count;
+}
+
+function clearBit(bits, v) {
+  bits[v >>> 5] &= ~(1 << (v & 31));
+}
+
+/**
+ * Vertex bitset of a list of vertices
+ */
+export function vertexSet(graph, vertices) {
+  const bits = new Uint32Array(graph.words);
+  for (const v of vertices) bits[v >>> 5] |= 1 << (v & 31);
+  return bits;
+}
+
+/**
+ * Number of k-cliques, optionally only among the vertices of `candidates`
+ * (a bitset from vertexSet)
+ */
+export function countCliques(graph, k, candidates = allVertices(graph)) {
+  if (k === 0) return 1;
+  if (k === 1) return bitCount(candidates);
+
+  let count = 0;
+  const remaining = candidates.slice();
+  const members = bitsetMembers(candidates);
+  for (let i = 0; i + k <= members.length; i++) {
+    const v = members[i];
+    clearBit(remaining, v);
+    const next = intersect(remaining, graph.rows[v]);
+    count += k === 2 ? bitCount(next) : countCliques(graph, k - 1, next);
+  }
+  return count;
+}
+
+/**
+ * k-cliques in increasing vertex order
+ */
+export function* cliques(graph, k, candidates = allVertices(graph), clique = []) {
+  if (clique.length === k) {
+    yield [...clique];
+    return;
+  }
+  const members = bitsetMembers(candidates);
+  const remaining = candidates.slice();
+  for (let i = 0; clique.length + members.length - i >= k; i++) {
+    const v = members[i];
+    clearBit(remaining, v);
+    clique.push(v);
+    yield* cliques(graph, k, intersect(remaining, graph.rows[v]), clique);
+    clique.pop();
+  }
+}
+
+/**
+ * A k-clique (vertex list) or null
+ */
+export function findClique(graph, k, candidates) {
+  const { value, done } = cliques(graph, k, candidates).next();
+  return done ? null : value;
+}
+
+export function findIndependentSet(graph, k) {
+  return findClique(graph.complement(), k);
+}
+
+/**
+ * Maximum clique by branch and bound
+ */
+export function maxClique(graph) {
+  let best = [];
+  const clique = [];
+
+  const expand = (candidates) => {
+    const members = bitsetMembers(candidates);
+    if (members.length === 0) {
+      if (clique.length > best.length) best = [...clique];
+      return;
+    }
+    const remaining = candidates.slice();
+    for (let i = 0; i < members.length; i++) {
+      if (clique.length + members.length - i <= best.length) return;
+      const v = members[i];
+      clearBit(remaining, v);
+      clique.push(v);
+      expand(intersect(remaining, graph.rows[v]));
+      clique.pop();
+    }
+  };
+
+  expand(allVertices(graph));
+  return best;
+}
+
+export function cliqueNumber(graph) {
+  return maxClique(graph).length;
+}
+
+export function independenceNumber(graph) {
+  return cliqueNumber(graph.complement());
+}
+
+/**
+ * Proper colouring check: violations are monochromatic edges
+ *
+ * @param {Graph} graph
+ * @param {number[]} colors - colour of each vertex
+ */
+export function checkColoring(graph, colors, { maxViolations = 100 } = {}) {
+  if (colors.length !== graph.n) {
+    throw new Error(`Expected ${graph.n} colours, got ${colors.length}`);
+  }
+  const violations = new Violations(maxViolations);
+  for (const [u, v] of graph.edges()) {
+    if (colors[u] === colors[v]) violations.add({ edge: [u, v], color: colors[u] });
+  }
+  return {
+    valid: violations.count === 0,
+    colors: new Set(colors).size,
+    ...violations.report()
+  };
+}
+
+/**
+ * Proper colouring with at most k colours (DSATUR backtracking), or null
+ */
+export function findColoring(graph, k) {
+  const n = graph.n;
+  const colors = new Array(n).fill(-1);
+  const neighbors = Array.from({ length: n }, (_, v) => graph.neighbors(v));
+
+  const pick = () => {
+    let best = -1;
+    let bestSaturation = -1;
+    for (let v = 0; v < n; v++) {
+      if (colors[v] !== -1) continue;
+      const saturation = new Set(neighbors[v].map(u => colors[u]).filter(c => c !== -1)).size;
+      if (saturation > bestSaturation ||
+        (saturation === bestSaturation && neighbors[v].length > neighbors[best].length)) {
+        best = v;
+        bestSaturation = saturation;
+      }
+    }
+    return best;
+  };
+
+  const assign = (colored, used) => {
+    if (colored === n) return true;
+    const v = pick();
+    // A fresh colour is only ever tried once: colours are interchangeable
+    for (let c = 0; c < Math.min(k, used + 1); c++) {
+      if (neighbors[v].some(u => colors[u] === c)) continue;
+      colors[v] = c;
+      if (assign(colored + 1, Math.max(used, c + 1))) return true;
+    }
+    colors[v] = -1;
+    return false;
+  };
+
+  return assign(0, 0) ? colors : null;
+}
+
+/**
+ * Chromatic number with an optimal colouring, searching upward from the
+ * clique number
+ */
+export function chromaticNumber(graph, { maxColors = graph.n } = {}) {
+  if (graph.n === 0) return { chromaticNumber: 0, coloring: [] };
+  for (let k = Math.max(1, cliqueNumber(graph)); k <= maxColors; k++) {
+    const coloring = findColoring(graph, k);
+    if (coloring) return { chromaticNumber: k, coloring };
+  }
+  return { chromaticNumber: null, coloring: null, exceeds: maxColors };
+}
+
+/**
+ * Length of a shortest cycle, or null for a forest
+ */
+export function girth(graph) {
+  let best = Infinity;
+  const dist = new Int32Array(graph.n);
+  const parent = new Int32Array(graph.n);
+
+  for (let source = 0; source < graph.n; source++) {
+    dist.fill(-1);
+    dist[source] = 0;
+    parent[source] = -1;
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const u = queue[head];
+      // Cycles found later through u are no shorter than 2 * dist + 1
+      if (2 * dist[u] + 1 >= best) break;
+      for (const w of graph.neighbors(u)) {
+        if (dist[w] === -1) {
+          dist[w] = dist[u] + 1;
+          parent[w] = u;
+          queue.push(w);
+        } else if (parent[u] !== w) {
+          best = Math.min(best, dist[u] + dist[w] + 1);
+        }
+      }
+    }
+  }
+  return best === Infinity ? null : best;
+}
+
+/**
+ * Embeddings (not necessarily induced) of `pattern` into `graph`, as arrays
+ * mapping pattern vertex i to a graph vertex
+ */
+export function* subgraphEmbeddings(graph, pattern) {
+  const order = searchOrder(pattern);
+  const patternNeighbors = Array.from({ length: pattern.n }, (_, v) => pattern.neighbors(v));
+  const mapping = new Array(pattern.n).fill(-1);
+  const used = new Uint8Array(graph.n);
+
+  function* place(index) {
+    if (index === order.length) {
+      yield [...mapping];
+      return;
+    }
+    const p = order[index];
+    const mapped = patternNeighbors[p].filter(q => mapping[q] !== -1).map(q => mapping[q]);
+    let candidates = allVertices(graph);
+    for (const u of mapped) candidates = intersect(candidates, graph.rows[u]);
+
+    for (const v of bitsetMembers(candidates)) {
+      if (used[v] || graph.degree(v) < patternNeighbors[p].length) continue;
+      mapping[p] = v;
+      used[v] = 1;
+      yield* place(index + 1);
+      used[v] = 0;
+    }
+    mapping[p] = -1;
+  }
+
+  yield* place(0);
+}
+
+/**
+ * Pattern vertices ordered so each one (after the first of its component)
+ * has an already placed neighbour
+ */
+function searchOrder(pattern) {
+  const order = [];
+  const seen = new Uint8Array(pattern.n);
+  const byDegree = Array.from({ length: pattern.n }, (_, v) => v)
+    .sort((a, b) => pattern.degree(b) - pattern.degree(a));
+
+  for (const start of byDegree) {
+    if (seen[start]) continue;
+    seen[start] = 1;
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      order.push(queue[head]);
+      for (const w of pattern.neighbors(queue[head])) {
+        if (!seen[w]) {
+          seen[w] = 1;
+          queue.push(w);
+        }
+      }
+    }
+  }
+  return order;
+}
+
+/**
+ * A copy of `pattern` in `graph` as a vertex mapping, or null
+ */
+export function findSubgraph(graph, pattern) {
+  const { value, done } = subgraphEmbeddings(graph, pattern).next();
+  return done ? null : value;
+}
+
+/**
+ * F-freeness for a list of forbidden patterns. Each distinct copy (edge set)
+ * is a violation; the enumeration stops once `maxViolations` copies are
+ * listed, so `violationCount` is a lower bound when `truncated` is set.
+ *
+ * @param {Graph} graph
+ * @param {Array<Graph|{name: string, graph: Graph}>} patterns
+ */
+export function checkForbiddenSubgraphs(graph, patterns, { maxViolations = 100 } = {}) {
+  const violations = new Violations(maxViolations);
+  let truncated = false;
+
+  for (const [index, entry] of patterns.entries()) {
+    const pattern = entry instanceof Graph ? entry : entry.graph;
+    const name = entry instanceof Graph ? `pattern ${index}` : entry.name;
+    const seen = new Set();
+
+    for (const mapping of subgraphEmbeddings(graph, pattern)) {
+      const edges = pattern.edges()
+        .map(([u, v]) => [mapping[u], mapping[v]].sort((a, b) => a - b))
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      const key = edges.join(';');
+      if (seen.has(key)) continue;
+      if (violations.full) {
+        truncated = true;
+        break;
+      }
+      seen.add(key);
+      violations.add({ pattern: name, vertices: mapping, edges });
+    }
+    if (truncated) break;
+  }
+
+  return { valid: violations.count === 0, ...violations.report(), truncated };
+}
+
+/**
+ * Hypergraph colouring check (property B for two colours): violations are
+ * monochromatic edges
+ */
+export function checkHypergraphColoring(hypergraph, colors, { maxViolations = 100 } = {}) {
+  if (colors.length !== hypergraph.n) {
+    throw new Error(`Expected ${hypergraph.n} colours, got ${colors.length}`);
+  }
+  const violations = new Violations(maxViolations);
+  for (const edge of hypergraph.edgeList) {
+    if (edge.length > 1 && edge.every(v => colors[v] === colors[edge[0]])) {
+      violations.add({ edge: [...edge], color: colors[edge[0]] });
+    }
+  }
+  return { valid: violations.count === 0, ...violations.report() };
+}
+
+/**
+ * Colouring of a hypergraph with k colours and no monochromatic edge, or null
+ */
+export function findHypergraphColoring(hypergraph, k = 2) {
+  const n = hypergraph.n;
+  const colors = new Array(n).fill(-1);
+  // Edges are checked once their largest vertex is coloured
+  const closing = Array.from({ length: n }, () => []);
+  for (const edge of hypergraph.edgeList) {
+    if (edge.length > 1) closing[edge[edge.length - 1]].push(edge);
+  }
+
+  const assign = (v, used) => {
+    if (v === n) return true;
+    for (let c = 0; c < Math.min(k, used + 1); c++) {
+      colors[v] = c;
+      if (closing[v].some(edge => edge.every(u => colors[u] === c))) continue;
+      if (assign(v + 1, Math.max(used, c + 1))) return true;
+    }
+    colors[v] = -1;
+    return false;
+  };
+
+  return assign(0, 0) ? colors : null;
+}
@@ -0,0 +1,125 @@
+import { Graph } from './graph.js';
+import { createGraph } from './constructions.js';
+import { countCliques, cliques, findClique } from './properties.js';
+import { Violations } from '../tools/violations.js';
+import { rngLCG } from '../encoders/kk-kernel.js';
+
+/**
+ * Two-colour Ramsey colourings of K_n. A colouring is a Graph whose edges are
+ * red and whose non-edges are blue; it witnesses R(s, t) > n when it has no
+ * red K_s and no blue K_t.
+ */
+
+/**
+ * Violations are the red s-cliques and blue t-cliques
+ */
+export function checkRamseyColoring(graph, s, t, { maxViolations = 100 } = {}) {
+  const violations = new Violations(maxViolations);
+  const blue = graph.complement();
+
+  for (const [color, coloring, k] of [['red', graph, s], ['blue', blue, t]]) {
+    const count = countCliques(coloring, k);
+    let listed = 0;
+    for (const clique of cliques(coloring, k)) {
+      if (violations.full) break;
+      violations.add({ color, vertices: clique });
+      listed++;
+    }
+    violations.count += count - listed;
+  }
+
+  return { valid: violations.count === 0, n: graph.n, s, t, ...violations.report() };
+}
+
+/**
+ * Change in the number of monochromatic cliques when edge uv switches colour:
+ * cliques through uv in its old colour disappear, ones in the new colour appear
+ */
+function flipDelta(red, blue, s, t, u, v) {
+  const [from, to, kFrom, kTo] = red.hasEdge(u, v) ? [red, blue, s, t] : [blue, red, t, s];
+  const common = (g) => g.rows[u].map((word, w) => word & g.rows[v][w]);
+  return countCliques(to, kTo - 2, common(to)) - countCliques(from, kFrom - 2, common(from));
+}
+
+/**
+ * Some monochromatic clique, starting the search from a random vertex
+ */
+function randomViolation(red, blue, s, t, rng) {
+  const n = red.n;
+  const offset = rng.nextInt(n);
+  const colors = rng.next() < 0.5 ? [[red, s], [blue, t]] : [[blue, t], [red, s]];
+  for (let i = 0; i < n; i++) {
+    const v = (offset + i) % n;
+    for (const [coloring, k] of colors) {
+      const rest = findClique(coloring, k - 1, coloring.rows[v]);
+      if (rest) return [v, ...rest];
+    }
+  }
+  return null;
+}
+
+/**
+ * Local search for a colouring of K_n with no red K_s and no blue K_t.
+ *
+ * Each step takes a monochromatic clique and recolours one of its edges:
+ * the one that most reduces the number of monochromatic cliques (skipping
+ * recently flipped edges), or a random one with probability `noise`.
+ *
+ * @param {number} n
+ * @param {number} s
+ * @param {number} t
+ * @param {object} [options]
+ * @param {number} [options.maxSteps=100000]
+ * @param {number} [options.seed=1]
+ * @param {number} [options.noise=0.2]
+ * @param {number} [options.tabu=10] - steps before an edge may be flipped back
+ * @param {Graph|object} [options.initial] - starting colouring (graph or named construction)
+ * @returns {{found: boolean, n: number, s: number, t: number, steps: number, cost: number, coloring: Graph}}
+ *   `coloring` is the best colouring seen and `cost` its number of monochromatic cliques
+ */
+export function searchRamseyColoring(n, s, t, { maxSteps = 100000, seed = 1, noise = 0.2, tabu = 10, initial } = {}) {
+  if (!Number.isInteger(s) || !Number.isInteger(t) || s < 2 || t < 2) {
+    throw new Error('s and t must be integers >= 2');
+  }
+  const rng = rngLCG(seed);
+  const red = initial ? createGraph(initial).clone() : createGraph({ name: 'random', n, seed });
+  if (!(red instanceof Graph) || red.n !== n) {
+    throw new Error(`Initial colouring must be a graph on ${n} vertices`);
+  }
+  const blue = red.complement();
+
+  let cost = countCliques(red, s) + countCliques(blue, t);
+  let best = { cost, coloring: red.clone() };
+  const flippedAt = new Map();
+  let steps = 0;
+
+  while (cost > 0 && steps < maxSteps) {
+    steps++;
+    const clique = randomViolation(red, blue, s, t, rng);
+    const edges = [];
+    for (let i = 0; i < clique.length; i++) {
+      for (let j = i + 1; j < clique.length; j++) edges.push([clique[i], clique[j]]);
+    }
+
+    let choice;
+    if (rng.next() < noise) {
+      const edge = edges[rng.nextInt(edges.length)];
+      choice = { edge, delta: flipDelta(red, blue, s, t, ...edge) };
+    } else {
+      const scored = edges.map(edge => ({ edge, delta: flipDelta(red, blue, s, t, ...edge) }));
+      const allowed = scored.filter(({ edge, delta }) =>
+        cost + delta < best.cost || steps - (flippedAt.get(edge.join(',')) ?? -Infinity) > tabu
+      );
+      choice = (allowed.length > 0 ? allowed : scored).reduce((a, b) => (b.delta < a.delta ? b : a));
+    }
+
+    const [u, v] = choice.edge;
+    red.toggleEdge(u, v);
+    blue.toggleEdge(u, v);
+    cost += choice.delta;
+    flippedAt.set(choice.edge.join(','), steps);
+    if (cost < best.cost) best = { cost, coloring: red.clone() };
+  }
+
+  return { found: best.cost === 0, n, s, t, steps, cost: best.cost, coloring: best.coloring };
+}
@@ -0,0 +1,78 @@
+import { permanentError } from './job-queue.js';
+import { loadProblem, loadConjecture, recordCounterexample } from '../api/db.js';
+import { clampSearchBudget } from '../tools/verifier.js';
+
+/**
+ * Job handlers for the work that outgrows a single request: problem
+ * analysis, encoding long sequences and counterexample searches.
+ *
+ * @param {object} deps
+ * @param {Function} deps.getAgents - lazily builds { analyst, ... } (needs a provider)
+ * @param {object} deps.encoder - MathObjectEncoder
+ * @param {object} deps.verifier - ComputationalVerifier
+ * @param {object} [deps.DB] - D1 binding
+ * @param {object} [deps.CACHE] - KV binding for the analysis cache
+ */
+export function createJobHandlers({ getAgents, encoder, verifier, DB = null, CACHE = null }) {
+  return {
+    async analyze({ problemId, problem: inline }) {
+      const problem = DB ? await loadProblem(DB, problemId) : inline;
+      if (!problem) {
+        throw permanentError(`Problem ${problemId} not found`);
+      }
+
+      const result = await getAgents().analyst.analyze(problem, encoder);
+      if (CACHE) {
+        await CACHE.put(`analysis:${problem.id}`, result.text, { expirationTtl: 86400 });
+      }
+
+      return {
+        analysis: result.text,
+        iterations: result.iterations,
+        stopReason: result.stopReason,
+        toolCalls: result.toolCalls.map(t => ({ name: t.name, input: t.input, isError: t.isError }))
+      };
+    },
+
+    async encode({ sequence, type = 'gaps' }, { signal }) {
+      if (!Array.isArray(sequence) || sequence.some(x => typeof x !== 'number')) {
+        throw permanentError('sequence must be an array of numbers');
+      }
+
+      const encoded = await encoder.encodeSequence(sequence, type);
+      signal.throwIfAborted();
+      return encoded;
+    },
+
+    async counterexample({ conjectureId, expression, variables, ...options }) {
+      const conjecture = DB && conjectureId
+        ? await loadConjecture(DB, conjectureId)
+        : { id: conjectureId, expression, variables: variables || [] };
+      if (!conjecture) {
+        throw permanentError(`Conjecture ${conjectureId} not found`);
+      }
+      if (!conjecture.expression) {
+        throw permanentError('Conjecture has no expression to search');
+      }
+      let budget;
+      try {
+        budget = clampSearchBudget(options);
+      } catch (error) {
+        throw permanentError(error.message);
+      }
+
+      const search = verifier.searchCounterexamples(conjecture, {
+        strategies: options.strategies,
+        ...budget,
+        seed: options.seed,
+        arithmetic: options.arithmetic
+      });
+
+      const disproved = DB && conjectureId
+        ? await recordCounterexample(DB, conjectureId, search)
+        : Boolean(search.found && search.shrunk?.value === false);
+
+      return { search, disproved };
+    }
+  };
+}
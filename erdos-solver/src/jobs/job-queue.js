@@ -0,0 +1,203 @@
+/**
+ * Background jobs with retries and cancellation.
+ *
+ * The queue owns job state (in a MemoryJobStore or D1JobStore); an executor
+ * decides where jobs run. InProcessExecutor runs them in the current isolate,
+ * which is enough for local development and tests; a Cloudflare Queues
+ * consumer can call `queue.process(id)` instead.
+ */
+
+// Most attempts a job may be given; every retry waits twice as long
+export const MAX_JOB_ATTEMPTS = 10;
+
+/**
+ * Throw unless `maxAttempts` is an integer from 1 to MAX_JOB_ATTEMPTS: with
+ * fewer a job could never be claimed, with more its retries barely end
+ */
+export function checkMaxAttempts(maxAttempts) {
+  if (!(Number.isInteger(maxAttempts) && maxAttempts >= 1 && maxAttempts <= MAX_JOB_ATTEMPTS)) {
+    throw new Error(`maxAttempts must be an integer from 1 to ${MAX_JOB_ATTEMPTS}`);
+  }
+}
+
+/**
+ * Error that should not be retried (bad parameters, missing rows)
+ */
+export function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Runs submitted tasks in this process, at most `concurrency` at a time
+ */
+export class InProcessExecutor {
+  constructor({ concurrency = 1 } = {}) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.pending = [];
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue a task; the returned promise settles when the task has run
+   */
+  submit(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * Resolve once nothing is running or pending
+   */
+  onIdle() {
+    if (this.active === 0 && this.pending.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  _drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { task, resolve, reject } = this.pending.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._drain();
+          if (this.active === 0 && this.pending.length === 0) {
+            this.idleWaiters.splice(0).forEach(wake => wake());
+          }
+        });
+    }
+  }
+}
+
+export class JobQueue {
+  /**
+   * @param {object} options
+   * @param {object} options.store - MemoryJobStore | D1JobStore
+   * @param {Object<string, Function>} [options.handlers] - type -> async (params, { signal, attempt, job }) => result
+   * @param {object} [options.executor] - defaults to an InProcessExecutor
+   * @param {number} [options.retryDelayMs=1000] - first retry delay, doubled on each further attempt
+   */
+  constructor({ store, handlers = {}, executor = new InProcessExecutor(), retryDelayMs = 1000 }) {
+    this.store = store;
+    this.handlers = handlers;
+    this.executor = executor;
+    this.retryDelayMs = retryDelayMs;
+    this.controllers = new Map();
+  }
+
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Store a new job and hand it to the executor.
+   * Returns the queued job and a promise that settles when it stops running.
+   */
+  async enqueue(type, params = {}, { maxAttempts = 3 } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}. Known types: ${Object.keys(this.handlers).join(', ')}`);
+    }
+    checkMaxAttempts(maxAttempts);
+
+    const job = await this.store.create(type, params, { maxAttempts });
+    const done = this.executor.submit(() => this.process(job.id));
+    return { job, done };
+  }
+
+  async get(id) {
+    return await this.store.get(id);
+  }
+
+  /**
+   * Run a queued job until it succeeds, fails permanently, runs out of
+   * attempts or is cancelled. Never throws for handler failures.
+   */
+  async process(id) {
+    let job = await this.store.get(id);
+    if (!job || job.status !== 'queued') return job;
+
+    const handler = this.handlers[job.type];
+    if (!handler) {
+      await this._finish(id, { status: 'failed', error: `Unknown job type: ${job.type}` }, 'queued');
+      return await this.store.get(id);
+    }
+
+    while (true) {
+      const attempt = job.attempts + 1;
+      // Claim the job only if it is still queued: a cancel that landed
+      // since it was read must not be overwritten
+      const claimed = await this.store.update(id, {
+        status: 'running',
+        attempts: attempt,
+        started_at: job.started_at || new Date().toISOString()
+      }, { from: 'queued' });
+      if (!claimed) break;
+
+      const controller = new AbortController();
+      this.controllers.set(Number(id), controller);
+
+      try {
+        const result = await handler(job.params, { signal: controller.signal, attempt, job });
+        if (await this._cancelled(id, controller)) break;
+
+        await this._finish(id, { status: 'succeeded', result: result ?? null, error: null }, 'running');
+        break;
+      } catch (error) {
+        if (await this._cancelled(id, controller)) break;
+
+        if (error.permanent || attempt >= job.max_attempts) {
+          await this._finish(id, { status: 'failed', error: error.message }, 'running');
+          break;
+        }
+
+        await this.store.update(id, { status: 'queued', error: error.message }, { from: 'running' });
+      } finally {
+        this.controllers.delete(Number(id));
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+
+      // Cancelled while waiting for the retry
+      job = await this.store.get(id);
+      if (job.status !== 'queued') break;
+    }
+
+    return await this.store.get(id);
+  }
+
+  /**
+   * Cancel a queued or running job. Running handlers see their signal
+   * aborted; whatever they return afterwards is discarded.
+   * Returns null for unknown jobs and the unchanged job if it already finished.
+   */
+  async cancel(id) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+
+    await this._finish(id, { status: 'cancelled' }, ['queued', 'running']);
+    this.controllers.get(Number(id))?.abort();
+    return await this.store.get(id);
+  }
+
+  // Final status write, skipped if the job has left the `from` status(es)
+  async _finish(id, changes, from) {
+    return await this.store.update(id, { ...changes, finished_at: new Date().toISOString() }, { from });
+  }
+
+  async _cancelled(id, controller) {
+    if (controller.signal.aborted) return true;
+    // Cancelled from another isolate sharing the D1 store
+    const job = await this.store.get(id);
+    return job?.status === 'cancelled';
+  }
+}
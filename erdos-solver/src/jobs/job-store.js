@@ -0,0 +1,99 @@
+/**
+ * Storage for background jobs. D1JobStore persists to the jobs table;
+ * MemoryJobStore keeps jobs in the current isolate (local development and
+ * tests).
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const JSON_COLUMNS = ['params', 'result'];
+
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.nextId = 1;
+  }
+
+  async create(type, params = {}, { maxAttempts = 3 } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: this.nextId++,
+      type,
+      status: 'queued',
+      params,
+      result: null,
+      error: null,
+      attempts: 0,
+      max_attempts: maxAttempts,
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      updated_at: now
+    };
+    this.jobs.set(job.id, job);
+    return structuredClone(job);
+  }
+
+  /**
+   * Apply `changes` to a job; with `from`, only while its status is still
+   * `from` (a status or list of statuses). Returns whether the job changed.
+   */
+  async update(id, changes, { from } = {}) {
+    const job = this.jobs.get(Number(id));
+    if (!job) throw new Error(`Job ${id} not found`);
+    if (from !== undefined && ![from].flat().includes(job.status)) return false;
+    Object.assign(job, structuredClone(changes), { updated_at: new Date().toISOString() });
+    return true;
+  }
+
+  async get(id) {
+    const job = this.jobs.get(Number(id));
+    return job ? structuredClone(job) : null;
+  }
+}
+
+export class D1JobStore {
+  constructor(DB) {
+    this.DB = DB;
+  }
+
+  async create(type, params = {}, { maxAttempts = 3 } = {}) {
+    const inserted = await this.DB.prepare(
+      `INSERT INTO jobs (type, status, params, attempts, max_attempts)
+       VALUES (?, 'queued', ?, 0, ?)`
+    ).bind(type, JSON.stringify(params), maxAttempts).run();
+    return await this.get(inserted.meta?.last_row_id);
+  }
+
+  // Same contract as MemoryJobStore.update; `from` becomes part of the WHERE
+  // clause so a concurrent write from another isolate is never overwritten
+  async update(id, changes, { from } = {}) {
+    const columns = Object.keys(changes);
+    if (columns.length === 0) return false;
+    
+    const values = columns.map(col => (
+      JSON_COLUMNS.includes(col) && changes[col] !== null ? JSON.stringify(changes[col]) : changes[col]
+    ));
+    const statuses = from === undefined ? [] : [from].flat();
+    const updated = await this.DB.prepare(
+      `UPDATE jobs
+       SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?${statuses.length > 0 ? ` AND status IN (${statuses.map(() => '?').join(', ')})` : ''}`
+    ).bind(...values, id, ...statuses).run();
+    return (updated.meta?.changes ?? 0) > 0;
+  }
+
+  async get(id) {
+    const row = await this.DB.prepare(
+      'SELECT * FROM jobs WHERE id = ?'
+    ).bind(id).first();
+    
+    if (!row) return null;
+    
+    const job = { ...row };
+    for (const col of JSON_COLUMNS) {
+      if (typeof job[col] === 'string') job[col] = JSON.parse(job[col]);
+    }
+    return job;
+  }
+}
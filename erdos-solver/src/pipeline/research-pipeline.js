@@ -0,0 +1,266 @@
+import { parseProofPlan } from '../agents/proof-planner.js';
+import { insertConjecture, storeProofPlan, storeSignatures } from '../api/db.js';
+import { generateBoundedSequence, D1OeisStore } from '../sequences/index.js';
+import { SIGNATURE_ENCODINGS } from '../encoders/index.js';
+import { D1SignatureIndex } from '../encoders/signature-index.js';
+
+export const PIPELINE_STAGES = ['signatures', 'analysis', 'conjectures', 'verification', 'plans'];
+
+// Minimum lengths for the encoders to produce at least one window
+const MIN_GAP_TERMS = SIGNATURE_ENCODINGS.rh_trace.minTerms;
+const MIN_VALUE_TERMS = SIGNATURE_ENCODINGS.numerical.minTerms;
+
+/**
+ * End-to-end research run for one problem:
+ * signatures -> analysis -> conjectures -> verification -> plans.
+ *
+ * Every stage is recorded in the run store as it starts and finishes, so a
+ * client can poll progress and per-stage results while the run is going.
+ */
+export class ResearchPipeline {
+  /**
+   * @param {object} deps
+   * @param {object} deps.agents - { analyst, generator, planner }
+   * @param {object} deps.encoder - MathObjectEncoder
+   * @param {object} deps.verifier - ComputationalVerifier
+   * @param {object} deps.store - MemoryRunStore | D1RunStore
+   * @param {object} [deps.DB] - D1 binding; without it nothing is persisted besides the run
+   * @param {object} [deps.oeis] - sequence store for the generator, defaults to D1's
+   * @param {object} [deps.signatureIndex] - similarity index for the generator, defaults to D1's
+   */
+  constructor({ agents, encoder, verifier, store, DB = null, oeis, signatureIndex }) {
+    this.agents = agents;
+    this.encoder = encoder;
+    this.verifier = verifier;
+    this.store = store;
+    this.DB = DB;
+    this.oeis = oeis ?? (DB ? new D1OeisStore(DB) : null);
+    this.signatureIndex = signatureIndex ?? (DB ? new D1SignatureIndex(DB) : null);
+  }
+
+  /**
+   * Execute a queued run to completion. Never throws: failures are recorded
+   * on the run and the stage that raised them.
+   *
+   * @param {number} runId
+   * @param {object} problem - problem row with metadata
+   * @param {object} [options]
+   * @param {Object<string, number[]>} [options.sequences] - overrides problem.metadata.sequences
+   * @param {number} [options.maxPlans=3] - proof plans for at most this many survivors
+   * @param {boolean} [options.searchCounterexamples=true]
+   * @param {number} [options.maxEvaluations=2000] - counterexample search budget per conjecture
+   */
+  async run(runId, problem, options = {}) {
+    const stages = {};
+    const state = { problem, options };
+
+    await this.store.update(runId, { status: 'running', stages });
+
+    for (const stage of PIPELINE_STAGES) {
+      const started = Date.now();
+      stages[stage] = { status: 'running', startedAt: new Date(started).toISOString() };
+      await this.store.update(runId, { stage, stages });
+
+      try {
+        stages[stage].result = await this[`_${stage}`](state);
+        stages[stage].status = 'succeeded';
+      } catch (error) {
+        stages[stage].status = 'failed';
+        stages[stage].error = error.message;
+      }
+      stages[stage].durationMs = Date.now() - started;
+
+      if (stages[stage].status === 'failed') {
+        await this.store.update(runId, {
+          status: 'failed',
+          stages,
+          error: `${stage}: ${stages[stage].error}`
+        });
+        return;
+      }
+      await this.store.update(runId, { stages });
+    }
+
+    await this.store.update(runId, { status: 'succeeded', stage: null, stages });
+  }
+
+  async _signatures(state) {
+    const sequences = state.options.sequences || state.problem.metadata?.sequences || {};
+    const signalData = {};
+    const skipped = [];
+    const stored = [];
+
+    for (const [name, spec] of Object.entries(sequences)) {
+      let sequence;
+      try {
+        // Either explicit terms or a named generator spec ({ name, n | upTo })
+        sequence = Array.isArray(spec) ? spec : generateBoundedSequence(spec);
+      } catch (error) {
+        skipped.push({ name, reason: error.message });
+        continue;
+      }
+
+      const summary = { terms: sequence.length };
+      const source = { sequence: name, ...(Array.isArray(spec) ? { terms: spec.length } : { spec }) };
+      for (const [encoding, minTerms] of [['gaps', MIN_GAP_TERMS], ['values', MIN_VALUE_TERMS]]) {
+        if (sequence.length < minTerms) continue;
+        const encoded = await this.encoder.encodeSequence(sequence, encoding);
+        summary[encoding] = summarizeSignature(encoded);
+        if (this.DB) {
+          stored.push((await storeSignatures(this.DB, state.problem.id, encoded, source)).id);
+        }
+      }
+
+      if (!summary.gaps && !summary.values) {
+        skipped.push({ name, reason: `needs at least ${MIN_VALUE_TERMS} terms, got ${sequence.length}` });
+        continue;
+      }
+      signalData[name] = summary;
+    }
+
+    state.signalData = signalData;
+    return { encoded: Object.keys(signalData), skipped, stored, signalData };
+  }
+
+  async _analysis(state) {
+    const result = await this.agents.analyst.analyze(state.problem, this.encoder);
+    state.analysis = result.text;
+    return {
+      analysis: result.text,
+      iterations: result.iterations,
+      toolCalls: result.toolCalls.map(t => t.name)
+    };
+  }
+
+  async _conjectures(state) {
+    const result = await this.agents.generator.generate(
+      state.problem,
+      state.analysis,
+      state.signalData,
+      this.encoder,
+      { oeis: this.oeis, signatureIndex: this.signatureIndex }
+    );
+
+    if (!result.output) {
+      throw new Error(`Generator did not submit structured conjectures (${result.stopReason})`);
+    }
+
+    const conjectures = result.output.conjectures;
+    if (this.DB) {
+      for (const conj of conjectures) {
+        conj.id = await insertConjecture(this.DB, state.problem.id, conj);
+      }
+    }
+
+    state.conjectures = conjectures;
+    return { conjectures };
+  }
+
+  async _verification(state) {
+    const { options } = state;
+    const reports = [];
+
+    for (const conj of state.conjectures) {
+      const { testCases, synthesis } = this.verifier.collectTestCases(conj);
+      const verification = await this.verifier.verifySmallCases(conj, testCases);
+
+      let search = null;
+      const ranged = conj.expression && conj.variables.length > 0 &&
+        conj.variables.every(v => Number.isFinite(v.min) && Number.isFinite(v.max));
+      if (ranged && options.searchCounterexamples !== false) {
+        search = this.verifier.searchCounterexamples(conj, {
+          maxEvaluations: options.maxEvaluations || 2000
+        });
+      }
+
+      // Evaluation errors are not evidence against the conjecture
+      const refuted = verification.results.some(r => r.evaluated && !r.passed);
+      const disproved = refuted || (search?.found && search.shrunk?.value === false);
+      conj.status = disproved ? 'disproved' : verification.supportsExperimental ? 'experimental' : 'proposed';
+      if (search?.found) {
+        conj.counterexample = { ...search.counterexample, shrunk: search.shrunk.point };
+      }
+
+      if (this.DB && conj.id && conj.status !== 'proposed') {
+        await this.DB.prepare(
+          'UPDATE conjectures SET status = ?, counterexample = ? WHERE id = ?'
+        ).bind(
+          conj.status,
+          conj.counterexample ? JSON.stringify(conj.counterexample) : null,
+          conj.id
+        ).run();
+      }
+
+      reports.push({
+        id: conj.id,
+        statement: conj.statement,
+        status: conj.status,
+        total: verification.total,
+        passed: verification.passed,
+        failed: verification.failed,
+        skipped: verification.skipped,
+        arithmetic: verification.arithmetic,
+        synthesis,
+        counterexample: conj.counterexample || null,
+        evaluations: search?.evaluations ?? 0
+      });
+    }
+
+    return { conjectures: reports };
+  }
+
+  async _plans(state) {
+    const maxPlans = state.options.maxPlans ?? 3;
+    const survivors = state.conjectures.filter(c => c.status !== 'disproved');
+    const knownResults = (state.problem.knownResults || [])
+      .map(r => r.result_statement)
+      .join('\n');
+    const plans = [];
+
+    for (const conj of survivors.slice(0, maxPlans)) {
+      const result = await this.agents.planner.plan(state.problem, conj, { knownResults });
+      const steps = parseProofPlan(result.text);
+
+      let planId = null;
+      if (this.DB && conj.id) {
+        planId = await storeProofPlan(this.DB, state.problem.id, conj.id, result.text, steps);
+      }
+
+      plans.push({
+        conjectureId: conj.id,
+        statement: conj.statement,
+        planId,
+        plan: result.text,
+        steps: steps.length,
+        obligations: countObligations(steps)
+      });
+    }
+
+    return { plans, survivors: survivors.length, skipped: Math.max(0, survivors.length - maxPlans) };
+  }
+}
+
+/**
+ * Reduce an encoder result to the statistics the generator needs; full
+ * signatures are too large to put in a prompt.
+ */
+function summarizeSignature(encoded) {
+  const summary = { type: encoded.type, windows: encoded.signatures.length };
+
+  if (encoded.anomalyScores?.length > 0) {
+    const scores = encoded.anomalyScores;
+    const peak = scores.indexOf(Math.max(...scores));
+    summary.meanAnomaly = scores.reduce((a, b) => a + b, 0) / scores.length;
+    summary.maxAnomaly = scores[peak];
+    summary.peakWindow = peak;
+  }
+
+  return summary;
+}
+
+function countObligations(steps) {
+  return steps.reduce(
+    (n, step) => n + step.obligations.length + countObligations(step.children),
+    0
+  );
+}
@@ -0,0 +1,81 @@
+/**
+ * Storage for pipeline runs: progress, per-stage results and errors.
+ * D1RunStore persists to the pipeline_runs table; MemoryRunStore keeps runs
+ * in the current isolate (local development and tests).
+ */
+
+export class MemoryRunStore {
+  constructor() {
+    this.runs = new Map();
+    this.nextId = 1;
+  }
+
+  async create(problemId, options = {}) {
+    const now = new Date().toISOString();
+    const run = {
+      id: this.nextId++,
+      problem_id: Number(problemId),
+      status: 'queued',
+      stage: null,
+      stages: {},
+      options,
+      error: null,
+      created_at: now,
+      updated_at: now
+    };
+    this.runs.set(run.id, run);
+    return structuredClone(run);
+  }
+
+  async update(id, changes) {
+    const run = this.runs.get(Number(id));
+    if (!run) throw new Error(`Run ${id} not found`);
+    Object.assign(run, structuredClone(changes), { updated_at: new Date().toISOString() });
+  }
+
+  async get(id) {
+    const run = this.runs.get(Number(id));
+    return run ? structuredClone(run) : null;
+  }
+}
+
+export class D1RunStore {
+  constructor(DB) {
+    this.DB = DB;
+  }
+
+  async create(problemId, options = {}) {
+    const inserted = await this.DB.prepare(
+      `INSERT INTO pipeline_runs (problem_id, status, stages, options)
+       VALUES (?, 'queued', '{}', ?)`
+    ).bind(problemId, JSON.stringify(options)).run();
+    return await this.get(inserted.meta?.last_row_id);
+  }
+
+  async update(id, changes) {
+    const columns = Object.keys(changes);
+    if (columns.length === 0) return;
+    
+    const values = columns.map(col => (
+      col === 'stages' || col === 'options' ? JSON.stringify(changes[col]) : changes[col]
+    ));
+    await this.DB.prepare(
+      `UPDATE pipeline_runs
+       SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`
+    ).bind(...values, id).run();
+  }
+
+  async get(id) {
+    const row = await this.DB.prepare(
+      'SELECT * FROM pipeline_runs WHERE id = ?'
+    ).bind(id).first();
+    
+    if (!row) return null;
+    return {
+      ...row,
+      stages: typeof row.stages === 'string' ? JSON.parse(row.stages || '{}') : row.stages || {},
+      options: typeof row.options === 'string' ? JSON.parse(row.options || '{}') : row.options || {}
+    };
+  }
+}
@@ -0,0 +1,20 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * LLM provider backed by the Anthropic Messages API.
+ * Responses are returned unchanged; they define the shape every provider
+ * must produce ({ content: [...blocks], stop_reason }).
+ */
+export class AnthropicProvider {
+  constructor({ apiKey, client } = {}) {
+    if (!apiKey && !client) {
+      throw new Error('AnthropicProvider requires an apiKey');
+    }
+    this.name = 'anthropic';
+    this.client = client || new Anthropic({ apiKey });
+  }
+
+  async createMessage(params) {
+    return await this.client.messages.create(params);
+  }
+}
@@ -0,0 +1,31 @@
+import { AnthropicProvider } from './anthropic-provider.js';
+import { MockProvider, RecordingProvider } from './mock-provider.js';
+
+export { AnthropicProvider, MockProvider, RecordingProvider };
+
+/**
+ * Build the LLM provider configured in the Worker environment.
+ *
+ * - env.LLM_PROVIDER may be a provider instance (used as-is)
+ * - 'mock' replays env.MOCK_RESPONSES (JSON fixture string)
+ * - otherwise the Anthropic adapter is used with env.ANTHROPIC_API_KEY
+ */
+export function createProvider(env = {}) {
+  const choice = env.LLM_PROVIDER;
+
+  if (choice && typeof choice === 'object') {
+    return choice;
+  }
+
+  if (choice === 'mock') {
+    const script = typeof env.MOCK_RESPONSES === 'string'
+      ? JSON.parse(env.MOCK_RESPONSES)
+      : env.MOCK_RESPONSES || {};
+    return new MockProvider(script);
+  }
+
+  if (!env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY not configured');
+  }
+  return new AnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY });
+}
@@ -0,0 +1,85 @@
+/**
+ * Deterministic offline provider that replays scripted responses.
+ *
+ * A script is a list of Anthropic-shaped responses. Entries may carry a
+ * `match` object ({ system, user }) whose strings must appear in the system
+ * prompt / first user message for the entry to be used; entries without
+ * `match` are consumed in order. Each entry is replayed once.
+ */
+export class MockProvider {
+  constructor(script = {}) {
+    this.name = 'mock';
+    const responses = Array.isArray(script) ? script : (script.responses || []);
+    this.responses = responses.map(r => ({ ...r, used: false }));
+    this.requests = [];
+  }
+
+  /**
+   * Load a fixture file (Node only)
+   */
+  static async fromFile(path) {
+    const { readFile } = await import('node:fs/promises');
+    return new MockProvider(JSON.parse(await readFile(path, 'utf8')));
+  }
+
+  async createMessage(params) {
+    this.requests.push(structuredClone(params));
+
+    const entry = this.responses.find(r => !r.used && this._matches(r.match, params));
+    if (!entry) {
+      throw new Error(`MockProvider: no scripted response left for request #${this.requests.length}`);
+    }
+    entry.used = true;
+
+    return {
+      id: `mock_${this.requests.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      stop_reason: entry.stop_reason || 'end_turn',
+      content: structuredClone(entry.content)
+    };
+  }
+
+  remaining() {
+    return this.responses.filter(r => !r.used).length;
+  }
+
+  _matches(match, params) {
+    if (!match) return true;
+    if (match.system && !(params.system || '').includes(match.system)) {
+      return false;
+    }
+    if (match.user) {
+      const first = params.messages[0]?.content;
+      const text = typeof first === 'string' ? first : JSON.stringify(first);
+      if (!text.includes(match.user)) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Wraps another provider and records every exchange so it can be saved
+ * as a MockProvider fixture.
+ */
+export class RecordingProvider {
+  constructor(inner) {
+    this.name = `recording:${inner.name}`;
+    this.inner = inner;
+    this.recorded = [];
+  }
+
+  async createMessage(params) {
+    const response = await this.inner.createMessage(params);
+    this.recorded.push({
+      stop_reason: response.stop_reason,
+      content: response.content
+    });
+    return response;
+  }
+
+  toFixture() {
+    return { responses: this.recorded };
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Disk checkpoints for long sequence runs (Node only; fs is loaded lazily so
+ * the rest of src/sequences stays usable in Workers).
+ */
+
+/**
+ * Write a checkpoint atomically: a crash mid-write leaves the previous file
+ */
+export async function saveCheckpoint(path, checkpoint) {
+  const { writeFile, rename } = await import('node:fs/promises');
+  const temp = `${path}.tmp`;
+  await writeFile(temp, JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() }));
+  await rename(temp, path);
+}
+
+/**
+ * Read a checkpoint, or null if the file does not exist yet
+ */
+export async function loadCheckpoint(path) {
+  const { readFile } = await import('node:fs/promises');
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Extend a generator to `terms` terms, saving a checkpoint to `path` at most
+ * every `everyMs` and once at the end. Works with sync generators and with
+ * ParallelMianChowla.
+ *
+ * @param {object} generator
+ * @param {object} options
+ * @param {number} options.terms
+ * @param {string} [options.path] - no checkpoints without a path
+ * @param {number} [options.everyMs=60000]
+ * @param {number} [options.chunk=100] - terms generated between clock checks
+ * @param {Function} [options.onProgress] - called with { count, last, elapsedMs, saved }
+ * @param {object} [options.monitor] - an RHAnomalyStream (see
+ *   MathObjectEncoder.streamAnomalies) fed every new term as it is produced,
+ *   its events firing live; its snapshot is saved with the checkpoint
+ */
+export async function generateWithCheckpoints(generator, { terms, path, everyMs = 60000, chunk = 100, onProgress, monitor }) {
+  // Generators with a memory budget refuse the whole run before the first chunk
+  generator.checkBudget?.(terms);
+  const started = Date.now();
+  let lastSave = started;
+  let count = generator.terms.length;
+
+  while (count < terms) {
+    const current = await generator.generate(Math.min(terms, count + chunk));
+    count = current.length;
+    // A monitor restored from an older checkpoint (or started late) catches up first
+    await monitor?.pushTerms(current.slice(monitor.termCount, count));
+
+    let saved = false;
+    if (path && (Date.now() - lastSave >= everyMs || count === terms)) {
+      await saveCheckpoint(path, monitor ? { ...generator.checkpoint(), monitor: monitor.snapshot() } : generator.checkpoint());
+      lastSave = Date.now();
+      saved = true;
+    }
+    onProgress?.({ count, last: current[count - 1], elapsedMs: Date.now() - started, saved });
+  }
+
+  return generator.terms.slice(0, terms);
+}
@@ -0,0 +1,85 @@
+/**
+ * Common interface for sequence generators.
+ *
+ * Infinite generators implement `_next()` (the next term, without changing
+ * state) and `_accept(term)` (append it and update internal structures).
+ * Their state is fully determined by the terms produced so far, so a
+ * checkpoint is just the options and terms, and resuming replays `_accept`.
+ */
+export class SequenceGenerator {
+  /**
+   * Largest `n` and `upTo` generateBoundedSequence accepts, sized so a
+   * request finishes in a second or two within a Worker's memory
+   */
+  static limits = { n: 1000, upTo: 10 ** 5 };
+
+  /**
+   * Limits for a bounded request with these options, and the options to
+   * construct the generator with; throws for options past what a request
+   * may ask for
+   *
+   * @returns {{n: number, upTo: number, options: object}}
+   */
+  static requestLimits(options) {
+    return { ...this.limits, options };
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {{terms: number[]}} [options.checkpoint] - resume from a previous `checkpoint()`
+   */
+  constructor(options = {}) {
+    const { checkpoint, ...rest } = options;
+    this.options = rest;
+    this.terms = [];
+    this.checkpointData = checkpoint || null;
+  }
+
+  /**
+   * Restore a checkpoint; subclasses call this once their own state exists
+   */
+  _resume() {
+    if (!this.checkpointData) return;
+    for (const term of this.checkpointData.terms) {
+      this._accept(term);
+    }
+    this.checkpointData = null;
+  }
+
+  next() {
+    const term = this._next();
+    this._accept(term);
+    return term;
+  }
+
+  /**
+   * First n terms
+   */
+  generate(n) {
+    while (this.terms.length < n) {
+      this.next();
+    }
+    return this.terms.slice(0, n);
+  }
+
+  /**
+   * All terms <= N (terms are increasing)
+   */
+  generateUpTo(N) {
+    while (this.terms.length === 0 || this.terms[this.terms.length - 1] <= N) {
+      this.next();
+    }
+    return this.terms.filter(t => t <= N);
+  }
+
+  /**
+   * JSON-serializable state that `new Generator({ checkpoint })` resumes from
+   */
+  checkpoint() {
+    return { name: this.constructor.sequenceName, options: this.options, terms: [...this.terms] };
+  }
+
+  _accept(term) {
+    this.terms.push(term);
+  }
+}
@@ -0,0 +1,187 @@
+import { SequenceGenerator } from './generator.js';
+
+// Terms and largest value a bounded request gets for each h; the sum sets
+// grow like n^h / h!
+const GREEDY_BH_LIMITS = {
+  2: { n: 300, upTo: 5 * 10 ** 5 },
+  3: { n: 40, upTo: 2 * 10 ** 5 },
+  4: { n: 20, upTo: 2 * 10 ** 5 },
+  5: { n: 12, upTo: 5 * 10 ** 4 },
+  6: { n: 10, upTo: 5 * 10 ** 4 }
+};
+
+/**
+ * Request limits for generators extending a seed: the seed counts as terms
+ */
+function seededLimits(limits, options) {
+  if (options.seed !== undefined && !(Array.isArray(options.seed) && options.seed.length <= limits.n)) {
+    throw new Error(`seed must be an array of at most ${limits.n} terms`);
+  }
+  return { ...limits, options };
+}
+
+/**
+ * Greedy B_h set: all sums of h terms (with repetition) are distinct.
+ * h = 2 with start 1 is the Mian-Chowla sequence.
+ *
+ * Options: h (default 3), start (default 1)
+ */
+export class GreedyBh extends SequenceGenerator {
+  static sequenceName = 'greedy-bh';
+  static description = 'Greedy B_h set: all h-fold sums distinct (options: h, start)';
+
+  static requestLimits(options) {
+    const limits = GREEDY_BH_LIMITS[options.h ?? 3];
+    if (!limits) {
+      throw new Error(`h is limited to ${Object.keys(GREEDY_BH_LIMITS).join(', ')}`);
+    }
+    return { ...limits, options };
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.h = options.h ?? 3;
+    this.start = options.start ?? 1;
+    if (!Number.isInteger(this.h) || this.h < 2) {
+      throw new Error('h must be an integer >= 2');
+    }
+    // sums[k] holds every sum of k terms with repetition
+    this.sums = Array.from({ length: this.h + 1 }, (_, k) => new Set(k === 0 ? [0] : []));
+    this._resume();
+  }
+
+  _next() {
+    if (this.terms.length === 0) return this.start;
+
+    let candidate = this.terms[this.terms.length - 1] + 1;
+    while (!this._isValid(candidate)) {
+      candidate++;
+    }
+    return candidate;
+  }
+
+  /**
+   * Every h-sum using the candidate j >= 1 times must be new and distinct
+   * from the other new sums. Most candidates fail the first check, so the
+   * set for the second is only built for survivors.
+   */
+  _isValid(candidate) {
+    for (let j = 1; j <= this.h; j++) {
+      for (const rest of this.sums[this.h - j]) {
+        if (this.sums[this.h].has(j * candidate + rest)) return false;
+      }
+    }
+
+    const added = new Set();
+    for (let j = 1; j <= this.h; j++) {
+      for (const rest of this.sums[this.h - j]) {
+        const sum = j * candidate + rest;
+        if (added.has(sum)) return false;
+        added.add(sum);
+      }
+    }
+    return true;
+  }
+
+  _accept(term) {
+    for (let k = this.h; k >= 1; k--) {
+      for (let j = 1; j <= k; j++) {
+        for (const rest of this.sums[k - j]) {
+          this.sums[k].add(j * term + rest);
+        }
+      }
+    }
+    super._accept(term);
+  }
+}
+
+/**
+ * Greedy sum-free set: no x + y = z with x, y, z in the set (x = y allowed).
+ * Starting from 1 this gives the odd numbers; other seeds give richer sets.
+ *
+ * Options: seed (initial sum-free terms, default [1])
+ */
+export class SumFreeGreedy extends SequenceGenerator {
+  static sequenceName = 'sum-free-greedy';
+  static description = 'Greedy sum-free set extending a seed (options: seed)';
+
+  // The pair-sum set has n^2 / 2 entries; a sum-free set in [1, N] has at most N / 2 + 1
+  static limits = { n: 2000, upTo: 4000 };
+
+  static requestLimits(options) {
+    return seededLimits(this.limits, options);
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.seed = options.seed ?? [1];
+    this.sums = new Set();
+    this._resume();
+  }
+
+  _next() {
+    if (this.terms.length < this.seed.length) {
+      return this.seed[this.terms.length];
+    }
+
+    // Larger than every term, so only c = x + y can break sum-freeness
+    let candidate = this.terms[this.terms.length - 1] + 1;
+    while (this.sums.has(candidate)) {
+      candidate++;
+    }
+    return candidate;
+  }
+
+  _accept(term) {
+    for (const existing of this.terms) {
+      this.sums.add(existing + term);
+    }
+    this.sums.add(2 * term);
+    super._accept(term);
+  }
+}
+
+/**
+ * Stanley sequence S(a_0, ..., a_k): greedy 3-AP-free extension of the seed.
+ * S(0, 1) is the numbers with no digit 2 in base 3 (OEIS A005836).
+ *
+ * Options: seed (default [0, 1])
+ */
+export class Stanley extends SequenceGenerator {
+  static sequenceName = 'stanley';
+  static description = 'Stanley sequence: greedy 3-AP-free extension of a seed (options: seed)';
+
+  // The forbidden set has n^2 / 2 entries; S(0, 1) reaches 2 * 10^5 at about 2,200 terms
+  static limits = { n: 2000, upTo: 2 * 10 ** 5 };
+
+  static requestLimits(options) {
+    return seededLimits(this.limits, options);
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.seed = options.seed ?? [0, 1];
+    // Values c completing a 3-AP a < b < c, i.e. c = 2b - a
+    this.forbidden = new Set();
+    this._resume();
+  }
+
+  _next() {
+    if (this.terms.length < this.seed.length) {
+      return this.seed[this.terms.length];
+    }
+
+    let candidate = this.terms[this.terms.length - 1] + 1;
+    while (this.forbidden.has(candidate)) {
+      candidate++;
+    }
+    return candidate;
+  }
+
+  _accept(term) {
+    for (const existing of this.terms) {
+      this.forbidden.add(2 * term - existing);
+    }
+    super._accept(term);
+  }
+}
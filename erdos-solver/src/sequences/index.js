@@ -0,0 +1,77 @@
+import { MianChowla } from './mian-chowla.js';
+import { GreedyBh, SumFreeGreedy, Stanley } from './greedy.js';
+import { Singer, BoseChowla, ErdosTuran } from './sidon.js';
+import { Primes, PrimeGaps } from './primes.js';
+
+export { SequenceGenerator } from './generator.js';
+export { MianChowla } from './mian-chowla.js';
+export { GreedyBh, SumFreeGreedy, Stanley } from './greedy.js';
+export { Singer, BoseChowla, ErdosTuran } from './sidon.js';
+export { Primes, PrimeGaps, primesUpTo, isPrime } from './primes.js';
+export { MemoryOeisStore, D1OeisStore, importOeisDump, isOeisId } from './oeis-store.js';
+export { identifySequence, OEIS_TRANSFORMS } from './oeis.js';
+
+const registry = new Map();
+
+/**
+ * Register a generator class under its static `sequenceName`
+ */
+export function registerSequence(Generator) {
+  registry.set(Generator.sequenceName, Generator);
+}
+
+[MianChowla, GreedyBh, SumFreeGreedy, Stanley, Singer, BoseChowla, ErdosTuran, Primes, PrimeGaps]
+  .forEach(registerSequence);
+
+export function listSequences() {
+  return [...registry.values()].map(G => ({ name: G.sequenceName, description: G.description }));
+}
+
+/**
+ * New generator instance by name; pass `checkpoint` in the options to resume
+ */
+export function createSequence(name, options = {}) {
+  const Generator = registry.get(name);
+  if (!Generator) {
+    throw new Error(`Unknown sequence: ${name}. Known sequences: ${[...registry.keys()].join(', ')}`);
+  }
+  return new Generator(options);
+}
+
+/**
+ * Terms of a named sequence: the first `n`, or all up to `upTo`
+ * (e.g. { name: 'mian-chowla', n: 300 } or { name: 'primes', upTo: 1e6 })
+ */
+export function generateSequence({ name, n, upTo, ...options }) {
+  const generator = createSequence(name, options);
+  if (upTo !== undefined) return generator.generateUpTo(upTo);
+  if (n !== undefined) return generator.generate(n);
+  throw new Error('Specify n (number of terms) or upTo (largest value)');
+}
+
+/**
+ * generateSequence for specs from request bodies and LLM tool calls:
+ * refuses `n`, `upTo` and options past the generator's requestLimits
+ * instead of hanging or exhausting memory, and does not resume checkpoints
+ */
+export function generateBoundedSequence(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Sequence spec must be an object, e.g. { name: \'mian-chowla\', n: 300 }');
+  }
+  const { name, n, upTo, checkpoint, ...rest } = spec;
+  const Generator = registry.get(name);
+  if (!Generator) {
+    throw new Error(`Unknown sequence: ${name}. Known sequences: ${[...registry.keys()].join(', ')}`);
+  }
+  if (checkpoint !== undefined) {
+    throw new Error('Checkpoints cannot be resumed from a bounded sequence spec');
+  }
+  const limits = Generator.requestLimits(rest);
+  if (n !== undefined && !(Number.isInteger(n) && n >= 0 && n <= limits.n)) {
+    throw new Error(`${name}: n must be an integer from 0 to ${limits.n}`);
+  }
+  if (upTo !== undefined && !(typeof upTo === 'number' && upTo <= limits.upTo)) {
+    throw new Error(`${name}: upTo must be a number up to ${limits.upTo}`);
+  }
+  return generateSequence({ name, n, upTo, ...limits.options });
+}
@@ -0,0 +1,166 @@
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { addDifferences, bitsetLength, checkBitsetBudget } from './mian-chowla.js';
+
+/**
+ * Mian-Chowla generation on worker threads (Node only).
+ *
+ * The difference bitset and the terms live in SharedArrayBuffers. Each round
+ * hands every worker its own block of candidates; the smallest valid
+ * candidate across blocks is the next term, which the main thread records
+ * while the workers are idle. Produces the same terms and checkpoints as
+ * MianChowla, but `generate` / `generateUpTo` are async and `close()` must be
+ * called to stop the workers.
+ */
+export class ParallelMianChowla {
+  static sequenceName = 'mian-chowla';
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.workers] - defaults to the available parallelism
+   * @param {number} [options.blockBits=8192] - candidates per worker per round
+   * @param {number} [options.prefilterTerms=32]
+   * @param {number} [options.maxBytes=2 GiB] - cap on the difference bitset
+   * @param {{terms: number[]}} [options.checkpoint]
+   */
+  constructor(options = {}) {
+    const { checkpoint, ...rest } = options;
+    this.options = rest;
+    this.workerCount = options.workers ?? availableParallelism();
+    this.blockBits = options.blockBits ?? 8192;
+    this.prefilterTerms = options.prefilterTerms ?? 32;
+    this.maxBytes = options.maxBytes ?? 2 ** 31;
+    if (this.blockBits % 32 !== 0) {
+      throw new Error('blockBits must be a multiple of 32');
+    }
+
+    this.bits = new Uint32Array(new SharedArrayBuffer(4 * 1024));
+    this.termBuffer = new Float64Array(new SharedArrayBuffer(8 * 1024));
+    this.count = 0;
+    this.workers = [];
+    this.pending = new Map();
+    this.nextRequest = 0;
+
+    for (const term of checkpoint?.terms || []) {
+      this._accept(term);
+    }
+  }
+
+  get terms() {
+    return Array.from(this.termBuffer.subarray(0, this.count));
+  }
+
+  async generate(n) {
+    this.checkBudget(n);
+    while (this.count < n) {
+      this._accept(await this._next());
+    }
+    return this.terms.slice(0, n);
+  }
+
+  async generateUpTo(N) {
+    while (this.count === 0 || this.termBuffer[this.count - 1] <= N) {
+      this._accept(await this._next());
+    }
+    return this.terms.filter(t => t <= N);
+  }
+
+  checkBudget(n) {
+    checkBitsetBudget(n, this.maxBytes);
+  }
+
+  checkpoint() {
+    return { name: ParallelMianChowla.sequenceName, options: { ...this.options }, terms: this.terms };
+  }
+
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+  }
+
+  async _next() {
+    const count = this.count;
+    if (count === 0) return 1;
+
+    this._startWorkers();
+    let start = this.termBuffer[count - 1] + 1;
+    const span = this.blockBits * this.workers.length;
+
+    while (true) {
+      this._ensureCapacity(start + span);
+      const found = (await Promise.all(this.workers.map((worker, i) => this._request(worker, {
+        count,
+        start: start + i * this.blockBits,
+        size: this.blockBits,
+        prefilter: this.prefilterTerms
+      })))).filter(candidate => candidate !== -1);
+
+      if (found.length > 0) return Math.min(...found);
+      start += span;
+    }
+  }
+
+  _accept(term) {
+    this._ensureCapacity(term);
+    if (this.count === this.termBuffer.length) {
+      this.termBuffer = this._grow(this.termBuffer, Float64Array, this.termBuffer.length * 2);
+    }
+    addDifferences(this.bits, this.termBuffer, this.count, term);
+    this.termBuffer[this.count++] = term;
+  }
+
+  _startWorkers() {
+    if (this.workers.length > 0) return;
+
+    for (let i = 0; i < this.workerCount; i++) {
+      const worker = new Worker(new URL('./mian-chowla-worker.js', import.meta.url), {
+        workerData: { bits: this.bits.buffer, terms: this.termBuffer.buffer, blockBits: this.blockBits }
+      });
+      worker.on('message', ({ id, found }) => {
+        // Requests already rejected by a worker error get no answer
+        const request = this.pending.get(id);
+        if (!request) return;
+        request.resolve(found);
+        this.pending.delete(id);
+      });
+      worker.on('error', (error) => {
+        this.workers = this.workers.filter(other => other !== worker);
+        for (const { reject } of this.pending.values()) reject(error);
+        this.pending.clear();
+      });
+      this.workers.push(worker);
+    }
+  }
+
+  _request(worker, task) {
+    const id = this.nextRequest++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({ id, ...task });
+    });
+  }
+
+  _ensureCapacity(maxBit) {
+    const length = bitsetLength(this.bits.length, maxBit, this.maxBytes);
+    if (length !== this.bits.length) {
+      this.bits = this._grow(this.bits, Uint32Array, length);
+    }
+  }
+
+  /**
+   * Copy into a larger shared buffer and point the workers at it; messages
+   * are ordered, so they switch before their next search
+   */
+  _grow(array, Type, length) {
+    const grown = new Type(new SharedArrayBuffer(length * Type.BYTES_PER_ELEMENT));
+    grown.set(array);
+    const buffers = {
+      bits: (Type === Uint32Array ? grown : this.bits).buffer,
+      terms: (Type === Float64Array ? grown : this.termBuffer).buffer
+    };
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'buffers', ...buffers });
+    }
+    return grown;
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Worker entry for ParallelMianChowla: searches one sub-block of candidates
+ * against the shared difference bitset and term array.
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import { searchBlock } from './mian-chowla.js';
+
+let bits = new Uint32Array(workerData.bits);
+let terms = new Float64Array(workerData.terms);
+let mask = new Uint32Array(workerData.blockBits / 32);
+
+parentPort.on('message', (message) => {
+  if (message.type === 'buffers') {
+    bits = new Uint32Array(message.bits);
+    terms = new Float64Array(message.terms);
+    return;
+  }
+
+  const { id, count, start, size, prefilter } = message;
+  if (mask.length < size / 32) {
+    mask = new Uint32Array(size / 32);
+  }
+  const found = searchBlock(bits, terms, count, start, size, prefilter, mask);
+  parentPort.postMessage({ id, found });
+});
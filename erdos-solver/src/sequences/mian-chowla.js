@@ -0,0 +1,214 @@
+import { SequenceGenerator } from './generator.js';
+
+/**
+ * Bitset kernel for the Mian-Chowla sequence.
+ *
+ * A set is Sidon exactly when its positive differences are distinct, so a
+ * candidate c > max(S) can be added iff c - s is not yet a difference for any
+ * s in S. Differences live in a bitset (one bit per value up to the largest
+ * term), and candidates are tested a block at a time: the differences to the
+ * most recent terms (which reject most candidates) are OR-ed into a block mask
+ * 32 candidates per word, and only the survivors get the full scan.
+ *
+ * Memory is one bit per integer up to a(n): about 1.7 MB at 1,000 terms,
+ * 86 MB at 4,000 and roughly 1 GB at 10,000, so this tops out near 10^4
+ * terms. 10^5 terms is out of reach of any representation of the difference
+ * set on one machine (see README, Long sequence runs), and runs whose
+ * projected bitset exceeds maxBytes are refused up front rather than after
+ * hours of work. The shared kernel functions are also used by the
+ * worker-thread variant in mian-chowla-parallel.js.
+ */
+
+/**
+ * Word index of bit x; exact beyond 2^32 where `x >>> 5` would wrap
+ */
+export function wordIndex(x) {
+  return (x - (x & 31)) / 32;
+}
+
+export function hasBit(bits, x) {
+  return (bits[wordIndex(x)] >>> (x & 31)) & 1;
+}
+
+/**
+ * 32 bits of the bitset starting at bit x (x >= 0)
+ */
+function readWord(bits, x) {
+  const w = wordIndex(x);
+  const offset = x & 31;
+  if (offset === 0) return bits[w];
+  return ((bits[w] >>> offset) | (bits[w + 1] << (32 - offset))) >>> 0;
+}
+
+/**
+ * Smallest valid candidate in [start, start + size), or -1.
+ * `start` must exceed the last term; `size` is a multiple of 32 and `mask`
+ * holds at least size / 32 words.
+ */
+export function searchBlock(bits, terms, count, start, size, prefilter, mask) {
+  const words = size / 32;
+  mask.fill(0, 0, words);
+
+  const recent = Math.min(prefilter, count);
+  for (let j = count - 1; j >= count - recent; j--) {
+    const base = start - terms[j];
+    for (let w = 0; w < words; w++) {
+      mask[w] |= readWord(bits, base + 32 * w);
+    }
+  }
+
+  for (let w = 0; w < words; w++) {
+    let free = ~mask[w] >>> 0;
+    while (free !== 0) {
+      const b = 31 - Math.clz32(free & -free);
+      free &= free - 1;
+
+      const candidate = start + 32 * w + b;
+      let valid = true;
+      for (let i = count - 1 - recent; i >= 0; i--) {
+        if (hasBit(bits, candidate - terms[i])) {
+          valid = false;
+          break;
+        }
+      }
+      if (valid) return candidate;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Record the differences between a new term and the previous ones
+ */
+export function addDifferences(bits, terms, count, term) {
+  for (let i = 0; i < count; i++) {
+    const d = term - terms[i];
+    bits[wordIndex(d)] |= 1 << (d & 31);
+  }
+}
+
+/**
+ * Word length for a bitset holding bits up to `maxBit` plus one spare word
+ * (read by the block search), doubling from `current` and capped at maxBytes
+ */
+export function bitsetLength(current, maxBit, maxBytes) {
+  const needed = wordIndex(maxBit) + 2;
+  if (needed <= current) return current;
+  if (needed * 4 > maxBytes) {
+    throw new Error(
+      `Mian-Chowla difference bitset needs ${Math.ceil(needed * 4 / 2 ** 20)} MiB for values up to ${maxBit}, ` +
+      `over maxBytes (${Math.floor(maxBytes / 2 ** 20)} MiB)`
+    );
+  }
+
+  let length = current;
+  while (length < needed) length *= 2;
+  return Math.min(length, Math.floor(maxBytes / 4));
+}
+
+/**
+ * Projected bitset size for n terms, from a(n) ~ a(2000) (n / 2000)^2.82,
+ * which matches a(1000) and a(3000) within 3%
+ */
+export function projectedBitsetBytes(n) {
+  return Math.ceil(96592680 * (n / 2000) ** 2.82 / 8);
+}
+
+/**
+ * Throw before generating n terms whose projected bitset exceeds maxBytes
+ */
+export function checkBitsetBudget(n, maxBytes) {
+  const projected = projectedBitsetBytes(n);
+  if (projected > maxBytes) {
+    throw new Error(
+      `${n} Mian-Chowla terms need a difference bitset of about ${Math.ceil(projected / 2 ** 20)} MiB, ` +
+      `over maxBytes (${Math.floor(maxBytes / 2 ** 20)} MiB)`
+    );
+  }
+}
+
+// Difference bitset and block size allowed to bounded requests
+const REQUEST_MAX_BYTES = 2 ** 24;
+const MAX_REQUEST_BLOCK_BITS = 2 ** 16;
+
+/**
+ * Mian-Chowla sequence (OEIS A005282): greedy Sidon sequence starting at 1.
+ *
+ * Options:
+ *   blockBits (default 8192) - candidates tested per block
+ *   prefilterTerms (default 32) - recent terms handled word-parallel
+ *   maxBytes (default 2 GiB) - refuse to grow the difference bitset beyond this
+ */
+export class MianChowla extends SequenceGenerator {
+  static sequenceName = 'mian-chowla';
+  static description = 'Greedy Sidon sequence 1, 2, 4, 8, 13, 21, ... (OEIS A005282)';
+
+  // Bounded requests get a 16 MiB bitset (2^27 bits); a(2000) = 96,592,680
+  // and the search past 10^8 fit with room for the largest block
+  static limits = { n: 2000, upTo: 10 ** 8 };
+
+  static requestLimits(options) {
+    const { maxBytes = REQUEST_MAX_BYTES, blockBits = 8192 } = options;
+    if (!(maxBytes <= REQUEST_MAX_BYTES)) {
+      throw new Error(`maxBytes is limited to ${REQUEST_MAX_BYTES} (${REQUEST_MAX_BYTES / 2 ** 20} MiB)`);
+    }
+    if (!(blockBits <= MAX_REQUEST_BLOCK_BITS)) {
+      throw new Error(`blockBits is limited to ${MAX_REQUEST_BLOCK_BITS}`);
+    }
+    return { ...this.limits, options: { ...options, maxBytes } };
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.blockBits = options.blockBits ?? 8192;
+    this.prefilterTerms = options.prefilterTerms ?? 32;
+    this.maxBytes = options.maxBytes ?? 2 ** 31;
+    if (this.blockBits % 32 !== 0) {
+      throw new Error('blockBits must be a multiple of 32');
+    }
+
+    this.bits = new Uint32Array(1024);
+    this.mask = new Uint32Array(this.blockBits / 32);
+    this._resume();
+  }
+
+  generate(n) {
+    this.checkBudget(n);
+    return super.generate(n);
+  }
+
+  /**
+   * Throw if n terms would not fit in maxBytes
+   */
+  checkBudget(n) {
+    checkBitsetBudget(n, this.maxBytes);
+  }
+
+  _next() {
+    const count = this.terms.length;
+    if (count === 0) return 1;
+
+    let start = this.terms[count - 1] + 1;
+    while (true) {
+      this._ensureCapacity(start + this.blockBits);
+      const found = searchBlock(this.bits, this.terms, count, start, this.blockBits, this.prefilterTerms, this.mask);
+      if (found !== -1) return found;
+      start += this.blockBits;
+    }
+  }
+
+  _accept(term) {
+    this._ensureCapacity(term);
+    addDifferences(this.bits, this.terms, this.terms.length, term);
+    super._accept(term);
+  }
+
+  _ensureCapacity(maxBit) {
+    const length = bitsetLength(this.bits.length, maxBit, this.maxBytes);
+    if (length === this.bits.length) return;
+
+    const grown = new Uint32Array(length);
+    grown.set(this.bits);
+    this.bits = grown;
+  }
+}
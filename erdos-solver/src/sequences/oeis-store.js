@@ -0,0 +1,173 @@
+/**
+ * Local store of OEIS sequences, filled offline from the `stripped` and
+ * `names` dump files (https://oeis.org/stripped.gz, https://oeis.org/names.gz).
+ *
+ * Terms are kept in the dump's own comma-delimited form (",1,2,4,8,"), so a
+ * run of consecutive terms is a substring search: String#includes in
+ * MemoryOeisStore, LIKE on the oeis_sequences table in D1OeisStore.
+ */
+
+const ID_PATTERN = /^A\d{6,}$/;
+
+export function isOeisId(id) {
+  return ID_PATTERN.test(id);
+}
+
+// Entries written per store.put call while importing
+const IMPORT_BATCH = 500;
+
+/**
+ * Terms as the comma-delimited string used for storage and search
+ */
+export function formatTerms(terms) {
+  return `,${terms.map(String).join(',')},`;
+}
+
+/**
+ * Terms of a stored comma-delimited string, as decimal strings (they may not
+ * fit in a double)
+ */
+export function parseTerms(text) {
+  return text.split(',').filter(Boolean);
+}
+
+/**
+ * 'A005282 ,1,2,4,8,13,' -> { id, terms }; null for comments and blank lines
+ */
+export function parseStrippedLine(line) {
+  const match = /^(A\d+)\s+(,[-\d,]*)$/.exec(line.trim());
+  return match ? { id: match[1], terms: match[2] } : null;
+}
+
+/**
+ * 'A005282 Mian-Chowla sequence ...' -> { id, name }; null for comments
+ */
+export function parseNamesLine(line) {
+  const match = /^(A\d+)\s+(.*)$/.exec(line.trim());
+  return match ? { id: match[1], name: match[2].trim() } : null;
+}
+
+async function* lines(source) {
+  if (typeof source === 'string') {
+    yield* source.split('\n');
+    return;
+  }
+  for await (const line of source) yield line;
+}
+
+/**
+ * Import dump files into a store. Each source is the file's text or an
+ * (async) iterable of its lines, e.g. a readline interface over a gunzip
+ * stream.
+ *
+ * @returns {Promise<{sequences: number, names: number}>}
+ */
+export async function importOeisDump(store, { stripped, names } = {}) {
+  const counts = { sequences: 0, names: 0 };
+  const load = async (source, parse, key) => {
+    let batch = [];
+    for await (const line of lines(source)) {
+      const entry = parse(line);
+      if (!entry) continue;
+      batch.push(entry);
+      if (batch.length >= IMPORT_BATCH) {
+        await store.put(batch);
+        counts[key] += batch.length;
+        batch = [];
+      }
+    }
+    await store.put(batch);
+    counts[key] += batch.length;
+  };
+
+  if (stripped) await load(stripped, parseStrippedLine, 'sequences');
+  if (names) await load(names, parseNamesLine, 'names');
+  return counts;
+}
+
+function toEntry(row) {
+  return { id: row.id, name: row.name ?? null, terms: parseTerms(row.terms ?? '') };
+}
+
+export class MemoryOeisStore {
+  constructor() {
+    this.sequences = new Map();
+  }
+
+  /**
+   * Insert or update entries; fields an entry leaves out are kept, so the
+   * names file can be imported before or after the terms
+   */
+  async put(entries) {
+    for (const { id, name, terms } of entries) {
+      const row = this.sequences.get(id) ?? { id, name: null, terms: '' };
+      if (name !== undefined) row.name = name;
+      if (terms !== undefined) row.terms = Array.isArray(terms) ? formatTerms(terms) : terms;
+      this.sequences.set(id, row);
+    }
+  }
+
+  async get(id) {
+    const row = this.sequences.get(id);
+    return row ? toEntry(row) : null;
+  }
+
+  async count() {
+    return this.sequences.size;
+  }
+
+  /**
+   * Sequences whose terms contain the comma-delimited `key` (or start with it)
+   */
+  async findContaining(key, { prefix = false, limit = 50 } = {}) {
+    const found = [];
+    for (const row of this.sequences.values()) {
+      if (prefix ? row.terms.startsWith(key) : row.terms.includes(key)) {
+        found.push({ ...row });
+        if (found.length >= limit) break;
+      }
+    }
+    return found;
+  }
+}
+
+export class D1OeisStore {
+  constructor(DB) {
+    this.DB = DB;
+  }
+
+  async put(entries) {
+    if (entries.length === 0) return;
+    const statement = this.DB.prepare(
+      `INSERT INTO oeis_sequences (id, name, terms) VALUES (?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         name = COALESCE(excluded.name, oeis_sequences.name),
+         terms = COALESCE(excluded.terms, oeis_sequences.terms)`
+    );
+    await this.DB.batch(entries.map(({ id, name, terms }) => statement.bind(
+      id,
+      name ?? null,
+      terms === undefined ? null : (Array.isArray(terms) ? formatTerms(terms) : terms)
+    )));
+  }
+
+  async get(id) {
+    const row = await this.DB.prepare(
+      'SELECT id, name, terms FROM oeis_sequences WHERE id = ?'
+    ).bind(id).first();
+    return row ? toEntry(row) : null;
+  }
+
+  async count() {
+    const row = await this.DB.prepare('SELECT COUNT(*) AS count FROM oeis_sequences').first();
+    return row?.count ?? 0;
+  }
+
+  // Keys hold only digits, '-' and ',', so they need no LIKE escaping
+  async findContaining(key, { prefix = false, limit = 50 } = {}) {
+    const { results } = await this.DB.prepare(
+      'SELECT id, name, terms FROM oeis_sequences WHERE terms LIKE ? LIMIT ?'
+    ).bind(prefix ? `${key}%` : `%${key}%`, limit).all();
+    return results ?? [];
+  }
+}
@@ -0,0 +1,155 @@
+import { formatTerms, parseTerms } from './oeis-store.js';
+
+/**
+ * "Which known sequence is this?" against a local OEIS store.
+ *
+ * The query terms, and transforms of them, are searched as runs of
+ * consecutive terms: a match at the first listed term is 'exact', anywhere
+ * later a 'subsequence' (a shifted offset, or a sequence that contains this
+ * one as a tail). Only the first KEY_TERMS terms go into the search (fewer
+ * when that finds nothing, for entries listing only a few terms); the whole
+ * query is then checked term by term against everything the entry lists,
+ * and an entry that disagrees further on is reported with `divergesAt`.
+ */
+
+// Terms used in the store search; the rest are compared afterwards
+const KEY_TERMS = 12;
+
+/**
+ * Transforms tried on the query. `differences` finds a sequence whose first
+ * differences are known, `partial-sums` one that is the differences of a
+ * known sequence, `ratios` one whose consecutive quotients are. Transforms
+ * return null when they do not apply.
+ */
+export const OEIS_TRANSFORMS = {
+  identity: (terms) => terms,
+  differences: (terms) => terms.slice(1).map((t, i) => t - terms[i]),
+  'partial-sums': (terms) => {
+    let sum = 0n;
+    return terms.map(t => (sum += t));
+  },
+  ratios: (terms) => {
+    const ratios = [];
+    for (let i = 1; i < terms.length; i++) {
+      if (terms[i - 1] === 0n || terms[i] % terms[i - 1] !== 0n) return null;
+      ratios.push(terms[i] / terms[i - 1]);
+    }
+    return ratios;
+  }
+};
+
+const DESCRIPTIONS = {
+  identity: 'The terms',
+  differences: 'First differences of the terms',
+  'partial-sums': 'Partial sums of the terms',
+  ratios: 'Ratios a(n+1)/a(n) of the terms'
+};
+
+/**
+ * Query terms as BigInts: safe integers, BigInts or decimal strings
+ */
+export function normalizeTerms(terms) {
+  if (!Array.isArray(terms)) {
+    throw new Error('terms must be an array of integers');
+  }
+  return terms.map((term, i) => {
+    if (typeof term === 'bigint') return term;
+    if (typeof term === 'number' && Number.isSafeInteger(term)) return BigInt(term);
+    if (typeof term === 'string' && /^-?\d+$/.test(term.trim())) return BigInt(term.trim());
+    throw new Error(`Term ${i + 1} (${term}) is not an integer; give large terms as strings`);
+  });
+}
+
+// Index of the listed term where the comma-delimited key starts
+function termPosition(listed, key) {
+  const index = listed.indexOf(key);
+  let commas = 0;
+  for (let i = 0; i < index; i++) {
+    if (listed[i] === ',') commas++;
+  }
+  return commas;
+}
+
+const compareIds = (a, b) => a.localeCompare(b);
+
+/**
+ * Find known sequences matching `terms`
+ *
+ * @param {MemoryOeisStore|D1OeisStore} store
+ * @param {Array<number|string|bigint>} terms
+ * @param {object} [options]
+ * @param {string[]} [options.transforms] - defaults to every transform
+ * @param {number} [options.minTerms=4] - shortest (transformed) query searched;
+ *   shorter ones match too much to mean anything
+ * @param {number} [options.limit=10] - matches returned
+ * @param {number} [options.candidates=50] - store hits examined per transform
+ * @returns {Promise<{terms: number, matches: object[], searched: object[], skipped: object[]}>}
+ */
+export async function identifySequence(store, terms, {
+  transforms = Object.keys(OEIS_TRANSFORMS),
+  minTerms = 4,
+  limit = 10,
+  candidates = 50
+} = {}) {
+  const query = normalizeTerms(terms);
+  const matches = [];
+  const searched = [];
+  const skipped = [];
+
+  for (const transform of transforms) {
+    const apply = OEIS_TRANSFORMS[transform];
+    if (!apply) {
+      throw new Error(`Unknown transform ${transform}. Use one of ${Object.keys(OEIS_TRANSFORMS).join(', ')}`);
+    }
+    const transformed = apply(query);
+    if (!transformed) {
+      skipped.push({ transform, reason: 'Not defined for these terms' });
+      continue;
+    }
+    if (transformed.length < minTerms) {
+      skipped.push({ transform, reason: `Only ${transformed.length} terms, need ${minTerms}` });
+      continue;
+    }
+
+    // Entries listing fewer terms than the key only show up with a shorter one
+    let keyTerms = Math.min(KEY_TERMS, transformed.length);
+    let key = formatTerms(transformed.slice(0, keyTerms));
+    let rows = await store.findContaining(key, { limit: candidates });
+    while (rows.length === 0 && keyTerms > minTerms) {
+      keyTerms = Math.max(minTerms, Math.floor(keyTerms / 2));
+      key = formatTerms(transformed.slice(0, keyTerms));
+      rows = await store.findContaining(key, { limit: candidates });
+    }
+    searched.push({ transform, terms: transformed.length, keyTerms, candidates: rows.length });
+
+    for (const row of rows) {
+      const listed = parseTerms(row.terms);
+      const position = termPosition(row.terms, key);
+      const overlap = Math.min(transformed.length, listed.length - position);
+      let agreed = 0;
+      while (agreed < overlap && BigInt(listed[position + agreed]) === transformed[agreed]) agreed++;
+
+      matches.push({
+        id: row.id,
+        name: row.name ?? null,
+        transform,
+        match: position === 0 ? 'exact' : 'subsequence',
+        position,
+        matchedTerms: agreed,
+        divergesAt: agreed < overlap ? agreed + 1 : null,
+        summary: `${DESCRIPTIONS[transform]} match ${row.id} ${position === 0 ? 'from its first term' : `from its term ${position + 1}`}`
+          + ` (${agreed} terms${agreed < overlap ? `, then differ at term ${agreed + 1}` : ''})`
+      });
+    }
+  }
+
+  // Consistent, untransformed, aligned and long matches first; then older entries
+  matches.sort((a, b) =>
+    (a.divergesAt !== null) - (b.divergesAt !== null)
+    || (a.transform !== 'identity') - (b.transform !== 'identity')
+    || (a.match !== 'exact') - (b.match !== 'exact')
+    || b.matchedTerms - a.matchedTerms
+    || compareIds(a.id, b.id));
+
+  return { terms: query.length, matches: matches.slice(0, limit), searched, skipped };
+}
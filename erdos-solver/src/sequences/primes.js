@@ -0,0 +1,108 @@
+import { SequenceGenerator } from './generator.js';
+
+/**
+ * Sieve of Eratosthenes: all primes <= N
+ */
+export function primesUpTo(N) {
+  if (N < 2) return [];
+
+  const composite = new Uint8Array(N + 1);
+  const primes = [];
+  for (let i = 2; i <= N; i++) {
+    if (composite[i]) continue;
+    primes.push(i);
+    for (let j = i * i; j <= N; j += i) {
+      composite[j] = 1;
+    }
+  }
+  return primes;
+}
+
+export function isPrime(n) {
+  if (!Number.isInteger(n) || n < 2) return false;
+  if (n % 2 === 0) return n === 2;
+  for (let d = 3; d * d <= n; d += 2) {
+    if (n % d === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Primes 2, 3, 5, 7, ... (OEIS A000040)
+ */
+export class Primes extends SequenceGenerator {
+  static sequenceName = 'primes';
+  static description = 'Prime numbers 2, 3, 5, 7, 11, ... (OEIS A000040)';
+
+  static limits = { n: 10 ** 5, upTo: 10 ** 7 };
+
+  constructor(options = {}) {
+    super(options);
+    this._resume();
+  }
+
+  _next() {
+    if (this.terms.length === 0) return 2;
+
+    let candidate = this.terms[this.terms.length - 1] + 1;
+    while (!this._isPrime(candidate)) {
+      candidate++;
+    }
+    return candidate;
+  }
+
+  /**
+   * Trial division by the primes found so far
+   */
+  _isPrime(n) {
+    for (const p of this.terms) {
+      if (p * p > n) return true;
+      if (n % p === 0) return false;
+    }
+    return true;
+  }
+
+  generateUpTo(N) {
+    const last = this.terms[this.terms.length - 1] ?? 0;
+    if (N > last) {
+      // Sieving is much faster than extending term by term
+      for (const p of primesUpTo(N)) {
+        if (p > last) this._accept(p);
+      }
+    }
+    return this.terms.filter(p => p <= N);
+  }
+}
+
+/**
+ * Prime gaps p_{k+1} - p_k: 1, 2, 2, 4, 2, 4, ... (OEIS A001223).
+ * Not monotone, so generateUpTo(N) returns the gaps between primes <= N.
+ */
+export class PrimeGaps extends SequenceGenerator {
+  static sequenceName = 'prime-gaps';
+  static description = 'Gaps between consecutive primes 1, 2, 2, 4, 2, ... (OEIS A001223)';
+
+  static limits = { n: 10 ** 5, upTo: 10 ** 7 };
+
+  constructor(options = {}) {
+    super(options);
+    this.primes = new Primes();
+    this._resume();
+  }
+
+  _next() {
+    const k = this.terms.length;
+    while (this.primes.terms.length < k + 2) {
+      this.primes.next();
+    }
+    return this.primes.terms[k + 1] - this.primes.terms[k];
+  }
+
+  generateUpTo(N) {
+    const primes = this.primes.generateUpTo(N);
+    if (primes.length - 1 > this.terms.length) {
+      this.generate(primes.length - 1);
+    }
+    return this.terms.slice(0, Math.max(0, primes.length - 1));
+  }
+}
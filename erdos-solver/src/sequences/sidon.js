@@ -0,0 +1,251 @@
+import { SequenceGenerator } from './generator.js';
+import { isPrime } from './primes.js';
+
+/**
+ * Algebraic Sidon set constructions. Each is a finite set determined by a
+ * prime parameter; `generate(n)` picks the smallest prime giving at least n
+ * elements and `generateUpTo(N)` the largest whose elements all fit in [0, N],
+ * unless the prime is fixed through the options.
+ */
+class SidonConstruction extends SequenceGenerator {
+  static parameter = 'q';
+
+  // Finite-field constructions take about q^2 steps
+  static limits = { n: 2000, upTo: 4 * 10 ** 6 };
+
+  static requestLimits(options) {
+    const param = options[this.parameter];
+    if (param !== undefined && !(param <= this.limits.n)) {
+      throw new Error(`${this.parameter} is limited to ${this.limits.n}`);
+    }
+    return { ...this.limits, options };
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.param = options[this.constructor.parameter] ?? null;
+    if (this.param !== null && !isPrime(this.param)) {
+      throw new Error(`${this.constructor.parameter} must be prime, got ${this.param}`);
+    }
+    if (this.checkpointData) {
+      this.param = this.checkpointData.options[this.constructor.parameter];
+      this.built = this.param;
+      this.terms = [...this.checkpointData.terms];
+      this.checkpointData = null;
+    }
+  }
+
+  generate(n) {
+    if (this.param === null) {
+      let p = 2;
+      while (this.size(p) < n) p = nextPrime(p);
+      this._build(p);
+    } else {
+      this._build(this.param);
+      if (n > this.terms.length) {
+        throw new Error(`${this.constructor.sequenceName} with ${this.constructor.parameter}=${this.param} has only ${this.terms.length} elements`);
+      }
+    }
+    return this.terms.slice(0, n);
+  }
+
+  generateUpTo(N) {
+    if (this.param === null) {
+      let best = null;
+      for (let p = 2; this.maxElement(p) <= N; p = nextPrime(p)) best = p;
+      if (best === null) return [];
+      this._build(best);
+    } else {
+      this._build(this.param);
+    }
+    return this.terms.filter(t => t <= N);
+  }
+
+  checkpoint() {
+    return {
+      name: this.constructor.sequenceName,
+      options: { ...this.options, [this.constructor.parameter]: this.built },
+      terms: [...this.terms]
+    };
+  }
+
+  _build(p) {
+    if (this.built === p) return;
+    this.terms = this.construct(p);
+    this.built = p;
+  }
+}
+
+/**
+ * Singer perfect difference set: q + 1 residues mod q^2 + q + 1, from the
+ * powers of a primitive element of GF(q^3) lying in span{1, x}
+ */
+export class Singer extends SidonConstruction {
+  static sequenceName = 'singer';
+  static description = 'Singer Sidon set: q + 1 elements mod q^2 + q + 1 (options: q prime)';
+
+  size(q) {
+    return q + 1;
+  }
+
+  maxElement(q) {
+    return q * q + q;
+  }
+
+  construct(q) {
+    const f = findPrimitivePolynomial(q, 3);
+    const m = q * q + q + 1;
+    const set = [];
+
+    // x^m is a scalar, so membership in span{1, x} only depends on i mod m
+    let power = [1, 0, 0];
+    for (let i = 0; i < m; i++) {
+      if (power[2] === 0) set.push(i);
+      power = mulByX(power, f, q);
+    }
+    return set;
+  }
+}
+
+/**
+ * Bose-Chowla Sidon set: q elements mod q^2 - 1, the exponents a with
+ * θ^a - θ in GF(q) for a primitive θ of GF(q^2)
+ */
+export class BoseChowla extends SidonConstruction {
+  static sequenceName = 'bose-chowla';
+  static description = 'Bose-Chowla Sidon set: q elements mod q^2 - 1 (options: q prime)';
+
+  size(q) {
+    return q;
+  }
+
+  maxElement(q) {
+    return q * q - 2;
+  }
+
+  construct(q) {
+    const f = findPrimitivePolynomial(q, 2);
+    const set = [];
+
+    let power = [1, 0];
+    for (let a = 0; a < q * q - 1; a++) {
+      if (power[1] === 1) set.push(a);
+      power = mulByX(power, f, q);
+    }
+    return set;
+  }
+}
+
+/**
+ * Erdős-Turán Sidon set {2pk + (k^2 mod p) : 0 <= k < p} in [0, 2p^2)
+ */
+export class ErdosTuran extends SidonConstruction {
+  static sequenceName = 'erdos-turan';
+  static parameter = 'p';
+  static description = 'Erdős-Turán Sidon set 2pk + (k^2 mod p) (options: p prime)';
+
+  // Linear in p
+  static limits = { n: 10 ** 5, upTo: 2 * 10 ** 10 };
+
+  size(p) {
+    return p;
+  }
+
+  maxElement(p) {
+    return 2 * p * p - 1;
+  }
+
+  construct(p) {
+    return Array.from({ length: p }, (_, k) => 2 * p * k + (k * k) % p);
+  }
+}
+
+function nextPrime(p) {
+  let n = p + 1;
+  while (!isPrime(n)) n++;
+  return n;
+}
+
+/**
+ * Multiply a polynomial (coefficients low to high, degree < d) by x modulo
+ * the monic polynomial x^d + f[d-1] x^(d-1) + ... + f[0] over GF(q)
+ */
+function mulByX(poly, f, q) {
+  const d = poly.length;
+  const top = poly[d - 1];
+  const result = new Array(d);
+  for (let i = d - 1; i >= 1; i--) {
+    result[i] = mod(poly[i - 1] - top * f[i], q);
+  }
+  result[0] = mod(-top * f[0], q);
+  return result;
+}
+
+function mulMod(a, b, f, q) {
+  const d = a.length;
+  let result = new Array(d).fill(0);
+  // Horner over the coefficients of b
+  for (let i = d - 1; i >= 0; i--) {
+    result = mulByX(result, f, q);
+    for (let j = 0; j < d; j++) {
+      result[j] = (result[j] + a[j] * b[i]) % q;
+    }
+  }
+  return result;
+}
+
+function powX(e, f, q) {
+  const d = f.length;
+  let result = [1, ...new Array(d - 1).fill(0)];
+  let base = mulByX(result, f, q);
+  while (e > 0) {
+    if (e % 2 === 1) result = mulMod(result, base, f, q);
+    base = mulMod(base, base, f, q);
+    e = Math.floor(e / 2);
+  }
+  return result;
+}
+
+function isOne(poly) {
+  return poly[0] === 1 && poly.slice(1).every(c => c === 0);
+}
+
+function primeFactors(n) {
+  const factors = [];
+  for (let p = 2; p * p <= n; p++) {
+    if (n % p !== 0) continue;
+    factors.push(p);
+    while (n % p === 0) n /= p;
+  }
+  if (n > 1) factors.push(n);
+  return factors;
+}
+
+/**
+ * Smallest monic degree-d polynomial over GF(q) for which x has order
+ * q^d - 1, so GF(q)[x]/(f) is GF(q^d) and x is a primitive element
+ */
+function findPrimitivePolynomial(q, d) {
+  const order = q ** d - 1;
+  const factors = primeFactors(order);
+  const total = q ** d;
+
+  for (let code = 1; code < total; code++) {
+    const f = [];
+    let rest = code;
+    for (let i = 0; i < d; i++) {
+      f.push(rest % q);
+      rest = Math.floor(rest / q);
+    }
+    if (f[0] === 0) continue;
+
+    if (isOne(powX(order, f, q)) && factors.every(r => !isOne(powX(order / r, f, q)))) {
+      return f;
+    }
+  }
+  throw new Error(`No primitive polynomial of degree ${d} over GF(${q})`);
+}
+
+function mod(a, q) {
+  return ((a % q) + q) % q;
+}
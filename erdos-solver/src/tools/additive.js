@@ -0,0 +1,495 @@
+import { convolve, correlate, indicator } from './convolution.js';
+import { Violations } from './violations.js';
+
+/**
+ * Additive-combinatorics property checkers.
+ *
+ * Each checker reports every violation it finds, keeping at most
+ * `maxViolations` of them (`violationCount` is always the full count and
+ * `truncated` says whether the list was cut). Representation counts come from
+ * FFT convolution of indicator vectors when the value range allows it, so
+ * sets with 10^5 elements in a range of a few million are checked in
+ * seconds; sparse sets over huge ranges fall back to direct enumeration.
+ */
+
+// Longest indicator product handed to the FFT (Float64Arrays, ~256 MB peak)
+const MAX_FFT_LENGTH = 1 << 24;
+
+// Direct enumeration is preferred below this many tuples
+const DIRECT_TUPLES = 2e6;
+
+// Sums the direct method sorts at once (Float64Arrays, 128 MB)
+const DIRECT_CHUNK = 1 << 24;
+
+/**
+ * Sort integer input and split out repeated values
+ */
+function normalize(values) {
+  if (!Array.isArray(values) && !ArrayBuffer.isView(values)) {
+    throw new Error('Expected an array of integers');
+  }
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const unique = [];
+  const duplicates = [];
+  for (const v of sorted) {
+    if (!Number.isSafeInteger(v)) {
+      throw new Error(`Expected integers, got ${v}`);
+    }
+    if (unique.length > 0 && unique[unique.length - 1] === v) {
+      if (duplicates[duplicates.length - 1] !== v) duplicates.push(v);
+    } else {
+      unique.push(v);
+    }
+  }
+  return { set: unique, duplicates, lookup: new Set(unique) };
+}
+
+function chooseMethod(method, tuples, fftLength) {
+  if (method !== 'auto') return method;
+  if (fftLength > MAX_FFT_LENGTH) return 'direct';
+  return tuples <= DIRECT_TUPLES ? 'direct' : 'fft';
+}
+
+function binomialTuples(n, h) {
+  let count = 1;
+  for (let i = 0; i < h; i++) count = count * (n + i) / (i + 1);
+  return count;
+}
+
+/**
+ * Number of ways to write each value as a sum of h elements (as a multiset),
+ * via the cycle index of S_h: M_h = (1/h) * sum_k p_k * M_{h-k}, where p_k is
+ * the indicator dilated by k. Index i stands for the sum i + h * min.
+ */
+function multisetSumCounts(set, h) {
+  const min = set[0];
+  const base = indicator(set, min);
+  const dilated = (k) => {
+    const vector = new Float64Array(k * (base.length - 1) + 1);
+    for (let i = 0; i < base.length; i++) vector[k * i] = base[i];
+    return vector;
+  };
+
+  const counts = [Float64Array.of(1)];
+  for (let m = 1; m <= h; m++) {
+    const total = new Float64Array(m * (base.length - 1) + 1);
+    for (let k = 1; k <= m; k++) {
+      const term = convolve(dilated(k), counts[m - k]);
+      for (let i = 0; i < term.length; i++) total[i] += term[i];
+    }
+    for (let i = 0; i < total.length; i++) total[i] = Math.round(total[i] / m);
+    counts.push(total);
+  }
+  return counts[h];
+}
+
+/**
+ * Up to `limit` multisets (non-decreasing tuples) of h elements summing to x
+ */
+function findRepresentations(set, lookup, x, h, limit) {
+  const found = [];
+  const tuple = [];
+
+  const search = (from, remaining, parts) => {
+    if (found.length >= limit) return;
+    if (parts === 1) {
+      if (lookup.has(remaining) && remaining >= (tuple[tuple.length - 1] ?? -Infinity)) {
+        found.push([...tuple, remaining]);
+      }
+      return;
+    }
+    for (let i = from; i < set.length && found.length < limit; i++) {
+      // Remaining parts are all >= set[i]
+      if (set[i] * parts > remaining) break;
+      tuple.push(set[i]);
+      search(i, remaining - set[i], parts - 1);
+      tuple.pop();
+    }
+  };
+
+  search(0, x, h);
+  return found;
+}
+
+/**
+ * [sum, count] for every h-fold sum of the set (as a multiset), in increasing
+ * order of the sum, by sorting the sums in a Float64Array and counting runs.
+ * More than DIRECT_CHUNK sums are split by value into windows that each
+ * hold at most DIRECT_CHUNK of them, one enumeration per window.
+ */
+function* directSumCounts(set, h) {
+  const n = set.length;
+  const eachSum = (visit) => {
+    const walk = (from, sum, parts) => {
+      if (parts === 0) {
+        visit(sum);
+        return;
+      }
+      for (let i = from; i < n; i++) walk(i, sum + set[i], parts - 1);
+    };
+    walk(0, 0, h);
+  };
+
+  // Windows are runs of equal-width buckets over [h * min, h * max]
+  const total = binomialTuples(n, h);
+  const buckets = total > DIRECT_CHUNK ? Math.min(64 * Math.ceil(total / DIRECT_CHUNK), 1 << 20) : 1;
+  const lowest = h * set[0];
+  const width = (h * set[n - 1] - lowest + 1) / buckets;
+  const bucketOf = (sum) => Math.min(buckets - 1, Math.floor((sum - lowest) / width));
+  const histogram = new Float64Array(buckets);
+  if (buckets === 1) {
+    histogram[0] = total;
+  } else {
+    eachSum((sum) => { histogram[bucketOf(sum)]++; });
+  }
+
+  for (let first = 0; first < buckets;) {
+    let last = first;
+    let size = histogram[first];
+    while (last + 1 < buckets && size + histogram[last + 1] <= DIRECT_CHUNK) size += histogram[++last];
+
+    const sums = new Float64Array(size);
+    let filled = 0;
+    eachSum((sum) => {
+      const bucket = buckets === 1 ? 0 : bucketOf(sum);
+      if (bucket >= first && bucket <= last) sums[filled++] = sum;
+    });
+    sums.sort();
+    for (let i = 0; i < size;) {
+      let j = i + 1;
+      while (j < size && sums[j] === sums[i]) j++;
+      yield [sums[i], j - i];
+      i = j;
+    }
+    first = last + 1;
+  }
+}
+
+/**
+ * B_h[g]: every integer has at most g representations as a sum of h elements
+ * (order ignored, repetition allowed). B_2[1] sets are Sidon sets.
+ *
+ * @param {number[]} values
+ * @param {object} [options]
+ * @param {number} [options.h=2]
+ * @param {number} [options.g=1]
+ * @param {number} [options.maxViolations=100]
+ * @param {'auto'|'fft'|'direct'} [options.method='auto']
+ */
+export function checkBhg(values, { h = 2, g = 1, maxViolations = 100, method = 'auto' } = {}) {
+  const { set, duplicates, lookup } = normalize(values);
+  const violations = new Violations(maxViolations);
+  const n = set.length;
+  if (n === 0) {
+    return { valid: true, h, g, size: 0, method: 'direct', maxRepresentations: 0, duplicates, ...violations.report() };
+  }
+
+  const min = set[0];
+  const range = set[n - 1] - min + 1;
+  const used = chooseMethod(method, binomialTuples(n, h), h * range);
+
+  // Sum -> representation count, visited in increasing order of the sum
+  let entries;
+  if (used === 'fft') {
+    const counts = multisetSumCounts(set, h);
+    entries = function* () {
+      for (let i = 0; i < counts.length; i++) {
+        if (counts[i] > 0) yield [i + h * min, counts[i]];
+      }
+    };
+  } else {
+    entries = () => directSumCounts(set, h);
+  }
+
+  let maxRepresentations = 0;
+  for (const [sum, count] of entries()) {
+    maxRepresentations = Math.max(maxRepresentations, count);
+    if (count <= g) continue;
+    violations.add(
+      violations.full ? null : {
+        sum,
+        representations: count,
+        witnesses: findRepresentations(set, lookup, sum, h, g + 1)
+      }
+    );
+  }
+
+  return {
+    valid: violations.count === 0 && duplicates.length === 0,
+    h,
+    g,
+    size: n,
+    method: used,
+    maxRepresentations,
+    duplicates,
+    ...violations.report()
+  };
+}
+
+/**
+ * Ordered pair-sum counts (A * A) with index i standing for i + 2 * min
+ */
+function pairSumCounts(set) {
+  const vector = indicator(set, set[0]);
+  return convolve(vector, vector);
+}
+
+/**
+ * Sum-free: no x + y = z with x, y, z in the set (x = y allowed)
+ */
+export function checkSumFree(values, { maxViolations = 100, method = 'auto' } = {}) {
+  const { set, duplicates, lookup } = normalize(values);
+  const violations = new Violations(maxViolations);
+  const n = set.length;
+  const min = set[0];
+  const used = n === 0 ? 'direct' : chooseMethod(method, n * n / 2, 2 * (set[n - 1] - min + 1));
+
+  // Number of pairs x <= y with x + y = z, for each z in the set
+  const pairsFor = used === 'fft' && n > 0
+    ? (() => {
+      const ordered = pairSumCounts(set);
+      return (z) => {
+        const i = z - 2 * min;
+        if (i < 0 || i >= ordered.length) return 0;
+        return (ordered[i] + (z % 2 === 0 && lookup.has(z / 2) ? 1 : 0)) / 2;
+      };
+    })()
+    : null;
+
+  for (const z of set) {
+    const expected = pairsFor ? pairsFor(z) : Infinity;
+    if (expected === 0) continue;
+    if (violations.full && pairsFor) {
+      violations.count += expected;
+      continue;
+    }
+
+    let counted = 0;
+    for (const x of set) {
+      if (2 * x > z || counted === expected) break;
+      if (!lookup.has(z - x)) continue;
+      counted++;
+      violations.add({ x, y: z - x, sum: z });
+    }
+  }
+
+  return {
+    valid: violations.count === 0 && duplicates.length === 0,
+    size: n,
+    method: used,
+    duplicates,
+    ...violations.report()
+  };
+}
+
+/**
+ * k-AP-free: no k-term arithmetic progression a, a + d, ..., a + (k-1)d with
+ * d > 0. 3-APs are counted by convolution (a + c = 2b); longer progressions
+ * are enumerated from their first two terms.
+ */
+export function checkApFree(values, { k = 3, maxViolations = 100, method = 'auto' } = {}) {
+  if (!Number.isInteger(k) || k < 3) {
+    throw new Error('k must be an integer >= 3');
+  }
+  const { set, duplicates, lookup } = normalize(values);
+  const violations = new Violations(maxViolations);
+  const n = set.length;
+  const min = set[0];
+  const used = k === 3 && n > 0 ? chooseMethod(method, n * n / 2, 2 * (set[n - 1] - min + 1)) : 'direct';
+
+  if (used === 'fft') {
+    const ordered = pairSumCounts(set);
+    for (const b of set) {
+      // Ordered pairs with a + c = 2b, minus a = c = b, halved
+      const count = (ordered[2 * b - 2 * min] - 1) / 2;
+      if (count === 0) continue;
+
+      if (violations.full) {
+        violations.count += count;
+        continue;
+      }
+      let listed = 0;
+      for (const a of set) {
+        if (a >= b || listed === count) break;
+        if (!lookup.has(2 * b - a)) continue;
+        listed++;
+        violations.add({ start: a, difference: b - a, terms: [a, b, 2 * b - a] });
+      }
+    }
+  } else {
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const d = set[j] - set[i];
+        let length = 2;
+        while (length < k && lookup.has(set[i] + length * d)) length++;
+        if (length === k) {
+          violations.add(
+            violations.full ? null : { start: set[i], difference: d, terms: Array.from({ length: k }, (_, t) => set[i] + t * d) }
+          );
+        }
+      }
+    }
+  }
+
+  return {
+    valid: violations.count === 0,
+    k,
+    size: n,
+    method: used,
+    duplicates,
+    ...violations.report()
+  };
+}
+
+/**
+ * Difference basis for [1, n]: every d in 1..n is a difference of two elements.
+ * Violations are the missing differences.
+ */
+export function checkDifferenceBasis(values, n, { maxViolations = 100, method = 'auto' } = {}) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error('n must be a positive integer');
+  }
+  const { set, duplicates } = normalize(values);
+  const violations = new Violations(maxViolations);
+  const size = set.length;
+  const range = size > 0 ? set[size - 1] - set[0] + 1 : 1;
+  const used = chooseMethod(method, size * size / 2, 2 * range);
+
+  const present = new Uint8Array(n + 1);
+  if (size > 1) {
+    if (used === 'fft') {
+      const vector = indicator(set, set[0]);
+      const lags = correlate(vector, vector);
+      // Lag 0 sits at index range - 1
+      for (let d = 1; d <= Math.min(n, range - 1); d++) {
+        if (lags[range - 1 + d] > 0) present[d] = 1;
+      }
+    } else {
+      for (let i = 0; i < size; i++) {
+        for (let j = i + 1; j < size; j++) {
+          const d = set[j] - set[i];
+          if (d > n) break;
+          present[d] = 1;
+        }
+      }
+    }
+  }
+
+  for (let d = 1; d <= n; d++) {
+    if (!present[d]) violations.add({ difference: d });
+  }
+
+  return {
+    valid: violations.count === 0,
+    n,
+    size,
+    method: used,
+    duplicates,
+    ...violations.report()
+  };
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Covering system: every integer satisfies at least one congruence
+ * x ≡ residue (mod modulus). Checked over one period (the lcm of the moduli);
+ * violations are the uncovered residues mod the period.
+ *
+ * @param {Array<{residue: number, modulus: number}|[number, number]>} congruences
+ * @param {object} [options]
+ * @param {boolean} [options.distinctModuli=false] - also require distinct moduli (Erdős' covering systems)
+ * @param {number} [options.maxPeriod=1e8]
+ */
+export function checkCoveringSystem(congruences, { maxViolations = 100, maxPeriod = 1e8, distinctModuli = false } = {}) {
+  const list = congruences.map(c => Array.isArray(c) ? { residue: c[0], modulus: c[1] } : c);
+  for (const { residue, modulus } of list) {
+    if (!Number.isInteger(modulus) || modulus < 1 || !Number.isInteger(residue)) {
+      throw new Error(`Invalid congruence ${residue} mod ${modulus}`);
+    }
+  }
+
+  let period = 1;
+  for (const { modulus } of list) {
+    period = period / gcd(period, modulus) * modulus;
+    if (period > maxPeriod) {
+      throw new Error(`Period (lcm of the moduli) exceeds maxPeriod ${maxPeriod}`);
+    }
+  }
+
+  const covered = new Uint8Array(period);
+  for (const { residue, modulus } of list) {
+    for (let x = ((residue % modulus) + modulus) % modulus; x < period; x += modulus) {
+      covered[x] = 1;
+    }
+  }
+
+  const violations = new Violations(maxViolations);
+  for (let x = 0; x < period; x++) {
+    if (!covered[x]) violations.add({ residue: x });
+  }
+
+  const moduli = list.map(c => c.modulus);
+  const duplicateModuli = [...new Set(moduli.filter((m, i) => moduli.indexOf(m) !== i))];
+
+  return {
+    valid: violations.count === 0 && (!distinctModuli || duplicateModuli.length === 0),
+    period,
+    congruences: list.length,
+    minModulus: moduli.length > 0 ? Math.min(...moduli) : null,
+    duplicateModuli,
+    ...violations.report()
+  };
+}
+
+/**
+ * Erdős-Szemerédi sum-product counts: |A + A|, |A·A| and the exponent
+ * log max(|A + A|, |A·A|) / log |A| (conjectured to approach 2)
+ */
+export function sumProductCounts(values, { method = 'auto' } = {}) {
+  const { set } = normalize(values);
+  const n = set.length;
+  if (n === 0) {
+    return { size: 0, sumsetSize: 0, productSetSize: 0, sumExponent: null, productExponent: null, exponent: null };
+  }
+
+  const range = set[n - 1] - set[0] + 1;
+  const used = chooseMethod(method, n * n / 2, 2 * range);
+
+  let sumsetSize = 0;
+  if (used === 'fft') {
+    const ordered = pairSumCounts(set);
+    for (let i = 0; i < ordered.length; i++) {
+      if (ordered[i] > 0) sumsetSize++;
+    }
+  } else {
+    const sums = new Set();
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < n; j++) sums.add(set[i] + set[j]);
+    }
+    sumsetSize = sums.size;
+  }
+
+  // No convolution for products; BigInt keys once products leave exact doubles
+  const exact = Math.max(Math.abs(set[0]), Math.abs(set[n - 1])) ** 2 <= Number.MAX_SAFE_INTEGER;
+  const products = new Set();
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      products.add(exact ? set[i] * set[j] : BigInt(set[i]) * BigInt(set[j]));
+    }
+  }
+
+  const log = (x) => n > 1 ? Math.log(x) / Math.log(n) : null;
+  return {
+    size: n,
+    method: used,
+    sumsetSize,
+    productSetSize: products.size,
+    sumExponent: log(sumsetSize),
+    productExponent: log(products.size),
+    exponent: log(Math.max(sumsetSize, products.size))
+  };
+}
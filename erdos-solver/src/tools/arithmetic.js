@@ -0,0 +1,243 @@
+import { create, all } from 'mathjs';
+import { Rational, parseExact, compileExactNode, supportsExact, isTruthy } from './exact.js';
+
+/**
+ * Arithmetic modes for evaluating conjecture expressions.
+ *
+ *   float     - IEEE doubles (mathjs default). Expressions computing any
+ *               value (operand or intermediate result) that is non-finite
+ *               or beyond 2^53 are refused, not guessed.
+ *   exact     - BigInt rationals (src/tools/exact.js); never rounds, but
+ *               only covers the integer / rational fragment of mathjs.
+ *   bignumber - mathjs BigNumber with `precision` significant digits;
+ *               refuses comparisons of values with more integer digits.
+ *   fraction  - mathjs Fraction; refuses numerators or denominators
+ *               beyond 2^53, where fraction.js silently rounds.
+ *
+ * 'auto' picks exact when the expression stays in its fragment, else float.
+ */
+export const ARITHMETIC_MODES = ['float', 'exact', 'bignumber', 'fraction'];
+
+const RELATIONAL = new Set(['equal', 'unequal', 'smaller', 'smallerEq', 'larger', 'largerEq']);
+const LOGICAL = new Set(['and', 'or', 'xor', 'not']);
+
+const floatMath = create(all);
+const fractionMath = create(all, { number: 'Fraction' });
+const bigNumberMaths = new Map();
+
+function bigNumberMath(precision) {
+  if (!bigNumberMaths.has(precision)) {
+    bigNumberMaths.set(precision, create(all, { number: 'BigNumber', precision }));
+  }
+  return bigNumberMaths.get(precision);
+}
+
+/**
+ * Error for a comparison the chosen arithmetic cannot decide reliably
+ */
+export function precisionError(message) {
+  const error = new Error(message);
+  error.precisionLoss = true;
+  return error;
+}
+
+/**
+ * Mode for a conjecture: the requested one, else the conjecture's own
+ * `arithmetic`, else float
+ */
+export function resolveArithmetic(conjecture, requested) {
+  const mode = requested ?? conjecture.arithmetic ?? 'float';
+  if (mode === 'auto') {
+    return conjecture.expression && supportsExact(conjecture.expression) ? 'exact' : 'float';
+  }
+  if (!ARITHMETIC_MODES.includes(mode)) {
+    throw new Error(`Unknown arithmetic mode: ${mode}. Use one of ${[...ARITHMETIC_MODES, 'auto'].join(', ')}`);
+  }
+  return mode;
+}
+
+function guardFloat(value) {
+  if (typeof value !== 'number') return;
+  if (!Number.isFinite(value)) {
+    throw precisionError(`Refusing to compare ${value} in float arithmetic; use arithmetic 'exact' or 'bignumber'`);
+  }
+  if (Math.abs(value) > Number.MAX_SAFE_INTEGER) {
+    throw precisionError(`Refusing to compare ${value}: beyond 2^53 doubles are not exact; use arithmetic 'exact' or 'bignumber'`);
+  }
+}
+
+function guardBigNumber(precision) {
+  return (value) => {
+    if (!value?.isBigNumber) return guardFloat(value);
+    if (!value.isFinite()) {
+      throw precisionError(`Refusing to compare ${value} in bignumber arithmetic`);
+    }
+    if (value.e + 1 > precision) {
+      throw precisionError(`Refusing to compare ${value}: more than ${precision} digits; raise precision or use arithmetic 'exact'`);
+    }
+  };
+}
+
+function guardFraction(value) {
+  if (!value?.isFraction) return guardFloat(value);
+  if (value.n > Number.MAX_SAFE_INTEGER || value.d > Number.MAX_SAFE_INTEGER) {
+    throw precisionError(`Refusing to compare ${value.toFraction()}: fraction parts beyond 2^53 are rounded; use arithmetic 'exact'`);
+  }
+}
+
+/**
+ * Compile with the guard applied to every value the expression computes:
+ * operands of comparisons (also nested in logic or conditionals) and every
+ * intermediate operator or function result, so precision lost part-way
+ * through (`2^53 + n - 2^53`) is refused rather than compared
+ */
+function compileGuarded(node, math, guard) {
+  if (node.type === 'ParenthesisNode') {
+    return compileGuarded(node.content, math, guard);
+  }
+  if (node.type === 'OperatorNode' && (RELATIONAL.has(node.fn) || LOGICAL.has(node.fn))) {
+    const args = node.args.map(arg => compileGuarded(arg, math, guard));
+    const checked = RELATIONAL.has(node.fn);
+    return (scope) => {
+      const values = args.map(arg => arg(scope));
+      if (checked) values.forEach(guard);
+      return math[node.fn](...values);
+    };
+  }
+  if (node.type === 'RelationalNode') {
+    const params = node.params.map(param => compileGuarded(param, math, guard));
+    return (scope) => {
+      const values = params.map(param => param(scope));
+      values.forEach(guard);
+      return node.conditionals.every((fn, i) => math[fn](values[i], values[i + 1]));
+    };
+  }
+  if (node.type === 'ConditionalNode') {
+    const [condition, whenTrue, whenFalse] = [node.condition, node.trueExpr, node.falseExpr]
+      .map(part => compileGuarded(part, math, guard));
+    return (scope) => (truthy(math, condition(scope)) ? whenTrue(scope) : whenFalse(scope));
+  }
+  if (node.type === 'OperatorNode' && typeof math[node.fn] === 'function') {
+    const args = node.args.map(arg => compileGuarded(arg, math, guard));
+    return (scope) => guarded(guard, math[node.fn](...args.map(arg => arg(scope))));
+  }
+  const compiled = node.compile();
+  if (node.type === 'FunctionNode' && node.fn.type === 'SymbolNode') {
+    const { name } = node.fn;
+    const args = node.args.map(arg => compileGuarded(arg, math, guard));
+    return (scope) => {
+      const fn = typeof scope[name] === 'function' ? scope[name] : math[name];
+      if (typeof fn !== 'function') return compiled.evaluate(scope);
+      return guarded(guard, fn(...args.map(arg => arg(scope))));
+    };
+  }
+  return (scope) => guarded(guard, compiled.evaluate(scope));
+}
+
+function guarded(guard, value) {
+  guard(value);
+  return value;
+}
+
+function truthy(math, value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return Boolean(value);
+  return !math.isZero(value);
+}
+
+function mathArithmetic(mode, math, guard, convert) {
+  return {
+    mode,
+    parse: (expression) => math.parse(expression),
+    compileNode: (node) => {
+      const evaluate = compileGuarded(node, math, guard);
+      return (scope) => evaluate(convertScope(scope, convert));
+    },
+    subtract: (a, b) => math.subtract(a, b),
+    toNumber: (value) => Number(value.valueOf()),
+    truthy: (value) => truthy(math, value),
+    within: (actual, expected, tolerance) => {
+      const target = convert(expected);
+      guard(actual);
+      guard(target);
+      return math.smaller(math.abs(math.subtract(actual, target)), convert(tolerance));
+    },
+    serialize: (value) => {
+      if (value?.isBigNumber) return value.toString();
+      if (value?.isFraction) return value.toFraction();
+      return value;
+    }
+  };
+}
+
+function convertScope(scope, convert) {
+  const converted = {};
+  for (const [name, value] of Object.entries(scope)) converted[name] = convert(value);
+  return converted;
+}
+
+const exactArithmetic = {
+  mode: 'exact',
+  parse: parseExact,
+  compileNode: compileExactNode,
+  subtract: (a, b) => a.sub(b),
+  toNumber: (value) => value.toNumber(),
+  truthy: isTruthy,
+  within: (actual, expected, tolerance) => {
+    if (!(actual instanceof Rational)) return false;
+    return actual.sub(Rational.from(expected)).abs().compare(Rational.from(tolerance)) < 0;
+  },
+  serialize: (value) => {
+    if (!(value instanceof Rational)) return value;
+    return value.isInteger() && Number.isSafeInteger(Number(value.n)) ? Number(value.n) : value.toString();
+  }
+};
+
+/**
+ * Arithmetic implementation for a mode
+ *
+ * @param {string} mode - one of ARITHMETIC_MODES
+ * @param {object} [options]
+ * @param {number} [options.precision=64] - significant digits for bignumber
+ */
+export function createArithmetic(mode, { precision = 64 } = {}) {
+  switch (mode) {
+    case 'float':
+      return mathArithmetic('float', floatMath, guardFloat, (v) => (typeof v === 'string' || typeof v === 'bigint' ? Number(v) : v));
+    case 'bignumber': {
+      const math = bigNumberMath(precision);
+      return mathArithmetic('bignumber', math, guardBigNumber(precision), (v) =>
+        (typeof v === 'number' || typeof v === 'string' || typeof v === 'bigint' ? math.bignumber(String(v)) : v));
+    }
+    case 'fraction':
+      return mathArithmetic('fraction', fractionMath, guardFraction, (v) =>
+        (typeof v === 'number' || typeof v === 'string' ? fractionMath.fraction(v) : v));
+    case 'exact':
+      return exactArithmetic;
+    default:
+      throw new Error(`Unknown arithmetic mode: ${mode}`);
+  }
+}
+
+/**
+ * Compile a predicate expression: `evaluate` (raw value), `holds` (truthy)
+ * and, for a top-level comparison, a signed `margin` (negative means
+ * violated) that guides the annealing search
+ */
+export function compilePredicate(expression, arithmetic) {
+  const node = arithmetic.parse(expression);
+  const evaluate = arithmetic.compileNode(node);
+
+  let margin = () => null;
+  if (node.isOperatorNode && node.args.length === 2) {
+    const [lhs, rhs] = node.args.map(arg => arithmetic.compileNode(arg));
+    const diff = (scope) => arithmetic.toNumber(arithmetic.subtract(rhs(scope), lhs(scope)));
+    if (node.fn === 'smaller' || node.fn === 'smallerEq') margin = diff;
+    if (node.fn === 'larger' || node.fn === 'largerEq') margin = (scope) => -diff(scope);
+  }
+
+  return {
+    evaluate: (scope) => evaluate({ ...scope }),
+    holds: (scope) => arithmetic.truthy(evaluate({ ...scope })),
+    margin
+  };
+}
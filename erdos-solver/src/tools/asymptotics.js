@@ -0,0 +1,393 @@
+import { generateBoundedSequence } from '../sequences/index.js';
+
+/**
+ * Asymptotic fitting for (n, a(n)) data.
+ *
+ * Every model is linear in log a(n), so fits are ordinary least squares on
+ * the log scale (multiplicative errors) and their residuals are comparable:
+ *
+ *   power              a ~ C n^alpha
+ *   power-log          a ~ C n^alpha (log n)^beta
+ *   exponential        a ~ C e^(lambda n)
+ *   power-exponential  a ~ C n^alpha e^(lambda n)
+ *
+ * Confidence intervals are Student-t intervals from the OLS covariance.
+ * Consecutive terms of a sequence are strongly correlated, so treat them as
+ * a measure of fit quality rather than exact coverage; the Richardson
+ * extrapolations are the independent check on the limits.
+ */
+export const ASYMPTOTIC_MODELS = {
+  power: {
+    formula: 'C * n^alpha',
+    params: ['alpha'],
+    columns: (n) => [Math.log(n)],
+    expression: (c, p) => `${c} * n^${p.alpha}`
+  },
+  'power-log': {
+    formula: 'C * n^alpha * log(n)^beta',
+    params: ['alpha', 'beta'],
+    // log log n needs n > 1
+    above: 1,
+    columns: (n) => [Math.log(n), Math.log(Math.log(n))],
+    expression: (c, p) => `${c} * n^${p.alpha} * log(n)^${p.beta}`
+  },
+  exponential: {
+    formula: 'C * exp(lambda * n)',
+    params: ['lambda'],
+    columns: (n) => [n],
+    expression: (c, p) => `${c} * exp(${p.lambda} * n)`
+  },
+  'power-exponential': {
+    formula: 'C * n^alpha * exp(lambda * n)',
+    params: ['alpha', 'lambda'],
+    columns: (n) => [Math.log(n), n],
+    expression: (c, p) => `${c} * n^${p.alpha} * exp(${p.lambda} * n)`
+  }
+};
+
+// Significant digits of constants in fitted expressions
+const DIGITS = 6;
+
+const round = (x) => Number(x.toPrecision(DIGITS));
+
+/**
+ * Throw unless `level` is a confidence level strictly between 0 and 1
+ */
+export function checkLevel(level) {
+  if (!(typeof level === 'number' && level > 0 && level < 1)) {
+    throw new Error(`level must be a number strictly between 0 and 1, got ${level}`);
+  }
+}
+
+/**
+ * Throw unless `ratio` is a finite scale ratio above 1 (the Richardson
+ * scales shrink by it, so ratio <= 1 would never end)
+ */
+export function checkRatio(ratio) {
+  if (!(typeof ratio === 'number' && ratio > 1 && Number.isFinite(ratio))) {
+    throw new Error(`ratio must be a finite number greater than 1, got ${ratio}`);
+  }
+}
+
+// Lanczos approximation of log Gamma
+function logGamma(x) {
+  const g = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  x -= 1;
+  let sum = 0.99999999999980993;
+  for (let i = 0; i < g.length; i++) sum += g[i] / (x + i + 1);
+  const t = x + g.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    for (const aa of [m * (b - m) * x / ((a + m2 - 1) * (a + m2)), -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))]) {
+      d = 1 + aa * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-15) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided Student-t critical value: P(|T| <= t) = level with df degrees
+ * of freedom, by bisection on the CDF
+ */
+export function studentT(level, df) {
+  checkLevel(level);
+  const tail = (t) => incompleteBeta(df / (df + t * t), df / 2, 0.5); // P(|T| > t)
+  let lo = 0;
+  let hi = 1;
+  while (tail(hi) > 1 - level) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tail(mid) > 1 - level) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Inverse of a small matrix (Gauss-Jordan with partial pivoting)
+function invert(matrix) {
+  const size = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12 * Math.max(1, Math.abs(a[col][col]))) {
+      throw new Error('Design matrix is singular; the data cannot separate these model terms');
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * size; j++) a[col][j] /= p;
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = a[r][col];
+      for (let j = 0; j < 2 * size; j++) a[r][j] -= factor * a[col][j];
+    }
+  }
+  return a.map(row => row.slice(size));
+}
+
+/**
+ * Ordinary least squares y ~ X beta (X includes the intercept column)
+ */
+function leastSquares(rows, y) {
+  const p = rows[0].length;
+  const xtx = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) =>
+    rows.reduce((sum, row) => sum + row[i] * row[j], 0)));
+  const xty = Array.from({ length: p }, (_, i) => rows.reduce((sum, row, k) => sum + row[i] * y[k], 0));
+  const inverse = invert(xtx);
+  const beta = inverse.map(row => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+  const residuals = y.map((yk, k) => yk - rows[k].reduce((sum, x, j) => sum + x * beta[j], 0));
+  const rss = residuals.reduce((sum, r) => sum + r * r, 0);
+  return { beta, inverse, rss };
+}
+
+/**
+ * Normalize input data to sorted [n, a] points with n > 0 and a > 0.
+ *
+ * @param {object} data
+ * @param {Array<[number, number]>} [data.points] - explicit (n, a(n)) pairs
+ * @param {number[]} [data.sequence] - terms a(1), a(2), ...
+ * @param {{name: string, n?: number, upTo?: number}} [data.spec] - named
+ *   sequence from src/sequences, within its generator's request limits
+ * @param {'terms'|'counting'} [data.as='terms'] - 'counting' fits the
+ *   counting function N -> #{terms <= N} at the terms, (a(k), k)
+ */
+export function asymptoticPoints({ points, sequence, spec, as = 'terms' } = {}) {
+  let data = points;
+  if (!data) {
+    const terms = sequence ?? (spec ? generateBoundedSequence(spec) : null);
+    if (!Array.isArray(terms)) {
+      throw new Error('Give points, a sequence or a named sequence spec');
+    }
+    data = as === 'counting'
+      ? terms.map((term, k) => [term, k + 1])
+      : terms.map((term, k) => [k + 1, term]);
+  }
+  return data
+    .map(([n, a]) => [Number(n), Number(a)])
+    .filter(([n, a]) => n > 0 && a > 0 && Number.isFinite(n) && Number.isFinite(a))
+    .sort((x, y) => x[0] - y[0]);
+}
+
+/**
+ * Fit one model to sorted points
+ */
+export function fitModel(points, model, { level = 0.95 } = {}) {
+  const spec = ASYMPTOTIC_MODELS[model];
+  if (!spec) {
+    throw new Error(`Unknown model ${model}. Use one of ${Object.keys(ASYMPTOTIC_MODELS).join(', ')}`);
+  }
+  const used = points.filter(([n]) => n > (spec.above ?? 0));
+  const p = spec.params.length + 1;
+  if (used.length <= p) {
+    throw new Error(`${model} needs more than ${p} points, got ${used.length}`);
+  }
+
+  const rows = used.map(([n]) => [1, ...spec.columns(n)]);
+  const y = used.map(([, a]) => Math.log(a));
+  const { beta, inverse, rss } = leastSquares(rows, y);
+
+  const count = used.length;
+  const df = count - p;
+  const sigma2 = rss / df;
+  const t = studentT(level, df);
+  const interval = (i) => {
+    const se = Math.sqrt(Math.max(0, sigma2 * inverse[i][i]));
+    return { estimate: beta[i], se, ci: [beta[i] - t * se, beta[i] + t * se] };
+  };
+
+  const intercept = interval(0);
+  const params = {
+    // C = e^intercept, so its interval is the image of the intercept's
+    C: {
+      estimate: Math.exp(intercept.estimate),
+      ci: intercept.ci.map(Math.exp),
+      logSe: intercept.se
+    }
+  };
+  spec.params.forEach((name, i) => {
+    params[name] = interval(i + 1);
+  });
+
+  const mean = y.reduce((a, b) => a + b, 0) / count;
+  const tss = y.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+  // Gaussian log-likelihood with the variance as one more parameter
+  const logLik = -count / 2 * (Math.log(2 * Math.PI * Math.max(rss, 1e-300) / count) + 1);
+  const k = p + 1;
+
+  const rounded = Object.fromEntries(spec.params.map(name => [name, round(params[name].estimate)]));
+  return {
+    model,
+    formula: spec.formula,
+    expression: spec.expression(round(params.C.estimate), rounded),
+    params,
+    points: count,
+    range: [used[0][0], used[count - 1][0]],
+    rss,
+    r2: tss > 0 ? 1 - rss / tss : 1,
+    aic: 2 * k - 2 * logLik,
+    bic: k * Math.log(count) - 2 * logLik
+  };
+}
+
+// Linear interpolation of sorted points at x (null outside their range)
+function valueAt(points, x) {
+  if (x < points[0][0] || x > points[points.length - 1][0]) return null;
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][0] <= x) lo = mid;
+    else hi = mid;
+  }
+  const [x0, y0] = points[lo];
+  const [x1, y1] = points[hi];
+  return x1 === x0 ? y0 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+/**
+ * Richardson extrapolation of s(n) -> L assuming s(n) = L + c n^-p + ...
+ * with unknown p: from s(n), s(rn), s(r^2 n) at geometric scales, r^p is
+ * estimated from successive differences and the leading correction removed.
+ * `error` is the change between the last two estimates.
+ *
+ * @returns {{limit: number|null, order: number|null, error: number|null, steps: object[]}}
+ */
+export function richardsonLimit(points, { ratio = 2, minN } = {}) {
+  checkRatio(ratio);
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  if (sorted.length < 3) return { limit: null, order: null, error: null, steps: [] };
+  const first = minN ?? sorted[0][0];
+  const last = sorted[sorted.length - 1][0];
+
+  const steps = [];
+  for (let n = last / ratio ** 2; n >= first; n /= ratio) {
+    const [s0, s1, s2] = [n, n * ratio, n * ratio * ratio].map(x => valueAt(sorted, x));
+    const d1 = s1 - s0;
+    const d2 = s2 - s1;
+    const q = d1 / d2;
+    // Only differences shrinking geometrically describe a convergent tail
+    if (d2 !== 0 && Number.isFinite(q) && q > 1) {
+      steps.push({ n, estimate: s2 + d2 / (q - 1), order: Math.log(q) / Math.log(ratio) });
+    } else {
+      steps.push({ n, estimate: s2, order: null });
+    }
+  }
+  steps.reverse();
+
+  const final = steps[steps.length - 1];
+  const previous = steps[steps.length - 2];
+  return {
+    limit: final?.estimate ?? null,
+    order: final?.order ?? null,
+    error: final && previous ? Math.abs(final.estimate - previous.estimate) : null,
+    steps
+  };
+}
+
+/**
+ * Richardson estimates of the growth exponent (from local log-log slopes
+ * over [n, ratio n]) and of the constant a(n) / n^alpha, for the fitted
+ * exponent or a given one
+ */
+export function extrapolateGrowth(points, { ratio = 2, exponent } = {}) {
+  checkRatio(ratio);
+  const logPoints = points.map(([n, a]) => [n, Math.log(a)]);
+  const slopes = [];
+  const last = points[points.length - 1][0];
+  for (let n = last / ratio; n >= points[0][0]; n /= ratio) {
+    const y0 = valueAt(logPoints, n);
+    const y1 = valueAt(logPoints, n * ratio);
+    slopes.push([n, (y1 - y0) / Math.log(ratio)]);
+  }
+  const exponentLimit = richardsonLimit(slopes, { ratio });
+
+  const alpha = exponent ?? exponentLimit.limit;
+  const constant = alpha === null
+    ? null
+    : { exponent: alpha, ...richardsonLimit(points.map(([n, a]) => [n, a / n ** alpha]), { ratio }) };
+  return { exponent: exponentLimit, constant };
+}
+
+/**
+ * Fit growth models to (n, a(n)) data and rank them by AIC / BIC
+ *
+ * @param {object} data - see asymptoticPoints
+ * @param {object} [options]
+ * @param {string[]} [options.models] - defaults to every model
+ * @param {number} [options.minN] - ignore points with smaller n (fit the tail)
+ * @param {number} [options.level=0.95] - confidence level
+ * @param {number} [options.exponent] - fixed exponent for the extrapolated constant
+ * @param {number} [options.ratio=2] - scale ratio for Richardson extrapolation
+ */
+export function fitAsymptotics(data, { models = Object.keys(ASYMPTOTIC_MODELS), minN, level = 0.95, exponent, ratio = 2 } = {}) {
+  checkLevel(level);
+  checkRatio(ratio);
+  const points = asymptoticPoints(data).filter(([n]) => minN === undefined || n >= minN);
+  if (points.length < 4) {
+    throw new Error(`Need at least 4 points with positive n and a(n), got ${points.length}`);
+  }
+
+  const fits = [];
+  const skipped = [];
+  for (const model of models) {
+    try {
+      fits.push(fitModel(points, model, { level }));
+    } catch (error) {
+      if (!ASYMPTOTIC_MODELS[model]) throw error;
+      skipped.push({ model, reason: error.message });
+    }
+  }
+  if (fits.length === 0) {
+    throw new Error(`No model could be fitted: ${skipped.map(s => s.reason).join('; ')}`);
+  }
+
+  // Akaike weights: relative likelihood of each model given the data
+  const minAic = Math.min(...fits.map(f => f.aic));
+  const total = fits.reduce((sum, f) => sum + Math.exp((minAic - f.aic) / 2), 0);
+  for (const fit of fits) fit.aicWeight = Math.exp((minAic - fit.aic) / 2) / total;
+  fits.sort((a, b) => a.aic - b.aic);
+
+  const byBic = [...fits].sort((a, b) => a.bic - b.bic);
+  return {
+    points: points.length,
+    range: [points[0][0], points[points.length - 1][0]],
+    level,
+    best: { aic: fits[0].model, bic: byBic[0].model },
+    fits,
+    skipped,
+    extrapolation: extrapolateGrowth(points, { ratio, exponent })
+  };
+}
@@ -0,0 +1,245 @@
+import { parse } from 'mathjs';
+import { Interval, compileInterval, COMPARISONS } from './interval.js';
+import { generateBoundedSequence } from '../sequences/index.js';
+
+/**
+ * Interval-arithmetic certificates for finite-range inequalities.
+ *
+ * certifyInequality splits the range into boxes and evaluates both sides of
+ * the comparison over each box in interval arithmetic (bisecting boxes it
+ * cannot decide), so a 'certified' result covers every point of the range,
+ * not just sampled ones. The certificate lists every box with its enclosures
+ * and margin and can be re-checked from scratch with checkCertificate.
+ *
+ * Functions other than the mathjs builtins are given as JSON specs, so a
+ * certificate carries everything needed to rebuild them:
+ *
+ *   { type: 'counting', sequence: { name: 'mian-chowla' } }
+ *       number of terms <= x (the terms are generated up to the range end)
+ *   { type: 'term', sequence: { name: 'mian-chowla' } }
+ *       the n-th term (1-indexed) of an increasing sequence
+ *
+ * Either may give explicit `terms` instead of a `sequence` spec; they must
+ * then list every term up to the range end.
+ */
+export const CERTIFICATE_VERSION = 1;
+
+function sortedTerms(spec, limit, kind) {
+  const terms = spec.terms ?? (kind === 'counting'
+    ? generateBoundedSequence({ ...spec.sequence, upTo: limit })
+    : generateBoundedSequence({ ...spec.sequence, n: limit }));
+  if (!Array.isArray(terms) || terms.some((t, i) => i > 0 && !(t > terms[i - 1]))) {
+    throw new Error(`${kind} function needs a strictly increasing sequence`);
+  }
+  return terms;
+}
+
+// Number of sorted values <= x
+function countUpTo(values, x) {
+  let lo = 0;
+  let hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] <= x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Interval extensions for function specs over `range`
+ */
+export function buildIntervalFunctions(specs = {}, range) {
+  const functions = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    if (spec.type === 'counting') {
+      const terms = sortedTerms(spec, range[1], 'counting');
+      // Non-decreasing, so the endpoints bound it
+      functions[name] = (x) => {
+        if (x.hi > range[1]) {
+          throw new Error(`${name} is only known up to ${range[1]}, got ${x}`);
+        }
+        return new Interval(countUpTo(terms, x.lo), countUpTo(terms, x.hi));
+      };
+    } else if (spec.type === 'term') {
+      const terms = sortedTerms(spec, range[1], 'term');
+      functions[name] = (x) => {
+        const first = Math.ceil(x.lo);
+        const last = Math.floor(x.hi);
+        if (first < 1 || last > terms.length || first > last) {
+          throw new Error(`${name} is defined for integer indices 1..${terms.length}, got ${x}`);
+        }
+        return new Interval(terms[first - 1], terms[last - 1]);
+      };
+    } else {
+      throw new Error(`Unknown function type for ${name}: ${spec.type}`);
+    }
+  }
+  return functions;
+}
+
+/**
+ * Split a top-level comparison into sides and the interval function of its
+ * margin: positive where the inequality holds
+ */
+function compileClaim(claim, functions) {
+  const node = parse(claim);
+  const comparison = node.type === 'OperatorNode' && COMPARISONS[node.fn];
+  if (!comparison) {
+    throw new Error('Claim must be a single comparison (<, <=, >, >=), e.g. "count(N) >= 0.31 * N^0.49"');
+  }
+  const [left, right] = node.args.map(arg => compileInterval(arg, { functions }));
+  return {
+    ...comparison,
+    evaluate: (scope) => {
+      const lhs = left(scope);
+      const rhs = right(scope);
+      const margin = comparison.sign > 0 ? lhs.sub(rhs) : rhs.sub(lhs);
+      return { lhs, rhs, margin };
+    }
+  };
+}
+
+const holdsOn = (margin, strict) => (strict ? margin.lo > 0 : margin.lo >= 0);
+const failsOn = (margin, strict) => (strict ? margin.hi <= 0 : margin.hi < 0);
+
+/**
+ * Certify `claim` (a mathjs comparison in `variable`) on every point of
+ * `range`
+ *
+ * @param {string} claim - e.g. 'count(N) >= 0.31 * N^0.49'
+ * @param {object} options
+ * @param {[number, number]} options.range - inclusive
+ * @param {string} [options.variable='N']
+ * @param {boolean} [options.integer=true] - integer points only
+ * @param {object} [options.functions] - specs, see above
+ * @param {number} [options.maxBoxes=100000] - evaluation budget
+ * @param {number} [options.minWidth=1e-9] - smallest real box to bisect
+ * @returns {object} certificate with `status` 'certified', 'refuted' or
+ *   'inconclusive', the `boxes` and the `worstMargin`
+ */
+export function certifyInequality(claim, {
+  range,
+  variable = 'N',
+  integer = true,
+  functions = {},
+  maxBoxes = 100000,
+  minWidth = 1e-9
+} = {}) {
+  const [start, end] = range ?? [];
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+    throw new Error('range must be [start, end] with finite start <= end');
+  }
+  if (integer && !(Number.isSafeInteger(start) && Number.isSafeInteger(end))) {
+    throw new Error('Integer ranges need safe-integer endpoints');
+  }
+
+  const { evaluate, strict } = compileClaim(claim, buildIntervalFunctions(functions, range));
+  const boxes = [];
+  let evaluations = 0;
+  let status = 'certified';
+  let failure = null;
+
+  // Depth-first, left half first, so certified boxes come out in order
+  const stack = [[start, end]];
+  while (stack.length > 0) {
+    const [a, b] = stack.pop();
+    if (++evaluations > maxBoxes) {
+      status = 'inconclusive';
+      failure = { range: [a, b], reason: `Gave up after ${maxBoxes} evaluations` };
+      break;
+    }
+
+    const { lhs, rhs, margin } = evaluate({ [variable]: new Interval(a, b) });
+    const box = { range: [a, b], lhs: lhs.toJSON(), rhs: rhs.toJSON(), margin: margin.toJSON() };
+    if (holdsOn(margin, strict)) {
+      boxes.push(box);
+      continue;
+    }
+
+    // The enclosure covers every point of the box, so all of them fail
+    if (failsOn(margin, strict)) {
+      status = 'refuted';
+      failure = { ...box, reason: `Fails for every ${variable} in [${a}, ${b}]` };
+      break;
+    }
+    if (integer ? a === b : b - a <= minWidth) {
+      status = 'inconclusive';
+      failure = { ...box, reason: 'Interval enclosure too wide to decide this box' };
+      break;
+    }
+
+    const mid = integer ? Math.floor((a + b) / 2) : a + (b - a) / 2;
+    stack.push(integer ? [mid + 1, b] : [mid, b], [a, mid]);
+  }
+
+  const worst = boxes.reduce((w, box) => (w === null || box.margin[0] < w.margin[0] ? box : w), null);
+  return {
+    type: 'interval-inequality',
+    version: CERTIFICATE_VERSION,
+    claim,
+    variable,
+    integer,
+    range: [start, end],
+    functions,
+    status,
+    holds: status === 'certified',
+    worstMargin: worst ? worst.margin[0] : null,
+    worstBox: worst ? worst.range : null,
+    failure,
+    evaluations,
+    boxes
+  };
+}
+
+/**
+ * Re-check a certificate independently of how it was produced: the boxes
+ * must tile the range in order and the claim must hold on each of them when
+ * re-evaluated
+ *
+ * @returns {{valid: boolean, errors: string[], worstMargin: number|null}}
+ */
+export function checkCertificate(certificate) {
+  const errors = [];
+  const { claim, variable = 'N', integer = true, range, functions = {}, boxes = [] } = certificate ?? {};
+
+  if (certificate?.type !== 'interval-inequality') {
+    return { valid: false, errors: ['Not an interval-inequality certificate'], worstMargin: null };
+  }
+  if (certificate.status !== 'certified') {
+    errors.push(`Certificate status is ${certificate.status}`);
+  }
+
+  let evaluate;
+  let strict;
+  try {
+    ({ evaluate, strict } = compileClaim(claim, buildIntervalFunctions(functions, range)));
+  } catch (error) {
+    return { valid: false, errors: [...errors, error.message], worstMargin: null };
+  }
+
+  let worstMargin = null;
+  let expected = range[0];
+  for (const [i, box] of boxes.entries()) {
+    const [a, b] = box.range;
+    if (a !== expected || b < a) {
+      errors.push(`Box ${i} [${a}, ${b}] does not continue from ${expected}`);
+      break;
+    }
+    const { margin } = evaluate({ [variable]: new Interval(a, b) });
+    if (!holdsOn(margin, strict)) {
+      errors.push(`Claim not certified on box ${i} [${a}, ${b}]: margin ${margin}`);
+    }
+    worstMargin = worstMargin === null ? margin.lo : Math.min(worstMargin, margin.lo);
+    expected = integer ? b + 1 : b;
+  }
+  const covered = integer ? expected - 1 : expected;
+  if (errors.length === 0 && covered !== range[1]) {
+    errors.push(`Boxes cover up to ${covered}, not ${range[1]}`);
+  }
+  if (errors.length === 0 && worstMargin !== certificate.worstMargin) {
+    errors.push(`Recorded worst margin ${certificate.worstMargin} differs from ${worstMargin}`);
+  }
+
+  return { valid: errors.length === 0, errors, worstMargin };
+}
@@ -0,0 +1,145 @@
+/**
+ * Integer convolution on typed arrays, used by the additive-combinatorics
+ * checkers to count representations for large sets.
+ *
+ * Small inputs are convolved directly; larger ones go through a radix-2
+ * complex FFT in Float64Arrays and are rounded back to integers. Doubles keep
+ * the result exact while coefficients stay well below 2^53 / length, which
+ * covers representation counts of 0/1 indicator vectors of 10^5+ elements.
+ */
+
+// Below this many multiply-adds the direct product is faster than the FFT
+const DIRECT_LIMIT = 1 << 20;
+
+/**
+ * In-place iterative radix-2 FFT; `re.length` must be a power of two
+ */
+export function fft(re, im, invert = false) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Twiddles from a table rather than a running product, which drifts by
+  // about n ulps and would break rounding for large counts
+  const half = n >> 1;
+  const cos = new Float64Array(half);
+  const sin = new Float64Array(half);
+  for (let k = 0; k < half; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / n);
+    sin[k] = (invert ? -1 : 1) * Math.sin(2 * Math.PI * k / n);
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const step = n / len;
+    const span = len >> 1;
+
+    for (let start = 0; start < n; start += len) {
+      for (let k = 0; k < span; k++) {
+        const wRe = cos[k * step];
+        const wIm = sin[k * step];
+        const a = start + k;
+        const b = a + span;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  if (invert) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Exact integer convolution c[k] = sum_i a[i] * b[k - i]
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @param {object} [options]
+ * @param {'auto'|'fft'|'direct'} [options.method='auto']
+ * @returns {Float64Array} length a.length + b.length - 1
+ */
+export function convolve(a, b, { method = 'auto' } = {}) {
+  if (a.length === 0 || b.length === 0) return new Float64Array(0);
+
+  const length = a.length + b.length - 1;
+  const useFft = method === 'fft' || (method === 'auto' && a.length * b.length > DIRECT_LIMIT);
+
+  if (!useFft) {
+    const result = new Float64Array(length);
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === 0) continue;
+      for (let j = 0; j < b.length; j++) {
+        result[i + j] += a[i] * b[j];
+      }
+    }
+    return result;
+  }
+
+  let size = 1;
+  while (size < length) size <<= 1;
+
+  // Pack a into the real part and b into the imaginary part: one forward
+  // transform gives both spectra
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  re.set(a);
+  im.set(b);
+  fft(re, im);
+
+  const outRe = new Float64Array(size);
+  const outIm = new Float64Array(size);
+  for (let k = 0; k < size; k++) {
+    const m = (size - k) & (size - 1);
+    // A[k] = (Z[k] + conj(Z[m])) / 2,  B[k] = (Z[k] - conj(Z[m])) / 2i
+    const aRe = (re[k] + re[m]) / 2;
+    const aIm = (im[k] - im[m]) / 2;
+    const bRe = (im[k] + im[m]) / 2;
+    const bIm = (re[m] - re[k]) / 2;
+    outRe[k] = aRe * bRe - aIm * bIm;
+    outIm[k] = aRe * bIm + aIm * bRe;
+  }
+  fft(outRe, outIm, true);
+
+  const result = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    result[i] = Math.round(outRe[i]);
+  }
+  return result;
+}
+
+/**
+ * Cross-correlation c[d + (b.length - 1)] = sum_i a[i + d] * b[i]; index
+ * b.length - 1 is lag 0
+ */
+export function correlate(a, b, options) {
+  const reversed = Float64Array.from(b).reverse();
+  return convolve(a, reversed, options);
+}
+
+/**
+ * 0/1 indicator vector of a set of integers shifted by `offset`
+ */
+export function indicator(values, offset = 0, length) {
+  const size = length ?? values.reduce((max, v) => Math.max(max, v - offset + 1), 0);
+  const vector = new Float64Array(size);
+  for (const v of values) {
+    vector[v - offset] = 1;
+  }
+  return vector;
+}
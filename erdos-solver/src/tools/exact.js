@@ -0,0 +1,400 @@
+import { create, all } from 'mathjs';
+
+/**
+ * Exact evaluation of mathjs expressions over BigInt rationals.
+ *
+ * Covers the integer and rational fragment used by number-theoretic
+ * conjectures: arithmetic, integer powers, factorials, binomials, gcd / lcm,
+ * mod, floor / ceil, comparisons and logic. Anything irrational (sqrt, log,
+ * pi, ...) is rejected when the expression is compiled, so a compiled
+ * expression never rounds.
+ */
+
+// Parses numeric literals as BigNumbers so long literals keep every digit
+const literalMath = create(all, { number: 'BigNumber' });
+
+// Refuse results (and intermediate powers) longer than this many bits
+const MAX_BITS = 1 << 22;
+
+// Largest operand isPrime tests: Miller-Rabin over 13 bases is cubic in the
+// bit length, about 0.3 s for a 1,279-bit prime and a second at this size
+const MAX_PRIMALITY_BITS = 2048;
+
+function gcd(a, b) {
+  if (a < 0n) a = -a;
+  if (b < 0n) b = -b;
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function bitLength(n) {
+  return n === 0n ? 0 : (n < 0n ? -n : n).toString(2).length;
+}
+
+export class Rational {
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new Error('Division by zero');
+    }
+    if (denominator < 0n) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+    const g = gcd(numerator, denominator);
+    this.n = g > 1n ? numerator / g : numerator;
+    this.d = g > 1n ? denominator / g : denominator;
+  }
+
+  /**
+   * From a bigint, a finite number (decimal value as written, so 0.1 is
+   * 1/10), or a string such as "12345678901234567890", "-3/4" or "2.5"
+   */
+  static from(value) {
+    if (value instanceof Rational) return value;
+    if (value?.isBigNumber) return Rational.from(value.toFixed());
+    if (typeof value === 'bigint') return new Rational(value);
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot represent ${value} exactly`);
+      }
+      if (Number.isSafeInteger(value)) return new Rational(BigInt(value));
+      return Rational.from(String(value));
+    }
+    if (typeof value === 'string') {
+      const text = value.trim();
+      const fraction = /^([+-]?\d+)\s*\/\s*(\d+)$/.exec(text);
+      if (fraction) return new Rational(BigInt(fraction[1]), BigInt(fraction[2]));
+
+      const decimal = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+      if (decimal && (decimal[2] || decimal[3])) {
+        const [, sign, whole, fractional = '', exponent = '0'] = decimal;
+        const shift = Number(exponent) - fractional.length;
+        let n = BigInt(`${sign}${whole || '0'}${fractional}`);
+        let d = 1n;
+        if (shift >= 0) n *= 10n ** BigInt(shift);
+        else d = 10n ** BigInt(-shift);
+        return new Rational(n, d);
+      }
+    }
+    throw new Error(`Cannot convert ${JSON.stringify(value)} to an exact number`);
+  }
+
+  isInteger() {
+    return this.d === 1n;
+  }
+
+  add(other) {
+    return new Rational(this.n * other.d + other.n * this.d, this.d * other.d);
+  }
+
+  sub(other) {
+    return new Rational(this.n * other.d - other.n * this.d, this.d * other.d);
+  }
+
+  mul(other) {
+    return checkSize(new Rational(this.n * other.n, this.d * other.d));
+  }
+
+  div(other) {
+    return new Rational(this.n * other.d, this.d * other.n);
+  }
+
+  neg() {
+    return new Rational(-this.n, this.d);
+  }
+
+  abs() {
+    return this.n < 0n ? this.neg() : this;
+  }
+
+  pow(exponent) {
+    if (!exponent.isInteger()) {
+      throw new Error('Exact arithmetic only supports integer exponents');
+    }
+    const e = exponent.n < 0n ? -exponent.n : exponent.n;
+    if (e > 0n && BigInt(Math.max(bitLength(this.n), bitLength(this.d))) * e > BigInt(MAX_BITS)) {
+      throw new Error(`Power too large for exact arithmetic (over ${MAX_BITS} bits)`);
+    }
+    const result = new Rational(this.n ** e, this.d ** e);
+    return exponent.n < 0n ? new Rational(result.d, result.n) : result;
+  }
+
+  floor() {
+    const q = this.n / this.d;
+    return new Rational(this.n < 0n && q * this.d !== this.n ? q - 1n : q);
+  }
+
+  ceil() {
+    return this.neg().floor().neg();
+  }
+
+  /**
+   * x - y * floor(x / y), as mathjs defines mod
+   */
+  mod(other) {
+    return this.sub(other.mul(this.div(other).floor()));
+  }
+
+  compare(other) {
+    const diff = this.n * other.d - other.n * this.d;
+    return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+  }
+
+  equals(other) {
+    return this.n === other.n && this.d === other.d;
+  }
+
+  toNumber() {
+    return Number(this.n) / Number(this.d);
+  }
+
+  toString() {
+    return this.d === 1n ? this.n.toString() : `${this.n}/${this.d}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+function checkSize(value) {
+  if (bitLength(value.n) > MAX_BITS || bitLength(value.d) > MAX_BITS) {
+    throw new Error(`Value too large for exact arithmetic (over ${MAX_BITS} bits)`);
+  }
+  return value;
+}
+
+function requireInteger(value, name) {
+  if (!(value instanceof Rational) || !value.isInteger()) {
+    throw new Error(`${name} needs integer arguments`);
+  }
+  return value.n;
+}
+
+function requireNumber(value, name) {
+  if (!(value instanceof Rational)) {
+    throw new Error(`${name} needs numeric arguments`);
+  }
+  return value;
+}
+
+/**
+ * Product lo * (lo + 1) * ... * hi, split in halves so the large
+ * multiplications are balanced (100000! in milliseconds rather than seconds)
+ */
+function rangeProduct(lo, hi) {
+  if (hi - lo < 16n) {
+    let result = 1n;
+    for (let i = lo; i <= hi; i++) result *= i;
+    return result;
+  }
+  const mid = (lo + hi) / 2n;
+  return rangeProduct(lo, mid) * rangeProduct(mid + 1n, hi);
+}
+
+/**
+ * Refuse a product of `count` factors of at most `largest` before computing
+ * it: it has at most count * log2(largest) + 1 bits
+ */
+function checkProductSize(count, largest, name) {
+  if (count > 0n && Number(count) * Math.log2(Number(largest)) > MAX_BITS) {
+    throw new Error(`${name} result too large for exact arithmetic (over ${MAX_BITS} bits)`);
+  }
+}
+
+function factorial(value) {
+  const n = requireInteger(value, 'factorial');
+  if (n < 0n) throw new Error('factorial needs a non-negative integer');
+  if (n < 2n) return new Rational(1n);
+  checkProductSize(n - 1n, n, 'factorial');
+  return new Rational(rangeProduct(2n, n));
+}
+
+function binomial(nValue, kValue) {
+  const n = requireInteger(nValue, 'combinations');
+  let k = requireInteger(kValue, 'combinations');
+  if (k < 0n || n < 0n || k > n) return new Rational(0n);
+  if (k > n - k) k = n - k;
+  if (k === 0n) return new Rational(1n);
+  // The falling factorial n (n - 1) ... (n - k + 1) bounds both it and k!
+  checkProductSize(k, n, 'combinations');
+  return new Rational(rangeProduct(n - k + 1n, n) / rangeProduct(1n, k));
+}
+
+function isPrime(value) {
+  if (!(value instanceof Rational) || !value.isInteger()) return false;
+  const n = value.n;
+  if (n < 2n) return false;
+  if (bitLength(n) > MAX_PRIMALITY_BITS) {
+    throw new Error(`isPrime operand too large for exact arithmetic (over ${MAX_PRIMALITY_BITS} bits)`);
+  }
+  for (const p of [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n]) {
+    if (n % p === 0n) return n === p;
+  }
+  // Miller-Rabin with these bases is deterministic below 3.3 * 10^24 and a
+  // strong probable-prime test above
+  let d = n - 1n;
+  let r = 0;
+  while (d % 2n === 0n) {
+    d /= 2n;
+    r++;
+  }
+  const powMod = (base, exp) => {
+    let result = 1n;
+    base %= n;
+    for (; exp > 0n; exp >>= 1n) {
+      if (exp & 1n) result = result * base % n;
+      base = base * base % n;
+    }
+    return result;
+  };
+  for (const a of [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n]) {
+    let x = powMod(a, d);
+    if (x === 1n || x === n - 1n) continue;
+    let composite = true;
+    for (let i = 1; i < r; i++) {
+      x = x * x % n;
+      if (x === n - 1n) {
+        composite = false;
+        break;
+      }
+    }
+    if (composite) return false;
+  }
+  return true;
+}
+
+const equality = (same) => (a, b) => {
+  if (typeof a === 'boolean' || typeof b === 'boolean') return (a === b) === same;
+  return (requireNumber(a, 'comparison').compare(requireNumber(b, 'comparison')) === 0) === same;
+};
+
+const order = (test) => (a, b) => test(requireNumber(a, 'comparison').compare(requireNumber(b, 'comparison')));
+
+const truthy = (value) => (typeof value === 'boolean' ? value : requireNumber(value, 'logic').n !== 0n);
+
+const OPERATORS = {
+  add: (a, b) => requireNumber(a, '+').add(requireNumber(b, '+')),
+  subtract: (a, b) => requireNumber(a, '-').sub(requireNumber(b, '-')),
+  multiply: (a, b) => requireNumber(a, '*').mul(requireNumber(b, '*')),
+  divide: (a, b) => requireNumber(a, '/').div(requireNumber(b, '/')),
+  pow: (a, b) => requireNumber(a, '^').pow(requireNumber(b, '^')),
+  mod: (a, b) => requireNumber(a, 'mod').mod(requireNumber(b, 'mod')),
+  unaryMinus: (a) => requireNumber(a, '-').neg(),
+  unaryPlus: (a) => requireNumber(a, '+'),
+  factorial,
+  equal: equality(true),
+  unequal: equality(false),
+  smaller: order(c => c < 0),
+  smallerEq: order(c => c <= 0),
+  larger: order(c => c > 0),
+  largerEq: order(c => c >= 0),
+  and: (a, b) => truthy(a) && truthy(b),
+  or: (a, b) => truthy(a) || truthy(b),
+  xor: (a, b) => truthy(a) !== truthy(b),
+  not: (a) => !truthy(a)
+};
+
+const FUNCTIONS = {
+  ...OPERATORS,
+  combinations: binomial,
+  abs: (a) => requireNumber(a, 'abs').abs(),
+  floor: (a) => requireNumber(a, 'floor').floor(),
+  ceil: (a) => requireNumber(a, 'ceil').ceil(),
+  fix: (a) => (requireNumber(a, 'fix').n < 0n ? a.ceil() : a.floor()),
+  sign: (a) => new Rational(BigInt(requireNumber(a, 'sign').compare(new Rational(0n)))),
+  gcd: (...args) => new Rational(args.map(a => requireInteger(a, 'gcd')).reduce(gcd, 0n)),
+  lcm: (...args) => new Rational(args.map(a => requireInteger(a, 'lcm')).reduce((x, y) => (x === 0n || y === 0n ? 0n : (x * y < 0n ? -x * y : x * y) / gcd(x, y)))),
+  min: (...args) => args.map(a => requireNumber(a, 'min')).reduce((x, y) => (y.compare(x) < 0 ? y : x)),
+  max: (...args) => args.map(a => requireNumber(a, 'max')).reduce((x, y) => (y.compare(x) > 0 ? y : x)),
+  isInteger: (a) => requireNumber(a, 'isInteger').isInteger(),
+  isPrime
+};
+
+const toExact = (value) => (typeof value === 'boolean' ? value : Rational.from(value));
+
+/**
+ * Compile a mathjs expression for exact evaluation. Throws for constructs
+ * outside the exact fragment.
+ *
+ * @param {string} expression
+ * @returns {(scope: object) => Rational|boolean}
+ */
+export function compileExact(expression) {
+  return compileNode(parseExact(expression));
+}
+
+/**
+ * Parse with numeric literals kept exact, for compileExactNode
+ */
+export function parseExact(expression) {
+  return literalMath.parse(expression);
+}
+
+export function compileExactNode(node) {
+  return compileNode(node);
+}
+
+export function isTruthy(value) {
+  return truthy(value);
+}
+
+/**
+ * Whether compileExact accepts the expression
+ */
+export function supportsExact(expression) {
+  try {
+    compileExact(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function compileNode(node) {
+  switch (node.type) {
+    case 'ConstantNode': {
+      const value = toExact(node.value);
+      return () => value;
+    }
+    case 'SymbolNode':
+      return (scope) => {
+        if (!(node.name in scope)) {
+          throw new Error(`Undefined symbol ${node.name}`);
+        }
+        return toExact(scope[node.name]);
+      };
+    case 'ParenthesisNode':
+      return compileNode(node.content);
+    case 'ConditionalNode': {
+      const [condition, whenTrue, whenFalse] = [node.condition, node.trueExpr, node.falseExpr].map(compileNode);
+      return (scope) => (truthy(condition(scope)) ? whenTrue(scope) : whenFalse(scope));
+    }
+    case 'RelationalNode': {
+      const params = node.params.map(compileNode);
+      const tests = node.conditionals.map(fn => OPERATORS[fn]);
+      return (scope) => {
+        const values = params.map(param => param(scope));
+        return tests.every((test, i) => test(values[i], values[i + 1]));
+      };
+    }
+    case 'OperatorNode':
+    case 'FunctionNode': {
+      const name = node.type === 'OperatorNode' ? node.fn : node.fn.name;
+      const fn = (node.type === 'OperatorNode' ? OPERATORS : FUNCTIONS)[name];
+      if (!fn) {
+        throw new Error(`Not supported in exact arithmetic: ${node.type === 'OperatorNode' ? node.op : name}`);
+      }
+      const args = node.args.map(compileNode);
+      if (name === 'and' || name === 'or') {
+        // Short-circuit like mathjs
+        return name === 'and'
+          ? (scope) => truthy(args[0](scope)) && truthy(args[1](scope))
+          : (scope) => truthy(args[0](scope)) || truthy(args[1](scope));
+      }
+      return (scope) => fn(...args.map(arg => arg(scope)));
+    }
+    default:
+      throw new Error(`Not supported in exact arithmetic: ${node.type}`);
+  }
+}
@@ -0,0 +1,296 @@
+import { parse } from 'mathjs';
+
+/**
+ * Interval arithmetic over doubles with outward rounding.
+ *
+ * JavaScript cannot change the FPU rounding mode, so every inexact result is
+ * widened by one ulp in each direction: +, -, *, / and sqrt are correctly
+ * rounded (half an ulp of error), so one ulp encloses the exact value. The
+ * transcendental functions (log, exp, non-integer pow) are widened by
+ * LIBM_ULPS, assuming V8's fdlibm-derived Math functions stay within one ulp.
+ * Integer operands with a safe-integer result are kept exact.
+ */
+
+// Widening for Math.log / Math.exp / Math.pow results
+const LIBM_ULPS = 2;
+
+const buffer = new Float64Array(1);
+const bits = new BigInt64Array(buffer.buffer);
+
+/**
+ * Smallest double greater than x
+ */
+export function nextUp(x) {
+  if (Number.isNaN(x) || x === Infinity) return x;
+  if (x === 0) return Number.MIN_VALUE;
+  buffer[0] = x;
+  bits[0] += x > 0 ? 1n : -1n;
+  return buffer[0];
+}
+
+/**
+ * Largest double less than x
+ */
+export function nextDown(x) {
+  return -nextUp(-x);
+}
+
+function widen(x, ulps, step) {
+  for (let i = 0; i < ulps; i++) x = step(x);
+  return x;
+}
+
+const exactInteger = (...values) => values.every(Number.isSafeInteger);
+
+export class Interval {
+  constructor(lo, hi = lo) {
+    if (Number.isNaN(lo) || Number.isNaN(hi) || lo > hi) {
+      throw new Error(`Invalid interval [${lo}, ${hi}]`);
+    }
+    this.lo = lo;
+    this.hi = hi;
+  }
+
+  /**
+   * Enclosure of a number, a decimal string, an [lo, hi] pair or an Interval.
+   * Numbers other than safe integers are widened by an ulp, since they are
+   * usually rounded decimals.
+   */
+  static from(value) {
+    if (value instanceof Interval) return value;
+    if (Array.isArray(value)) return new Interval(value[0], value[1]);
+    const x = typeof value === 'string' ? Number(value) : value;
+    if (typeof x !== 'number' || Number.isNaN(x)) {
+      throw new Error(`Cannot enclose ${value} in an interval`);
+    }
+    return Number.isSafeInteger(x) ? new Interval(x) : new Interval(nextDown(x), nextUp(x));
+  }
+
+  /**
+   * Interval of a rounded result, widened by `ulps`. Sums, differences and
+   * products pass their `operands`: safe-integer results of safe-integer
+   * operands are exact and stay unwidened.
+   */
+  static rounded(lo, hi, ulps = 1, operands = null) {
+    if (operands && exactInteger(lo, hi, ...operands)) return new Interval(lo, hi);
+    return new Interval(widen(lo, ulps, nextDown), widen(hi, ulps, nextUp));
+  }
+
+  get width() {
+    return this.hi - this.lo;
+  }
+
+  contains(x) {
+    return this.lo <= x && x <= this.hi;
+  }
+
+  neg() {
+    return new Interval(-this.hi, -this.lo);
+  }
+
+  add(other) {
+    const o = Interval.from(other);
+    return Interval.rounded(this.lo + o.lo, this.hi + o.hi, 1, [this.lo, this.hi, o.lo, o.hi]);
+  }
+
+  sub(other) {
+    const o = Interval.from(other);
+    return Interval.rounded(this.lo - o.hi, this.hi - o.lo, 1, [this.lo, this.hi, o.lo, o.hi]);
+  }
+
+  mul(other) {
+    const o = Interval.from(other);
+    if ((this.lo === 0 && this.hi === 0) || (o.lo === 0 && o.hi === 0)) return new Interval(0);
+    // 0 * Infinity is NaN; an exact zero factor gives an exact zero product
+    const times = (a, b) => (a === 0 || b === 0 ? 0 : a * b);
+    const products = [times(this.lo, o.lo), times(this.lo, o.hi), times(this.hi, o.lo), times(this.hi, o.hi)];
+    return Interval.rounded(Math.min(...products), Math.max(...products), 1, [this.lo, this.hi, o.lo, o.hi]);
+  }
+
+  div(other) {
+    const o = Interval.from(other);
+    if (o.contains(0)) {
+      throw new Error(`Division by an interval containing 0: [${o.lo}, ${o.hi}]`);
+    }
+    const quotients = [this.lo / o.lo, this.lo / o.hi, this.hi / o.lo, this.hi / o.hi];
+    return Interval.rounded(Math.min(...quotients), Math.max(...quotients));
+  }
+
+  abs() {
+    if (this.lo >= 0) return this;
+    if (this.hi <= 0) return this.neg();
+    return new Interval(0, Math.max(-this.lo, this.hi));
+  }
+
+  sqrt() {
+    if (this.hi < 0) {
+      throw new Error(`sqrt of a negative interval [${this.lo}, ${this.hi}]`);
+    }
+    const lo = Math.sqrt(Math.max(0, this.lo));
+    const hi = Math.sqrt(this.hi);
+    // Perfect squares of safe integers are exact
+    const exact = (root, square) => Number.isSafeInteger(root) && exactInteger(square) && root * root === square;
+    return new Interval(exact(lo, this.lo) ? lo : Math.max(0, nextDown(lo)), exact(hi, this.hi) ? hi : nextUp(hi));
+  }
+
+  log() {
+    if (this.lo <= 0) {
+      throw new Error(`log of an interval reaching 0 or below: [${this.lo}, ${this.hi}]`);
+    }
+    // log(1) = 0 is exact, which keeps 1^y exact too
+    const log = (x, step) => (x === 1 ? 0 : widen(Math.log(x), LIBM_ULPS, step));
+    return new Interval(log(this.lo, nextDown), log(this.hi, nextUp));
+  }
+
+  exp() {
+    const exp = (x, step) => (x === 0 ? 1 : widen(Math.exp(x), LIBM_ULPS, step));
+    return new Interval(Math.max(0, exp(this.lo, nextDown)), exp(this.hi, nextUp));
+  }
+
+  /**
+   * Power: integer exponents by repeated multiplication (so integer bases
+   * stay exact), other point exponents through Math.pow on a non-negative
+   * base, interval exponents as exp(y log x)
+   */
+  pow(other) {
+    const o = Interval.from(other);
+    if (o.lo === o.hi && Number.isInteger(o.lo)) {
+      return this._integerPow(o.lo);
+    }
+    if (this.lo < 0) {
+      throw new Error(`Non-integer power of an interval with negative values: [${this.lo}, ${this.hi}]`);
+    }
+    if (o.lo === o.hi) {
+      const y = o.lo;
+      const lo = y > 0 ? this.lo : this.hi;
+      const hi = y > 0 ? this.hi : this.lo;
+      return new Interval(
+        Math.max(0, widen(Math.pow(lo, y), LIBM_ULPS, nextDown)),
+        widen(Math.pow(hi, y), LIBM_ULPS, nextUp)
+      );
+    }
+    return o.mul(this.log()).exp();
+  }
+
+  _integerPow(k) {
+    if (k < 0) return new Interval(1).div(this._integerPow(-k));
+    if (k % 2 === 0 && this.lo < 0 && this.hi > 0) {
+      return new Interval(0, Math.max(-this.lo, this.hi))._integerPow(k);
+    }
+    if (k % 2 === 0 && this.hi <= 0) return this.neg()._integerPow(k);
+    let result = new Interval(1);
+    let base = this;
+    for (let e = k; e > 0; e = Math.floor(e / 2)) {
+      if (e % 2 === 1) result = result.mul(base);
+      if (e > 1) base = base.mul(base);
+    }
+    return result;
+  }
+
+  floor() {
+    return new Interval(Math.floor(this.lo), Math.floor(this.hi));
+  }
+
+  ceil() {
+    return new Interval(Math.ceil(this.lo), Math.ceil(this.hi));
+  }
+
+  min(other) {
+    const o = Interval.from(other);
+    return new Interval(Math.min(this.lo, o.lo), Math.min(this.hi, o.hi));
+  }
+
+  max(other) {
+    const o = Interval.from(other);
+    return new Interval(Math.max(this.lo, o.lo), Math.max(this.hi, o.hi));
+  }
+
+  toJSON() {
+    return [this.lo, this.hi];
+  }
+
+  toString() {
+    return `[${this.lo}, ${this.hi}]`;
+  }
+}
+
+const CONSTANTS = {
+  pi: Interval.from(Math.PI),
+  e: Interval.from(Math.E)
+};
+
+const OPERATORS = {
+  add: (a, b) => a.add(b),
+  subtract: (a, b) => a.sub(b),
+  multiply: (a, b) => a.mul(b),
+  divide: (a, b) => a.div(b),
+  pow: (a, b) => a.pow(b),
+  unaryMinus: (a) => a.neg(),
+  unaryPlus: (a) => a
+};
+
+const FUNCTIONS = {
+  sqrt: (a) => a.sqrt(),
+  exp: (a) => a.exp(),
+  log: (a, base) => (base ? a.log().div(base.log()) : a.log()),
+  log2: (a) => a.log().div(new Interval(2).log()),
+  log10: (a) => a.log().div(new Interval(10).log()),
+  abs: (a) => a.abs(),
+  floor: (a) => a.floor(),
+  ceil: (a) => a.ceil(),
+  min: (...args) => args.reduce((a, b) => a.min(b)),
+  max: (...args) => args.reduce((a, b) => a.max(b)),
+  pow: (a, b) => a.pow(b)
+};
+
+// Comparison operators and the sign of (left - right) they assert
+export const COMPARISONS = {
+  larger: { sign: 1, strict: true },
+  largerEq: { sign: 1, strict: false },
+  smaller: { sign: -1, strict: true },
+  smallerEq: { sign: -1, strict: false }
+};
+
+/**
+ * Compile a mathjs expression into an interval function of its scope.
+ * Scope values are intervals (or anything Interval.from accepts);
+ * `functions` adds interval extensions, e.g. a counting function.
+ *
+ * @param {string|object} expression - source or a parsed mathjs node
+ * @param {object} [options]
+ * @param {Object<string, function(...Interval): Interval>} [options.functions]
+ * @returns {(scope: object) => Interval}
+ */
+export function compileInterval(expression, { functions = {} } = {}) {
+  const node = typeof expression === 'string' ? parse(expression) : expression;
+  return compileNode(node, { ...FUNCTIONS, ...functions });
+}
+
+function compileNode(node, functions) {
+  switch (node.type) {
+    case 'ConstantNode': {
+      const value = Interval.from(node.value);
+      return () => value;
+    }
+    case 'SymbolNode':
+      return (scope) => {
+        if (node.name in scope) return Interval.from(scope[node.name]);
+        if (node.name in CONSTANTS) return CONSTANTS[node.name];
+        throw new Error(`Undefined symbol ${node.name}`);
+      };
+    case 'ParenthesisNode':
+      return compileNode(node.content, functions);
+    case 'OperatorNode':
+    case 'FunctionNode': {
+      const name = node.type === 'OperatorNode' ? node.fn : node.fn.name;
+      const fn = node.type === 'OperatorNode' ? OPERATORS[name] : functions[name];
+      if (!fn) {
+        throw new Error(`Not supported in interval arithmetic: ${node.type === 'OperatorNode' ? node.op : name}`);
+      }
+      const args = node.args.map(arg => compileNode(arg, functions));
+      return (scope) => Interval.from(fn(...args.map(arg => arg(scope))));
+    }
+    default:
+      throw new Error(`Not supported in interval arithmetic: ${node.type}`);
+  }
+}
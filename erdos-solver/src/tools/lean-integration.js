@@ -3,56 +3,241 @@
  * Requires external Lean installation
  */
 
+const LEAN_TYPES = { integer: 'ℤ', real: 'ℝ', natural: 'ℕ' };
+
+const DIAGNOSTIC_LINE = /^(.*?):(\d+):(\d+): (error|warning|info|information): ?(.*)$/;
+
+// Proof scripts are tactic blocks: nothing that declares, trusts or escapes
+const PROOF_FORBIDDEN = /\b(import|axiom|sorryAx|admit|unsafe|opaque|extern|implemented_by|native_decide|ofReduceBool|set_option|namespace|section|end|lemma|theorem|def|abbrev|instance|macro|syntax|elab|attribute|universe)\b|#/;
+
+const MAX_PROOF_LENGTH = 20000;
+
+/**
+ * Throw unless `proof` is a tactic script that can stand after `by` in the
+ * generated lemma without adding declarations or axioms of its own
+ */
+export function checkProofScript(proof) {
+  if (!(typeof proof === 'string' && proof.trim().length > 0 && proof.length <= MAX_PROOF_LENGTH)) {
+    throw new Error(`proof must be a non-empty tactic script of at most ${MAX_PROOF_LENGTH} characters`);
+  }
+  const forbidden = proof.match(PROOF_FORBIDDEN);
+  if (forbidden) {
+    throw new Error(`proof is a tactic script and may not use ${forbidden[0]}`);
+  }
+}
+
 export class LeanIntegration {
-  constructor(leanPath = 'lean') {
+  /**
+   * @param {string|string[]} leanPath - Lean binary, or a full command such as
+   *   ['lake', 'env', 'lean'] (the file path is appended)
+   * @param {object} options
+   * @param {string} [options.projectDir] - Lake project to run from (for Mathlib)
+   * @param {number} [options.timeoutMs] - Kill Lean after this long
+   * @param {boolean} [options.keepFiles] - Leave the temp project on disk
+   */
+  constructor(leanPath = 'lean', options = {}) {
     this.leanPath = leanPath;
+    this.command = Array.isArray(leanPath) ? leanPath : [leanPath];
+    this.projectDir = options.projectDir || null;
+    this.timeoutMs = options.timeoutMs || 120000;
+    this.keepFiles = options.keepFiles || false;
   }
 
   /**
    * Format a lemma for Lean
+   *
+   * `vars` is either a { name: leanType } map or a list of binders
+   * ({ name, type }); conjecture variable types 'integer' and 'real' map to
+   * ℤ and ℝ. `proof` is a tactic script (see checkProofScript), indented
+   * under `by`; without one the lemma is left as `sorry`.
    */
-  formatLemma(name, statement, vars = {}) {
-    const varDecls = Object.entries(vars)
+  formatLemma(name, statement, vars = {}, proof = null) {
+    const entries = Array.isArray(vars)
+      ? vars.map(v => [v.name, LEAN_TYPES[v.type] || v.type || 'ℕ'])
+      : Object.entries(vars);
+    const varDecls = entries
       .map(([name, type]) => `(${name} : ${type})`)
       .join(' ');
     
-    return `lemma ${name} ${varDecls} : ${statement} := by sorry`;
+    if (proof === null) {
+      return `lemma ${name} ${varDecls} : ${statement} := by sorry`;
+    }
+    checkProofScript(proof);
+    const tactics = proof.trim().split('\n').map(line => `  ${line}`).join('\n');
+    return `lemma ${name} ${varDecls} : ${statement} := by\n${tactics}`;
   }
 
   /**
-   * Generate Lean file for a conjecture
+   * Generate Lean file for a conjecture, proved by `context.proof` if given
    */
   generateLeanFile(conjecture, context = {}) {
     return `import Mathlib
 
 -- Erdős Problem #${context.problemId || 'unknown'}
--- Conjecture: ${conjecture.statement}
+-- Conjecture: ${String(conjecture.statement).replace(/\s*\n\s*/g, ' ')}
 
 namespace ErdosProblem${context.problemId || 'Unknown'}
 
 ${this.formatLemma(
   conjecture.name || 'main_conjecture',
   conjecture.leanStatement || conjecture.statement,
-  conjecture.variables || {}
+  conjecture.leanBinders || conjecture.variables || {},
+  context.proof ?? null
 )}
 
 end ErdosProblem${context.problemId || 'Unknown'}`;
   }
 
   /**
-   * Stub: would call Lean compiler
+   * Compile Lean code and report structured diagnostics.
+   *
+   * The code is written to a fresh temp directory and checked with the
+   * configured command. `verified` is true only when Lean exits cleanly,
+   * reports no errors and no `sorry` remains. Node only.
    */
-  async checkProof(leanCode) {
-    // In real implementation, would:
-    // 1. Write leanCode to temp file
-    // 2. Call `lean --make temp.lean`
-    // 3. Parse output for errors
-    
-    return {
-      success: false,
-      message: 'Lean integration not yet implemented',
-      stub: true
-    };
+  async checkProof(leanCode, { fileName = 'Main.lean', timeoutMs = this.timeoutMs } = {}) {
+    const { mkdtemp, writeFile, rm } = await import('node:fs/promises');
+    const { tmpdir } = await import('node:os');
+    const { join } = await import('node:path');
+
+    const dir = await mkdtemp(join(tmpdir(), 'erdos-lean-'));
+    const file = join(dir, fileName);
+    await writeFile(file, leanCode, 'utf8');
+
+    const started = Date.now();
+    try {
+      const run = await this._run(file, timeoutMs);
+
+      if (run.notFound) {
+        return {
+          success: false,
+          verified: false,
+          notFound: true,
+          message: `Lean binary not found: ${this.command[0]}`,
+          errors: [],
+          warnings: [],
+          diagnostics: [],
+          hasSorry: this.findSorries(leanCode).length > 0
+        };
+      }
+
+      const diagnostics = this.parseDiagnostics(`${run.stdout}\n${run.stderr}`);
+      const errors = diagnostics.filter(d => d.severity === 'error');
+      const warnings = diagnostics.filter(d => d.severity === 'warning');
+      const sorryWarnings = warnings.filter(d => /declaration uses 'sorry'/.test(d.message));
+      const sorries = this.findSorries(leanCode);
+      const success = !run.timedOut && run.exitCode === 0 && errors.length === 0;
+      const hasSorry = sorryWarnings.length > 0 || sorries.length > 0;
+
+      return {
+        success,
+        verified: success && !hasSorry,
+        timedOut: run.timedOut,
+        exitCode: run.exitCode,
+        durationMs: Date.now() - started,
+        errors,
+        warnings,
+        diagnostics,
+        hasSorry,
+        sorries,
+        stdout: run.stdout,
+        stderr: run.stderr,
+        message: run.timedOut ? `Lean timed out after ${timeoutMs}ms` : undefined
+      };
+    } finally {
+      if (!this.keepFiles) {
+        await rm(dir, { recursive: true, force: true });
+      }
+    }
   }
-}
 
+  /**
+   * Parse Lean's `file:line:col: severity: message` output. Continuation
+   * lines are appended to the preceding diagnostic.
+   */
+  parseDiagnostics(output) {
+    const diagnostics = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      const match = line.match(DIAGNOSTIC_LINE);
+      if (match) {
+        current = {
+          file: match[1],
+          line: parseInt(match[2]),
+          column: parseInt(match[3]),
+          severity: match[4] === 'information' ? 'info' : match[4],
+          message: match[5]
+        };
+        diagnostics.push(current);
+      } else if (current && line.trim()) {
+        current.message += `\n${line}`;
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Locate `sorry` tokens outside comments
+   */
+  findSorries(leanCode) {
+    const sorries = [];
+    let inBlock = 0;
+
+    leanCode.split('\n').forEach((raw, i) => {
+      let line = '';
+      for (let j = 0; j < raw.length; j++) {
+        if (raw.startsWith('/-', j)) { inBlock++; j++; continue; }
+        if (inBlock && raw.startsWith('-/', j)) { inBlock--; j++; continue; }
+        if (!inBlock && raw.startsWith('--', j)) break;
+        line += inBlock ? ' ' : raw[j];
+      }
+      for (const m of line.matchAll(/\bsorry\b/g)) {
+        sorries.push({ line: i + 1, column: m.index });
+      }
+    });
+
+    return sorries;
+  }
+
+  async _run(file, timeoutMs) {
+    const { spawn } = await import('node:child_process');
+    const [bin, ...args] = this.command;
+
+    return await new Promise((resolve) => {
+      let stdout = '', stderr = '', timedOut = false, settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ stdout, stderr, timedOut, ...result });
+      };
+
+      // Own process group so a timeout also stops children (e.g. lake -> lean)
+      const child = spawn(bin, [...args, file], {
+        cwd: this.projectDir || undefined,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true
+      });
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          child.kill('SIGKILL');
+        }
+        child.stdout.destroy();
+        child.stderr.destroy();
+        finish({ exitCode: null });
+      }, timeoutMs);
+
+      child.stdout.on('data', d => { stdout += d; });
+      child.stderr.on('data', d => { stderr += d; });
+      child.on('error', (error) => {
+        finish({ notFound: error.code === 'ENOENT', exitCode: null, stderr: stderr || error.message });
+      });
+      child.on('close', (code) => finish({ exitCode: code }));
+    });
+  }
+}
@@ -0,0 +1,108 @@
+import {
+  checkBhg,
+  checkSumFree,
+  checkApFree,
+  checkDifferenceBasis,
+  checkCoveringSystem,
+  sumProductCounts
+} from './additive.js';
+import { generateBoundedSequence, listSequences, isPrime, primesUpTo } from '../sequences/index.js';
+import { Graph } from '../graphs/graph.js';
+import { createGraph } from '../graphs/constructions.js';
+import { cliqueNumber, independenceNumber, chromaticNumber, girth, checkColoring } from '../graphs/properties.js';
+import { checkRamseyColoring } from '../graphs/ramsey.js';
+
+
+// Typed arrays a helper allocates are outside the worker's resourceLimits,
+// so every argument that sizes one is capped here and refused with an error
+export const SANDBOX_LIMITS = {
+  primesUpTo: 1e7,
+  // Indicator convolution length (about six Float64Arrays of the padded size)
+  fftLength: 1 << 20,
+  // h-fold sums sorted by checkBhg's direct method
+  directSums: 1 << 21,
+  differences: 1e7,
+  period: 1e7,
+  graphVertices: 5000
+};
+
+// Only the sandbox worker imports this module, so the cap can be global
+Graph.maxVertices = SANDBOX_LIMITS.graphVertices;
+
+function refuse(name, what, limit) {
+  throw new Error(`${name}: ${what} exceeds the sandbox limit of ${limit}`);
+}
+
+function span(values) {
+  if (!Array.isArray(values) || values.length === 0) return 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return max - min + 1;
+}
+
+/**
+ * Checker options that keep its convolution within SANDBOX_LIMITS.fftLength:
+ * sets too wide for that are checked directly, or refused if 'fft' was asked for
+ */
+function boundedMethod(name, options, fftLength) {
+  if (fftLength <= SANDBOX_LIMITS.fftLength) return options;
+  if (options?.method === 'fft') refuse(name, `FFT length ${fftLength}`, SANDBOX_LIMITS.fftLength);
+  return { ...options, method: 'direct' };
+}
+
+function boundedBhg(values, options = {}) {
+  const h = options.h ?? 2;
+  const bounded = boundedMethod('checkBhg', options, h * span(values));
+  if (bounded.method === 'direct') {
+    let sums = 1;
+    const n = Array.isArray(values) ? values.length : 0;
+    for (let i = 0; i < h; i++) sums = sums * (n + i) / (i + 1);
+    if (sums > SANDBOX_LIMITS.directSums) refuse('checkBhg', `${sums} direct sums`, SANDBOX_LIMITS.directSums);
+  }
+  return checkBhg(values, bounded);
+}
+
+/**
+ * The library sandboxed predicates can call. Arguments and results cross the
+ * sandbox boundary as JSON, so graph helpers take createGraph specs (or
+ * Graph#toJSON output) rather than Graph instances. Helpers run outside the
+ * worker's heap accounting for typed arrays, so generateSequence is the
+ * bounded variant and the others are capped by SANDBOX_LIMITS. Modules are imported
+ * directly (not through graphs/index.js) to keep mathjs out of the worker.
+ */
+export const SANDBOX_HELPERS = {
+  checkBhg: boundedBhg,
+  checkSumFree: (values, options) => checkSumFree(values, boundedMethod('checkSumFree', options, 2 * span(values))),
+  checkApFree: (values, options) => checkApFree(values, boundedMethod('checkApFree', options, 2 * span(values))),
+  checkDifferenceBasis: (values, n, options) => {
+    if (n > SANDBOX_LIMITS.differences) refuse('checkDifferenceBasis', `n = ${n}`, SANDBOX_LIMITS.differences);
+    return checkDifferenceBasis(values, n, boundedMethod('checkDifferenceBasis', options, 2 * span(values)));
+  },
+  checkCoveringSystem: (congruences, options = {}) => checkCoveringSystem(congruences, {
+    ...options,
+    maxPeriod: Math.min(options.maxPeriod ?? SANDBOX_LIMITS.period, SANDBOX_LIMITS.period)
+  }),
+  sumProductCounts: (values, options) => sumProductCounts(values, boundedMethod('sumProductCounts', options, 2 * span(values))),
+  isPrime,
+  primesUpTo: (N) => {
+    if (N > SANDBOX_LIMITS.primesUpTo) refuse('primesUpTo', `N = ${N}`, SANDBOX_LIMITS.primesUpTo);
+    return primesUpTo(N);
+  },
+  generateSequence: generateBoundedSequence,
+  listSequences,
+  cliqueNumber: (spec) => cliqueNumber(createGraph(spec)),
+  independenceNumber: (spec) => independenceNumber(createGraph(spec)),
+  chromaticNumber: (spec) => chromaticNumber(createGraph(spec)).chromaticNumber,
+  girth: (spec) => girth(createGraph(spec)),
+  degrees: (spec) => {
+    const graph = createGraph(spec);
+    return Array.from({ length: graph.n }, (_, v) => graph.degree(v));
+  },
+  checkColoring: (spec, coloring, options) => checkColoring(createGraph(spec), coloring, options),
+  checkRamseyColoring: (spec, s, t, options) => checkRamseyColoring(createGraph(spec), s, t, options),
+  edges: (spec) => createGraph(spec).edges()
+};
@@ -0,0 +1,150 @@
+/**
+ * Worker entry for PredicateSandbox: compiles one predicate in a fresh vm
+ * context and evaluates it on each input the parent sends.
+ *
+ * Nothing from this realm is handed to sandboxed code. Helpers are wrappers
+ * created inside the context around a closure-held bridge that only takes and
+ * returns strings and never throws, so no host object (whose constructor
+ * would be this realm's Function) is ever reachable from the predicate.
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import vm from 'node:vm';
+import { SANDBOX_HELPERS } from './sandbox-helpers.js';
+
+// Binary buffers live outside the V8 heap, so resourceLimits cannot cap them;
+// they are removed from the context along with the shared-memory builtins
+const REMOVED_BUILTINS = [
+  'WebAssembly', 'SharedArrayBuffer', 'Atomics', 'ArrayBuffer', 'DataView',
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float16Array', 'Float32Array', 'Float64Array',
+  'BigInt64Array', 'BigUint64Array'
+];
+
+// Host globals a predicate may try to reach; referencing one is an escape attempt
+const HOST_GLOBALS = new Set([
+  'process', 'require', 'module', 'exports', '__dirname', '__filename', 'Buffer',
+  'global', 'fetch', 'setTimeout', 'setInterval', 'setImmediate', 'queueMicrotask',
+  'Worker', 'importScripts', ...REMOVED_BUILTINS
+]);
+
+const INSTALL_HELPERS = `(function (call, names, removed) {
+  'use strict';
+  const { parse, stringify } = JSON;
+  const helpers = {};
+  for (const name of parse(names)) {
+    helpers[name] = (...args) => {
+      const reply = parse(call(name, stringify(args)));
+      if ('error' in reply) throw new Error(name + ': ' + reply.error);
+      return reply.value;
+    };
+    Object.freeze(helpers[name]);
+    globalThis[name] = helpers[name];
+  }
+  globalThis.helpers = Object.freeze(helpers);
+  for (const name of parse(removed)) delete globalThis[name];
+})`;
+
+// Thrown values are read inside the context, under the CPU limit, so user
+// getters never run on the host side
+const CALL_PREDICATE = `(() => {
+  let value;
+  try {
+    value = __predicate(JSON.parse(__input));
+  } catch (error) {
+    const message = error !== null && typeof error === 'object' ? error.message : error;
+    return JSON.stringify({ thrown: { name: String(error?.name), message: String(message) } });
+  }
+  return JSON.stringify(value instanceof Promise ? { async: true } : { value });
+})()`;
+
+function bridge(name, args) {
+  try {
+    if (typeof name !== 'string' || typeof args !== 'string' || !Object.hasOwn(SANDBOX_HELPERS, name)) {
+      return JSON.stringify({ error: 'invalid helper call' });
+    }
+    return JSON.stringify({ value: SANDBOX_HELPERS[name](...JSON.parse(args)) ?? null });
+  } catch (error) {
+    return JSON.stringify({ error: String(error?.message ?? error) });
+  }
+}
+
+function createSandbox(code, timeoutMs) {
+  // A null-prototype global, so `this.constructor` cannot reach host Object
+  const context = vm.createContext(Object.create(null), {
+    name: 'predicate',
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  vm.runInContext(INSTALL_HELPERS, context)(
+    bridge,
+    JSON.stringify(Object.keys(SANDBOX_HELPERS)),
+    JSON.stringify(REMOVED_BUILTINS)
+  );
+
+  const thrown = vm.runInContext(`'use strict';
+try {
+  globalThis.__predicate = (${code}
+);
+} catch (error) {
+  JSON.stringify({ name: String(error?.name), message: String(error?.message ?? error) });
+}`, context, { filename: 'predicate.js', timeout: timeoutMs });
+  if (typeof thrown === 'string') throw JSON.parse(thrown);
+  if (vm.runInContext('typeof __predicate', context) !== 'function') {
+    throw Object.assign(new Error('Predicate must be a function expression, e.g. ({ n }) => isPrime(n)'), {
+      failure: 'invalid'
+    });
+  }
+  return context;
+}
+
+/**
+ * Failure kind and message for a host error or a `{ name, message }` thrown
+ * by sandboxed code
+ */
+function classify(error) {
+  const message = String(error?.message ?? error);
+  if (error instanceof Error && error.failure) return { failure: error.failure, reason: message };
+  if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    return { failure: 'timeout', reason: `Predicate exceeded its CPU time limit of ${workerData.timeoutMs} ms` };
+  }
+  if (error?.name === 'EvalError' || /Code generation from strings disallowed/.test(message)) {
+    return { failure: 'violation', reason: `Sandbox violation: code generation is disabled (${message})` };
+  }
+  if (/dynamic import/i.test(message)) {
+    return { failure: 'violation', reason: 'Sandbox violation: modules cannot be imported' };
+  }
+  const missing = error?.name === 'ReferenceError' && message.match(/^(\w+) is not defined/);
+  if (missing && HOST_GLOBALS.has(missing[1])) {
+    return { failure: 'violation', reason: `Sandbox violation: ${missing[1]} is not available to predicates` };
+  }
+  return { failure: 'error', reason: message };
+}
+
+let context = null;
+try {
+  context = createSandbox(workerData.code, workerData.timeoutMs);
+  parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+  parentPort.postMessage({ type: 'compile', ...classify(error) });
+}
+
+parentPort.on('message', ({ index, input }) => {
+  if (!context) return;
+  try {
+    context.__input = JSON.stringify(input);
+    const output = vm.runInContext(CALL_PREDICATE, context, { timeout: workerData.timeoutMs });
+    if (typeof output !== 'string') {
+      throw Object.assign(new Error('Sandbox violation: predicate tampered with JSON'), { failure: 'violation' });
+    }
+    const { value = null, async, thrown } = JSON.parse(output);
+    if (thrown) {
+      return parentPort.postMessage({ index, ...classify(thrown) });
+    }
+    if (async) {
+      throw Object.assign(new Error('Predicate must return synchronously, not a Promise'), { failure: 'invalid' });
+    }
+    parentPort.postMessage({ index, value });
+  } catch (error) {
+    parentPort.postMessage({ index, ...classify(error) });
+  }
+});
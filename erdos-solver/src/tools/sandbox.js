@@ -0,0 +1,157 @@
+/**
+ * Sandboxed evaluation of JavaScript predicates attached to conjectures.
+ *
+ * A predicate is a function expression over a test case's variables, e.g.
+ *
+ *   ({ n }) => checkBhg(generateSequence({ name: 'mian-chowla', n }), { h: 3 }).valid
+ *
+ * It runs in a vm context with no host globals (no process, require, timers,
+ * eval or dynamic import) inside a worker thread with V8 heap limits. The
+ * heap limit does not cover binary buffers, so ArrayBuffer, DataView and the
+ * typed arrays are not available either. Only
+ * the helpers in sandbox-helpers.js are callable, by name or as `helpers.*`.
+ * Each case gets `timeoutMs` of CPU time; a worker that stops answering or
+ * runs out of memory is terminated and the next case gets a fresh one.
+ *
+ * Results are `{ value }` or `{ failure, reason }`, where failure is one of
+ * 'timeout', 'memory', 'violation' (escape attempt), 'invalid' (not a
+ * function), 'error' (the predicate threw) or 'unavailable' (no worker
+ * threads in this runtime, e.g. Cloudflare Workers).
+ */
+const WORKER_URL = new URL('./sandbox-worker.js', import.meta.url);
+
+export const MAX_PREDICATE_LENGTH = 10000;
+
+// Wall-clock allowance for starting a worker and compiling the predicate
+const STARTUP_MS = 10000;
+
+// Upper bounds on the limits callers may ask for
+const MAX_TIMEOUT_MS = 30000;
+const MAX_MEMORY_MB = 512;
+
+export class PredicateSandbox {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=1000] - CPU time per case
+   * @param {number} [options.memoryMb=64] - worker heap limit
+   */
+  constructor({ timeoutMs = 1000, memoryMb = 64 } = {}) {
+    if (!(timeoutMs >= 1 && timeoutMs <= MAX_TIMEOUT_MS)) {
+      throw new Error(`timeoutMs must be between 1 and ${MAX_TIMEOUT_MS}`);
+    }
+    if (!(memoryMb >= 8 && memoryMb <= MAX_MEMORY_MB)) {
+      throw new Error(`memoryMb must be between 8 and ${MAX_MEMORY_MB}`);
+    }
+    this.timeoutMs = timeoutMs;
+    this.memoryMb = memoryMb;
+  }
+
+  /**
+   * Evaluate `code` on each input; one result per input, in order
+   */
+  async evaluate(code, inputs) {
+    if (typeof code !== 'string' || !code.trim()) {
+      throw new Error('Predicate must be a non-empty string of JavaScript');
+    }
+    if (code.length > MAX_PREDICATE_LENGTH) {
+      throw new Error(`Predicate is longer than ${MAX_PREDICATE_LENGTH} characters`);
+    }
+
+    let Worker;
+    try {
+      ({ Worker } = await import('node:worker_threads'));
+    } catch {
+      return inputs.map(() => ({
+        failure: 'unavailable',
+        reason: 'Sandboxed predicates need Node worker threads, which this runtime does not provide'
+      }));
+    }
+
+    const results = new Array(inputs.length);
+    let next = 0;
+    while (next < inputs.length) {
+      next = await this._runWorker(Worker, code, inputs, next, results);
+    }
+    return results;
+  }
+
+  /**
+   * Run inputs from `start` on one worker until they are done or the worker
+   * dies; resolves with the index to resume from
+   */
+  _runWorker(Worker, code, inputs, start, results) {
+    return new Promise((resolve) => {
+      const worker = new Worker(WORKER_URL, {
+        workerData: { code, timeoutMs: this.timeoutMs },
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.memoryMb,
+          maxYoungGenerationSizeMb: Math.min(16, Math.max(1, Math.floor(this.memoryMb / 4))),
+          stackSizeMb: 4
+        },
+        env: {},
+        execArgv: [],
+        stdout: true,
+        stderr: true
+      });
+
+      let index = start;
+      let timer = null;
+      let done = false;
+
+      const finish = (resumeAt) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        worker.removeAllListeners();
+        worker.on('error', () => {});
+        worker.terminate();
+        resolve(resumeAt);
+      };
+
+      // Backstop for code the CPU limit cannot interrupt
+      const expire = (ms, reason) => {
+        timer = setTimeout(() => {
+          results[index] = { failure: 'timeout', reason };
+          finish(index + 1);
+        }, ms);
+      };
+
+      const send = () => {
+        if (index >= inputs.length) return finish(index);
+        const limit = this.timeoutMs + 1000;
+        expire(limit, `Predicate did not finish within ${limit} ms`);
+        worker.postMessage({ index, input: inputs[index] });
+      };
+
+      worker.on('message', (message) => {
+        clearTimeout(timer);
+        if (message.type === 'ready') return send();
+        if (message.type === 'compile') {
+          for (let i = index; i < inputs.length; i++) {
+            results[i] = { failure: message.failure, reason: message.reason };
+          }
+          return finish(inputs.length);
+        }
+        results[message.index] = message.failure
+          ? { failure: message.failure, reason: message.reason }
+          : { value: message.value };
+        index = message.index + 1;
+        send();
+      });
+
+      worker.on('error', (error) => {
+        results[index] = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? { failure: 'memory', reason: `Predicate exceeded its memory limit of ${this.memoryMb} MB` }
+          : { failure: 'error', reason: `Sandbox crashed: ${error.message}` };
+        finish(index + 1);
+      });
+
+      worker.on('exit', () => {
+        results[index] = { failure: 'error', reason: 'Sandbox exited unexpectedly' };
+        finish(index + 1);
+      });
+
+      expire(STARTUP_MS, `Sandbox did not start within ${STARTUP_MS} ms`);
+    });
+  }
+}
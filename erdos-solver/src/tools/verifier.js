@@ -1,67 +1,310 @@
-import { create, all } from 'mathjs';
+import { rngLCG } from '../encoders/kk-kernel.js';
+import { resolveArithmetic, createArithmetic, compilePredicate } from './arithmetic.js';
+import { PredicateSandbox } from './sandbox.js';
+import { certifyInequality, checkCertificate } from './certificate.js';
+import { fitAsymptotics } from './asymptotics.js';
+import {
+  checkBhg,
+  checkSumFree,
+  checkApFree,
+  checkDifferenceBasis,
+  checkCoveringSystem,
+  sumProductCounts
+} from './additive.js';
+import {
+  createGraph,
+  checkColoring,
+  checkForbiddenSubgraphs,
+  checkHypergraphColoring,
+  checkRamseyColoring,
+  Hypergraph
+} from '../graphs/index.js';
 
-const math = create(all);
+// Largest budget a request may give one counterexample search
+export const MAX_SEARCH_EVALUATIONS = 100000;
+export const MAX_SEARCH_TIME_MS = 10000;
+
+/**
+ * A client's maxEvaluations / timeBudgetMs clamped to the server maxima;
+ * missing values keep the search defaults
+ */
+export function clampSearchBudget({ maxEvaluations, timeBudgetMs } = {}) {
+  const clamp = (value, max, name) => {
+    if (value === undefined || value === null) return undefined;
+    if (!(typeof value === 'number' && value > 0)) {
+      throw new Error(`${name} must be a positive number`);
+    }
+    return Math.min(value, max);
+  };
+  return {
+    maxEvaluations: clamp(maxEvaluations, MAX_SEARCH_EVALUATIONS, 'maxEvaluations'),
+    timeBudgetMs: clamp(timeBudgetMs, MAX_SEARCH_TIME_MS, 'timeBudgetMs')
+  };
+}
+
+// Most test cases a request may have synthesized for one verification
+export const MAX_TEST_CASES = 5000;
+
+/**
+ * A client's maxCases clamped to MAX_TEST_CASES; a missing value keeps the
+ * synthesis default
+ */
+export function clampMaxCases(maxCases) {
+  if (maxCases === undefined || maxCases === null) return undefined;
+  if (!(Number.isInteger(maxCases) && maxCases > 0)) {
+    throw new Error('maxCases must be a positive integer');
+  }
+  return Math.min(maxCases, MAX_TEST_CASES);
+}
+
+// Most boxes a requested certificate may split its range into; every box is
+// kept in the certificate, returned and stored with the conjecture
+export const MAX_CERTIFICATE_BOXES = 50000;
+
+/**
+ * A client's maxBoxes clamped to MAX_CERTIFICATE_BOXES; a missing value
+ * keeps the caller's default
+ */
+export function clampMaxBoxes(maxBoxes) {
+  if (maxBoxes === undefined || maxBoxes === null) return undefined;
+  if (!(Number.isInteger(maxBoxes) && maxBoxes > 0)) {
+    throw new Error('maxBoxes must be a positive integer');
+  }
+  return Math.min(maxBoxes, MAX_CERTIFICATE_BOXES);
+}
 
 export class ComputationalVerifier {
   /**
    * Verify a conjecture on small test cases
+   *
+   * Only cases where the conjecture's expression was actually evaluated can
+   * pass; cases without an expression, and comparisons the arithmetic mode
+   * cannot decide exactly (`refused`), are reported as skipped.
+   *
+   * A conjecture with a JavaScript `predicate` is decided by it instead of
+   * its expression, run in a PredicateSandbox (see sandbox.js). Predicates
+   * that time out, run out of memory, throw or try to escape fail the case
+   * with `failure` and `reason` set; they are not evidence either way.
+   *
+   * @param {object} [options]
+   * @param {string} [options.arithmetic] - overrides `conjecture.arithmetic`
+   *   ('float' | 'exact' | 'bignumber' | 'fraction' | 'auto', see arithmetic.js)
+   * @param {number} [options.precision] - significant digits for bignumber
+   * @param {{timeoutMs?: number, memoryMb?: number}} [options.sandbox] - predicate limits
    */
-  async verifySmallCases(conjecture, testCases) {
+  async verifySmallCases(conjecture, testCases, { arithmetic, precision, sandbox } = {}) {
+    const mode = resolveArithmetic(conjecture, arithmetic);
+    const evaluator = this._prepareEvaluator(conjecture, mode, precision);
+    const outcomes = conjecture.predicate
+      ? await new PredicateSandbox(sandbox).evaluate(conjecture.predicate, testCases.map(t => t.variables || {}))
+      : null;
     const results = [];
     
-    for (const testCase of testCases) {
+    for (const [i, testCase] of testCases.entries()) {
       try {
-        const result = await this._evaluateCase(conjecture, testCase);
+        const result = outcomes
+          ? this._predicateCase(testCase, outcomes[i], evaluator.arithmetic)
+          : await this._evaluateCase(conjecture, testCase, evaluator);
         results.push({
           input: testCase,
+          source: testCase.source || 'client',
           output: result.value,
           passed: result.passed,
+          evaluated: result.evaluated,
+          skipped: !result.evaluated && !result.failure,
+          refused: result.refused || undefined,
+          failure: result.failure,
+          reason: result.reason,
           expected: testCase.expected
         });
       } catch (error) {
         results.push({
           input: testCase,
+          source: testCase.source || 'client',
           error: error.message,
-          passed: false
+          passed: false,
+          evaluated: false,
+          skipped: false
         });
       }
     }
     
+    const evaluated = results.filter(r => r.evaluated).length;
+    const passed = results.filter(r => r.passed).length;
+    
     return {
       total: results.length,
-      passed: results.filter(r => r.passed).length,
-      failed: results.filter(r => !r.passed).length,
+      passed,
+      failed: results.filter(r => !r.passed && !r.skipped).length,
+      evaluated,
+      skipped: results.filter(r => r.skipped).length,
+      refused: results.filter(r => r.refused).length,
+      arithmetic: mode,
+      // Only a fully evaluated, fully passing run supports 'experimental'
+      supportsExperimental: results.length > 0 && evaluated === results.length && passed === results.length,
       results
     };
   }
 
-  async _evaluateCase(conjecture, testCase) {
-    // Parse conjecture expression
-    // This is a simplified example - real implementation would need
-    // more sophisticated parsing
+  _prepareEvaluator(conjecture, mode = resolveArithmetic(conjecture), precision) {
+    const arithmetic = createArithmetic(mode, { precision });
+    const predicate = conjecture.expression ? compilePredicate(conjecture.expression, arithmetic) : null;
+    return { arithmetic, predicate };
+  }
+
+  _predicateCase(testCase, outcome, arithmetic) {
+    if (outcome.failure === 'unavailable') {
+      return { value: null, passed: false, evaluated: false, reason: outcome.reason };
+    }
+    if (outcome.failure) {
+      return { value: null, passed: false, evaluated: false, failure: outcome.failure, reason: outcome.reason };
+    }
+    return {
+      value: outcome.value,
+      passed: this._checkCondition(outcome.value, testCase.expected, testCase.tolerance, arithmetic),
+      evaluated: true
+    };
+  }
+
+  async _evaluateCase(conjecture, testCase, evaluator = this._prepareEvaluator(conjecture)) {
+    if (!conjecture.expression) {
+      return {
+        value: null,
+        passed: false,
+        evaluated: false,
+        reason: 'Conjecture has no expression to evaluate'
+      };
+    }
+    
+    const { arithmetic, predicate } = evaluator;
+    try {
+      const computed = predicate.evaluate(testCase.variables || {});
+      return {
+        value: arithmetic.serialize(computed),
+        passed: this._checkCondition(computed, testCase.expected, testCase.tolerance, arithmetic),
+        evaluated: true
+      };
+    } catch (error) {
+      if (!error.precisionLoss) throw error;
+      return { value: null, passed: false, evaluated: false, refused: true, reason: error.message };
+    }
+  }
+
+  /**
+   * Build test cases for a conjecture from its declared variables.
+   * Every variable needs a numeric min and max; integer variables are swept
+   * (evenly thinned when the grid would exceed maxCases), real variables are
+   * sampled at evenly spaced points. Expressions and JavaScript predicates
+   * are both predicates, so every case expects true.
+   */
+  synthesizeTestCases(conjecture, { maxCases = 200, realSamples = 11 } = {}) {
+    const variables = conjecture.variables || [];
+    
+    if (!conjecture.expression && !conjecture.predicate) {
+      return { testCases: [], reason: 'Conjecture has no expression or predicate to evaluate' };
+    }
+    if (variables.length === 0) {
+      return { testCases: [], reason: 'Conjecture declares no variables' };
+    }
+    
+    const unranged = variables.filter(v => !Number.isFinite(v.min) || !Number.isFinite(v.max) || v.min > v.max);
+    if (unranged.length > 0) {
+      return {
+        testCases: [],
+        reason: `No range declared for: ${unranged.map(v => v.name).join(', ')}`
+      };
+    }
+    
+    const perVariable = Math.max(2, Math.floor(Math.pow(maxCases, 1 / variables.length)));
+    const axes = variables.map(v => this._sampleAxis(v, perVariable, realSamples));
+    
+    // A full sweep of one integer variable is a plain sequence test
+    const [first] = variables;
+    if (variables.length === 1 && first.type !== 'real' && axes[0].length === first.max - first.min + 1) {
+      const property = { expectedValue: () => true };
+      return {
+        testCases: this.generateSequenceTests(property, [first.min, first.max], first.name)
+          .map(t => ({ ...t, source: 'synthesized' }))
+      };
+    }
     
-    const scope = { ...testCase.variables };
+    let assignments = [{}];
+    for (let i = 0; i < variables.length; i++) {
+      const next = [];
+      for (const partial of assignments) {
+        for (const x of axes[i]) {
+          next.push({ ...partial, [variables[i].name]: x });
+        }
+      }
+      assignments = next;
+    }
     
-    // Try to evaluate if conjecture has an expression field
-    let computed;
-    if (conjecture.expression) {
-      computed = math.evaluate(conjecture.expression, scope);
-    } else if (conjecture.statement) {
-      // For now, just return a placeholder
-      computed = testCase.expected;
-    } else {
-      computed = testCase.expected;
+    return {
+      testCases: assignments.slice(0, maxCases).map(vars => ({
+        variables: vars,
+        expected: true,
+        source: 'synthesized'
+      }))
+    };
+  }
+
+  /**
+   * Assemble the cases to run: client-supplied cases, the conjecture's own
+   * test instance and cases synthesized from its declared variables.
+   */
+  collectTestCases(conjecture, { testCases = [], maxCases } = {}) {
+    const cases = testCases.map(t => ({ ...t, source: t.source || 'client' }));
+    
+    const instance = conjecture.test_instance;
+    if (instance?.variables) {
+      cases.push({
+        variables: instance.variables,
+        expected: instance.expected ?? true,
+        source: 'test_instance'
+      });
     }
     
+    const synthesized = this.synthesizeTestCases(conjecture, maxCases ? { maxCases } : {});
+    cases.push(...synthesized.testCases);
+    
     return {
-      value: computed,
-      passed: this._checkCondition(computed, testCase.expected, testCase.tolerance)
+      testCases: cases,
+      synthesis: {
+        generated: synthesized.testCases.length,
+        reason: synthesized.reason
+      }
     };
   }
 
-  _checkCondition(actual, expected, tolerance = 1e-9) {
-    if (typeof expected === 'number') {
-      return Math.abs(actual - expected) < tolerance;
+  _sampleAxis(variable, count, realSamples) {
+    const { min, max } = variable;
+    
+    if (variable.type === 'real') {
+      const k = Math.max(2, Math.min(count, realSamples));
+      return Array.from({ length: k }, (_, i) => min + (max - min) * i / (k - 1));
+    }
+    
+    const lo = Math.ceil(min), hi = Math.floor(max);
+    const size = hi - lo + 1;
+    if (size <= count) {
+      return Array.from({ length: size }, (_, i) => lo + i);
+    }
+    
+    const values = new Set();
+    for (let i = 0; i < count; i++) {
+      values.add(lo + Math.round((hi - lo) * i / (count - 1)));
+    }
+    return [...values];
+  }
+
+  /**
+   * Numeric expectations (numbers, bigints, or numeric strings for values
+   * past 2^53) are compared within `tolerance` in the case's arithmetic
+   */
+  _checkCondition(actual, expected, tolerance = 1e-9, arithmetic = createArithmetic('float')) {
+    if (typeof expected === 'number' || typeof expected === 'bigint' ||
+      (typeof expected === 'string' && typeof actual !== 'string')) {
+      return arithmetic.within(actual, expected, tolerance);
     }
     if (typeof expected === 'boolean') {
       return actual === expected;
@@ -73,12 +316,12 @@ export class ComputationalVerifier {
   /**
    * Generate test cases for a sequence property
    */
-  generateSequenceTests(property, range = [1, 100]) {
+  generateSequenceTests(property, range = [1, 100], variable = 'n') {
     const tests = [];
     
     for (let n = range[0]; n <= range[1]; n++) {
       tests.push({
-        variables: { n },
+        variables: { [variable]: n },
         expected: property.expectedValue(n),
         tolerance: property.tolerance || 1e-9
       });
@@ -88,25 +331,377 @@ export class ComputationalVerifier {
   }
 
   /**
-   * Check if a sequence satisfies Sidon property
+   * Search the parameter space of a conjecture's expression for points where
+   * it evaluates to false.
+   *
+   * Strategies run in order and share one budget (maxEvaluations and
+   * timeBudgetMs): 'exhaustive' sweeps the integer grid from the lower
+   * corner, 'random' samples uniformly, 'anneal' minimises the margin of a
+   * relational expression (rhs - lhs for <=, lhs - rhs for >=) to walk
+   * toward the boundary. The smallest counterexample found is returned with
+   * a shrunk version that cannot be reduced further toward the minima.
+   */
+  searchCounterexamples(conjecture, {
+    strategies = ['exhaustive', 'random', 'anneal'],
+    maxEvaluations = 10000,
+    timeBudgetMs = 2000,
+    maxCounterexamples = 20,
+    seed = 1,
+    arithmetic,
+    precision
+  } = {}) {
+    if (!conjecture.expression) {
+      throw new Error('Conjecture has no expression to search');
+    }
+    const variables = conjecture.variables || [];
+    const unranged = variables.filter(v => !Number.isFinite(v.min) || !Number.isFinite(v.max) || v.min > v.max);
+    if (variables.length === 0 || unranged.length > 0) {
+      throw new Error(`Counterexample search needs a range for every variable${unranged.length ? `: ${unranged.map(v => v.name).join(', ')}` : ''}`);
+    }
+    
+    const mode = resolveArithmetic(conjecture, arithmetic);
+    const { arithmetic: evaluator, predicate } = this._prepareEvaluator(conjecture, mode, precision);
+    const state = {
+      variables,
+      predicate,
+      rng: rngLCG(seed),
+      start: Date.now(),
+      maxEvaluations,
+      timeBudgetMs,
+      maxCounterexamples,
+      stageLimit: maxEvaluations,
+      proposals: 0,
+      evaluations: 0,
+      errors: 0,
+      refused: 0,
+      serialize: evaluator.serialize,
+      found: [],
+      seen: new Set(),
+      perStrategy: {}
+    };
+    
+    for (const [i, strategy] of strategies.entries()) {
+      // Each strategy gets an equal share of the evaluations still left
+      const remaining = maxEvaluations - state.proposals;
+      state.stageLimit = state.proposals + Math.ceil(remaining / (strategies.length - i));
+      
+      const run = {
+        exhaustive: () => this._sweepSearch(state),
+        random: () => this._randomSearch(state),
+        anneal: () => this._annealSearch(state)
+      }[strategy];
+      if (!run) throw new Error(`Unknown search strategy: ${strategy}`);
+      
+      const before = state.evaluations;
+      run();
+      state.perStrategy[strategy] = {
+        evaluations: state.evaluations - before,
+        found: state.found.filter(f => f.strategy === strategy).length
+      };
+      if (state.found.length >= maxCounterexamples || Date.now() - state.start >= timeBudgetMs) break;
+    }
+    
+    const report = {
+      found: state.found.length > 0,
+      evaluations: state.evaluations,
+      duplicates: state.proposals - state.evaluations,
+      errors: state.errors,
+      refused: state.refused,
+      arithmetic: mode,
+      elapsedMs: Date.now() - state.start,
+      strategies: state.perStrategy,
+      counterexample: null,
+      shrunk: null
+    };
+    
+    if (state.found.length > 0) {
+      const smallest = state.found
+        .slice()
+        .sort((a, b) => this._pointSize(a.point, variables) - this._pointSize(b.point, variables))[0];
+      report.counterexample = smallest;
+      report.shrunk = this.shrinkCounterexample(conjecture, smallest.point, { arithmetic: mode, precision });
+    }
+    
+    return report;
+  }
+
+  /**
+   * Greedily move each variable of a counterexample toward its minimum
+   * (halving the distance, then single steps) while it stays a counterexample.
    */
-  isSidonSet(sequence) {
-    const sums = new Set();
-    
-    for (let i = 0; i < sequence.length; i++) {
-      for (let j = i; j < sequence.length; j++) {
-        const sum = sequence[i] + sequence[j];
-        if (sums.has(sum)) {
-          return {
-            valid: false,
-            collision: { sum, indices: [i, j] }
-          };
+  shrinkCounterexample(conjecture, point, { arithmetic, precision } = {}) {
+    const { arithmetic: evaluator, predicate } = this._prepareEvaluator(
+      conjecture, resolveArithmetic(conjecture, arithmetic), precision
+    );
+    const variables = conjecture.variables || [];
+    const fails = (p) => {
+      try {
+        return predicate.holds(p) === false;
+      } catch {
+        return false;
+      }
+    };
+    
+    if (!fails(point)) {
+      throw new Error('Point is not a counterexample');
+    }
+    
+    let current = { ...point };
+    let steps = 0;
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const v of variables) {
+        const target = v.type === 'real' ? v.min : Math.ceil(v.min);
+        const candidates = [];
+        const distance = current[v.name] - target;
+        if (distance === 0) continue;
+        const half = v.type === 'real' ? distance / 2 : Math.trunc(distance / 2);
+        candidates.push(target, target + half);
+        if (v.type !== 'real') candidates.push(current[v.name] - Math.sign(distance));
+        
+        for (const value of candidates) {
+          if (value === current[v.name]) continue;
+          const next = { ...current, [v.name]: value };
+          steps++;
+          if (fails(next)) {
+            current = next;
+            improved = true;
+            break;
+          }
         }
-        sums.add(sum);
       }
     }
     
-    return { valid: true };
+    return {
+      point: current,
+      value: evaluator.serialize(predicate.evaluate(current)),
+      margin: predicate.margin(current),
+      steps
+    };
+  }
+
+  _budgetExhausted(state) {
+    return state.proposals >= state.maxEvaluations
+      || state.proposals >= state.stageLimit
+      || Date.now() - state.start >= state.timeBudgetMs
+      || state.found.length >= state.maxCounterexamples;
+  }
+
+  _testPoint(state, point, strategy) {
+    // Repeated proposals count against the budget but are not re-evaluated
+    state.proposals++;
+    const key = JSON.stringify(point);
+    if (state.seen.has(key)) return null;
+    state.seen.add(key);
+    state.evaluations++;
+    
+    try {
+      if (state.predicate.holds(point) === false) {
+        state.found.push({ point, strategy, value: state.serialize(state.predicate.evaluate(point)) });
+        return true;
+      }
+      return false;
+    } catch (error) {
+      if (error.precisionLoss) state.refused++;
+      else state.errors++;
+      return null;
+    }
+  }
+
+  _sweepSearch(state) {
+    // Integers are swept value by value; reals on an 11-point grid
+    const axes = state.variables.map(v => {
+      if (v.type === 'real') {
+        const points = this._sampleAxis(v, 11, 11);
+        return { length: points.length, at: (i) => points[i] };
+      }
+      const lo = Math.ceil(v.min);
+      return { length: Math.floor(v.max) - lo + 1, at: (i) => lo + i };
+    });
+    const index = new Array(axes.length).fill(0);
+    
+    while (!this._budgetExhausted(state)) {
+      const point = {};
+      state.variables.forEach((v, i) => { point[v.name] = axes[i].at(index[i]); });
+      this._testPoint(state, point, 'exhaustive');
+      
+      // Odometer increment, last variable fastest
+      let i = axes.length - 1;
+      while (i >= 0) {
+        index[i]++;
+        if (index[i] < axes[i].length) break;
+        index[i] = 0;
+        i--;
+      }
+      if (i < 0) return;
+    }
+  }
+
+  _randomPoint(state) {
+    const point = {};
+    for (const v of state.variables) {
+      const u = state.rng.next();
+      point[v.name] = v.type === 'real'
+        ? v.min + (v.max - v.min) * u
+        : Math.ceil(v.min) + Math.floor(u * (Math.floor(v.max) - Math.ceil(v.min) + 1));
+    }
+    return point;
+  }
+
+  _randomSearch(state, samples = Infinity) {
+    for (let i = 0; i < samples && !this._budgetExhausted(state); i++) {
+      this._testPoint(state, this._randomPoint(state), 'random');
+    }
+  }
+
+  _annealSearch(state, { restarts = 5, steps = 500, t0 = 1, cooling = 0.98 } = {}) {
+    const { predicate, rng, variables } = state;
+    // Margins span many orders of magnitude; anneal on a signed log scale
+    const energy = (p) => {
+      try {
+        const m = predicate.margin(p);
+        return Number.isFinite(m) ? Math.sign(m) * Math.log1p(Math.abs(m)) : null;
+      } catch {
+        return null;
+      }
+    };
+    
+    for (let r = 0; r < restarts && !this._budgetExhausted(state); r++) {
+      let current = this._randomPoint(state);
+      let e = energy(current);
+      if (e === null) {
+        // Not a relational expression: annealing degenerates to sampling
+        this._randomSearch(state, steps);
+        continue;
+      }
+      const initial = t0;
+      let temperature = initial;
+      
+      for (let s = 0; s < steps && !this._budgetExhausted(state); s++) {
+        // Log-uniform step sizes up to a reach that shrinks with the temperature
+        const v = variables[rng.nextInt(variables.length)];
+        const reach = Math.max(v.type === 'real' ? 1e-9 : 1, (v.max - v.min) * 0.5 * (temperature / initial));
+        const sign = rng.next() < 0.5 ? -1 : 1;
+        let value;
+        if (v.type === 'real') {
+          value = current[v.name] + sign * reach * Math.pow(1e-6, rng.next());
+        } else {
+          value = current[v.name] + sign * Math.max(1, Math.round(Math.pow(reach, rng.next())));
+        }
+        value = v.type === 'real'
+          ? Math.min(v.max, Math.max(v.min, value))
+          : Math.min(Math.floor(v.max), Math.max(Math.ceil(v.min), value));
+        
+        const next = { ...current, [v.name]: value };
+        if (this._testPoint(state, next, 'anneal')) break;
+        
+        const eNext = energy(next);
+        if (eNext === null) continue;
+        if (eNext < e || rng.next() < Math.exp((e - eNext) / Math.max(temperature, 1e-12))) {
+          current = next;
+          e = eNext;
+        }
+        temperature *= cooling;
+      }
+    }
+  }
+
+  _pointSize(point, variables) {
+    return variables.reduce((sum, v) => sum + Math.abs(point[v.name] - v.min), 0);
+  }
+
+  /**
+   * Check if a sequence satisfies Sidon property. `collision` locates the
+   * first repeated sum (second representation, as input indices); every
+   * violation is in `violations`.
+   */
+  isSidonSet(sequence, options = {}) {
+    const result = checkBhg(sequence, { ...options, h: 2, g: 1 });
+    if (result.valid) return result;
+
+    const index = new Map(sequence.map((value, i) => [value, i]).reverse());
+    const first = result.violations[0];
+    const collision = first
+      ? { sum: first.sum, indices: first.witnesses[1].map(v => index.get(v)) }
+      : { sum: 2 * result.duplicates[0], indices: [sequence.indexOf(result.duplicates[0]), sequence.lastIndexOf(result.duplicates[0])] };
+    return { ...result, collision };
+  }
+
+  /**
+   * B_h[g] property: at most g representations as a sum of h elements
+   */
+  checkBhg(sequence, options) {
+    return checkBhg(sequence, options);
+  }
+
+  checkSumFree(sequence, options) {
+    return checkSumFree(sequence, options);
+  }
+
+  checkApFree(sequence, options) {
+    return checkApFree(sequence, options);
+  }
+
+  checkDifferenceBasis(sequence, n, options) {
+    return checkDifferenceBasis(sequence, n, options);
+  }
+
+  checkCoveringSystem(congruences, options) {
+    return checkCoveringSystem(congruences, options);
+  }
+
+  sumProductCounts(sequence, options) {
+    return sumProductCounts(sequence, options);
+  }
+
+  /**
+   * Proper colouring of a graph or hypergraph (a Graph, Hypergraph, or
+   * named construction from src/graphs)
+   */
+  checkColoring(graph, colors, options) {
+    graph = createGraph(graph);
+    return graph instanceof Hypergraph
+      ? checkHypergraphColoring(graph, colors, options)
+      : checkColoring(graph, colors, options);
+  }
+
+  /**
+   * No copy of any pattern; patterns may be graphs, named constructions, or
+   * { name, graph } entries
+   */
+  checkForbiddenSubgraphs(graph, patterns, options) {
+    const entries = patterns.map((pattern, i) => pattern.graph
+      ? { name: pattern.name ?? `pattern ${i}`, graph: createGraph(pattern.graph) }
+      : { name: pattern.name ?? `pattern ${i}`, graph: createGraph(pattern) });
+    return checkForbiddenSubgraphs(createGraph(graph), entries, options);
+  }
+
+  /**
+   * Whether a red/blue colouring of K_n (edges red) avoids red K_s and blue K_t
+   */
+  checkRamseyColoring(graph, s, t, options) {
+    return checkRamseyColoring(createGraph(graph), s, t, options);
+  }
+
+  /**
+   * Rigorously check an inequality on a whole finite range in interval
+   * arithmetic; see certificate.js for the options and certificate format
+   */
+  certifyInequality(claim, options) {
+    return certifyInequality(claim, options);
+  }
+
+  checkCertificate(certificate) {
+    return checkCertificate(certificate);
+  }
+
+  /**
+   * Fit growth models to (n, a(n)) data with confidence intervals, AIC/BIC
+   * ranking and Richardson extrapolation; see asymptotics.js
+   */
+  fitAsymptotics(data, options) {
+    return fitAsymptotics(data, options);
   }
 
   /**
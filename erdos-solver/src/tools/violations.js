@@ -0,0 +1,28 @@
+/**
+ * Violation list shared by the property checkers: counts every violation but
+ * keeps at most `max` of them
+ */
+export class Violations {
+  constructor(max) {
+    this.max = max;
+    this.count = 0;
+    this.items = [];
+  }
+
+  add(item, weight = 1) {
+    this.count += weight;
+    if (this.items.length < this.max) this.items.push(item);
+  }
+
+  get full() {
+    return this.items.length >= this.max;
+  }
+
+  report() {
+    return {
+      violationCount: this.count,
+      violations: this.items,
+      truncated: this.count > this.items.length
+    };
+  }
+}
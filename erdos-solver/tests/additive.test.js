@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { convolve } from '../src/tools/convolution.js';
+import {
+  checkBhg,
+  checkSumFree,
+  checkApFree,
+  checkDifferenceBasis,
+  checkCoveringSystem,
+  sumProductCounts
+} from '../src/tools/additive.js';
+import { ComputationalVerifier } from '../src/tools/verifier.js';
+import { generateSequence } from '../src/sequences/index.js';
+import { rngLCG } from '../src/encoders/kk-kernel.js';
+
+function rng(seed) {
+  const lcg = rngLCG(seed);
+  return () => lcg.next();
+}
+
+describe('Convolution', () => {
+  it('should match the direct product with FFT', () => {
+    const random = rng(7);
+    const a = Array.from({ length: 300 }, () => Math.floor(random() * 5));
+    const b = Array.from({ length: 200 }, () => Math.floor(random() * 5));
+    expect(convolve(a, b, { method: 'fft' })).toEqual(convolve(a, b, { method: 'direct' }));
+  });
+});
+
+describe('Additive checkers', () => {
+  it('should report every repeated sum of a non-B_h[g] set', () => {
+    const result = checkBhg([1, 2, 3, 4], { h: 2, g: 1 });
+    expect(result.valid).toBe(false);
+    expect(result.violations.map(v => v.sum)).toEqual([4, 5, 6]);
+    expect(result.violations[1].witnesses).toEqual([[1, 4], [2, 3]]);
+
+    expect(checkBhg([1, 2, 3, 4], { h: 2, g: 2 }).valid).toBe(true);
+  });
+
+  it('should agree between FFT and direct representation counts', () => {
+    const random = rng(3);
+    const set = [...new Set(Array.from({ length: 60 }, () => Math.floor(random() * 400)))];
+    for (const h of [2, 3]) {
+      const fft = checkBhg(set, { h, g: 2, method: 'fft' });
+      const direct = checkBhg(set, { h, g: 2, method: 'direct' });
+      expect(fft.violationCount).toBe(direct.violationCount);
+      expect(fft.maxRepresentations).toBe(direct.maxRepresentations);
+      expect(fft.violations).toEqual(direct.violations);
+    }
+  });
+
+  it('should accept greedy B_3 sets and cap the violation list', () => {
+    expect(checkBhg(generateSequence({ name: 'greedy-bh', n: 30, h: 3 }), { h: 3 }).valid).toBe(true);
+
+    const result = checkBhg(Array.from({ length: 50 }, (_, i) => i), { maxViolations: 5 });
+    expect(result.violations).toHaveLength(5);
+    expect(result.truncated).toBe(true);
+    expect(result.violationCount).toBe(95);
+  });
+
+  it('should check sum-free sets', () => {
+    expect(checkSumFree([1, 3, 5, 7, 9]).valid).toBe(true);
+    const result = checkSumFree([1, 2, 4, 5], { method: 'fft' });
+    expect(result.violations).toEqual([
+      { x: 1, y: 1, sum: 2 },
+      { x: 2, y: 2, sum: 4 },
+      { x: 1, y: 4, sum: 5 }
+    ]);
+    expect(checkSumFree([1, 2, 4, 5], { method: 'direct' }).violations).toEqual(result.violations);
+  });
+
+  it('should count k-term progressions', () => {
+    const stanley = generateSequence({ name: 'stanley', n: 64 });
+    expect(checkApFree(stanley, { method: 'fft' }).valid).toBe(true);
+
+    const range = Array.from({ length: 10 }, (_, i) => i);
+    // 3-APs in [0, 9]: sum over d of (10 - 2d)
+    expect(checkApFree(range, { method: 'fft' }).violationCount).toBe(20);
+    expect(checkApFree(range, { method: 'direct' }).violationCount).toBe(20);
+    expect(checkApFree(range, { k: 4 }).violationCount).toBe(12);
+  });
+
+  it('should list missing differences', () => {
+    expect(checkDifferenceBasis([0, 1, 4, 6], 6).valid).toBe(true);
+    const result = checkDifferenceBasis([0, 1, 4, 6], 8, { method: 'fft' });
+    expect(result.violations).toEqual([{ difference: 7 }, { difference: 8 }]);
+  });
+
+  it('should check covering systems over the lcm', () => {
+    const erdos = [[0, 2], [0, 3], [1, 4], [5, 6], [7, 12]];
+    expect(checkCoveringSystem(erdos, { distinctModuli: true })).toMatchObject({ valid: true, period: 12 });
+
+    const result = checkCoveringSystem([[0, 2], [0, 3]]);
+    expect(result.valid).toBe(false);
+    expect(result.violations).toEqual([{ residue: 1 }, { residue: 5 }]);
+    expect(checkCoveringSystem([[0, 2], [1, 2]], { distinctModuli: true }).valid).toBe(false);
+  });
+
+  it('should count sums and products', () => {
+    const result = sumProductCounts([1, 2, 3, 4]);
+    expect(result.sumsetSize).toBe(7);
+    expect(result.productSetSize).toBe(9);
+  });
+
+  it('should check a 10^5-element set by FFT', () => {
+    const random = rng(11);
+    const set = new Set();
+    while (set.size < 100000) set.add(Math.floor(random() * 2000000));
+    const values = [...set];
+
+    const sumFree = checkSumFree(values);
+    expect(sumFree.method).toBe('fft');
+    expect(sumFree.valid).toBe(false);
+    expect(sumFree.violations).toHaveLength(100);
+
+    const odd = values.map(v => 2 * v + 1);
+    expect(checkSumFree(odd).valid).toBe(true);
+  }, 60000);
+
+  it('should check a sparse set with ~2 * 10^7 pair sums directly', () => {
+    // Erdős–Turán Sidon set 2pi + (i^2 mod p): too wide for the FFT
+    const p = 6007;
+    const sidon = Array.from({ length: 6000 }, (_, i) => 2 * p * i + (i * i) % p);
+    const result = checkBhg(sidon);
+    expect(result.method).toBe('direct');
+    expect(result).toMatchObject({ valid: true, maxRepresentations: 1 });
+
+    // 0 + (6p + 5) = (2p + 1) + (4p + 4)
+    const broken = checkBhg([...sidon, 6 * p + 5]);
+    expect(broken.valid).toBe(false);
+    expect(broken.violations.find(v => v.sum === 6 * p + 5).witnesses).toEqual([[0, 6 * p + 5], [2 * p + 1, 4 * p + 4]]);
+  }, 120000);
+});
+
+describe('Verifier Sidon check', () => {
+  it('should keep the collision report', () => {
+    const verifier = new ComputationalVerifier();
+    const result = verifier.isSidonSet([1, 2, 4, 8, 3]);
+    expect(result.valid).toBe(false);
+    expect(result.collision.sum).toBe(4);
+    expect(result.collision.indices).toEqual([1, 1]);
+    expect(verifier.isSidonSet([1, 2, 2]).valid).toBe(false);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import { BaseAgent } from '../src/agents/base-agent.js';
+import { ProblemAnalyst } from '../src/agents/analyst.js';
+import { ConjectureGenerator, validateConjectures } from '../src/agents/conjecture-generator.js';
+import { ProofPlanner, parseProofPlan } from '../src/agents/proof-planner.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { ComputationalVerifier } from '../src/tools/verifier.js';
+import { MockProvider } from '../src/providers/index.js';
+import { MemoryOeisStore } from '../src/sequences/oeis-store.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function toolUse(id, name, input) {
+  return { stop_reason: 'tool_use', content: [{ type: 'tool_use', id, name, input }] };
+}
+
+describe('BaseAgent tool loop', () => {
+  it('should run repeated tool rounds with a role-wrapped transcript', async () => {
+    const provider = new MockProvider([
+      toolUse('t1', 'double', { x: 2 }),
+      toolUse('t2', 'double', { x: 4 }),
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Result is 8' }] }
+    ]);
+    const agent = new BaseAgent(provider);
+    agent.registerTool({
+      name: 'double',
+      description: 'Double a number',
+      input_schema: { type: 'object', properties: { x: { type: 'number' } } },
+      handler: async (input) => input.x * 2
+    });
+
+    const result = await agent.call('system prompt', 'Double 2 twice');
+
+    expect(result.text).toBe('Result is 8');
+    expect(result.iterations).toBe(3);
+    expect(result.toolCalls.map(t => t.output)).toEqual([4, 8]);
+    expect(result.transcript.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+
+    const last = provider.requests[2];
+    expect(last.system).toBe('system prompt');
+    expect(last.messages[2].content[0]).toMatchObject({ type: 'tool_result', tool_use_id: 't1', content: '4' });
+  });
+
+  it('should return tool errors as is_error results', async () => {
+    const provider = new MockProvider([
+      toolUse('t1', 'missing_tool', {}),
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'done' }] }
+    ]);
+    const agent = new BaseAgent(provider);
+
+    const result = await agent.call('system', 'go');
+
+    expect(result.toolCalls[0].isError).toBe(true);
+    expect(provider.requests[1].messages[2].content[0].is_error).toBe(true);
+  });
+
+  it('should stop at the iteration cap', async () => {
+    const provider = new MockProvider([
+      toolUse('t1', 'noop', {}),
+      toolUse('t2', 'noop', {}),
+      toolUse('t3', 'noop', {})
+    ]);
+    const agent = new BaseAgent(provider, undefined, { maxIterations: 2 });
+    agent.registerTool({ name: 'noop', description: 'No-op', input_schema: { type: 'object' }, handler: async () => ({}) });
+
+    const result = await agent.call('system', 'loop');
+
+    expect(result.stopReason).toBe('max_iterations');
+    expect(result.iterations).toBe(2);
+    expect(provider.requests.length).toBe(2);
+  });
+});
+
+describe('Offline pipeline with MockProvider', () => {
+  it('should run analyze -> conjecture -> plan -> verify from a fixture', async () => {
+    const provider = await MockProvider.fromFile(fixture('pipeline-340.json'));
+    const encoder = new MathObjectEncoder();
+    const problem = { id: 340, prize: 100, status: 'open', area: 'combinatorics', statement: 'Mian-Chowla growth' };
+
+    const analysis = await new ProblemAnalyst(provider).analyze(problem, encoder);
+    expect(analysis.toolCalls[0].name).toBe('encode_sequence');
+    expect(analysis.toolCalls[0].output.type).toBe('numerical');
+
+    const conjectures = await new ConjectureGenerator(provider).generate(problem, analysis.text, {}, encoder);
+    expect(conjectures.toolCalls[0].isError).toBe(false);
+    expect(conjectures.toolCalls[0].output.total).toBeGreaterThan(0);
+    expect(conjectures.stopReason).toBe('output_tool');
+
+    const [conjecture] = conjectures.output.conjectures;
+    expect(conjecture.relation).toBe('weakens');
+    expect(conjecture.variables.map(v => v.name)).toEqual(['n', 'a']);
+
+    const plan = await new ProofPlanner(provider).plan(problem, conjecture);
+    expect(plan.text).toContain('Step 2');
+
+    const verification = await new ComputationalVerifier().verifySmallCases(conjecture, [
+      { variables: { n: 4, a: 8 }, expected: true },
+      { variables: { n: 10, a: 97 }, expected: true }
+    ]);
+    expect(verification.passed).toBe(2);
+    expect(provider.remaining()).toBe(0);
+  });
+
+  it('should fail loudly when the script runs out', async () => {
+    const agent = new BaseAgent(new MockProvider([]));
+    await expect(agent.call('system', 'hello')).rejects.toThrow('no scripted response');
+  });
+});
+
+describe('Structured conjecture output', () => {
+  const valid = {
+    statement: 'n^2 >= n for all positive integers n',
+    rationale: 'Squares grow faster',
+    test_instance: { description: 'n = 3', variables: { n: 3 }, expected: true },
+    relation: 'independent',
+    expression: 'n^2 >= n',
+    variables: [{ name: 'n', type: 'integer', min: 1, max: 50 }]
+  };
+
+  it('should report every schema violation at once', () => {
+    expect(() => validateConjectures({
+      conjectures: [{ ...valid, relation: 'implies', expression: 'n^2 >= m' }]
+    })).toThrow(/relation must be one of[\s\S]*undeclared variable m/);
+  });
+
+  it('should force the output tool until a valid submission arrives', async () => {
+    const provider = new MockProvider([
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Conjecture 1: n^2 >= n' }] },
+      toolUse('s1', 'submit_conjectures', { conjectures: [{ ...valid, relation: 'implies' }] }),
+      toolUse('s2', 'submit_conjectures', { conjectures: [valid] })
+    ]);
+    const generator = new ConjectureGenerator(provider);
+
+    const result = await generator.generate({ id: 1 }, 'analysis', {}, new MathObjectEncoder());
+
+    expect(result.output.conjectures[0].expression).toBe('n^2 >= n');
+    expect(provider.requests[1].tool_choice).toEqual({ type: 'tool', name: 'submit_conjectures' });
+    expect(provider.requests[2].tool_choice).toEqual({ type: 'tool', name: 'submit_conjectures' });
+    expect(result.toolCalls[0].isError).toBe(true);
+  });
+});
+
+describe('Generator sequence tools', () => {
+  it('should identify a named sequence against the OEIS store', async () => {
+    const oeis = new MemoryOeisStore();
+    await oeis.put([{ id: 'A005282', name: 'Mian-Chowla sequence', terms: [1, 2, 4, 8, 13, 21, 31, 45, 66, 81] }]);
+    const provider = new MockProvider([
+      toolUse('t1', 'identify_sequence', { spec: { name: 'mian-chowla', n: 12 } }),
+      toolUse('t2', 'identify_sequence', { terms: [1, 2, 4, 8] }),
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Known as A005282' }] }
+    ]);
+
+    const result = await new ConjectureGenerator(provider).call('system', 'identify', { oeis });
+
+    expect(result.toolCalls[0].output.matches[0]).toMatchObject({ id: 'A005282', match: 'exact', matchedTerms: 10 });
+    expect(result.toolCalls[1].output.matches[0].id).toBe('A005282');
+
+    const unconfigured = await new ConjectureGenerator(new MockProvider([
+      toolUse('t1', 'identify_sequence', { terms: [1, 2, 4, 8] }),
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'done' }] }
+    ])).call('system', 'identify', {});
+    expect(unconfigured.toolCalls[0].error).toMatch(/No OEIS database/);
+  });
+});
+
+describe('Proof plan parsing', () => {
+  it('should build a step tree with typed obligations', () => {
+    const steps = parseProofPlan(`## Detailed proof plan
+
+**Step 1**: Count the forbidden values for a(n+1). ✓
+Each forbidden value comes from a pair sum.
+
+Step 2: Bound the gaps
+- Verify a(n) <= n^3 for n <= 1000 ◯
+Step 2.1: Formalize the counting lemma △
+
+### External tools
+- Python ◯`);
+
+    expect(steps.map(s => s.number)).toEqual(['1', '2']);
+    expect(steps[0].obligations).toEqual([
+      { kind: 'theoretical', description: 'Count the forbidden values for a(n+1).' }
+    ]);
+    expect(steps[1].obligations[0]).toEqual({ kind: 'computation', description: 'Verify a(n) <= n^3 for n <= 1000' });
+    expect(steps[1].children[0]).toMatchObject({ number: '2.1', obligations: [{ kind: 'formal' }] });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { ComputationalVerifier } from '../src/tools/verifier.js';
+import { resolveArithmetic } from '../src/tools/arithmetic.js';
+import { Rational, compileExact } from '../src/tools/exact.js';
+import { validateConjectures } from '../src/agents/conjecture-generator.js';
+
+const verifier = new ComputationalVerifier();
+
+describe('Exact rationals', () => {
+  it('should evaluate integer and rational expressions without rounding', () => {
+    expect(compileExact('2^53 + 1 > 2^53')({})).toBe(true);
+    expect(compileExact('0.1 + 0.2 == 0.3')({})).toBe(true);
+    expect(String(compileExact('combinations(100, 50)')({}))).toBe('100891344545564193334812497256');
+    expect(String(compileExact('1/3 + 1/6')({}))).toBe('1/2');
+    expect(compileExact('isPrime(2^61 - 1)')({})).toBe(true);
+    expect(Rational.from('-6/4').toString()).toBe('-3/2');
+    expect(() => compileExact('sqrt(n) < n')).toThrow('Not supported in exact arithmetic');
+  });
+
+  it('should refuse oversized factorials and binomials before computing them', () => {
+    expect(String(compileExact('factorial(25)')({}))).toBe('15511210043330985984000000');
+    expect(compileExact('factorial(20000) > 10^77000')({})).toBe(true);
+    expect(() => compileExact('factorial(10^6)')({})).toThrow('factorial result too large');
+    expect(() => compileExact('combinations(10^7, 5 * 10^6)')({})).toThrow('combinations result too large');
+    expect(String(compileExact('combinations(10^20, 2)')({}))).toBe('4999999999999999999950000000000000000000');
+  });
+
+  it('should refuse primality tests of huge operands up front', () => {
+    expect(compileExact('isPrime(2^607 - 1)')({})).toBe(true);
+    expect(() => compileExact('isPrime(2^4423 - 1)')({})).toThrow('isPrime operand too large');
+    expect(() => compileExact('isPrime(factorial(10^5) + 1)')({})).toThrow('over 2048 bits');
+  });
+});
+
+describe('Verifier arithmetic modes', () => {
+  const factorial = {
+    expression: 'n! == value',
+    variables: [{ name: 'n', type: 'integer' }, { name: 'value', type: 'integer' }]
+  };
+  const cases = [{ variables: { n: 25, value: '15511210043330985984000000' }, expected: true }];
+
+  it('should refuse precision-losing comparisons in float mode', async () => {
+    const result = await verifier.verifySmallCases(factorial, cases);
+    expect(result.arithmetic).toBe('float');
+    expect(result.refused).toBe(1);
+    expect(result.results[0].skipped).toBe(true);
+    expect(result.results[0].reason).toMatch(/2\^53/);
+    expect(result.supportsExperimental).toBe(false);
+
+    // Doubles would call this false
+    const wrapped = await verifier.verifySmallCases({ expression: '2^53 + 1 > 2^53' }, [{ variables: {}, expected: true }]);
+    expect(wrapped.refused).toBe(1);
+
+    // Intermediate results lose n even though the compared values are small
+    for (const expression of ['2^53 + n - 2^53 == n', '(10^17 + n) - 10^17 == n']) {
+      const lost = await verifier.verifySmallCases({ expression }, [{ variables: { n: 1 }, expected: true }]);
+      expect(lost.refused, expression).toBe(1);
+      expect(lost.failed, expression).toBe(0);
+    }
+  });
+
+  it('should verify exactly when the conjecture asks for it', async () => {
+    const result = await verifier.verifySmallCases({ ...factorial, arithmetic: 'exact' }, cases);
+    expect(result.arithmetic).toBe('exact');
+    expect(result.passed).toBe(1);
+    expect(result.supportsExperimental).toBe(true);
+
+    const value = await verifier.verifySmallCases(
+      { expression: 'factorial(n)', arithmetic: 'exact' },
+      [{ variables: { n: 25 }, expected: '15511210043330985984000000' }]
+    );
+    expect(value.results[0].output).toBe('15511210043330985984000000');
+    expect(value.passed).toBe(1);
+  });
+
+  it('should support BigNumber and Fraction modes with their own limits', async () => {
+    const central = { expression: 'combinations(2n, n) < 4^n', arithmetic: 'bignumber' };
+    const big = await verifier.verifySmallCases(central, [{ variables: { n: 100 }, expected: true }]);
+    expect(big.passed).toBe(1);
+    const tooLong = await verifier.verifySmallCases(central, [{ variables: { n: 100 }, expected: true }], { precision: 20 });
+    expect(tooLong.refused).toBe(1);
+
+    const fractions = await verifier.verifySmallCases(
+      { expression: 'a / 3 + a / 6 == a / 2', arithmetic: 'fraction' },
+      [{ variables: { a: 7 }, expected: true }]
+    );
+    expect(fractions.passed).toBe(1);
+    const overflow = await verifier.verifySmallCases(
+      { expression: '2^60 + 1/3 > 2^60', arithmetic: 'fraction' },
+      [{ variables: {}, expected: true }]
+    );
+    expect(overflow.refused).toBe(1);
+  });
+
+  it('should pick exact arithmetic automatically when the expression allows it', () => {
+    expect(resolveArithmetic({ expression: 'n! <= n^n', arithmetic: 'auto' })).toBe('exact');
+    expect(resolveArithmetic({ expression: 'sqrt(n) <= n', arithmetic: 'auto' })).toBe('float');
+    expect(resolveArithmetic({ expression: 'n > 0' })).toBe('float');
+    expect(() => resolveArithmetic({ expression: 'n > 0' }, 'decimal')).toThrow('Unknown arithmetic mode');
+  });
+
+  it('should search for counterexamples in exact arithmetic', () => {
+    const conjecture = {
+      expression: 'n! < 2^(n + 40)',
+      arithmetic: 'exact',
+      variables: [{ name: 'n', type: 'integer', min: 1, max: 60 }]
+    };
+    const search = verifier.searchCounterexamples(conjecture, { strategies: ['exhaustive'] });
+    expect(search.arithmetic).toBe('exact');
+    expect(search.found).toBe(true);
+    expect(search.shrunk.value).toBe(false);
+    // 20! > 2^60 but 19! < 2^59
+    expect(search.shrunk.point.n).toBe(20);
+  });
+
+  it('should validate the arithmetic of generated conjectures', () => {
+    const conjecture = {
+      statement: 'n! < n^n for n >= 2',
+      rationale: 'Each factor is at most n',
+      test_instance: { description: 'n = 5', variables: { n: 5 } },
+      relation: 'independent',
+      expression: 'n! < n^n',
+      variables: [{ name: 'n', type: 'integer', min: 2, max: 30 }]
+    };
+    expect(validateConjectures({ conjectures: [{ ...conjecture, arithmetic: 'exact' }] }).conjectures[0].arithmetic).toBe('exact');
+    expect(() => validateConjectures({ conjectures: [{ ...conjecture, arithmetic: 'decimal' }] })).toThrow('arithmetic must be one of');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { studentT, fitAsymptotics, fitModel, asymptoticPoints } from '../src/tools/asymptotics.js';
+import app from '../src/api/index.js';
+
+describe('Asymptotic fitting', () => {
+  it('should compute Student-t critical values', () => {
+    expect(studentT(0.95, 1)).toBeCloseTo(12.706, 3);
+    expect(studentT(0.95, 10)).toBeCloseTo(2.228, 3);
+    expect(studentT(0.95, 1e6)).toBeCloseTo(1.960, 3);
+  });
+
+  it('should recover a power law and extrapolate past its correction term', () => {
+    const points = Array.from({ length: 2000 }, (_, i) => [i + 1, 0.5 * (i + 1) ** 2 * (1 + 3 / (i + 1))]);
+    const analysis = fitAsymptotics({ points }, { models: ['power'], minN: 100 });
+    const [fit] = analysis.fits;
+    expect(fit.params.alpha.ci[0]).toBeLessThan(fit.params.alpha.estimate);
+    // The decaying correction biases the raw fit below the true exponent
+    expect(fit.params.alpha.estimate).toBeLessThan(2);
+
+    const { exponent, constant } = analysis.extrapolation;
+    expect(exponent.limit).toBeCloseTo(2, 3);
+    expect(constant.limit).toBeCloseTo(0.5, 2);
+  });
+
+  it('should prefer the exponential model for exponential data', () => {
+    const sequence = Array.from({ length: 40 }, (_, i) => 3 * 1.5 ** (i + 1) * (1 + 0.01 * Math.sin(i)));
+    const analysis = fitAsymptotics({ sequence });
+    expect(analysis.best.aic).toBe('exponential');
+    expect(analysis.best.bic).toBe('exponential');
+    expect(analysis.fits[0].params.lambda.estimate).toBeCloseTo(Math.log(1.5), 3);
+    expect(analysis.fits[0].aicWeight).toBeGreaterThan(0.5);
+  });
+
+  it('should fit named sequences and their counting functions', () => {
+    const terms = fitModel(asymptoticPoints({ spec: { name: 'mian-chowla', n: 300 } }), 'power');
+    expect(terms.params.alpha.estimate).toBeGreaterThan(2);
+    expect(terms.params.alpha.estimate).toBeLessThan(3.5);
+
+    const counting = fitAsymptotics({ spec: { name: 'primes', n: 2000 }, as: 'counting' }, { models: ['power-log'] });
+    // pi(x) ~ x / log x, approached slowly
+    expect(counting.fits[0].params.alpha.estimate).toBeCloseTo(1, 0);
+    expect(counting.fits[0].params.beta.estimate).toBeLessThan(0);
+
+    expect(() => fitAsymptotics({ spec: { name: 'primes', n: 1e7 } })).toThrow(/n must be an integer from 0 to 100000/);
+    expect(() => fitAsymptotics({ spec: { name: 'mian-chowla', n: 100000 } })).toThrow(/from 0 to 2000/);
+    expect(() => fitAsymptotics({ points: [[1, 1], [2, 2]] })).toThrow(/at least 4 points/);
+  });
+
+  it('should reject ratios and levels that would never terminate', () => {
+    const points = Array.from({ length: 20 }, (_, i) => [i + 1, (i + 1) ** 2]);
+    for (const ratio of [1, 0.5, -2, Infinity, '2']) {
+      expect(() => fitAsymptotics({ points }, { ratio }), String(ratio)).toThrow(/ratio must be/);
+    }
+    for (const level of [0, 1, 1.5, NaN]) {
+      expect(() => fitAsymptotics({ points }, { level }), String(level)).toThrow(/level must be/);
+    }
+  });
+
+  it('should answer 400 for them at the route', async () => {
+    const sequence = [1, 4, 9, 16, 25, 36];
+    for (const body of [{ sequence, ratio: 1 }, { sequence, level: 1 }]) {
+      const res = await app.request('/asymptotics', { method: 'POST', body: JSON.stringify(body) }, {});
+      expect(res.status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { Interval, nextUp, compileInterval } from '../src/tools/interval.js';
+import { certifyInequality, checkCertificate } from '../src/tools/certificate.js';
+import { clampMaxBoxes, MAX_CERTIFICATE_BOXES } from '../src/tools/verifier.js';
+import app from '../src/api/index.js';
+
+describe('Interval arithmetic', () => {
+  it('should enclose rounded results and keep integer ones exact', () => {
+    const sum = Interval.from(0.1).add(0.2);
+    expect(sum.contains(0.3)).toBe(true);
+    expect(sum.lo).toBeLessThan(0.3);
+    expect(new Interval(3).pow(30).toJSON()).toEqual([205891132094649, 205891132094649]);
+    const root = new Interval(2).sqrt();
+    expect(root.toJSON()).toEqual([Math.SQRT2 - 2 ** -52, nextUp(Math.SQRT2)]);
+    expect(new Interval(16).sqrt().toJSON()).toEqual([4, 4]);
+    expect(() => new Interval(-1, 1).log()).toThrow('log of an interval');
+
+    const rhs = compileInterval('0.31 * N^0.49')({ N: new Interval(100, 200) });
+    expect(rhs.lo).toBeLessThanOrEqual(0.31 * 100 ** 0.49);
+    expect(rhs.hi).toBeGreaterThanOrEqual(0.31 * 200 ** 0.49);
+  });
+});
+
+describe('Interval certificates', () => {
+  const count = { count: { type: 'counting', sequence: { name: 'mian-chowla' } } };
+
+  it('should certify a bound at every integer of the range', () => {
+    const certificate = certifyInequality('count(N) >= N^(1/3)', { range: [1, 10 ** 6], functions: count });
+    expect(certificate.status).toBe('certified');
+    expect(certificate.worstMargin).toBeGreaterThanOrEqual(0);
+    expect(certificate.boxes[0].range[0]).toBe(1);
+    expect(certificate.boxes.at(-1).range[1]).toBe(10 ** 6);
+    expect(checkCertificate(certificate)).toMatchObject({ valid: true, errors: [] });
+  });
+
+  it('should refute bounds that only hold at the sequence terms', () => {
+    // Checked at the terms the bound holds, but r_A(65) = 8 < sqrt(65)
+    const terms = [1, 2, 4, 8, 13, 21, 31, 45, 66, 81];
+    const claim = 'count(N) >= sqrt(N)';
+    expect(terms.every((t, i) => i + 1 >= Math.sqrt(t))).toBe(true);
+    const certificate = certifyInequality(claim, {
+      range: [1, 81],
+      functions: { count: { type: 'counting', terms } }
+    });
+    expect(certificate.status).toBe('refuted');
+    expect(certificate.failure.range[0]).toBeGreaterThanOrEqual(65);
+    expect(certificate.failure.range[1]).toBe(65);
+  });
+
+  it('should certify real ranges and reject tampered certificates', () => {
+    const certificate = certifyInequality('x^2 > 2', { range: [1.4143, 3], variable: 'x', integer: false });
+    expect(certificate.holds).toBe(true);
+    expect(checkCertificate(certificate).valid).toBe(true);
+
+    const widened = { ...certificate, range: [1.4142, 3], boxes: [{ ...certificate.boxes[0], range: [1.4142, 3] }] };
+    expect(checkCertificate(widened).errors[0]).toMatch(/not certified on box 0/);
+
+    const gap = certifyInequality('count(N) >= N^(1/3)', { range: [1, 1000], functions: count });
+    const missing = { ...gap, boxes: gap.boxes.filter((_, i) => i !== 1) };
+    expect(checkCertificate(missing).errors[0]).toMatch(/does not continue/);
+  });
+});
+
+describe('POST /certify/:conjectureId', () => {
+  const conjecture = {
+    id: 5,
+    expression: 'count(N) >= N^(1/3)',
+    variables: JSON.stringify([{ name: 'N', type: 'integer', min: 1, max: 1000 }])
+  };
+  const fakeD1 = (writes) => ({
+    prepare: (sql) => ({
+      bind: (...args) => ({
+        first: async () => (sql.startsWith('SELECT * FROM conjectures') ? conjecture : null),
+        run: async () => { writes.push({ sql, args }); return { meta: {} }; }
+      })
+    })
+  });
+  const certify = async (body) => {
+    const writes = [];
+    const res = await app.request('/certify/5', { method: 'POST', body: JSON.stringify(body) }, { DB: fakeD1(writes) });
+    return { ...(await res.json()), writes };
+  };
+
+  it('should attach a certificate of the conjecture\'s own claim', async () => {
+    const result = await certify({ functions: { count: { type: 'counting', sequence: { name: 'mian-chowla' } } } });
+    expect(result.certificate.holds).toBe(true);
+    expect(result.attached).toBe(true);
+    expect(result.writes).toHaveLength(1);
+  });
+
+  it('should not attach other claims or client-given terms', async () => {
+    const other = await certify({ claim: 'N >= 0' });
+    expect(other.certificate.holds).toBe(true);
+    expect(other.attached).toBe(false);
+
+    const terms = Array.from({ length: 1000 }, (_, i) => i + 1);
+    const invented = await certify({ functions: { count: { type: 'counting', terms } } });
+    expect(invented.certificate.holds).toBe(true);
+    expect(invented.attached).toBe(false);
+    expect([...other.writes, ...invented.writes]).toEqual([]);
+  });
+
+  it('should clamp the box budget and reject invalid ones', async () => {
+    expect(clampMaxBoxes(1e9)).toBe(MAX_CERTIFICATE_BOXES);
+    expect(clampMaxBoxes(500)).toBe(500);
+
+    for (const maxBoxes of [0, -1, 1.5, '1e9']) {
+      const res = await app.request('/certify/5', { method: 'POST', body: JSON.stringify({ maxBoxes }) }, { DB: fakeD1([]) });
+      expect(res.status, String(maxBoxes)).toBe(400);
+    }
+  });
+});
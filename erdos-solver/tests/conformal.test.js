@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  USADetector,
+  conformalPValue,
+  benjaminiHochberg,
+  storeyPi0,
+  fdrControl
+} from '../src/encoders/usad.js';
+import { rngLCG } from '../src/encoders/kk-kernel.js';
+
+// Noise plus spikes at `spikes` (indices chosen by the caller)
+function spiky(rng, spikes, length = 64) {
+  const x = Array.from({ length }, () => rng.next() * 0.1);
+  for (const i of spikes) x[i] += 5 + rng.next();
+  return x;
+}
+
+const pick = (rng, pool, count) => Array.from({ length: count }, () => pool[rng.nextInt(pool.length)]);
+
+describe('Conformal p-values and FDR control', () => {
+  it('should rank scores with ties, smoothed or not', () => {
+    const scores = [0.1, 0.2, 0.2, 0.5];
+    expect(conformalPValue(scores, 0.2)).toBeCloseTo(4 / 5);
+    expect(conformalPValue(scores, 0.9)).toBeCloseTo(1 / 5);
+    expect(conformalPValue(scores, 0.2, { smoothed: true, random: () => 0.5 })).toBeCloseTo((1 + 1.5) / 5);
+    expect(conformalPValue(scores, 0.9, { smoothed: true, random: () => 0 })).toBe(0);
+  });
+
+  it('should apply Benjamini-Hochberg and Storey-BH', () => {
+    const p = [0.01, 0.04, 0.03, 0.2, 0.5, 0.9];
+    // p_(3) = 0.04 <= 3 * 0.1 / 6, p_(4) = 0.2 > 4 * 0.1 / 6
+    const bh = benjaminiHochberg(p, 0.1);
+    expect(bh).toMatchObject({ discoveries: 3, cutoff: 0.04, rejected: [true, true, true, false, false, false] });
+    expect(bh.adjusted.map(a => +a.toFixed(4))).toEqual([0.06, 0.08, 0.08, 0.3, 0.6, 0.9]);
+
+    expect(storeyPi0(p, 0.5)).toBeCloseTo(Math.min(1, (1 + 1) / 3));
+    const storey = fdrControl(p, { q: 0.1, method: 'storey' });
+    expect(storey.pi0).toBeCloseTo(2 / 3);
+    expect(storey.discoveries).toBe(3);
+    expect(benjaminiHochberg([], 0.1).discoveries).toBe(0);
+    expect(() => fdrControl(p, { method: 'bonferroni' })).toThrow(/method must be/);
+  });
+
+  it('should flag anomalous windows of a trace with FDR control', () => {
+    const rng = rngLCG(11);
+    const normal = () => spiky(rng, [3, 17, 40, 41]);
+    const detector = new USADetector({ k: 8, kNN: 5, alpha: 0.1 });
+    detector.calibrate(Array.from({ length: 200 }, normal));
+
+    // Held-out normal windows have roughly uniform p-values
+    const nulls = Array.from({ length: 200 }, normal).map(x => detector.pValue(x));
+    expect(nulls.filter(p => p <= 0.1).length / nulls.length).toBeLessThan(0.2);
+
+    const trace = Array.from({ length: 100 }, (_, i) => (i % 10 === 5 ? spiky(rng, pick(rng, [9, 25, 50, 60], 4)) : normal()));
+    const result = detector.scoreTrace(trace, { q: 0.1 });
+    expect(result).toMatchObject({ method: 'bh', q: 0.1, pi0: 1 });
+    const flagged = result.windows.filter(w => w.discovery).map(w => w.index);
+    expect(flagged).toEqual(expect.arrayContaining([5, 15, 25, 35, 45, 55, 65, 75, 85, 95]));
+    expect(flagged.length).toBeLessThanOrEqual(12);
+    for (const w of result.windows) {
+      const { isAnomaly, pValue } = detector.predict(trace[w.index]);
+      expect(pValue).toBe(w.pValue);
+      if (isAnomaly) expect(pValue).toBeLessThanOrEqual(0.1);
+    }
+  });
+
+  it('should rank queries within their regime with Mondrian calibration', () => {
+    const rng = rngLCG(3);
+    const regimeA = () => spiky(rng, [3, 17, 40, 41]);
+    const regimeB = () => spiky(rng, pick(rng, [5, 6, 22, 23, 50, 51, 52, 60], 4));
+    const calibration = [...Array.from({ length: 100 }, regimeA), ...Array.from({ length: 100 }, regimeB)];
+    const tags = calibration.map((_, i) => (i < 100 ? 'A' : 'B'));
+
+    const mondrian = new USADetector({ k: 8, kNN: 5 });
+    mondrian.calibrate(calibration, { tags });
+    expect(mondrian.threshold('A')).toBeLessThan(mondrian.threshold('B'));
+
+    // Typical for B, unusual for A: only the class-conditional p-values see it
+    const queries = Array.from({ length: 20 }, regimeB);
+    const mean = (tag) => queries.reduce((sum, x) => sum + mondrian.pValue(x, { tag }), 0) / queries.length;
+    expect(mean('A')).toBeLessThan(0.05);
+    expect(mean('B')).toBeGreaterThan(0.3);
+    expect(mean()).toBeGreaterThan(mean('A'));
+    const query = queries[0];
+
+    const restored = USADetector.fromJSON(JSON.stringify(mondrian));
+    expect(restored.predict(query, { tag: 'A' })).toEqual(mondrian.predict(query, { tag: 'A' }));
+    expect(() => mondrian.pValue(query, { tag: 'C' })).toThrow(/no calibration scores for regime C/);
+    expect(() => mondrian.updateIfNormal(regimeA())).toThrow(/tag required/);
+    expect(mondrian.updateIfNormal(regimeA(), { tag: 'A' })).toBe(true);
+    expect(mondrian.calTags.at(-1)).toBe('A');
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import app from '../src/api/index.js';
+import { USADetector } from '../src/encoders/usad.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { D1DetectorStore, calibrateDetector, detectorVectors } from '../src/encoders/detector-store.js';
+import { rngLCG } from '../src/encoders/kk-kernel.js';
+
+// Increasing sequences with gaps 1..10, and one with a run of huge gaps
+function walk(seed, n = 200, jumpAt = -1) {
+  const rng = rngLCG(seed);
+  const terms = [1];
+  for (let i = 1; i < n; i++) {
+    const gap = i >= jumpAt && i < jumpAt + 8 && jumpAt >= 0 ? 500 : 1 + rng.nextInt(10);
+    terms.push(terms[i - 1] + gap);
+  }
+  return terms;
+}
+
+const corpus = Array.from({ length: 30 }, (_, i) => walk(i + 1));
+
+function fakeKV() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key) => values.get(key) ?? null,
+    put: async (key, value) => { values.set(key, value); }
+  };
+}
+
+function fakeD1() {
+  const rows = new Map();
+  const query = (sql, args) => ({
+    first: async () => rows.get(args[0]) ?? null,
+    all: async () => ({ results: [...rows.values()] }),
+    run: async () => {
+      const [name, features, state, corpus, calibration_size, threshold, updated_at] = args;
+      rows.set(name, { name, features, state, corpus, calibration_size, threshold, updated_at });
+      return { meta: {} };
+    }
+  });
+  return { rows, prepare: (sql) => ({ bind: (...args) => query(sql, args), ...query(sql, []) }) };
+}
+
+describe('USAD serialization', () => {
+  it('should restore a calibrated detector that scores identically', () => {
+    const salt1 = new Uint8Array([1, 2, 3, 250]);
+    const detector = new USADetector({
+      k: 12,
+      alpha: 0.2,
+      kNN: 5,
+      hashing: { dim: 1024, salt1, salt2: new Uint8Array([9]), useDoubleHash: true }
+    });
+    const vectors = detectorVectors(corpus).map(v => v.vector);
+    detector.calibrate(vectors);
+
+    const restored = USADetector.fromJSON(JSON.stringify(detector));
+    expect(restored.hashing.salt1).toEqual(salt1);
+    expect(restored).toMatchObject({ k: 12, alpha: 0.2, kNN: 5, clip: 0.95, thr: detector.thr });
+    expect(restored.calScores).toEqual(detector.calScores);
+    for (const vector of detectorVectors([walk(99), walk(100, 200, 90)]).map(v => v.vector)) {
+      expect(restored.predict(vector)).toEqual(detector.predict(vector));
+    }
+
+    // Unsalted defaults round-trip too, and the encoder can restore its own detector
+    const plain = new USADetector();
+    plain.calibrate(vectors.slice(0, 5));
+    expect(USADetector.fromJSON(plain.toJSON()).encode(vectors[7])).toEqual(plain.encode(vectors[7]));
+    const encoder = new MathObjectEncoder();
+    encoder.calibrateAnomaly(vectors.slice(0, 8));
+    const restarted = new MathObjectEncoder();
+    restarted.restoreAnomaly(JSON.parse(JSON.stringify(encoder.saveAnomaly())));
+    expect(restarted.detectAnomaly(vectors[9])).toEqual(encoder.detectAnomaly(vectors[9]));
+
+    expect(() => USADetector.fromJSON({ ...plain.toJSON(), format: 2 })).toThrow(/newer than supported/);
+    expect(() => USADetector.fromJSON({ config: {} })).toThrow(/not a serialized/);
+  });
+});
+
+describe('USAD neighbour search', () => {
+  it('should give the full scan\'s scores from the posting index', () => {
+    const rng = rngLCG(5);
+    // A small hashing dim forces shared positions and signed dot products
+    const vectors = Array.from({ length: 120 }, () => Array.from({ length: 40 }, () => rng.next() - 0.5));
+    const options = { dim: 64, k: 8, kNN: 7 };
+    const indexed = new USADetector(options);
+    const exact = new USADetector({ ...options, neighbors: 'exact' });
+
+    expect(indexed.calibrate(vectors.slice(0, 100))).toBe(exact.calibrate(vectors.slice(0, 100)));
+    expect(indexed.calScores).toEqual(exact.calScores);
+    for (const vector of vectors.slice(100)) {
+      expect(indexed.nonconformity(vector)).toBe(exact.nonconformity(vector));
+      expect(indexed.updateIfNormal(vector)).toBe(exact.updateIfNormal(vector));
+    }
+    expect(indexed.calScores).toEqual(exact.calScores);
+
+    // The index follows a restored or recalibrated calibration set
+    const restored = USADetector.fromJSON(indexed.toJSON());
+    expect(restored.neighbors).toBe('indexed');
+    expect(restored.nonconformity(vectors[3])).toBe(exact.nonconformity(vectors[3]));
+    indexed.calibrate(vectors.slice(50));
+    exact.calibrate(vectors.slice(50));
+    expect(indexed.nonconformity(vectors[0])).toBe(exact.nonconformity(vectors[0]));
+    expect(() => new USADetector({ neighbors: 'lsh' })).toThrow(/neighbors must be/);
+  });
+});
+
+describe('Detector storage', () => {
+  it('should keep detectors in D1 and read them through KV', async () => {
+    const DB = fakeD1();
+    const CACHE = fakeKV();
+    const calibrated = calibrateDetector(corpus.slice(0, 10), { kNN: 3 });
+    await new D1DetectorStore(DB, CACHE).put({ name: 'walks', ...calibrated });
+    expect(DB.rows.get('walks')).toMatchObject({ features: 'gaps', calibration_size: 10, threshold: calibrated.detector.thr });
+
+    // A cold isolate with an empty cache reads D1 and fills KV
+    const coldCache = fakeKV();
+    const stored = await new D1DetectorStore(DB, coldCache).get('walks');
+    expect(stored.detector.calScores).toEqual(calibrated.detector.calScores);
+    expect(coldCache.values.has('usad:walks')).toBe(true);
+
+    DB.rows.clear();
+    expect((await new D1DetectorStore(DB, coldCache).get('walks')).detector.thr).toBe(calibrated.detector.thr);
+    expect(await new D1DetectorStore(DB).get('walks')).toBeNull();
+  });
+
+  it('should calibrate a named detector and score sequences against it', async () => {
+    const calibrate = await app.request('/detectors/walks/calibrate', {
+      method: 'POST',
+      body: JSON.stringify({ sequences: corpus, kNN: 5, alpha: 0.1 })
+    }, {});
+    expect(calibrate.status).toBe(200);
+    const summary = await calibrate.json();
+    expect(summary).toMatchObject({ name: 'walks', features: 'gaps', calibrationSize: 30, config: { kNN: 5, alpha: 0.1, dim: 4096 } });
+    expect(summary.corpus[0]).toEqual({ sequence: '0', terms: 200 });
+
+    const res = await app.request('/detectors/walks/score', {
+      method: 'POST',
+      body: JSON.stringify({ sequences: { typical: walk(1), jump: walk(7, 200, 100), mc: { name: 'mian-chowla', n: 60 } } })
+    }, {});
+    expect(res.status).toBe(200);
+    const { threshold, results } = await res.json();
+    expect(threshold).toBe(summary.threshold);
+    expect(results.map(r => r.sequence)).toEqual(['typical', 'jump', 'mc']);
+    expect(results[0].isAnomaly).toBe(false);
+    expect(results[1].score).toBeGreaterThan(results[0].score);
+    results.forEach(r => expect(r.isAnomaly).toBe(r.score > threshold));
+
+    const controlled = await (await app.request('/detectors/walks/score', {
+      method: 'POST',
+      body: JSON.stringify({ sequences: { typical: walk(2), jump: walk(7, 200, 100) }, fdr: { q: 0.2, method: 'storey' } })
+    }, {})).json();
+    expect(controlled.fdr).toMatchObject({ method: 'storey', q: 0.2 });
+    expect(controlled.results[0]).toMatchObject({ sequence: 'typical', discovery: false });
+    controlled.results.forEach(r => expect(r.pValue).toBeGreaterThan(0));
+    expect((await app.request('/detectors/walks/score', { method: 'POST', body: '{"sequences":[[1,2,3]],"fdr":{"q":2}}' }, {})).status).toBe(400);
+
+    const list = await (await app.request('/detectors', {}, {})).json();
+    expect(list.detectors.map(d => d.name)).toContain('walks');
+
+    const tagged = await (await app.request('/detectors/regimes/calibrate', {
+      method: 'POST',
+      body: JSON.stringify({ sequences: corpus, tags: corpus.map((_, i) => (i < 20 ? 'small' : 'large')) })
+    }, {})).json();
+    expect(tagged.regimes).toEqual({ small: 20, large: 10 });
+    const byRegime = await (await app.request('/detectors/regimes/score', {
+      method: 'POST',
+      body: JSON.stringify({ sequences: { a: walk(3) }, tags: { a: 'large' } })
+    }, {})).json();
+    expect(byRegime.results[0]).toMatchObject({ sequence: 'a', tag: 'large' });
+    expect(byRegime.results[0].pValue).toBeGreaterThanOrEqual(1 / 11);
+
+    expect((await app.request('/detectors/none/score', { method: 'POST', body: '{"sequences":[[1,2,3]]}' }, {})).status).toBe(404);
+    expect((await app.request('/detectors/bad name/calibrate', { method: 'POST', body: '{}' }, {})).status).toBe(400);
+    expect((await app.request('/detectors/walks/calibrate', { method: 'POST', body: '{"sequences":[[1,2,3]]}' }, {})).status).toBe(400);
+  });
+});
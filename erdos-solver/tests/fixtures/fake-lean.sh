@@ -0,0 +1,23 @@
+#!/bin/sh
+# Stand-in for `lean FILE` in tests: emits Lean-style diagnostics based on
+# markers in the source file.
+file="$1"
+
+if grep -q 'FAKE_TIMEOUT' "$file"; then
+  sleep 5
+fi
+
+status=0
+line=$(grep -n 'FAKE_ERROR' "$file" | head -n 1 | cut -d: -f1)
+if [ -n "$line" ]; then
+  echo "$file:$line:2: error: unknown identifier 'FAKE_ERROR'"
+  echo "  while elaborating the statement"
+  status=1
+fi
+
+line=$(grep -n 'sorry' "$file" | grep -v '^[0-9]*:--' | head -n 1 | cut -d: -f1)
+if [ -n "$line" ]; then
+  echo "$file:$line:6: warning: declaration uses 'sorry'"
+fi
+
+exit $status
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Graph,
+  createGraph,
+  cliqueNumber,
+  independenceNumber,
+  chromaticNumber,
+  girth,
+  checkColoring,
+  checkForbiddenSubgraphs,
+  findHypergraphColoring,
+  checkRamseyColoring,
+  searchRamseyColoring,
+  subgraphCounts,
+  spectrum
+} from '../src/graphs/index.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { ComputationalVerifier } from '../src/tools/verifier.js';
+
+describe('Graph model', () => {
+  it('should round-trip through JSON and take complements', () => {
+    const c5 = createGraph({ name: 'cycle', n: 5 });
+    expect(Graph.fromJSON(c5.toJSON()).edges()).toEqual(c5.edges());
+    expect(c5.complement().edgeCount).toBe(5);
+    expect(() => c5.addEdge(1, 1)).toThrow('Loops');
+  });
+
+  it('should compute classical invariants', () => {
+    const petersen = createGraph({ name: 'petersen' });
+    expect(girth(petersen)).toBe(5);
+    expect(chromaticNumber(petersen).chromaticNumber).toBe(3);
+    expect(independenceNumber(petersen)).toBe(4);
+    expect(spectrum(petersen).map(x => Math.round(x))).toEqual([3, 1, 1, 1, 1, 1, -2, -2, -2, -2]);
+
+    // Kneser graph K(7, 2) has chromatic number 7 - 4 + 2
+    expect(chromaticNumber(createGraph({ name: 'kneser', n: 7, k: 2 })).chromaticNumber).toBe(5);
+    expect(subgraphCounts(createGraph({ name: 'complete', n: 5 }))).toEqual({
+      edges: 10, wedges: 30, triangles: 10, fourCycles: 15, k4: 5
+    });
+  });
+
+  it('should report monochromatic edges and forbidden copies', () => {
+    const c5 = createGraph({ name: 'cycle', n: 5 });
+    const result = checkColoring(c5, [0, 1, 0, 1, 1]);
+    expect(result.valid).toBe(false);
+    expect(result.violations).toEqual([{ edge: [3, 4], color: 1 }]);
+
+    const turan = createGraph({ name: 'turan', n: 9, r: 3 });
+    expect(cliqueNumber(turan)).toBe(3);
+    const forbidden = checkForbiddenSubgraphs(turan, [{ name: 'K4', graph: createGraph({ name: 'complete', n: 4 }) }]);
+    expect(forbidden.valid).toBe(true);
+
+    const petersen = createGraph({ name: 'petersen' });
+    const cycles = checkForbiddenSubgraphs(petersen, [{ name: 'C5', graph: c5 }]);
+    expect(cycles.violationCount).toBe(12);
+  });
+
+  it('should show the Fano plane has no proper 2-colouring', () => {
+    expect(findHypergraphColoring(createGraph({ name: 'fano' }), 2)).toBeNull();
+    expect(findHypergraphColoring(createGraph({ name: 'fano' }), 3)).not.toBeNull();
+  });
+});
+
+describe('Ramsey colourings', () => {
+  it('should accept the Paley graph as a witness for R(4, 4) > 17', () => {
+    const paley = createGraph({ name: 'paley', q: 17 });
+    expect(checkRamseyColoring(paley, 4, 4).valid).toBe(true);
+
+    const result = checkRamseyColoring(createGraph({ name: 'complete', n: 4 }), 3, 3);
+    expect(result.violationCount).toBe(4);
+  });
+
+  it('should find colourings below the Ramsey number and none at it', () => {
+    const found = searchRamseyColoring(8, 3, 4, { seed: 3 });
+    expect(found.found).toBe(true);
+    expect(checkRamseyColoring(found.coloring, 3, 4).valid).toBe(true);
+
+    const impossible = searchRamseyColoring(6, 3, 3, { maxSteps: 200 });
+    expect(impossible.found).toBe(false);
+    expect(impossible.cost).toBeGreaterThan(0);
+  });
+});
+
+describe('Graph encodings', () => {
+  it('should rate similar constructions above dissimilar ones', async () => {
+    const encoder = new MathObjectEncoder();
+    const encoded = await encoder.encodeGraph({ name: 'paley', q: 13 });
+    expect(encoded.families).toEqual(['degrees', 'spectrum', 'subgraphs']);
+    expect(encoded.signatures).toHaveLength(3);
+
+    const paleys = await encoder.compareGraphs({ name: 'paley', q: 13 }, { name: 'paley', q: 17 });
+    const paleyPath = await encoder.compareGraphs({ name: 'paley', q: 17 }, { name: 'path', n: 17 });
+    expect(paleys.total).toBeGreaterThan(paleyPath.total);
+  });
+
+  it('should check colourings through the verifier', () => {
+    const verifier = new ComputationalVerifier();
+    expect(verifier.checkColoring({ name: 'fano' }, [0, 0, 0, 1, 1, 1, 1]).valid).toBe(false);
+    expect(verifier.checkRamseyColoring({ name: 'cycle', n: 5 }, 3, 3).valid).toBe(true);
+  });
+});
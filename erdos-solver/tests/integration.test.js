@@ -1,7 +1,8 @@
 import { describe, it, expect } from 'vitest';
 import { ErdosProblemScraper } from '../src/scrapers/erdos-scraper.js';
 import { MathObjectEncoder } from '../src/encoders/index.js';
-import { ComputationalVerifier } from '../src/tools/verifier.js';
+import { ComputationalVerifier, clampSearchBudget, MAX_SEARCH_EVALUATIONS, clampMaxCases, MAX_TEST_CASES } from '../src/tools/verifier.js';
+import app from '../src/api/index.js';
 
 describe('Erdős Solver Integration', () => {
   it('should create encoder instance', () => {
@@ -45,6 +46,109 @@ describe('Erdős Solver Integration', () => {
     expect(stats.gaps.min).toBeGreaterThan(0);
   });
 
+  it('should synthesize test cases from declared variable ranges', async () => {
+    const verifier = new ComputationalVerifier();
+    const conjecture = {
+      expression: 'n^2 + m^2 >= 2 * n * m',
+      variables: [
+        { name: 'n', type: 'integer', min: 1, max: 30 },
+        { name: 'm', type: 'integer', min: -5, max: 5 }
+      ]
+    };
+    
+    const { testCases, synthesis } = verifier.collectTestCases(conjecture, { maxCases: 100 });
+    const report = await verifier.verifySmallCases(conjecture, testCases);
+    
+    expect(synthesis.generated).toBeGreaterThan(0);
+    expect(synthesis.generated).toBeLessThanOrEqual(100);
+    expect(report.evaluated).toBe(report.total);
+    expect(report.supportsExperimental).toBe(true);
+  });
+
+  it('should skip cases when a conjecture has no expression', async () => {
+    const verifier = new ComputationalVerifier();
+    const conjecture = { statement: 'Every gap is even' };
+    
+    const report = await verifier.verifySmallCases(conjecture, [
+      { variables: { n: 1 }, expected: true }
+    ]);
+    
+    expect(report.skipped).toBe(1);
+    expect(report.passed).toBe(0);
+    expect(report.supportsExperimental).toBe(false);
+    expect(verifier.synthesizeTestCases(conjecture).testCases).toEqual([]);
+  });
+
+  it('should find and shrink a counterexample', () => {
+    const verifier = new ComputationalVerifier();
+    const conjecture = {
+      expression: 'n^2 - 40 * n + 399 >= 0',
+      variables: [{ name: 'n', type: 'integer', min: 1, max: 1000000 }]
+    };
+    
+    const search = verifier.searchCounterexamples(conjecture, {
+      strategies: ['random', 'anneal'],
+      maxEvaluations: 5000
+    });
+    
+    expect(search.found).toBe(true);
+    expect(search.shrunk.point).toEqual({ n: 20 });
+    expect(search.shrunk.value).toBe(false);
+  });
+
+  it('should report no counterexample for a true inequality', () => {
+    const verifier = new ComputationalVerifier();
+    const search = verifier.searchCounterexamples({
+      expression: 'x^2 + y^2 >= 2 * x * y',
+      variables: [
+        { name: 'x', type: 'integer', min: -20, max: 20 },
+        { name: 'y', type: 'integer', min: -20, max: 20 }
+      ]
+    }, { maxEvaluations: 3000 });
+    
+    expect(search.found).toBe(false);
+    expect(search.strategies.exhaustive.evaluations).toBeGreaterThan(0);
+  });
+
+  it('should keep annealed integer points inside fractional bounds', () => {
+    const verifier = new ComputationalVerifier();
+    const search = verifier.searchCounterexamples({
+      expression: 'n <= floor(n)',
+      variables: [{ name: 'n', type: 'integer', min: 0.5, max: 1000.5 }]
+    }, { strategies: ['anneal'], maxEvaluations: 2000 });
+    
+    expect(search.found).toBe(false);
+    expect(search.evaluations).toBeGreaterThan(0);
+  });
+
+  it('should clamp client search budgets', () => {
+    expect(clampSearchBudget({ maxEvaluations: 1e12, timeBudgetMs: 5 })).toEqual({
+      maxEvaluations: MAX_SEARCH_EVALUATIONS,
+      timeBudgetMs: 5
+    });
+    expect(clampSearchBudget({})).toEqual({ maxEvaluations: undefined, timeBudgetMs: undefined });
+    expect(() => clampSearchBudget({ timeBudgetMs: 'forever' })).toThrow('timeBudgetMs must be a positive number');
+  });
+
+  it('should clamp client maxCases and reject invalid values', async () => {
+    expect(clampMaxCases(1e9)).toBe(MAX_TEST_CASES);
+    expect(clampMaxCases(undefined)).toBeUndefined();
+
+    const verify = (maxCases) => app.request('/verify/1', {
+      method: 'POST',
+      body: JSON.stringify({
+        expression: 'a + b >= a',
+        variables: [{ name: 'a', type: 'integer', min: 0, max: 1e6 }, { name: 'b', type: 'integer', min: 0, max: 1e6 }],
+        maxCases
+      })
+    }, {});
+    const clamped = await (await verify(1e9)).json();
+    expect(clamped.verification.synthesis.generated).toBeLessThanOrEqual(MAX_TEST_CASES);
+    for (const invalid of [0, -5, 2.5, 'all']) {
+      expect((await verify(invalid)).status).toBe(400);
+    }
+  });
+
   it('should encode numerical sequences', async () => {
     const encoder = new MathObjectEncoder();
     const sequence = [1, 2, 4, 8, 13, 21, 31, 45, 66, 81, 97];
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import app from '../src/api/index.js';
+import { JobQueue, InProcessExecutor, permanentError } from '../src/jobs/job-queue.js';
+import { MemoryJobStore, D1JobStore } from '../src/jobs/job-store.js';
+
+function makeQueue(handlers) {
+  return new JobQueue({ store: new MemoryJobStore(), handlers, retryDelayMs: 1 });
+}
+
+describe('JobQueue', () => {
+  it('should retry failed attempts and store the result', async () => {
+    let calls = 0;
+    const queue = makeQueue({
+      flaky: async (params, { attempt }) => {
+        calls++;
+        if (attempt < 3) throw new Error(`attempt ${attempt} failed`);
+        return { doubled: params.x * 2 };
+      }
+    });
+
+    const { job, done } = await queue.enqueue('flaky', { x: 21 });
+    expect(job.status).toBe('queued');
+
+    const finished = await done;
+    expect(calls).toBe(3);
+    expect(finished).toMatchObject({ status: 'succeeded', attempts: 3, result: { doubled: 42 }, error: null });
+    expect(finished.finished_at).not.toBeNull();
+  });
+
+  it('should stop retrying on permanent errors and after max attempts', async () => {
+    const queue = makeQueue({
+      invalid: async () => { throw permanentError('bad params'); },
+      broken: async () => { throw new Error('always'); }
+    });
+
+    const invalid = await (await queue.enqueue('invalid')).done;
+    expect(invalid).toMatchObject({ status: 'failed', attempts: 1, error: 'bad params' });
+
+    const broken = await (await queue.enqueue('broken', {}, { maxAttempts: 2 })).done;
+    expect(broken).toMatchObject({ status: 'failed', attempts: 2, error: 'always' });
+
+    await expect(queue.enqueue('missing')).rejects.toThrow('Unknown job type: missing');
+  });
+
+  it('should cancel queued and running jobs', async () => {
+    let release;
+    const queue = makeQueue({
+      slow: (params, { signal }) => new Promise((resolve, reject) => {
+        release = () => resolve('late result');
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+    });
+
+    const running = await queue.enqueue('slow');
+    const queued = await queue.enqueue('slow');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect((await queue.get(running.job.id)).status).toBe('running');
+    expect((await queue.cancel(queued.job.id)).status).toBe('cancelled');
+    expect((await queue.cancel(running.job.id)).status).toBe('cancelled');
+
+    await queue.executor.onIdle();
+    const job = await queue.get(running.job.id);
+    expect(job.status).toBe('cancelled');
+    expect(job.result).toBeNull();
+    expect((await queue.get(queued.job.id)).attempts).toBe(0);
+  });
+
+  it('should not run a job cancelled between dequeue and claim', async () => {
+    let calls = 0;
+    const store = new MemoryJobStore();
+    const queue = new JobQueue({ store, handlers: { task: async () => { calls++; } }, executor: { submit() {} } });
+    const { job } = await queue.enqueue('task');
+
+    // The cancel lands after process() has read the queued job
+    const update = store.update.bind(store);
+    store.update = async (id, changes, options) => {
+      if (changes.status === 'running') await queue.cancel(id);
+      return await update(id, changes, options);
+    };
+
+    const result = await queue.process(job.id);
+    expect(calls).toBe(0);
+    expect(result).toMatchObject({ status: 'cancelled', attempts: 0 });
+  });
+});
+
+describe('D1JobStore', () => {
+  it('should make status-guarded updates conditional and report the changed row', async () => {
+    const statements = [];
+    const DB = {
+      prepare: (sql) => ({
+        bind: (...args) => ({
+          run: async () => {
+            statements.push({ sql, args });
+            return { meta: { changes: args.at(-1) === 'queued' ? 0 : 1 } };
+          }
+        })
+      })
+    };
+    const store = new D1JobStore(DB);
+
+    expect(await store.update(7, { status: 'running', attempts: 1 }, { from: 'queued' })).toBe(false);
+    expect(statements[0].sql).toMatch(/WHERE id = \? AND status IN \(\?\)/);
+    expect(statements[0].args).toEqual(['running', 1, 7, 'queued']);
+
+    expect(await store.update(7, { status: 'cancelled' }, { from: ['queued', 'running'] })).toBe(true);
+    expect(statements[1].sql).toMatch(/AND status IN \(\?, \?\)/);
+    expect(await store.update(7, { error: null })).toBe(true);
+    expect(statements[2].sql).not.toMatch(/status IN/);
+  });
+});
+
+describe('InProcessExecutor', () => {
+  it('should respect the concurrency limit', async () => {
+    const executor = new InProcessExecutor({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    };
+
+    [1, 2, 3, 4, 5].forEach(() => executor.submit(task));
+    await executor.onIdle();
+
+    expect(peak).toBe(2);
+  });
+});
+
+describe('Jobs API', () => {
+  it('should queue a counterexample search and expose its result', async () => {
+    const started = await app.request('/jobs', {
+      method: 'POST',
+      body: JSON.stringify({
+        type: 'counterexample',
+        params: { expression: 'n^2 <= 10 * n', variables: [{ name: 'n', type: 'integer', min: 1, max: 50 }] }
+      }),
+      headers: { 'Content-Type': 'application/json' }
+    }, {});
+
+    expect(started.status).toBe(202);
+    const { poll } = await started.json();
+
+    let job;
+    for (let i = 0; i < 200; i++) {
+      ({ job } = await (await app.request(poll, {}, {})).json());
+      if (job.status !== 'queued' && job.status !== 'running') break;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+
+    expect(job.status).toBe('succeeded');
+    expect(job.result.disproved).toBe(true);
+    expect(job.result.search.shrunk.point).toEqual({ n: 11 });
+
+    const cancel = await app.request(poll, { method: 'DELETE' }, {});
+    expect(cancel.status).toBe(409);
+  });
+
+  it('should reject unknown job types', async () => {
+    const res = await app.request('/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ type: 'nope' }),
+      headers: { 'Content-Type': 'application/json' }
+    }, {});
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject maxAttempts that is not a small positive integer', async () => {
+    for (const maxAttempts of [0, -1, 2.5, 1e6, '3']) {
+      const res = await app.request('/jobs', {
+        method: 'POST',
+        body: JSON.stringify({ type: 'counterexample', params: {}, maxAttempts }),
+        headers: { 'Content-Type': 'application/json' }
+      }, {});
+      expect(res.status, String(maxAttempts)).toBe(400);
+      expect((await res.json()).error).toBe('maxAttempts must be an integer from 1 to 10');
+    }
+    await expect(makeQueue({ task: async () => {} }).enqueue('task', {}, { maxAttempts: 0 })).rejects.toThrow('maxAttempts must be');
+  });
+});
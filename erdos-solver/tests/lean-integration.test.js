@@ -0,0 +1,246 @@
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import { LeanIntegration } from '../src/tools/lean-integration.js';
+import { LeanTranslator } from '../src/agents/lean-translator.js';
+import { MockProvider } from '../src/providers/index.js';
+import app from '../src/api/index.js';
+import { dischargeObligation } from '../src/api/db.js';
+
+const fakeLean = fileURLToPath(new URL('./fixtures/fake-lean.sh', import.meta.url));
+
+describe('LeanIntegration.checkProof', () => {
+  it('should verify a file Lean accepts without sorries', async () => {
+    const lean = new LeanIntegration(fakeLean);
+    const result = await lean.checkProof('theorem t : 1 + 1 = 2 := by norm_num\n');
+    
+    expect(result.success).toBe(true);
+    expect(result.verified).toBe(true);
+    expect(result.hasSorry).toBe(false);
+  });
+
+  it('should accept but not verify a file with sorry', async () => {
+    const lean = new LeanIntegration(fakeLean);
+    const result = await lean.checkProof('-- a sorry in a comment\nlemma l : True := by sorry\n');
+    
+    expect(result.success).toBe(true);
+    expect(result.verified).toBe(false);
+    expect(result.sorries).toEqual([{ line: 2, column: 21 }]);
+    expect(result.warnings[0]).toMatchObject({ line: 2, column: 6, severity: 'warning' });
+  });
+
+  it('should parse errors with position and continuation lines', async () => {
+    const lean = new LeanIntegration(fakeLean);
+    const result = await lean.checkProof('import Mathlib\n\nlemma l : FAKE_ERROR := by simp\n');
+    
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toMatchObject({ line: 3, column: 2, severity: 'error' });
+    expect(result.errors[0].message).toContain('while elaborating');
+  });
+
+  it('should time out long runs', async () => {
+    const lean = new LeanIntegration(fakeLean, { timeoutMs: 200 });
+    const result = await lean.checkProof('-- FAKE_TIMEOUT\n');
+    
+    expect(result.timedOut).toBe(true);
+    expect(result.verified).toBe(false);
+  });
+
+  it('should report a missing binary', async () => {
+    const lean = new LeanIntegration('/nonexistent/lean');
+    const result = await lean.checkProof('theorem t : True := trivial\n');
+    
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('not found');
+  });
+});
+
+describe('LeanTranslator', () => {
+  const submit = (id, statement) => ({
+    stop_reason: 'tool_use',
+    content: [{
+      type: 'tool_use',
+      id,
+      name: 'submit_lean_statement',
+      input: { name: 'growth_bound', binders: [{ name: 'n', type: 'ℕ' }], statement }
+    }]
+  });
+  const conjecture = { statement: 'n^2 >= n', variables: [{ name: 'n', type: 'integer' }] };
+
+  it('should feed compiler errors back until the statement elaborates', async () => {
+    const provider = new MockProvider([
+      submit('a1', 'FAKE_ERROR n'),
+      submit('a2', 'n ≤ n ^ 2')
+    ]);
+    const translator = new LeanTranslator(provider);
+
+    const result = await translator.translate(conjecture, new LeanIntegration(fakeLean), { problemId: 340 });
+
+    expect(result.output.elaborated).toBe(true);
+    expect(result.output.leanStatement).toBe('n ≤ n ^ 2');
+    expect(result.output.attempts.map(a => a.success)).toEqual([false, true]);
+    expect(result.output.leanCode).toContain('lemma growth_bound (n : ℕ) : n ≤ n ^ 2 := by sorry');
+
+    const feedback = provider.requests[1].messages[2].content[0];
+    expect(feedback.is_error).toBe(true);
+    expect(feedback.content).toContain("unknown identifier 'FAKE_ERROR'");
+  });
+
+  it('should stop after the retry budget', async () => {
+    const provider = new MockProvider([
+      submit('a1', 'FAKE_ERROR 1'),
+      submit('a2', 'FAKE_ERROR 2')
+    ]);
+    const translator = new LeanTranslator(provider);
+
+    const result = await translator.translate(conjecture, new LeanIntegration(fakeLean), { maxAttempts: 2 });
+
+    expect(result.output.elaborated).toBe(false);
+    expect(result.output.attempts).toHaveLength(2);
+  });
+});
+
+describe('POST /lean/:conjectureId', () => {
+  it('should compile a client leanCode only as a dry run', async () => {
+    const writes = [];
+    const conjecture = { id: 7, problem_id: 340, statement: 'n^2 >= n', lean_statement: null, lean_binders: null };
+    const DB = {
+      prepare: (sql) => ({
+        bind: (...args) => ({
+          first: async () => (sql.startsWith('SELECT * FROM conjectures') ? conjecture : null),
+          run: async () => { writes.push({ sql, args }); return { meta: { changes: 1 } }; }
+        })
+      })
+    };
+
+    const res = await app.request('/lean/7', {
+      method: 'POST',
+      body: JSON.stringify({ leanCode: 'theorem t : True := trivial\n', obligationId: 3 })
+    }, { DB, LEAN_PATH: fakeLean });
+    const body = await res.json();
+
+    expect(body.lean.verified).toBe(true);
+    expect(body.dryRun).toBe(true);
+    expect(writes).toEqual([]);
+  });
+
+  it('should mark a conjecture verified only by a proof of its stored statement', async () => {
+    const writes = [];
+    const conjecture = {
+      id: 7, problem_id: 340, statement: 'n^2 >= n', status: 'proposed',
+      lean_statement: 'n ≤ n ^ 2', lean_binders: JSON.stringify([{ name: 'n', type: 'ℕ' }])
+    };
+    const DB = {
+      prepare: (sql) => ({
+        bind: (...args) => ({
+          first: async () => (sql.startsWith('SELECT * FROM conjectures') ? conjecture : null),
+          run: async () => { writes.push({ sql, args }); return { meta: { changes: 1 } }; }
+        })
+      })
+    };
+    const check = async (body) => (await app.request('/lean/7', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }, { DB, LEAN_PATH: fakeLean })).json();
+
+    const stub = await check({ proof: 'sorry' });
+    expect(stub.leanCode).toContain('lemma main_conjecture (n : ℕ) : n ≤ n ^ 2 := by\n  sorry');
+    expect(stub.lean.verified).toBe(false);
+    expect(writes).toEqual([]);
+
+    const proved = await check({ proof: 'induction n with\n| zero => simp\n| succ k ih => nlinarith' });
+    expect(proved.leanCode).toContain(':= by\n  induction n with\n  | zero => simp');
+    expect(proved.lean.verified).toBe(true);
+    expect(writes.some(w => /UPDATE conjectures SET status/.test(w.sql) && w.args[0] === 'verified')).toBe(true);
+  });
+
+  it('should reject proof scripts that declare or trust anything', async () => {
+    const conjecture = { id: 7, problem_id: 340, statement: 'n^2 >= n', lean_statement: 'n ≤ n ^ 2', lean_binders: null };
+    const DB = {
+      prepare: () => ({ bind: () => ({ first: async () => conjecture, run: async () => ({ meta: { changes: 1 } }) }) })
+    };
+    for (const proof of ['exact cheat\naxiom cheat : False', 'native_decide', 'simp\nend ErdosProblem340', '']) {
+      const res = await app.request('/lean/7', { method: 'POST', body: JSON.stringify({ proof }) }, { DB, LEAN_PATH: fakeLean });
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+describe('Obligation discharges', () => {
+  // Obligation 3 belongs to a plan of conjecture 7
+  const fakeD1 = () => ({
+    prepare: (sql) => ({
+      bind: (...args) => ({
+        run: async () => {
+          const [, , obligationId, conjectureId] = args;
+          const matches = sql.includes('conjecture_id = ?') && obligationId === 3 && conjectureId === 7;
+          return { meta: { changes: matches ? 1 : 0 } };
+        }
+      })
+    })
+  });
+
+  it('should only discharge obligations of the checked conjecture', async () => {
+    const DB = fakeD1();
+    expect(await dischargeObligation(DB, 7, 3, 'lean', {})).toBe(true);
+    expect(await dischargeObligation(DB, 8, 3, 'lean', {})).toBe(false);
+  });
+
+  it('should leave automated sources to /verify and /lean', async () => {
+    const res = await app.request('/obligations/3', {
+      method: 'PATCH',
+      body: JSON.stringify({ status: 'discharged', discharged_by: 'lean' })
+    }, { DB: fakeD1() });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Conjecture status', () => {
+  // One conjecture row; status updates honour their WHERE status clause
+  const fakeD1 = (row) => ({
+    prepare: (sql) => ({
+      bind: (...args) => ({
+        first: async () => (sql.startsWith('SELECT * FROM conjectures') ? { ...row } : null),
+        run: async () => {
+          if (!sql.startsWith('UPDATE conjectures SET status')) return { meta: { changes: 0 } };
+          const [status, , ...from] = args;
+          const allowed = !sql.includes('status IN') || row.status === null || from.includes(row.status);
+          if (allowed) row.status = status;
+          return { meta: { changes: allowed ? 1 : 0 } };
+        }
+      })
+    })
+  });
+  const conjecture = (status) => ({
+    id: 7, problem_id: 340, status, statement: 'n^2 >= n', expression: 'n^2 >= n',
+    variables: JSON.stringify([{ name: 'n', type: 'integer', min: 1, max: 5 }]),
+    lean_statement: 'n ≤ n ^ 2', lean_binders: null
+  });
+
+  it('should not mark a disproved or verified conjecture experimental', async () => {
+    for (const status of ['disproved', 'verified']) {
+      const row = conjecture(status);
+      const res = await app.request('/verify/7', { method: 'POST', body: '{}' }, { DB: fakeD1(row) });
+      const body = await res.json();
+      expect(body.verification.supportsExperimental).toBe(true);
+      expect(body.statusUpdated).toBe(false);
+      expect(row.status).toBe(status);
+    }
+
+    const row = conjecture('proposed');
+    await app.request('/verify/7', { method: 'POST', body: '{}' }, { DB: fakeD1(row) });
+    expect(row.status).toBe('experimental');
+  });
+
+  it('should not mark a disproved conjecture verified', async () => {
+    const row = conjecture('disproved');
+    const res = await app.request('/lean/7', {
+      method: 'POST',
+      body: JSON.stringify({ proof: 'nlinarith' })
+    }, { DB: fakeD1(row), LEAN_PATH: fakeLean });
+    const body = await res.json();
+    expect(body.lean.verified).toBe(true);
+    expect(body.statusUpdated).toBe(false);
+    expect(row.status).toBe('disproved');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { MemoryOeisStore, importOeisDump, parseStrippedLine } from '../src/sequences/oeis-store.js';
+import { identifySequence } from '../src/sequences/oeis.js';
+import { generateSequence } from '../src/sequences/index.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf8');
+
+describe('OEIS store', () => {
+  const store = new MemoryOeisStore();
+
+  beforeAll(async () => {
+    // Names first: either order must end with complete entries
+    await importOeisDump(store, { names: fixture('oeis-names.txt') });
+    await importOeisDump(store, { stripped: fixture('oeis-stripped.txt') });
+  });
+
+  it('should import the dump files and keep large terms exact', async () => {
+    expect(await store.count()).toBe(7);
+    expect(parseStrippedLine('# OEIS Sequence Data')).toBeNull();
+
+    const powers = await store.get('A000079');
+    expect(powers.name).toBe('Powers of 2: a(n) = 2^n.');
+    expect(powers.terms.at(-1)).toBe('73786976294838206464');
+    expect(await store.get('A999999')).toBeNull();
+  });
+
+  it('should identify generated sequences exactly', async () => {
+    const { matches } = await identifySequence(store, generateSequence({ name: 'mian-chowla', n: 60 }));
+    expect(matches[0]).toMatchObject({ id: 'A005282', transform: 'identity', match: 'exact', matchedTerms: 45, divergesAt: null });
+
+    const big = await identifySequence(store, ['9007199254740992', '18014398509481984', '36028797018963968', '72057594037927936']);
+    expect(big.matches[0]).toMatchObject({ id: 'A000079', match: 'subsequence', position: 53 });
+  });
+
+  it('should match shifted, transformed and diverging terms', async () => {
+    const fibonacci = await identifySequence(store, [1, 2, 3, 5, 8, 13, 21]);
+    expect(fibonacci.matches[0]).toMatchObject({ id: 'A000045', match: 'subsequence', position: 2 });
+
+    // Partial sums of the primes are not stored, but their differences are
+    let sum = 0;
+    const sums = generateSequence({ name: 'primes', n: 20 }).map(p => (sum += p));
+    const { matches, skipped } = await identifySequence(store, sums);
+    expect(matches[0]).toMatchObject({ id: 'A000040', transform: 'differences', position: 1 });
+    expect(skipped).toContainEqual({ transform: 'ratios', reason: 'Not defined for these terms' });
+
+    const gaps = await identifySequence(store, generateSequence({ name: 'primes', n: 30 }), { transforms: ['differences'] });
+    expect(gaps.matches[0].id).toBe('A001223');
+
+    const altered = generateSequence({ name: 'mian-chowla', n: 20 });
+    altered[14] += 1;
+    const diverging = await identifySequence(store, altered, { transforms: ['identity'] });
+    expect(diverging.matches[0]).toMatchObject({ id: 'A005282', matchedTerms: 14, divergesAt: 15 });
+  });
+
+  it('should refuse queries too short to mean anything', async () => {
+    const { matches, skipped } = await identifySequence(store, [1, 2, 3]);
+    expect(matches).toEqual([]);
+    expect(skipped).toHaveLength(4);
+    await expect(identifySequence(store, [1, 2.5, 3, 4])).rejects.toThrow(/Term 2/);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import app from '../src/api/index.js';
+import { ResearchPipeline } from '../src/pipeline/research-pipeline.js';
+import { MemoryRunStore } from '../src/pipeline/run-store.js';
+import { ProblemAnalyst } from '../src/agents/analyst.js';
+import { ConjectureGenerator } from '../src/agents/conjecture-generator.js';
+import { ProofPlanner } from '../src/agents/proof-planner.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { ComputationalVerifier } from '../src/tools/verifier.js';
+import { MockProvider } from '../src/providers/index.js';
+
+const squares = Array.from({ length: 120 }, (_, i) => (i + 1) ** 2);
+
+function script() {
+  return new MockProvider([
+    { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Squares grow quadratically.' }] },
+    {
+      stop_reason: 'tool_use',
+      content: [{
+        type: 'tool_use',
+        id: 's1',
+        name: 'submit_conjectures',
+        input: {
+          conjectures: [
+            {
+              statement: 'n^2 >= n for 1 <= n <= 50',
+              rationale: 'Squares dominate',
+              test_instance: { description: 'n = 3', variables: { n: 3 }, expected: true },
+              relation: 'weakens',
+              expression: 'n^2 >= n',
+              variables: [{ name: 'n', type: 'integer', min: 1, max: 50 }]
+            },
+            {
+              statement: 'n^2 <= 10n for 1 <= n <= 50',
+              rationale: 'Wrong on purpose',
+              test_instance: { description: 'n = 2', variables: { n: 2 }, expected: true },
+              relation: 'independent',
+              expression: 'n^2 <= 10 * n',
+              variables: [{ name: 'n', type: 'integer', min: 1, max: 50 }]
+            }
+          ]
+        }
+      }]
+    },
+    { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Step 1: Note n >= 1 so n^2 >= n. ✓' }] }
+  ]);
+}
+
+describe('ResearchPipeline', () => {
+  it('should record every stage and plan only surviving conjectures', async () => {
+    const provider = script();
+    const store = new MemoryRunStore();
+    const pipeline = new ResearchPipeline({
+      agents: {
+        analyst: new ProblemAnalyst(provider),
+        generator: new ConjectureGenerator(provider),
+        planner: new ProofPlanner(provider)
+      },
+      encoder: new MathObjectEncoder(),
+      verifier: new ComputationalVerifier(),
+      store
+    });
+    const problem = { id: 1, statement: 'Growth of squares', metadata: { sequences: { squares, short: [1, 4, 9] } } };
+
+    const { id } = await store.create(problem.id);
+    await pipeline.run(id, problem);
+    const run = await store.get(id);
+
+    expect(run.status).toBe('succeeded');
+    expect(Object.values(run.stages).map(s => s.status)).toEqual(Array(5).fill('succeeded'));
+    expect(run.stages.signatures.result.encoded).toEqual(['squares']);
+    expect(run.stages.signatures.result.skipped[0].name).toBe('short');
+
+    const generated = provider.requests[1].messages[0].content;
+    expect(generated).toContain('"windows": 20');
+
+    const verified = run.stages.verification.result.conjectures;
+    expect(verified.map(c => c.status)).toEqual(['experimental', 'disproved']);
+    expect(verified[1].counterexample.shrunk).toEqual({ n: 11 });
+
+    expect(run.stages.plans.result.plans).toHaveLength(1);
+    expect(run.stages.plans.result.plans[0].obligations).toBe(1);
+    expect(provider.remaining()).toBe(0);
+  });
+
+  it('should fail the run at the stage that raised', async () => {
+    const provider = new MockProvider([
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'analysis' }] }
+    ]);
+    const store = new MemoryRunStore();
+    const pipeline = new ResearchPipeline({
+      agents: { analyst: new ProblemAnalyst(provider), generator: new ConjectureGenerator(provider) },
+      encoder: new MathObjectEncoder(),
+      verifier: new ComputationalVerifier(),
+      store
+    });
+
+    const { id } = await store.create(2);
+    await pipeline.run(id, { id: 2, statement: 'x', metadata: {} });
+    const run = await store.get(id);
+
+    expect(run.status).toBe('failed');
+    expect(run.stage).toBe('conjectures');
+    expect(run.error).toMatch(/^conjectures: MockProvider: no scripted response/);
+    expect(run.stages.plans).toBeUndefined();
+  });
+});
+
+describe('POST /pipeline/:id', () => {
+  it('should return a run id that can be polled until the run finishes', async () => {
+    const env = { LLM_PROVIDER: script() };
+    const started = await app.request('/pipeline/7', {
+      method: 'POST',
+      body: JSON.stringify({ sequences: { squares } }),
+      headers: { 'Content-Type': 'application/json' }
+    }, env);
+
+    expect(started.status).toBe(202);
+    const { runId, poll } = await started.json();
+
+    let run;
+    for (let i = 0; i < 200; i++) {
+      ({ run } = await (await app.request(poll, {}, env)).json());
+      if (run.status === 'succeeded' || run.status === 'failed') break;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+
+    expect(run.id).toBe(runId);
+    expect(run.status).toBe('succeeded');
+    expect(run.stages.conjectures.result.conjectures).toHaveLength(2);
+  });
+
+  it('should reject an invalid search budget before starting a run', async () => {
+    const res = await app.request('/pipeline/7', {
+      method: 'POST',
+      body: JSON.stringify({ maxEvaluations: -1 }),
+      headers: { 'Content-Type': 'application/json' }
+    }, { LLM_PROVIDER: script() });
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('maxEvaluations must be a positive number');
+  });
+});
+
+describe('Mock provider from the environment', () => {
+  it('should replay the script afresh for every request', async () => {
+    const env = {
+      LLM_PROVIDER: 'mock',
+      MOCK_RESPONSES: JSON.stringify([{ stop_reason: 'end_turn', content: [{ type: 'text', text: 'Sidon sets are sparse.' }] }])
+    };
+    for (let i = 0; i < 2; i++) {
+      const res = await app.request('/analyze/7', { method: 'POST' }, env);
+      expect(res.status).toBe(200);
+      expect((await res.json()).analysis).toBe('Sidon sets are sparse.');
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { PredicateSandbox } from '../src/tools/sandbox.js';
+import { ComputationalVerifier } from '../src/tools/verifier.js';
+
+const sandbox = new PredicateSandbox({ timeoutMs: 200, memoryMb: 32 });
+
+describe('Predicate sandbox', () => {
+  it('should evaluate predicates with the helper library', async () => {
+    const results = await sandbox.evaluate(
+      "({ n }) => checkBhg(generateSequence({ name: 'mian-chowla', n }), { h: 2 }).valid && !isPrime(n)",
+      [{ n: 20 }, { n: 23 }]
+    );
+    expect(results).toEqual([{ value: true }, { value: false }]);
+
+    const graph = await sandbox.evaluate("() => helpers.girth({ name: 'petersen' })", [{}]);
+    expect(graph).toEqual([{ value: 5 }]);
+  });
+
+  it('should stop predicates at the CPU limit and keep going', async () => {
+    const results = await sandbox.evaluate('({ n }) => { while (n > 1) {} return true; }', [{ n: 2 }, { n: 1 }]);
+    expect(results[0].failure).toBe('timeout');
+    expect(results[0].reason).toMatch(/200 ms/);
+    expect(results[1]).toEqual({ value: true });
+  });
+
+  it('should restart the worker after the memory limit', async () => {
+    const results = await sandbox.evaluate(
+      '({ n }) => { const chunks = []; while (n > 1) chunks.push(new Array(1e5).fill(n)); return true; }',
+      [{ n: 2 }, { n: 1 }]
+    );
+    expect(results[0].failure).toBe('memory');
+    expect(results[1]).toEqual({ value: true });
+  }, 30000);
+
+  it('should not allow buffers past the memory limit', async () => {
+    const results = await sandbox.evaluate(
+      '() => { const b = new Uint8Array(256 * 1024 * 1024); b.fill(1); return b.length; }',
+      [{}]
+    );
+    expect(results[0].failure).toBe('violation');
+    expect(results[0].reason).toMatch(/Uint8Array is not available/);
+
+    const [buffer] = await sandbox.evaluate('() => new ArrayBuffer(256 * 1024 * 1024).byteLength', [{}]);
+    expect(buffer.failure).toBe('violation');
+  });
+
+  it('should refuse helper calls that would allocate past the sandbox limits', async () => {
+    const calls = [
+      ['() => primesUpTo(4e9).length', /primesUpTo: N = 4000000000 exceeds the sandbox limit/],
+      ["() => checkBhg([0, 1e9], { method: 'fft' }).valid", /checkBhg: FFT length 2000000002 exceeds/],
+      ['() => checkBhg(Array.from({ length: 3000 }, (_, i) => i * 1e6)).valid', /checkBhg: 4501500 direct sums exceeds/],
+      ['() => checkCoveringSystem([[0, 2], [1, 99999989]]).valid', /exceeds maxPeriod 10000000/],
+      ["() => girth({ name: 'empty', n: 1e7 })", /more than the limit of 5000/]
+    ];
+    for (const [code, reason] of calls) {
+      const [result] = await sandbox.evaluate(code, [{}]);
+      expect(result.failure, code).toBe('error');
+      expect(result.reason).toMatch(reason);
+    }
+
+    // Wide sets fall back to direct enumeration instead of a huge FFT
+    const [sidon] = await sandbox.evaluate('() => checkBhg([1, 2, 5, 1e9]).method', [{}]);
+    expect(sidon).toEqual({ value: 'direct' });
+  });
+
+  it('should report escape attempts as violations', async () => {
+    const attempts = [
+      "() => this.constructor.constructor('return process')()",
+      "() => isPrime.constructor('return process')()",
+      '() => process.exit(1)',
+      '() => require("node:fs")'
+    ];
+    for (const code of attempts) {
+      const [result] = await sandbox.evaluate(code, [{}]);
+      expect(result.failure, code).toBe('violation');
+      expect(result.reason).toMatch(/^Sandbox violation/);
+    }
+
+    const [async] = await sandbox.evaluate("() => import('node:fs')", [{}]);
+    expect(async.failure).toBe('invalid');
+    const [notFunction] = await sandbox.evaluate('42', [{}]);
+    expect(notFunction.failure).toBe('invalid');
+  });
+});
+
+describe('Verifier predicates', () => {
+  const verifier = new ComputationalVerifier();
+
+  it('should decide synthesized cases with the predicate', async () => {
+    const conjecture = {
+      predicate: "({ n }) => checkBhg(generateSequence({ name: 'greedy-bh', h: 3, n }), { h: 3 }).valid",
+      variables: [{ name: 'n', type: 'integer', min: 1, max: 12 }]
+    };
+    const { testCases } = verifier.collectTestCases(conjecture);
+    expect(testCases).toHaveLength(12);
+    const result = await verifier.verifySmallCases(conjecture, testCases);
+    expect(result.passed).toBe(12);
+    expect(result.supportsExperimental).toBe(true);
+  });
+
+  it('should fail cases that time out without counting them as evaluated', async () => {
+    const result = await verifier.verifySmallCases(
+      { predicate: '({ n }) => { while (n % 2) {} return n > 0; }' },
+      [{ variables: { n: 2 }, expected: true }, { variables: { n: 3 }, expected: true }],
+      { sandbox: { timeoutMs: 100 } }
+    );
+    expect(result.passed).toBe(1);
+    expect(result.failed).toBe(1);
+    expect(result.results[1]).toMatchObject({ evaluated: false, skipped: false, failure: 'timeout' });
+    expect(result.supportsExperimental).toBe(false);
+  });
+});
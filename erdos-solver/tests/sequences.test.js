@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createSequence,
+  generateSequence,
+  generateBoundedSequence,
+  listSequences,
+  MianChowla
+} from '../src/sequences/index.js';
+import { ParallelMianChowla } from '../src/sequences/mian-chowla-parallel.js';
+import { generateWithCheckpoints, loadCheckpoint } from '../src/sequences/checkpoint-file.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+
+function differencesDistinct(set, modulus) {
+  const seen = new Set();
+  for (const a of set) {
+    for (const b of set) {
+      if (a === b) continue;
+      const d = modulus ? ((a - b) % modulus + modulus) % modulus : a - b;
+      if (seen.has(d)) return false;
+      seen.add(d);
+    }
+  }
+  return true;
+}
+
+describe('Sequence registry', () => {
+  it('should generate the known initial terms', () => {
+    expect(generateSequence({ name: 'mian-chowla', n: 12 })).toEqual([1, 2, 4, 8, 13, 21, 31, 45, 66, 81, 97, 123]);
+    expect(generateSequence({ name: 'greedy-bh', h: 2, n: 8 })).toEqual([1, 2, 4, 8, 13, 21, 31, 45]);
+    expect(generateSequence({ name: 'stanley', n: 8 })).toEqual([0, 1, 3, 4, 9, 10, 12, 13]);
+    expect(generateSequence({ name: 'sum-free-greedy', n: 4 })).toEqual([1, 3, 5, 7]);
+    expect(generateSequence({ name: 'primes', upTo: 30 })).toEqual([2, 3, 5, 7, 11, 13, 17, 19, 23, 29]);
+    expect(generateSequence({ name: 'prime-gaps', upTo: 30 })).toEqual([1, 2, 2, 4, 2, 4, 2, 4, 6]);
+  });
+
+  it('should list every generator and reject unknown names', () => {
+    expect(listSequences().map(s => s.name)).toContain('bose-chowla');
+    expect(() => createSequence('fibonacci')).toThrow('Unknown sequence: fibonacci');
+  });
+
+  it('should resume from a checkpoint without changing the sequence', () => {
+    const first = new MianChowla();
+    first.generate(40);
+    const checkpoint = JSON.parse(JSON.stringify(first.checkpoint()));
+
+    const resumed = createSequence(checkpoint.name, { ...checkpoint.options, checkpoint });
+    expect(resumed.generate(60)).toEqual(new MianChowla().generate(60));
+  });
+
+  it('should build B_3 sets with distinct triple sums', () => {
+    const set = generateSequence({ name: 'greedy-bh', h: 3, n: 10 });
+    const sums = new Set();
+    for (let i = 0; i < set.length; i++) {
+      for (let j = i; j < set.length; j++) {
+        for (let k = j; k < set.length; k++) {
+          sums.add(set[i] + set[j] + set[k]);
+        }
+      }
+    }
+    expect(sums.size).toBe(10 * 11 * 12 / 6);
+  });
+});
+
+describe('Sidon constructions', () => {
+  it.each([3, 7, 13])('should be Sidon sets for q = %i', (q) => {
+    const singer = generateSequence({ name: 'singer', q, n: q + 1 });
+    const boseChowla = generateSequence({ name: 'bose-chowla', q, n: q });
+    const erdosTuran = generateSequence({ name: 'erdos-turan', p: q, n: q });
+
+    expect(differencesDistinct(singer, q * q + q + 1)).toBe(true);
+    expect(differencesDistinct(boseChowla, q * q - 1)).toBe(true);
+    expect(differencesDistinct(erdosTuran)).toBe(true);
+  });
+
+  it('should pick the prime from the requested size or bound', () => {
+    expect(generateSequence({ name: 'singer', n: 5 })).toHaveLength(5);
+    expect(Math.max(...generateSequence({ name: 'singer', upTo: 200 }))).toBeLessThanOrEqual(200);
+    expect(() => generateSequence({ name: 'erdos-turan', p: 5, n: 6 })).toThrow('has only 5 elements');
+    expect(() => createSequence('singer', { q: 4 })).toThrow('q must be prime');
+  });
+
+  it('should refuse bounded specs past the generator limits', () => {
+    expect(generateBoundedSequence({ name: 'mian-chowla', n: 12 })).toEqual(generateSequence({ name: 'mian-chowla', n: 12 }));
+    expect(() => generateBoundedSequence({ name: 'mian-chowla', n: 10 ** 5 })).toThrow('n must be an integer from 0 to 2000');
+    expect(() => generateBoundedSequence({ name: 'mian-chowla', n: 10, maxBytes: 2 ** 31 })).toThrow('maxBytes is limited');
+    expect(() => generateBoundedSequence({ name: 'primes', upTo: 1e12 })).toThrow('upTo must be a number up to');
+    expect(() => generateBoundedSequence({ name: 'greedy-bh', h: 3, n: 200 })).toThrow('n must be an integer from 0 to 40');
+    expect(() => generateBoundedSequence({ name: 'greedy-bh', h: 9, n: 5 })).toThrow('h is limited');
+    expect(() => generateBoundedSequence({ name: 'singer', q: 100003, n: 5 })).toThrow('q is limited');
+    expect(() => generateBoundedSequence({ name: 'stanley', n: 5, checkpoint: { terms: [] } })).toThrow('Checkpoints');
+  });
+});
+
+describe('Encoding named sequences', () => {
+  it('should accept a sequence spec in place of terms', async () => {
+    const encoder = new MathObjectEncoder();
+    const encoded = await encoder.encodeSequence({ name: 'primes', n: 110 }, 'values');
+
+    expect(encoded.type).toBe('numerical');
+    expect(encoded.signatures).toHaveLength(10);
+    await expect(encoder.encodeSequence({ name: 'mian-chowla', n: 10 ** 6 }, 'gaps')).rejects.toThrow('n must be');
+  });
+});
+
+describe('Bitset Mian-Chowla', () => {
+  it('should match the Set-based greedy B_2 reference', () => {
+    const reference = generateSequence({ name: 'greedy-bh', h: 2, n: 200 });
+    expect(new MianChowla({ blockBits: 64, prefilterTerms: 4 }).generate(200)).toEqual(reference);
+  });
+
+  it('should refuse to grow past maxBytes', () => {
+    expect(() => new MianChowla({ maxBytes: 4096 }).generate(200)).toThrow(/over maxBytes/);
+  });
+
+  it('should refuse 10^5 terms up front', () => {
+    const generator = new MianChowla();
+    expect(() => generator.generate(10 ** 5)).toThrow(/about \d+ MiB, over maxBytes \(2048 MiB\)/);
+    expect(generator.terms).toEqual([]);
+  });
+
+  it('should checkpoint to disk and resume', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mc-'));
+    const path = join(dir, 'mc.json');
+
+    await generateWithCheckpoints(new MianChowla(), { terms: 150, path, everyMs: 0, chunk: 50 });
+    const checkpoint = await loadCheckpoint(path);
+    expect(checkpoint.terms).toHaveLength(150);
+
+    const resumed = new MianChowla({ checkpoint });
+    expect(resumed.generate(250)).toEqual(new MianChowla().generate(250));
+    expect(await loadCheckpoint(join(dir, 'missing.json'))).toBeNull();
+
+    await rm(dir, { recursive: true });
+  });
+
+  it('should give the same terms on worker threads', async () => {
+    const generator = new ParallelMianChowla({ workers: 2, blockBits: 256 });
+    try {
+      expect(await generator.generate(150)).toEqual(new MianChowla().generate(150));
+    } finally {
+      await generator.close();
+    }
+  });
+
+  it('should resume worker-thread runs with their options and survive a dead worker', async () => {
+    const generator = new ParallelMianChowla({ workers: 2, blockBits: 256, maxBytes: 2 ** 20 });
+    try {
+      await generator.generate(50);
+      const checkpoint = generator.checkpoint();
+      expect(checkpoint.options).toEqual({ workers: 2, blockBits: 256, maxBytes: 2 ** 20 });
+
+      const resumed = new ParallelMianChowla({ ...checkpoint.options, checkpoint });
+      expect(resumed.maxBytes).toBe(2 ** 20);
+      expect(resumed.terms).toEqual(checkpoint.terms);
+
+      // A reply that lands after the error handler rejected everything is dropped
+      const [worker] = generator.workers;
+      const request = generator._request(worker, { count: 0, start: 0, size: 0, prefilter: 0 }).catch(error => error);
+      worker.emit('error', new Error('worker crashed'));
+      expect((await request).message).toBe('worker crashed');
+      expect(() => worker.emit('message', { id: generator.nextRequest - 1, found: 7 })).not.toThrow();
+      expect(generator.workers).toHaveLength(1);
+      await worker.terminate();
+    } finally {
+      await generator.close();
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { MemorySignatureIndex, profileSignature, searchSimilar } from '../src/encoders/signature-index.js';
+import { cosineSparse } from '../src/encoders/usad.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { ConjectureGenerator } from '../src/agents/conjecture-generator.js';
+import { MockProvider } from '../src/providers/index.js';
+import { generateSequence } from '../src/sequences/index.js';
+
+const profile = (entries) => profileSignature([{
+  positions: entries.map(([p]) => p),
+  elevations: entries.map(([, e]) => e),
+  dimension: 64
+}]);
+
+const sparse = ({ positions, elevations, norm }) => ({
+  idx: Int32Array.from(positions),
+  val: Float64Array.from(elevations),
+  norm
+});
+
+describe('Signature index', () => {
+  it('should profile windows and score candidates through the posting lists', async () => {
+    const windowed = profileSignature([
+      { positions: [9, 3], elevations: [0.5, -0.25], dimension: 64 },
+      { positions: [3, 40], elevations: [0.75, 0.1], dimension: 128 }
+    ], 2);
+    expect(windowed).toMatchObject({ positions: [3, 9], elevations: [0.75, 0.5], dimension: 128 });
+
+    const index = new MemorySignatureIndex();
+    const query = profile([[1, 0.9], [5, 0.4], [7, 0.2]]);
+    await index.add({ id: 1, problemId: 10, type: 'kk_kernel', profile: query });
+    await index.add({ id: 2, problemId: 10, type: 'kk_kernel', profile: profile([[1, 0.8], [5, 0.5], [30, 0.3]]) });
+    await index.add({ id: 3, problemId: 11, type: 'kk_kernel', profile: profile([[7, 0.6], [31, 0.9]]) });
+    await index.add({ id: 4, problemId: 12, type: 'kk_kernel', profile: profile([[40, 1]]) });
+    await index.add({ id: 5, problemId: 12, type: 'numerical', profile: query });
+
+    const results = await searchSimilar(index, { type: 'kk_kernel', profile: query }, { exclude: [1] });
+    expect(results.map(r => r.id)).toEqual([2, 3]);
+    for (const result of results) {
+      const { profile: stored } = await index.get(result.id);
+      expect(result.cosine).toBeCloseTo(cosineSparse(sparse(query), sparse(stored)), 12);
+      expect(result.kk.total).toBeGreaterThanOrEqual(result.cosine);
+    }
+
+    await index.remove(2);
+    expect(await index.count()).toBe(4);
+    expect(await index.postings('kk_kernel', [5])).toEqual([{ id: 1, position: 5, value: 0.4 }]);
+    expect((await searchSimilar(index, { type: 'kk_kernel', profile: query }, { exclude: [1] })).map(r => r.id)).toEqual([3]);
+  });
+
+  it('should find the nearest stored construction for the generator', async () => {
+    const encoder = new MathObjectEncoder();
+    const index = new MemorySignatureIndex();
+    const specs = [{ name: 'mian-chowla', n: 250 }, { name: 'primes', n: 300 }];
+    for (const [i, spec] of specs.entries()) {
+      const encoded = await encoder.encodeSequence(generateSequence(spec), 'kk');
+      await index.add({ id: i + 1, problemId: 100 + i, type: 'kk_kernel', profile: profileSignature(encoded.signatures), source: { spec } });
+    }
+
+    const provider = new MockProvider([
+      { stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 't1', name: 'search_similar_signatures', input: { spec: { name: 'mian-chowla', n: 300 }, k: 2 } }] },
+      { stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 't2', name: 'search_similar_signatures', input: { signatureId: 2 } }] },
+      { stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 't3', name: 'search_similar_signatures', input: { sequence: [1, 2, 4], type: 'rh_trace' } }] },
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Closest to problem 100' }] }
+    ]);
+    const result = await new ConjectureGenerator(provider).call('system', 'search', { encoder, signatureIndex: index });
+
+    const [bySequence, byId, tooShort] = result.toolCalls;
+    expect(bySequence.output.map(r => r.problemId)).toEqual([100, 101]);
+    expect(bySequence.output[0].kk).toBeGreaterThan(bySequence.output[1].kk);
+    expect(byId.output.map(r => r.id)).toEqual([1]);
+    expect(tooShort.error).toMatch(/259 to 2000 terms/);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import app from '../src/api/index.js';
+import { MathObjectEncoder, ENCODER_VERSION } from '../src/encoders/index.js';
+import { encodeSignatures, decodeSignatures } from '../src/encoders/signature-codec.js';
+import { generateSequence } from '../src/sequences/index.js';
+
+const encoder = new MathObjectEncoder();
+const mianChowla = generateSequence({ name: 'mian-chowla', n: 300 });
+
+function expectSameSignatures(decoded, original) {
+  expect(decoded.signatures).toHaveLength(original.signatures.length);
+  decoded.signatures.forEach((signature, i) => {
+    expect(signature.positions).toEqual(original.signatures[i].positions);
+    expect(signature.dimension).toBe(original.signatures[i].dimension);
+    expect(signature.elevations).toEqual(original.signatures[i].elevations.map(Math.fround));
+  });
+}
+
+/**
+ * Just enough of a D1 binding for the signature routes and the similarity
+ * index tables; BLOBs come back as arrays of bytes, as D1 returns them
+ */
+function fakeD1(problem) {
+  const signatures = [];
+  const profiles = new Map();
+  let postings = [];
+
+  const first = async (sql, args) => {
+    if (sql.includes('FROM problems')) return problem;
+    if (sql.includes('FROM signature_profiles')) return profiles.get(args[0]) ?? null;
+    return null;
+  };
+  const all = async (sql, args) => {
+    if (sql.includes('FROM signatures')) {
+      return signatures.filter(row => row.problem_id === Number(args[0]) && (!args[1] || row.signature_type === args[1]));
+    }
+    if (sql.includes('FROM signature_profiles')) return args.map(id => profiles.get(id)).filter(Boolean);
+    if (sql.includes('FROM signature_postings')) {
+      const [type, ...positions] = args;
+      return postings.filter(row => row.signature_type === type && positions.includes(row.position));
+    }
+    return [];
+  };
+  const run = async (sql, args) => {
+    if (sql.includes('INSERT INTO signatures')) {
+      const [problem_id, signature_type, data, metadata] = args;
+      signatures.push({ id: signatures.length + 1, problem_id, signature_type, data: Array.from(data), metadata });
+      return { meta: { last_row_id: signatures.length } };
+    }
+    if (sql.includes('INSERT INTO signature_profiles')) {
+      const [signature_id, problem_id, signature_type, dimension, positions, elevations, norm, source] = args;
+      profiles.set(signature_id, { signature_id, problem_id, signature_type, dimension, positions, elevations, norm, source });
+    } else if (sql.includes('INSERT INTO signature_postings')) {
+      const [signature_type, position, signature_id, value] = args;
+      postings.push({ signature_type, position, signature_id, value });
+    } else if (sql.includes('DELETE FROM signature_postings')) {
+      postings = postings.filter(row => row.signature_id !== args[0]);
+    } else if (sql.includes('DELETE FROM signature_profiles')) {
+      profiles.delete(args[0]);
+    }
+    return { meta: {} };
+  };
+
+  const query = (sql, args) => ({
+    first: () => first(sql, args),
+    all: async () => ({ results: await all(sql, args) }),
+    run: () => run(sql, args)
+  });
+  return {
+    prepare: (sql) => ({ bind: (...args) => query(sql, args), ...query(sql, []) }),
+    batch: async (statements) => {
+      const results = [];
+      for (const statement of statements) results.push(await statement.run());
+      return results;
+    }
+  };
+}
+
+describe('Signature serialization', () => {
+  it('should round-trip rh traces with their anomaly scores', async () => {
+    const encoded = await encoder.encodeSequence(mianChowla, 'gaps');
+    const bytes = encodeSignatures(encoded);
+    const decoded = decodeSignatures(bytes);
+
+    expect(decoded.type).toBe('rh_trace');
+    expectSameSignatures(decoded, encoded);
+    expect(decoded.anomalyScores).toEqual(encoded.anomalyScores.map(Math.fround));
+    expect(bytes.length).toBeLessThan(JSON.stringify(encoded.signatures).length / 3);
+  });
+
+  it('should round-trip numerical and KK signatures from any byte container', async () => {
+    for (const type of ['values', 'kk']) {
+      const encoded = await encoder.encodeSequence(mianChowla, type);
+      const bytes = encodeSignatures(encoded);
+      expectSameSignatures(decodeSignatures(Array.from(bytes)), encoded);
+      expectSameSignatures(decodeSignatures(bytes.buffer), encoded);
+    }
+  });
+
+  it('should reject foreign, truncated and newer data', async () => {
+    const bytes = encodeSignatures(await encoder.encodeSequence(mianChowla, 'kk'));
+    expect(() => decodeSignatures(new Uint8Array([1, 2, 3, 4, 5]))).toThrow(/bad magic/);
+    expect(() => decodeSignatures(bytes.slice(0, 40))).toThrow(/Truncated/);
+    const newer = bytes.slice();
+    newer[4] = 99;
+    expect(() => decodeSignatures(newer)).toThrow(/newer than supported/);
+    expect(() => encodeSignatures({ type: 'graph_invariants', signatures: [] })).toThrow(/Cannot serialize/);
+  });
+});
+
+describe('Signature routes', () => {
+  it('should compute, store and decode a problem\'s signatures', async () => {
+    const DB = fakeD1({ id: 340, metadata: JSON.stringify({ sequences: { 'mian-chowla': { name: 'mian-chowla', n: 300 }, short: [1, 2, 4] } }) });
+
+    const res = await app.request('/problems/340/signatures', { method: 'POST', body: '{}' }, { DB });
+    expect(res.status).toBe(200);
+    const { stored, skipped } = await res.json();
+    expect(stored.map(s => `${s.sequence} ${s.type}`)).toEqual([
+      'mian-chowla rh_trace', 'mian-chowla numerical', 'mian-chowla kk_kernel', 'short kk_kernel'
+    ]);
+    expect(skipped.map(s => `${s.sequence} ${s.type}`)).toEqual(['short rh_trace', 'short numerical']);
+
+    const list = await (await app.request('/problems/340/signatures?type=rh_trace', {}, { DB })).json();
+    const [row] = list.signatures;
+    expect(row.metadata).toMatchObject({
+      format: 1,
+      encoder: ENCODER_VERSION,
+      seed: 'rh_sparse_demo',
+      dim: 4096,
+      scales: [64, 256, 1024],
+      source: { sequence: 'mian-chowla', spec: { name: 'mian-chowla', n: 300 } }
+    });
+    expect(row.signatures).toHaveLength(row.metadata.count);
+    expect(row.anomalyScores).toHaveLength(row.metadata.count);
+
+    const bad = await app.request('/problems/340/signatures', { method: 'POST', body: '{"types":["waves"]}' }, { DB });
+    expect(bad.status).toBe(400);
+  });
+
+  it('should index stored signatures and search them by id', async () => {
+    const DB = fakeD1({ id: 340, metadata: JSON.stringify({ sequences: { a: { name: 'mian-chowla', n: 300 }, b: { name: 'mian-chowla', n: 260 }, p: { name: 'primes', n: 300 } } }) });
+    const { stored } = await (await app.request('/problems/340/signatures', { method: 'POST', body: '{"types":["kk_kernel"]}' }, { DB })).json();
+    const ids = Object.fromEntries(stored.map(s => [s.sequence, s.id]));
+
+    const res = await app.request(`/search/similar?signatureId=${ids.a}&k=5`, {}, { DB });
+    expect(res.status).toBe(200);
+    const { query, results } = await res.json();
+    expect(query).toMatchObject({ id: ids.a, problemId: 340, type: 'kk_kernel', source: { sequence: 'a' } });
+    expect(results.map(r => r.id)).toEqual([ids.b, ids.p]);
+    expect(results[0].kk.total).toBeGreaterThan(results[1].kk.total);
+
+    expect((await app.request('/search/similar?signatureId=999', {}, { DB })).status).toBe(404);
+    expect((await app.request('/search/similar', {}, { DB })).status).toBe(400);
+  });
+});
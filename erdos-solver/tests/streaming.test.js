@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { RHAnomalyStream, anomaly_trace_from_rh } from '../src/encoders/rh-sparse.js';
+import { MathObjectEncoder } from '../src/encoders/index.js';
+import { MianChowla } from '../src/sequences/index.js';
+import { generateWithCheckpoints } from '../src/sequences/checkpoint-file.js';
+import { rngLCG } from '../src/encoders/kk-kernel.js';
+
+const small = { window: 32, scales: [8, 32], topk: 32 };
+
+// Noisy unit gaps, then (from `change`) gaps alternating between 0.2 and 3
+function gaps(count, change = Infinity, seed = 4) {
+  const rng = rngLCG(seed);
+  return Array.from({ length: count }, (_, i) => (i < change ? 0.8 + 0.4 * rng.next() : (i % 2 ? 3 : 0.2)));
+}
+
+async function pushAll(stream, values) {
+  const entries = [];
+  for (const gap of values) {
+    const entry = await stream.pushGap(gap);
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+describe('Streaming anomaly detection', () => {
+  it('should reproduce the batch trace one gap at a time', async () => {
+    const values = gaps(120);
+    const batch = await anomaly_trace_from_rh({ gaps: values, ...small });
+    const stream = new RHAnomalyStream(small);
+
+    const entries = await pushAll(stream, values);
+    expect(entries.map(e => e.window)).toEqual(batch.map(t => t.window));
+    expect(entries.map(e => e.score)).toEqual(batch.map(t => t.score));
+
+    // Terms go through the same gap normalization as encodeSequence
+    const terms = new MianChowla().generate(300);
+    const encoder = new MathObjectEncoder();
+    const { anomalyScores } = await encoder.encodeSequence(terms, 'gaps');
+    const streamed = await encoder.streamAnomalies().pushTerms(terms);
+    expect(streamed.map(e => e.score)).toEqual(anomalyScores);
+  });
+
+  it('should raise events when the gap structure changes', async () => {
+    const events = [];
+    const stream = new RHAnomalyStream({ ...small, alpha: 0.02, onEvent: e => events.push(e) });
+    const entries = await pushAll(stream, gaps(300, 200));
+
+    expect(entries.slice(0, 150).some(e => e.flagged)).toBe(false);
+    expect(events[0]).toMatchObject({ type: 'anomaly', term: null });
+    expect(events[0].window).toBeGreaterThanOrEqual(200);
+    expect(events[0].window).toBeLessThan(215);
+    expect(events[0].pValue).toBeLessThanOrEqual(0.02);
+
+    const fixed = [];
+    await pushAll(new RHAnomalyStream({ ...small, threshold: 0.99, onEvent: e => fixed.push(e) }), gaps(100));
+    expect(fixed[0]).toMatchObject({ type: 'anomaly', window: 32, score: 1 });
+    expect(fixed[1]).toMatchObject({ type: 'recovered' });
+  });
+
+  it('should resume from a snapshot with identical scores and events', async () => {
+    const values = gaps(260, 180);
+    const run = async (split) => {
+      const events = [];
+      let stream = new RHAnomalyStream({ ...small, alpha: 0.02, onEvent: e => events.push(e) });
+      const first = await pushAll(stream, values.slice(0, split));
+      stream = RHAnomalyStream.restore(JSON.parse(JSON.stringify(stream.snapshot())), { onEvent: e => events.push(e) });
+      const rest = await pushAll(stream, values.slice(split));
+      return { scores: [...first, ...rest].map(e => e.score), events };
+    };
+    const whole = await run(values.length);
+    const resumed = await run(150);
+    expect(resumed.scores).toEqual(whole.scores);
+    expect(resumed.events).toEqual(whole.events);
+    expect(whole.events.length).toBeGreaterThan(0);
+    expect(() => RHAnomalyStream.restore({ format: 99 })).toThrow(/Cannot restore/);
+  });
+
+  it('should monitor a generator while it produces terms', async () => {
+    const events = [];
+    const monitor = new RHAnomalyStream({ ...small, threshold: 0.9, onEvent: e => events.push(e) });
+    const progress = [];
+    await generateWithCheckpoints(new MianChowla(), {
+      terms: 120,
+      chunk: 40,
+      monitor,
+      onProgress: ({ count }) => progress.push([count, events.length])
+    });
+
+    expect(monitor.termCount).toBe(120);
+    expect(monitor.gapCount).toBe(119);
+    // The first window scores 1 against empty rings, so an event fires in the first chunk
+    expect(progress[1][1]).toBeGreaterThan(0);
+    expect(events[0]).toMatchObject({ type: 'anomaly', window: 32, term: 33 });
+  });
+});